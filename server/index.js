@@ -0,0 +1,28 @@
+import { createProxyServer } from './proxy.js';
+import { createUsageLog } from './usageLog.js';
+
+// Model proxy for the DSA Helper app. The browser posts { provider, model, messages,
+// stream, json } to /api/chat; the proxy adds the API key, enforces the per-address rate
+// limit, forwards the request upstream and pipes the response body straight back.
+//
+// Environment:
+//   PORT               port to listen on (default 8787)
+//   ALLOWED_ORIGIN     CORS origin allowed to call the proxy (default http://localhost:5173)
+//   RATE_LIMIT_MS      minimum gap between streamed (or other) requests from one address (default 15000)
+//   USAGE_LOG_FILE     JSON-lines usage log (default logs/usage.log, empty to disable)
+//   MODEL_BACKEND      "stub" (or the --stub flag) to answer from the canned local model
+//   GEMINI_API_KEY, OPENAI_API_KEY, OPENAI_BASE_URL, OLLAMA_URL, GEMINI_API_BASE_URL
+
+const PORT = Number(process.env.PORT) || 8787;
+const USE_STUB = process.env.MODEL_BACKEND === 'stub' || process.argv.includes('--stub');
+
+const server = createProxyServer({
+  allowedOrigin: process.env.ALLOWED_ORIGIN || 'http://localhost:5173',
+  rateLimitMs: Number(process.env.RATE_LIMIT_MS ?? 15000),
+  useStub: USE_STUB,
+  logUsage: createUsageLog(process.env.USAGE_LOG_FILE ?? 'logs/usage.log')
+});
+
+server.listen(PORT, () => {
+  console.log(`DSA Helper proxy listening on http://localhost:${PORT}${USE_STUB ? ' (stub model)' : ''}`);
+});
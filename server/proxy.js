@@ -0,0 +1,234 @@
+import { createServer } from 'node:http';
+import { createRateLimiter } from './rateLimiter.js';
+import { respondWithStub } from './stubModel.js';
+import { UPSTREAMS } from './upstreams.js';
+
+// The /api/chat proxy as an http.Server that is not listening yet; index.js reads the
+// environment and starts it, and the tests start their own on a free port.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body is too large.');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be valid JSON.');
+  }
+}
+
+// Mirrors GENERATION_LIMITS in src/utils/llmProviders.js.
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  maxOutputTokens: { min: 1, max: 65536, integer: true },
+  thinkingBudget: { min: -1, max: 32768, integer: true }
+};
+
+function validateGeneration(generation = {}) {
+  const valid = {};
+  for (const [field, { min, max, integer }] of Object.entries(GENERATION_LIMITS)) {
+    const value = generation?.[field];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new HttpError(400, `generation.${field} must be a number between ${min} and ${max}.`);
+    }
+    if (integer && !Number.isInteger(value)) {
+      throw new HttpError(400, `generation.${field} must be a whole number.`);
+    }
+    valid[field] = value;
+  }
+  return valid;
+}
+
+function validateChatRequest(body) {
+  const { provider, model, messages } = body || {};
+  // An own-key check, so names such as "toString" are not read off the prototype.
+  if (typeof provider !== 'string' || !Object.hasOwn(UPSTREAMS, provider)) {
+    throw new HttpError(400, `Unknown provider "${provider}".`);
+  }
+  if (typeof model !== 'string' || !model) {
+    throw new HttpError(400, 'A model name is required.');
+  }
+  if (!UPSTREAMS[provider].modelPattern.test(model)) {
+    throw new HttpError(400, `"${model}" is not a valid ${provider} model name.`);
+  }
+  const validMessages = Array.isArray(messages) && messages.length > 0 && messages.every(
+    (message) => ['user', 'assistant'].includes(message?.role) && typeof message.content === 'string'
+  );
+  if (!validMessages) {
+    throw new HttpError(400, 'messages must be a non-empty list of { role, content } objects.');
+  }
+  return {
+    provider,
+    model,
+    messages,
+    stream: Boolean(body.stream),
+    json: Boolean(body.json),
+    generation: validateGeneration(body.generation)
+  };
+}
+
+async function forwardUpstream(req, res, chatRequest) {
+  const upstream = UPSTREAMS[chatRequest.provider];
+  if (!upstream.isConfigured()) {
+    throw new HttpError(503, `The proxy has no credentials for ${chatRequest.provider}.`);
+  }
+
+  // Stop paying for tokens nobody will read once the browser goes away.
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const { url, init } = upstream.buildRequest(chatRequest);
+  const upstreamResponse = await fetch(url, { ...init, signal: controller.signal });
+
+  const headers = {
+    'Content-Type': upstreamResponse.headers.get('content-type') || 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  const retryAfter = upstreamResponse.headers.get('retry-after');
+  if (retryAfter) {
+    headers['Retry-After'] = retryAfter;
+  }
+  res.writeHead(upstreamResponse.status, headers);
+
+  let bytes = 0;
+  if (upstreamResponse.body) {
+    try {
+      for await (const chunk of upstreamResponse.body) {
+        bytes += chunk.length;
+        res.write(chunk);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        throw error;
+      }
+    }
+  }
+  res.end();
+  return { status: upstreamResponse.status, bytes };
+}
+
+// Parsed against a fixed base: the Host header is client-controlled and may not be a valid host.
+function getPathname(req) {
+  try {
+    return new URL(req.url, 'http://localhost').pathname;
+  } catch (error) {
+    throw new HttpError(400, 'Invalid request URL.');
+  }
+}
+
+// Options: `allowedOrigin` for CORS, `rateLimitMs` between requests from one address,
+// `useStub` to answer from the canned model in stubModel.js, and `logUsage` to receive one
+// entry per chat request.
+export function createProxyServer({ allowedOrigin, rateLimitMs, useStub = false, logUsage = () => {} }) {
+  const rateLimiter = createRateLimiter(rateLimitMs);
+
+  async function handleChat(req, res) {
+    const startedAt = Date.now();
+    // The X-Client-Id header is chosen by the browser, so it is only logged; the rate limit
+    // keys on the connection's address, which a client cannot change per request.
+    const address = req.socket.remoteAddress;
+    const usage = { clientId: req.headers['x-client-id'] || null, address, status: 0, bytes: 0 };
+
+    try {
+      const body = await readJsonBody(req);
+
+      // Every request counts, valid or not, so the keys cannot be used without limit.
+      // Streamed answers and one-off calls (quizzes) are limited separately, so a quiz
+      // right after an answer is not turned away.
+      const limit = rateLimiter.check(`${address} ${body?.stream ? 'stream' : 'single'}`);
+      if (!limit.allowed) {
+        throw new HttpError(429, 'Please wait a moment before making another request.', {
+          'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000))
+        });
+      }
+
+      const chatRequest = validateChatRequest(body);
+      Object.assign(usage, {
+        provider: chatRequest.provider,
+        model: chatRequest.model,
+        stream: chatRequest.stream,
+        messages: chatRequest.messages.length
+      });
+
+      if (useStub) {
+        usage.backend = 'stub';
+        usage.bytes = await respondWithStub(res, chatRequest);
+        usage.status = 200;
+      } else {
+        Object.assign(usage, await forwardUpstream(req, res, chatRequest));
+      }
+    } catch (error) {
+      usage.status = error.status || 502;
+      usage.error = error.message;
+      if (!res.headersSent) {
+        sendJson(res, usage.status, { error: { message: error.message } }, error.headers);
+      } else {
+        res.end();
+      }
+    } finally {
+      usage.durationMs = Date.now() - startedAt;
+      logUsage(usage);
+    }
+  }
+
+  async function routeRequest(req, res) {
+    const pathname = getPathname(req);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === 'GET' && pathname === '/api/health') {
+      sendJson(res, 200, { ok: true, backend: useStub ? 'stub' : 'upstream' });
+    } else if (req.method === 'POST' && pathname === '/api/chat') {
+      await handleChat(req, res);
+    } else {
+      sendJson(res, 404, { error: { message: 'Not found.' } });
+    }
+  }
+
+  return createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Client-Id');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+    // An error escaping here would be an unhandled rejection and take the whole proxy down.
+    try {
+      await routeRequest(req, res);
+    } catch (error) {
+      if (!error.status) {
+        console.error('Unexpected proxy error:', error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, { error: { message: error.status ? error.message : 'Internal proxy error.' } });
+      } else {
+        res.end();
+      }
+    }
+  });
+}
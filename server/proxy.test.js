@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { LLM_PROVIDERS } from '../src/utils/llmProviders';
+import { createStreamParser } from '../src/utils/streamParser';
+import { createProxyServer } from './proxy.js';
+
+// Each test starts the proxy with the stub model on a free port and talks to it over HTTP,
+// the way the browser does.
+let server;
+let baseUrl;
+let usage;
+
+beforeEach(async () => {
+  usage = [];
+  server = createProxyServer({
+    allowedOrigin: 'http://localhost:5173',
+    rateLimitMs: 60000,
+    useStub: true,
+    logUsage: (entry) => usage.push(entry)
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const MESSAGES = [{ role: 'user', content: 'Answer the question.\n\nUser Question: two sum' }];
+
+const postChat = (body) => fetch(`${baseUrl}/api/chat`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'X-Client-Id': 'test-client' },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+const chat = (overrides = {}) => postChat({ provider: 'gemini', model: 'gemini-2.5-flash', messages: MESSAGES, ...overrides });
+
+const errorOf = async (response) => (await response.json()).error.message;
+
+// Reads the body too, so a streamed reply does not keep its connection open.
+const statusOf = async (request) => {
+  const response = await request;
+  await response.arrayBuffer();
+  return response.status;
+};
+
+describe('request validation', () => {
+  it.each([
+    ['a body that is not JSON', '{"provider":', 'Request body must be valid JSON.'],
+    ['an unknown provider', { provider: 'claude', model: 'x', messages: MESSAGES }, 'Unknown provider "claude".'],
+    ['a provider inherited from Object', { provider: 'toString', model: 'x', messages: MESSAGES }, 'Unknown provider "toString".'],
+    ['a missing model', { provider: 'gemini', messages: MESSAGES }, 'A model name is required.'],
+    ['a model that would change the URL path', { provider: 'gemini', model: '../files', messages: MESSAGES }, '"../files" is not a valid gemini model name.'],
+    ['an empty message list', { provider: 'ollama', model: 'llama3.1:8b', messages: [] }, 'messages must be a non-empty list of { role, content } objects.'],
+    ['a system message', { provider: 'openai', model: 'gpt-4o-mini', messages: [{ role: 'system', content: 'hi' }] }, 'messages must be a non-empty list of { role, content } objects.'],
+    ['a temperature out of range', { provider: 'gemini', model: 'gemini-2.5-flash', messages: MESSAGES, generation: { temperature: 3 } }, 'generation.temperature must be a number between 0 and 2.'],
+    ['a fractional token limit', { provider: 'gemini', model: 'gemini-2.5-flash', messages: MESSAGES, generation: { maxOutputTokens: 10.5 } }, 'generation.maxOutputTokens must be a whole number.']
+  ])('rejects %s with 400', async (_, body, message) => {
+    const response = await postChat(body);
+    expect(response.status).toBe(400);
+    expect(await errorOf(response)).toBe(message);
+  });
+
+  it('logs the rejected request with its status', async () => {
+    await chat({ provider: 'toString' });
+    expect(usage).toEqual([expect.objectContaining({ clientId: 'test-client', status: 400, error: 'Unknown provider "toString".' })]);
+  });
+
+  it('answers 404 for other paths', async () => {
+    expect((await fetch(`${baseUrl}/api/other`)).status).toBe(404);
+    expect(await (await fetch(`${baseUrl}/api/health`)).json()).toEqual({ ok: true, backend: 'stub' });
+  });
+});
+
+describe('rate limiting', () => {
+  it('limits non-streamed requests', async () => {
+    expect(await statusOf(chat({ json: true }))).toBe(200);
+    const limited = await chat({ json: true });
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  it('limits streamed requests separately, so a quiz can follow an answer', async () => {
+    expect(await statusOf(chat({ stream: true, json: true }))).toBe(200);
+    expect(await statusOf(chat({ stream: true, json: true }))).toBe(429);
+    expect(await statusOf(chat({ json: true }))).toBe(200);
+  });
+
+  it('counts invalid requests too', async () => {
+    expect(await statusOf(chat({ provider: 'toString' }))).toBe(400);
+    expect(await statusOf(chat())).toBe(429);
+  });
+
+  it('ignores the client-chosen X-Client-Id header', async () => {
+    expect(await statusOf(chat())).toBe(200);
+    const retry = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': 'someone-else' },
+      body: JSON.stringify({ provider: 'gemini', model: 'gemini-2.5-flash', messages: MESSAGES })
+    });
+    expect(retry.status).toBe(429);
+  });
+});
+
+describe('stub model', () => {
+  // Reads a streamed stub reply with the browser's own parser and provider definition.
+  const readStream = async (providerId, response) => {
+    const provider = LLM_PROVIDERS[providerId];
+    const result = { text: '', finishReason: null, usage: null };
+    const parser = createStreamParser(provider.streamFormat, (message) => {
+      const parsed = provider.parseStreamEvent(message);
+      result.text += parsed.text || '';
+      if (parsed.finishReason) result.finishReason = parsed.finishReason;
+      if (parsed.usage) result.usage = parsed.usage;
+    });
+    parser.push(await response.text());
+    parser.end();
+    return result;
+  };
+
+  it.each([
+    ['gemini', 'gemini-2.5-flash'],
+    ['openai', 'gpt-4o-mini'],
+    ['ollama', 'llama3.1:8b']
+  ])('streams a structured answer in the %s wire format', async (provider, model) => {
+    const response = await chat({ provider, model, stream: true, json: true });
+    expect(response.status).toBe(200);
+
+    const result = await readStream(provider, response);
+    const answer = JSON.parse(result.text);
+    expect(answer.title).toBe('Stub answer');
+    expect(answer.summary).toContain('**You asked:** two sum');
+    expect(result.finishReason).toBe('stop');
+    expect(result.usage.outputTokens).toBeGreaterThan(0);
+    expect(usage[0]).toMatchObject({ provider, model, stream: true, status: 200, backend: 'stub' });
+  });
+
+  it('streams markdown when JSON is not asked for', async () => {
+    const result = await readStream('gemini', await chat({ stream: true }));
+    expect(result.text).toMatch(/^## Stub answer/);
+  });
+
+  it('answers a non-streamed JSON request with a quiz', async () => {
+    const data = await (await chat({ provider: 'openai', model: 'gpt-4o-mini', json: true })).json();
+    const quiz = JSON.parse(LLM_PROVIDERS.openai.parseResponse(data));
+    expect(quiz[0]).toMatchObject({ options: expect.any(Array), correctAnswer: 0 });
+  });
+});
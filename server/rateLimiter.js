@@ -0,0 +1,23 @@
+// One request per client address per window. This is the server-side version of the
+// API_RATE_LIMIT_MS check the browser used to do on its own.
+export function createRateLimiter(windowMs) {
+  const lastRequestAt = new Map();
+
+  return {
+    check(key, now = Date.now()) {
+      const previous = lastRequestAt.get(key);
+      if (previous !== undefined && now - previous < windowMs) {
+        return { allowed: false, retryAfterMs: windowMs - (now - previous) };
+      }
+
+      lastRequestAt.set(key, now);
+      // Forget clients that have been quiet for a while so the map cannot grow forever.
+      for (const [id, timestamp] of lastRequestAt) {
+        if (now - timestamp > windowMs * 10) {
+          lastRequestAt.delete(id);
+        }
+      }
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  };
+}
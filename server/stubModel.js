@@ -0,0 +1,146 @@
+// A canned model for development and tests (MODEL_BACKEND=stub). It answers in the
+// wire format of whichever provider the browser selected, so the client-side parsers
+// are exercised exactly as they would be against the real service.
+
+const STUB_QUIZ = [
+  {
+    question: 'What is the time complexity of a single hash map lookup on average?',
+    options: ['O(1)', 'O(log n)', 'O(n)', 'O(n log n)'],
+    correctAnswer: 0,
+    explanation: 'Hashing jumps straight to the bucket, so lookups are constant time on average.'
+  }
+];
+
+const getQuestion = (messages) => {
+  const lastQuestion = [...messages].reverse().find((message) => message.role === 'user')?.content || '';
+  return lastQuestion.split('User Question:').pop().trim();
+};
+
+function buildAnswer(messages) {
+  const question = getQuestion(messages);
+  return `## Stub answer
+
+This reply comes from the local stub model, not a real provider.
+
+**You asked:** ${question}
+
+\`\`\`python
+def solve(nums):
+    return sorted(nums)
+\`\`\`
+
+## Complexity Analysis
+- **Time:** O(n log n)
+- **Space:** O(n)`;
+}
+
+// Streamed JSON requests are answers, so they get the shape of STRUCTURED_ANSWER_SCHEMA
+// (src/utils/structuredAnswer.js).
+function buildStructuredAnswer(messages) {
+  return {
+    title: 'Stub answer',
+    summary: `This reply comes from the local stub model, not a real provider.\n\n**You asked:** ${getQuestion(messages)}`,
+    diagram: '',
+    sections: [{ heading: 'Step-by-step breakdown', body: '1. Sort the input.\n2. Return it.' }],
+    code: [{ language: 'python', code: 'def solve(nums):\n    return sorted(nums)', explanation: '' }],
+    complexity: { time: 'O(n log n)', space: 'O(n)', explanation: 'Sorting dominates.' },
+    edgeCases: ['An empty list'],
+    tips: ['Stub answers are the same for every question.']
+  };
+}
+
+// Only the quiz call asks for JSON without streaming.
+function buildText({ messages, stream, json }) {
+  if (!json) {
+    return buildAnswer(messages);
+  }
+  return JSON.stringify(stream ? buildStructuredAnswer(messages) : STUB_QUIZ);
+}
+
+// Roughly four characters per token, which is close enough for exercising the usage panel.
+const countTokens = (text) => Math.ceil(text.length / 4);
+
+function buildUsage(messages, text) {
+  return {
+    input: countTokens(messages.map((message) => message.content).join('\n')),
+    output: countTokens(text)
+  };
+}
+
+// Small pieces so streaming behaviour (partial chunks, many events) is realistic.
+const splitIntoChunks = (text, size = 40) => text.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g')) || [''];
+
+const geminiUsage = ({ input, output }) => ({
+  promptTokenCount: input,
+  candidatesTokenCount: output,
+  totalTokenCount: input + output
+});
+const openaiUsage = ({ input, output }) => ({
+  prompt_tokens: input,
+  completion_tokens: output,
+  total_tokens: input + output
+});
+const ollamaUsage = ({ input, output }) => ({ prompt_eval_count: input, eval_count: output });
+
+const formats = {
+  gemini: {
+    contentType: 'text/event-stream',
+    chunk: (text) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }], role: 'model' } }] })}\r\n\r\n`,
+    end: (usage) => `data: ${JSON.stringify({
+      candidates: [{ content: { parts: [{ text: '' }], role: 'model' }, finishReason: 'STOP' }],
+      usageMetadata: geminiUsage(usage)
+    })}\r\n\r\n`,
+    complete: (text, usage) => ({
+      candidates: [{ content: { parts: [{ text }], role: 'model' }, finishReason: 'STOP' }],
+      usageMetadata: geminiUsage(usage)
+    })
+  },
+  openai: {
+    contentType: 'text/event-stream',
+    chunk: (text) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: text }, finish_reason: null }] })}\n\n`,
+    end: (usage) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`
+      + `data: ${JSON.stringify({ choices: [], usage: openaiUsage(usage) })}\n\ndata: [DONE]\n\n`,
+    complete: (text, usage) => ({
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      usage: openaiUsage(usage)
+    })
+  },
+  ollama: {
+    contentType: 'application/x-ndjson',
+    chunk: (text) => `${JSON.stringify({ message: { role: 'assistant', content: text }, done: false })}\n`,
+    end: (usage) => `${JSON.stringify({ message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', ...ollamaUsage(usage) })}\n`,
+    complete: (text, usage) => ({ message: { role: 'assistant', content: text }, done: true, done_reason: 'stop', ...ollamaUsage(usage) })
+  }
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Writes the stub reply to `res` and resolves with the number of bytes sent.
+export async function respondWithStub(res, { provider, messages, stream, json }) {
+  const format = formats[provider] || formats.gemini;
+  const text = buildText({ messages, stream, json });
+  const usage = buildUsage(messages, text);
+
+  if (!stream) {
+    const body = JSON.stringify(format.complete(text, usage));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(body);
+    return Buffer.byteLength(body);
+  }
+
+  res.writeHead(200, { 'Content-Type': format.contentType, 'Cache-Control': 'no-cache' });
+  let bytes = 0;
+  for (const piece of splitIntoChunks(text)) {
+    if (res.destroyed) {
+      return bytes;
+    }
+    const payload = format.chunk(piece);
+    bytes += Buffer.byteLength(payload);
+    res.write(payload);
+    await delay(20);
+  }
+  const tail = format.end(usage);
+  bytes += Buffer.byteLength(tail);
+  res.end(tail);
+  return bytes;
+}
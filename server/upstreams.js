@@ -0,0 +1,76 @@
+import { buildGeminiBody, buildOllamaBody, buildOpenAIBody } from '../src/utils/providerRequests.js';
+
+// Upstream model endpoints the proxy can forward to. Request bodies come from the module
+// the browser-side builders in src/utils/llmProviders.js use too; only the URLs and keys
+// differ, and keys are read from the server environment so they never reach the client.
+// Response bodies are streamed back untouched, so the browser keeps parsing them with its
+// own provider definitions.
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+const env = (name, fallback = '') => process.env[name] || fallback;
+
+// Model names come from the browser. Gemini puts them in the URL path next to the server's
+// key, so only plain names pass; elsewhere they only go in the body, and Ollama tags
+// (`llama3.1:8b`) and namespaced names (`org/model`) are allowed too.
+const PATH_MODEL_PATTERN = /^\w[\w.-]*$/;
+const BODY_MODEL_PATTERN = /^\w[\w.-]*(?:\/\w[\w.-]*)?(?::[\w.-]+)?$/;
+
+const gemini = {
+  modelPattern: PATH_MODEL_PATTERN,
+  isConfigured: () => Boolean(env('GEMINI_API_KEY')),
+  buildRequest({ model, messages, stream, json, generation }) {
+    const baseUrl = env('GEMINI_API_BASE_URL', 'https://generativelanguage.googleapis.com/v1beta/models');
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    const body = buildGeminiBody({ messages, json, generation });
+
+    return {
+      url: `${stripTrailingSlash(baseUrl)}/${model}:${method}`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': env('GEMINI_API_KEY') },
+        body: JSON.stringify(body)
+      }
+    };
+  }
+};
+
+const openai = {
+  modelPattern: BODY_MODEL_PATTERN,
+  isConfigured: () => Boolean(env('OPENAI_API_KEY') || env('OPENAI_BASE_URL')),
+  buildRequest({ model, messages, stream, json, generation }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (env('OPENAI_API_KEY')) {
+      headers.Authorization = `Bearer ${env('OPENAI_API_KEY')}`;
+    }
+    const body = buildOpenAIBody({ messages, model, stream, json, generation });
+
+    return {
+      url: `${stripTrailingSlash(env('OPENAI_BASE_URL', 'https://api.openai.com/v1'))}/chat/completions`,
+      init: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      }
+    };
+  }
+};
+
+const ollama = {
+  modelPattern: BODY_MODEL_PATTERN,
+  isConfigured: () => true,
+  buildRequest({ model, messages, stream, json, generation }) {
+    const body = buildOllamaBody({ messages, model, stream, json, generation });
+
+    return {
+      url: `${stripTrailingSlash(env('OLLAMA_URL', 'http://localhost:11434'))}/api/chat`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }
+    };
+  }
+};
+
+export const UPSTREAMS = { gemini, openai, ollama };
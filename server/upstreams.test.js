@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { LLM_PROVIDERS } from '../src/utils/llmProviders';
+import { UPSTREAMS } from './upstreams.js';
+
+// The proxy and the browser build bodies with the same module (src/utils/providerRequests.js);
+// these cases make sure both sides keep sending what the provider expects.
+const MESSAGES = [
+  { role: 'user', content: 'What is a heap?' },
+  { role: 'assistant', content: 'A tree-shaped priority queue.' },
+  { role: 'user', content: 'Show me one.' }
+];
+
+const bodyOf = ({ init }) => JSON.parse(init.body);
+
+const CASES = [
+  {
+    name: 'gemini, streamed JSON with every generation setting',
+    provider: 'gemini',
+    request: { model: 'gemini-2.5-flash', stream: true, json: true, generation: { temperature: 0.2, maxOutputTokens: 2048, thinkingBudget: 0 } },
+    body: {
+      contents: [
+        { role: 'user', parts: [{ text: 'What is a heap?' }] },
+        { role: 'model', parts: [{ text: 'A tree-shaped priority queue.' }] },
+        { role: 'user', parts: [{ text: 'Show me one.' }] }
+      ],
+      generationConfig: {
+        response_mime_type: 'application/json',
+        temperature: 0.2,
+        maxOutputTokens: 2048,
+        thinkingConfig: { thinkingBudget: 0 }
+      }
+    }
+  },
+  {
+    name: 'gemini, plain text with provider defaults',
+    provider: 'gemini',
+    request: { model: 'gemini-2.5-flash', stream: false, json: false, generation: { temperature: null } },
+    body: {
+      contents: [
+        { role: 'user', parts: [{ text: 'What is a heap?' }] },
+        { role: 'model', parts: [{ text: 'A tree-shaped priority queue.' }] },
+        { role: 'user', parts: [{ text: 'Show me one.' }] }
+      ]
+    }
+  },
+  {
+    name: 'openai, streamed',
+    provider: 'openai',
+    request: { model: 'gpt-4o-mini', stream: true, json: false, generation: { temperature: 0, maxOutputTokens: 512 } },
+    body: { model: 'gpt-4o-mini', messages: MESSAGES, stream: true, temperature: 0, max_tokens: 512, stream_options: { include_usage: true } }
+  },
+  {
+    name: 'openai, JSON mode',
+    provider: 'openai',
+    request: { model: 'gpt-4o-mini', stream: false, json: true, generation: {} },
+    body: { model: 'gpt-4o-mini', messages: MESSAGES, stream: false, response_format: { type: 'json_object' } }
+  },
+  {
+    name: 'ollama, JSON',
+    provider: 'ollama',
+    request: { model: 'llama3.1:8b', stream: false, json: true, generation: { maxOutputTokens: 256 } },
+    body: { model: 'llama3.1:8b', messages: MESSAGES, stream: false, format: 'json', options: { num_predict: 256 } }
+  }
+];
+
+describe.each(CASES)('$name', ({ provider, request, body }) => {
+  it('is built the same by the browser and the proxy', () => {
+    expect(bodyOf(LLM_PROVIDERS[provider].buildRequest({ messages: MESSAGES, ...request }))).toEqual(body);
+    expect(bodyOf(UPSTREAMS[provider].buildRequest({ messages: MESSAGES, ...request }))).toEqual(body);
+  });
+});
+
+describe('proxy upstream URLs', () => {
+  it('keeps the Gemini key in a header, out of the URL', () => {
+    const { url, init } = UPSTREAMS.gemini.buildRequest({ model: 'gemini-2.5-flash', messages: MESSAGES, stream: true, generation: {} });
+    expect(url).toMatch(/\/gemini-2\.5-flash:streamGenerateContent\?alt=sse$/);
+    expect(init.headers).toHaveProperty('x-goog-api-key');
+  });
+
+  it.each([
+    ['gemini', 'gemini-2.5-flash', true],
+    ['gemini', 'models/../x', false],
+    ['gemini', 'org/model', false],
+    ['ollama', 'llama3.1:8b', true],
+    ['openai', 'org/model', true],
+    ['openai', '.hidden', false]
+  ])('%s accepts the model name %s: %s', (provider, model, valid) => {
+    expect(UPSTREAMS[provider].modelPattern.test(model)).toBe(valid);
+  });
+});
@@ -0,0 +1,23 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Appends one JSON line per proxied request and echoes it to stdout.
+export function createUsageLog(filePath) {
+  let ready = filePath ? mkdir(dirname(filePath), { recursive: true }) : null;
+
+  return async function logUsage(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    console.log(line);
+    if (!ready) {
+      return;
+    }
+
+    try {
+      await ready;
+      await appendFile(filePath, `${line}\n`);
+    } catch (error) {
+      console.warn(`Could not write usage log "${filePath}":`, error.message);
+      ready = null;
+    }
+  };
+}
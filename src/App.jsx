@@ -1,29 +1,108 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo, useDeferredValue } from 'react';
 import { useAppState } from './hooks/useAppState';
 import { useGeminiAPI } from './hooks/useGeminiAPI';
 import { useGamification } from './hooks/useGamification';
+import { usePromptTemplates } from './hooks/usePromptTemplates';
+import { useUsageLog } from './hooks/useUsageLog';
+import { useContentPacks } from './hooks/useContentPacks';
+import { usePinnedAnswers } from './hooks/usePinnedAnswers';
+import { usePracticeProgress } from './hooks/usePracticeProgress';
+import { useReviewQueue } from './hooks/useReviewQueue';
+import { useQuizHistory } from './hooks/useQuizHistory';
+import { findDifficulty } from './utils/promptTemplates';
+import {
+  OFFLINE_TOPICS, findOfflineAnswer, findVisualizer, getOfflineEntries, localizeEntry, searchOfflineAnswers
+} from './utils/offlineAnswers';
+import { isAmbiguous } from './utils/offlineSearch';
+import { defaultKeywords } from './utils/pinnedAnswers';
+import { answerToMarkdown } from './utils/structuredAnswer';
+import { getNextProblem, getProblemStatus } from './utils/curriculum';
+import { getTopicProblems } from './utils/practiceProblems';
+import { getStudyTracks } from './utils/studyTracks';
+import { getTopicStates, recommendNextSteps } from './utils/topicGraph';
+import { DAILY_REVIEW_LIMIT, summarizeReview, toReviewQuestions } from './utils/reviewQueue';
+import { VERDICTS } from './utils/judge';
 import Header from './components/Header';
 import ChatInput from './components/ChatInput';
 import AnswerCard from './components/AnswerCard';
 import Sidebar from './components/Sidebar';
+import PromptTemplateManager from './components/PromptTemplateManager';
+import UsagePanel from './components/UsagePanel';
+import ContentPackManager from './components/ContentPackManager';
+import PinnedAnswerEditor from './components/PinnedAnswerEditor';
+import LibraryBrowser from './components/LibraryBrowser';
+import QuizModal from './components/QuizModal';
+import PracticePanel from './components/PracticePanel';
+import AlgorithmVisualizer from './components/AlgorithmVisualizer';
+import TopicMap from './components/TopicMap';
+import QuizInsights from './components/QuizInsights';
 import './App.css';
 
 export default function App() {
   const [question, setQuestion] = useState('');
   const [toast, setToast] = useState('');
+  const [activeEntryId, setActiveEntryId] = useState(null);
+  const [bypassCache, setBypassCache] = useState(false);
+  const [showPromptManager, setShowPromptManager] = useState(false);
+  const [showUsagePanel, setShowUsagePanel] = useState(false);
+  const [showPackManager, setShowPackManager] = useState(false);
+  const [editingPin, setEditingPin] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [libraryQuiz, setLibraryQuiz] = useState(null);
+  const [practiceTopic, setPracticeTopic] = useState(null);
+  const [practiceProblemId, setPracticeProblemId] = useState(null);
+  const [visualizerId, setVisualizerId] = useState(null);
+  const [showTopicMap, setShowTopicMap] = useState(false);
+  const [reviewItems, setReviewItems] = useState(null);
+  const [showInsights, setShowInsights] = useState(false);
   const toastRef = useRef(null);
 
   const {
-    history, favorites, darkMode, difficulty, language, curriculumProgress,
-    setDarkMode, setDifficulty, setLanguage, setCurriculumProgress,
-    saveToHistory, clearHistory, toggleFavorite
+    history, favorites, darkMode, difficulty, language, curriculumProgress, activeTrackId, quizScores, llmSettings,
+    setDarkMode, setDifficulty, setLanguage, setActiveTrackId, setLlmSettings, setProblemStatus,
+    resetCurriculumProgress, recordQuizScore,
+    saveToHistory, appendFollowUp, saveRegeneratedAnswer, clearHistory, toggleFavorite
   } = useAppState();
 
+  const { xp, currentLevel, xpProgress, xpForNextLevel, badges, streak, addXp } = useGamification();
+
+  const { templates, activeVersionId, versions, saveVersion, activateVersion } = usePromptTemplates();
+
+  const { log: usageLog, budget, setBudget, budgetStatus, recordUsage, clearUsage } = useUsageLog();
+
+  const { packs, importPack, removePack } = useContentPacks();
+  const { pins, savePin, removePin } = usePinnedAnswers();
+
+  const { records: practiceRecords, saveDraft, recordSubmission } = usePracticeProgress();
   const {
-    generateAnswer, generateQuiz, answer, setAnswer, loading, error, setError
-  } = useGeminiAPI();
+    queueSize: reviewQueueSize, dueItems, nextDueDay, recordQuiz, recordStudiedTopic, gradeReview
+  } = useReviewQueue();
+  const { attempts: quizAttempts, recordAttempts, clearAttempts } = useQuizHistory();
+  const reviewQuestions = useMemo(() => reviewItems && toReviewQuestions(reviewItems), [reviewItems]);
+  const offlineEntries = useMemo(() => getOfflineEntries(packs, pins), [packs, pins]);
 
-  const { xp, currentLevel, xpProgress, xpForNextLevel, badges, streak, addXp } = useGamification();
+  // A track from a pack that was removed falls back to the first built-in track.
+  const studyTracks = useMemo(() => getStudyTracks(packs), [packs]);
+  const activeTrack = studyTracks.find((track) => track.id === activeTrackId) || studyTracks[0];
+  const trackProgress = useMemo(() => curriculumProgress[activeTrack.id] || {}, [curriculumProgress, activeTrack.id]);
+  const topicStates = useMemo(
+    () => getTopicStates(activeTrack.topics, trackProgress, quizScores, offlineEntries),
+    [activeTrack, trackProgress, quizScores, offlineEntries]
+  );
+  const recommendations = useMemo(
+    () => recommendNextSteps(topicStates, quizScores, streak),
+    [topicStates, quizScores, streak]
+  );
+
+  const {
+    generateAnswer, generateFollowUp, generateQuiz, stopGeneration, answer, setAnswer, followUpAnswer,
+    loading, followUpLoading, error, setError
+  } = useGeminiAPI(
+    llmSettings,
+    { templates, versionId: activeVersionId, userLevel: currentLevel },
+    { recordUsage, budgetStatus },
+    offlineEntries
+  );
 
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', darkMode ? 'dark' : 'light');
@@ -35,43 +114,216 @@ export default function App() {
     toastRef.current = setTimeout(() => setToast(''), 3000);
   };
 
-  const handleGenerateClick = async () => {
-    const trimmed = question.trim();
+  // Ranking runs on a deferred copy of the question so typing stays responsive.
+  const deferredQuestion = useDeferredValue(question);
+  const offlineSuggestions = useMemo(() => {
+    const results = searchOfflineAnswers(deferredQuestion, offlineEntries);
+    return isAmbiguous(results) ? results : [];
+  }, [deferredQuestion, offlineEntries]);
+
+  // Quiz scores and reviews are kept per library topic, so a question is filed under the
+  // topic it matches, or under its own text when it matches none.
+  const libraryTopicFor = (text) => (
+    findOfflineAnswer(text, language, offlineEntries.filter((entry) => entry.pattern))?.topic || text
+  );
+
+  const handleGenerateClick = async (text = question) => {
+    const trimmed = text.trim();
     if (!trimmed) { setError('Please enter a DSA or LeetCode question.'); return; }
     if (trimmed.length < 5) { setError('Question must be at least 5 characters.'); return; }
     if (trimmed.length > 2000) { setError(`Question too long (${trimmed.length}/2000 chars).`); return; }
 
-    const result = await generateAnswer(trimmed, difficulty, language);
+    setActiveEntryId(null);
+    const result = await generateAnswer(trimmed, difficulty, language, { bypassCache });
     if (result) {
-      saveToHistory(trimmed, result);
+      setActiveEntryId(saveToHistory(trimmed, result.text, result.source, result.model));
+      // A stopped answer is kept in history, but it does not count as studying the topic.
+      if (result.stopped) {
+        showToast('Generation stopped. The partial answer was saved.');
+        return;
+      }
+      recordStudiedTopic(libraryTopicFor(trimmed));
       const newBadges = addXp(10);
       if (newBadges.length > 0) {
         showToast(`Badge unlocked: ${newBadges[0].name}!`);
+      } else if (result.source === 'cache') {
+        showToast('Loaded a cached answer. Tick "Skip cache" for a fresh one.');
       } else {
         showToast('Answer generated successfully!');
       }
     }
   };
 
-  const loadFromHistory = (q, a) => {
-    setQuestion(q);
-    setAnswer(a);
+  const handlePickSuggestion = (topic) => {
+    setQuestion(topic);
+    handleGenerateClick(topic);
+  };
+
+  const loadFromHistory = (entry) => {
+    setQuestion(entry.question);
+    setAnswer(entry.answer);
+    setActiveEntryId(entry.id);
+  };
+
+  const activeEntry = history.find((entry) => entry.id === activeEntryId);
+
+  // A question that is already pinned reopens its pin rather than pinning a second copy.
+  const pinnedQuestion = activeEntry?.question || question.trim();
+  const currentPin = pins.find((pin) => pin.question === pinnedQuestion);
+  const answerVisualizer = useMemo(() => findVisualizer(pinnedQuestion), [pinnedQuestion]);
+
+  const handlePin = (answerText) => {
+    setEditingPin(currentPin || {
+      topic: pinnedQuestion,
+      keywords: defaultKeywords(pinnedQuestion),
+      answer: answerToMarkdown(answerText),
+      question: pinnedQuestion,
+      model: activeEntry?.model || null
+    });
+  };
+
+  const handleSavePin = async (pin) => {
+    await savePin(pin);
+    setEditingPin(null);
+    showToast(pin.id ? 'Pinned answer updated.' : 'Answer pinned to your library.');
+  };
+
+  const handleRemovePin = async (id) => {
+    await removePin(id);
+    setEditingPin(null);
+    showToast('Pinned answer removed.');
+  };
+
+  const openPin = (pin) => {
+    setQuestion(pin.question || pin.topic);
+    setAnswer(pin.answer);
+    setActiveEntryId(null);
+  };
+
+  // Library topics are opened directly rather than searched, so the chosen entry is shown
+  // even when another topic would rank higher for its title.
+  const openLibraryTopic = (entry) => {
+    const { answer: text } = localizeEntry(entry, language);
+    setShowLibrary(false);
+    setError('');
+    setQuestion(entry.topic);
+    setAnswer(text);
+    setActiveEntryId(saveToHistory(entry.topic, text, entry.pinned ? 'pinned' : 'offline'));
+    recordStudiedTopic(entry.topic);
+  };
+
+  const startLibraryQuiz = (entry) => {
+    setShowLibrary(false);
+    setLibraryQuiz(entry);
+  };
+
+  const openLibraryVisualizer = (entry) => {
+    setShowLibrary(false);
+    setVisualizerId(entry.visualizer);
+  };
+
+  const handleRegenerate = async () => {
+    if (!activeEntry) return;
+    const result = await generateAnswer(activeEntry.question, difficulty, language, {
+      skipOffline: true,
+      bypassCache: true
+    });
+    if (result) {
+      saveRegeneratedAnswer(activeEntry.id, result.text, result.model);
+      showToast(result.stopped ? 'Generation stopped. The partial version was saved.' : 'New version generated.');
+    } else {
+      setAnswer(activeEntry.answer);
+    }
+  };
+
+  const handleFollowUp = async (followUpQuestion) => {
+    if (!activeEntry) return null;
+    const result = await generateFollowUp(
+      activeEntry.question,
+      activeEntry.answer,
+      activeEntry.followUps || [],
+      followUpQuestion,
+      difficulty,
+      language
+    );
+    if (result) {
+      appendFollowUp(activeEntry.id, followUpQuestion, result);
+    }
+    return result;
   };
 
+  // The next catalog problem opens in the practice panel when it has a judge; otherwise it is
+  // marked attempted and put in the question box to be explained.
   const handlePracticeNext = (topic) => {
-    const completed = curriculumProgress?.[topic.id] || 0;
-    if (completed < topic.total) {
-      setCurriculumProgress({ ...curriculumProgress, [topic.id]: completed + 1 });
+    const next = getNextProblem(topic, trackProgress);
+    const practice = getTopicProblems(topic);
+    if (!next || practice.some((problem) => problem.id === next.slug)) {
+      setPracticeProblemId(next?.slug || null);
+      setPracticeTopic(topic);
+      return;
+    }
+    if (getProblemStatus(trackProgress, next.slug) === 'todo') {
+      setProblemStatus(activeTrack.id, next.slug, 'attempted');
+    }
+    setQuestion(`Explain the ${next.title} problem`);
+  };
+
+  // Submissions update the status of catalog problems (practice extras have none); only the
+  // first accepted submission of a problem earns XP.
+  const handlePracticeSubmitted = (problem, language, code, verdict) => {
+    const firstSolve = recordSubmission(problem.id, language, code, verdict);
+    if (practiceTopic.problems.some((entry) => entry.slug === problem.id)) {
+      const status = getProblemStatus(trackProgress, problem.id);
+      if (verdict === VERDICTS.accepted && (status === 'todo' || status === 'attempted')) {
+        setProblemStatus(activeTrack.id, problem.id, 'solved');
+      } else if (status === 'todo') {
+        setProblemStatus(activeTrack.id, problem.id, 'attempted');
+      }
     }
-    setQuestion(`Explain problem ${completed + 1} in ${topic.name}`);
+    if (!firstSolve) return;
+
+    const newBadges = addXp(30);
+    showToast(newBadges.length > 0
+      ? `Solved ${problem.title}! Badge unlocked: ${newBadges[0].name}!`
+      : `Solved ${problem.title}! +30 XP.`);
+  };
+
+  const handleExplainProblem = (problem) => {
+    setPracticeTopic(null);
+    setQuestion(`Explain the ${problem.title} problem`);
   };
 
   const handleResetCurriculum = () => {
-    setCurriculumProgress({});
-    showToast('Curriculum progress reset.');
+    resetCurriculumProgress(activeTrack.id);
+    showToast(`${activeTrack.name} progress reset.`);
+  };
+
+  const followRecommendation = (step) => {
+    if (step.kind === 'problem') {
+      handlePracticeNext(step.state.topic);
+    } else {
+      openLibraryTopic(step.entry);
+    }
   };
 
-  const handleQuizComplete = (score) => {
+  const handleSavePromptVersion = (nextTemplates, note) => {
+    saveVersion(nextTemplates, note);
+    showToast('Prompt templates saved as a new version.');
+  };
+
+  // Every question of a finished quiz is logged and joins the review queue, graded by the
+  // answer given.
+  const handleQuizComplete = (topic, questions, score, answers, timesMs) => {
+    const libraryTopic = libraryTopicFor(topic);
+    recordQuizScore(libraryTopic, score, questions.length);
+    recordQuiz(libraryTopic, questions, answers);
+    recordAttempts({
+      topics: questions.map(() => libraryTopic),
+      questions,
+      answers,
+      timesMs,
+      source: 'quiz'
+    });
     const newBadges = addXp(score * 25);
     if (newBadges.length > 0) {
       showToast(`+${score * 25} XP! Badge unlocked: ${newBadges[0].name}!`);
@@ -80,6 +332,28 @@ export default function App() {
     }
   };
 
+  // Each grade is saved as it is given. Closing a review early still logs the graded items
+  // and earns their XP, so only the ungraded ones are left for later.
+  const finishReview = (answers, timesMs, finished) => {
+    const { count, topics, xp } = summarizeReview(reviewItems, answers);
+    setReviewItems(null);
+    if (count === 0) return;
+    recordAttempts({
+      topics,
+      questions: reviewQuestions.slice(0, count),
+      answers,
+      timesMs,
+      source: 'review'
+    });
+    const newBadges = addXp(xp);
+    const summary = `${count} item${count === 1 ? '' : 's'} rescheduled, +${xp} XP.`;
+    if (newBadges.length > 0) {
+      showToast(`+${xp} XP! Badge unlocked: ${newBadges[0].name}!`);
+    } else {
+      showToast(finished ? `Review done! ${summary}` : `Review closed. ${summary}`);
+    }
+  };
+
   return (
     <div className="app-wrapper">
       {toast && <div className="toast">{toast}</div>}
@@ -90,12 +364,123 @@ export default function App() {
         setDarkMode={setDarkMode}
         language={language}
         setLanguage={setLanguage}
+        llmSettings={llmSettings}
+        setLlmSettings={setLlmSettings}
+        difficulties={templates.difficulties}
+        onOpenPrompts={() => setShowPromptManager(true)}
+        onOpenUsage={() => setShowUsagePanel(true)}
+        onOpenPacks={() => setShowPackManager(true)}
+        onOpenLibrary={() => setShowLibrary(true)}
+        onOpenInsights={() => setShowInsights(true)}
       />
+      {showPromptManager && (
+        <PromptTemplateManager
+          templates={templates}
+          versions={versions}
+          activeVersionId={activeVersionId}
+          onSave={handleSavePromptVersion}
+          onActivate={activateVersion}
+          onClose={() => setShowPromptManager(false)}
+          language={language}
+          userLevel={currentLevel}
+        />
+      )}
+      {showUsagePanel && (
+        <UsagePanel
+          log={usageLog}
+          budget={budget}
+          setBudget={setBudget}
+          budgetStatus={budgetStatus}
+          clearUsage={clearUsage}
+          onClose={() => setShowUsagePanel(false)}
+        />
+      )}
+      {showPackManager && (
+        <ContentPackManager
+          packs={packs}
+          builtInTopicCount={OFFLINE_TOPICS.length}
+          onImport={importPack}
+          onRemove={removePack}
+          onClose={() => setShowPackManager(false)}
+        />
+      )}
+      {showLibrary && (
+        <LibraryBrowser
+          entries={offlineEntries}
+          onOpenTopic={openLibraryTopic}
+          onStartQuiz={startLibraryQuiz}
+          onVisualize={openLibraryVisualizer}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+      {libraryQuiz && (
+        <QuizModal
+          quizData={libraryQuiz.quiz}
+          onClose={() => setLibraryQuiz(null)}
+          onComplete={(score, answers, timesMs) => {
+            setLibraryQuiz(null);
+            handleQuizComplete(libraryQuiz.topic, libraryQuiz.quiz, score, answers, timesMs);
+          }}
+        />
+      )}
+      {reviewItems && (
+        <QuizModal
+          title="Review"
+          quizData={reviewQuestions}
+          onGrade={(index, quality) => gradeReview(reviewItems[index].id, quality)}
+          onClose={(answers, timesMs) => finishReview(answers, timesMs, false)}
+          onComplete={(score, answers, timesMs) => finishReview(answers, timesMs, true)}
+        />
+      )}
+      {showInsights && (
+        <QuizInsights
+          attempts={quizAttempts}
+          entries={offlineEntries}
+          onOpenTopic={(entry) => { setShowInsights(false); openLibraryTopic(entry); }}
+          onStartQuiz={(entry) => { setShowInsights(false); startLibraryQuiz(entry); }}
+          onClear={clearAttempts}
+          onClose={() => setShowInsights(false)}
+        />
+      )}
+      {showTopicMap && (
+        <TopicMap
+          trackName={activeTrack.name}
+          states={topicStates}
+          entries={offlineEntries}
+          quizScores={quizScores}
+          onPracticeNext={(topic) => { setShowTopicMap(false); handlePracticeNext(topic); }}
+          onOpenTopic={(entry) => { setShowTopicMap(false); openLibraryTopic(entry); }}
+          onClose={() => setShowTopicMap(false)}
+        />
+      )}
+      {visualizerId && (
+        <AlgorithmVisualizer visualizerId={visualizerId} onClose={() => setVisualizerId(null)} />
+      )}
+      {practiceTopic && (
+        <PracticePanel
+          topic={practiceTopic}
+          initialProblemId={practiceProblemId}
+          records={practiceRecords}
+          preferredLanguage={language}
+          onSaveDraft={saveDraft}
+          onSubmitted={handlePracticeSubmitted}
+          onExplain={handleExplainProblem}
+          onClose={() => setPracticeTopic(null)}
+        />
+      )}
+      {editingPin && (
+        <PinnedAnswerEditor
+          pin={editingPin}
+          onSave={handleSavePin}
+          onRemove={handleRemovePin}
+          onClose={() => setEditingPin(null)}
+        />
+      )}
       <div className="app-layout">
         <Sidebar
           history={history}
           favorites={favorites}
-          difficulty={difficulty}
+          difficultyLabel={findDifficulty(templates, difficulty)?.label || difficulty}
           setQuestion={setQuestion}
           loadFromHistory={loadFromHistory}
           clearHistory={clearHistory}
@@ -106,9 +491,23 @@ export default function App() {
           currentLevel={currentLevel}
           xpProgress={xpProgress}
           xpForNextLevel={xpForNextLevel}
-          curriculumProgress={curriculumProgress}
+          studyTracks={studyTracks}
+          activeTrack={activeTrack}
+          onSelectTrack={setActiveTrackId}
+          curriculumProgress={trackProgress}
+          dueReviews={dueItems}
+          nextReviewDay={nextDueDay}
+          reviewQueueSize={reviewQueueSize}
+          onStartReview={() => setReviewItems(dueItems.slice(0, DAILY_REVIEW_LIMIT))}
+          recommendations={recommendations}
+          onFollowRecommendation={followRecommendation}
+          onOpenTopicMap={() => setShowTopicMap(true)}
           onPracticeNext={handlePracticeNext}
+          onSetProblemStatus={(slug, status) => setProblemStatus(activeTrack.id, slug, status)}
           onResetCurriculum={handleResetCurriculum}
+          pins={pins}
+          onOpenPin={openPin}
+          onEditPin={setEditingPin}
         />
         <main className="main-content">
           <ChatInput
@@ -116,10 +515,21 @@ export default function App() {
             setQuestion={setQuestion}
             loading={loading}
             handleGenerateClick={handleGenerateClick}
+            bypassCache={bypassCache}
+            setBypassCache={setBypassCache}
             toggleFavorite={toggleFavorite}
             favorites={favorites}
+            suggestions={offlineSuggestions}
+            onPickSuggestion={handlePickSuggestion}
+            onBrowseLibrary={() => setShowLibrary(true)}
+            libraryTopicCount={offlineEntries.length}
           />
-          {loading && <div className="loading">Generating answer...</div>}
+          {loading && (
+            <div className="loading">
+              Generating answer...
+              <button className="clear-btn stop-btn" onClick={stopGeneration}>Stop</button>
+            </div>
+          )}
           {error && <div className="error">{error}</div>}
           <AnswerCard
             answer={answer}
@@ -127,8 +537,23 @@ export default function App() {
             favorites={favorites}
             toggleFavorite={toggleFavorite}
             showToast={showToast}
-            generateQuiz={generateQuiz}
-            onQuizComplete={handleQuizComplete}
+            generateQuiz={(topic, solution) => generateQuiz(topic, solution, difficulty, language)}
+            onQuizComplete={(questions, score, answers, timesMs) => (
+              handleQuizComplete(pinnedQuestion, questions, score, answers, timesMs)
+            )}
+            followUps={activeEntry?.followUps}
+            onFollowUp={activeEntry ? handleFollowUp : undefined}
+            followUpAnswer={followUpAnswer}
+            followUpLoading={followUpLoading}
+            onStopFollowUp={stopGeneration}
+            versions={activeEntry?.versions}
+            onRegenerate={activeEntry ? handleRegenerate : undefined}
+            loading={loading}
+            answerSource={activeEntry?.source}
+            answerModel={activeEntry?.model}
+            onPin={handlePin}
+            isPinned={Boolean(currentPin)}
+            onVisualize={answerVisualizer ? () => setVisualizerId(answerVisualizer) : undefined}
           />
         </main>
       </div>
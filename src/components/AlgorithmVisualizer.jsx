@@ -0,0 +1,286 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { VISUALIZERS, initialInputs } from '../utils/algorithmTraces';
+
+const SPEEDS = [
+  { label: 'Slow', ms: 1400 },
+  { label: 'Normal', ms: 800 },
+  { label: 'Fast', ms: 350 }
+];
+
+const runTrace = (visualizer, inputs) => {
+  try {
+    return { ...visualizer.trace(inputs), error: null };
+  } catch (error) {
+    return { meta: null, steps: [], error: error.message };
+  }
+};
+
+function ArrayView({ meta, step }) {
+  const max = Math.max(1, ...meta.array.map(Math.abs));
+  return (
+    <div className="visualizer-array">
+      {meta.array.map((value, index) => {
+        const labels = Object.entries(step.pointers)
+          .filter(([, pointer]) => pointer === index)
+          .map(([name]) => name);
+        const active = labels.length > 0;
+        return (
+          <div key={index} className="visualizer-array-cell">
+            {meta.bars && (
+              <div
+                className={`visualizer-bar${active ? ' active' : ''}`}
+                style={{ height: `${Math.round((Math.abs(value) / max) * 100)}px` }}
+              />
+            )}
+            <div
+              className={`visualizer-box${active ? ' active' : ''}${step.highlight.includes(index) ? ' highlight' : ''}`}
+            >
+              {value}
+            </div>
+            <span className="visualizer-index">{index}</span>
+            <span className="visualizer-pointer">{labels.join(' ')}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function StackView({ meta, step }) {
+  return (
+    <div className="visualizer-stack-view">
+      <div className="visualizer-array">
+        {meta.chars.map((char, index) => (
+          <div key={index} className="visualizer-array-cell">
+            <div
+              className={`visualizer-box${index === step.index ? (step.status === 'error' ? ' error' : ' active') : ''}${
+                step.index !== null && index < step.index ? ' done' : ''
+              }`}
+            >
+              {char}
+            </div>
+            <span className="visualizer-index">{index}</span>
+          </div>
+        ))}
+      </div>
+      <div className="visualizer-stack" aria-label="Stack">
+        {step.stack.length === 0 && <span className="sidebar-list-item-time">empty stack</span>}
+        {[...step.stack].reverse().map((char, index) => (
+          <div key={step.stack.length - index} className={`visualizer-box${index === 0 ? ' active' : ''}`}>{char}</div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const TREE_SPACING = 44;
+const TREE_RADIUS = 16;
+
+function TreeView({ meta, step }) {
+  const { nodes } = meta;
+  const width = (Math.max(...nodes.map((node) => node.x)) + 1) * TREE_SPACING;
+  const height = (Math.max(...nodes.map((node) => node.depth)) + 1) * TREE_SPACING + TREE_RADIUS;
+  const position = (node) => ({
+    x: node.x * TREE_SPACING + TREE_SPACING / 2,
+    y: node.depth * TREE_SPACING + TREE_RADIUS + 4
+  });
+  const order = new Map(step.visited.map((id, index) => [id, index + 1]));
+
+  return (
+    <>
+      <svg className="visualizer-tree" viewBox={`0 0 ${width} ${height}`} width={width} height={height} role="img" aria-label="Binary tree">
+        {nodes.flatMap((node) => [node.left, node.right]
+          .filter((child) => child !== null)
+          .map((child) => {
+            const from = position(node);
+            const to = position(nodes[child]);
+            return <line key={`${node.id}-${child}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} />;
+          }))}
+        {nodes.map((node) => {
+          const { x, y } = position(node);
+          let state = '';
+          if (node.id === step.current) state = ' active';
+          else if (order.has(node.id)) state = ' done';
+          else if (step.frontier.includes(node.id)) state = ' frontier';
+          return (
+            <g key={node.id} className={`visualizer-node${state}`}>
+              <circle cx={x} cy={y} r={TREE_RADIUS} />
+              <text x={x} y={y} dominantBaseline="central" textAnchor="middle">{node.value}</text>
+            </g>
+          );
+        })}
+      </svg>
+      {step.frontier.length > 0 && step.visited.length > 0 && (
+        <p className="sidebar-list-item-time">
+          Queue: {step.frontier.map((id) => nodes[id].value).join(', ')}
+        </p>
+      )}
+    </>
+  );
+}
+
+function GridView({ meta, step }) {
+  const visited = new Set(step.visited);
+  const frontier = new Set(step.frontier);
+  return (
+    <>
+      <div className="visualizer-grid" style={{ gridTemplateColumns: `repeat(${meta.grid[0].length}, 28px)` }}>
+        {meta.grid.flatMap((row, rowIndex) => row.map((cell, colIndex) => {
+          const key = `${rowIndex},${colIndex}`;
+          let state = '';
+          if (cell === '#') state = ' wall';
+          else if (key === step.current) state = ' active';
+          else if (visited.has(key)) state = ' done';
+          else if (frontier.has(key)) state = ' frontier';
+          return (
+            <div key={key} className={`visualizer-grid-cell${state}`}>
+              {cell === 'S' || cell === 'E' ? cell : visited.has(key) ? step.visited.indexOf(key) + 1 : ''}
+            </div>
+          );
+        }))}
+      </div>
+      <p className="sidebar-list-item-time">
+        Frontier ({step.frontier.length}): {step.frontier.map((key) => `(${key})`).join(' ') || 'empty'}
+      </p>
+    </>
+  );
+}
+
+const VIEWS = { array: ArrayView, stack: StackView, tree: TreeView, grid: GridView };
+
+// Plays back a trace from algorithmTraces.js one step at a time. Editing the inputs and
+// pressing Apply regenerates the trace from the first step.
+export default function AlgorithmVisualizer({ visualizerId, onClose }) {
+  const visualizer = VISUALIZERS[visualizerId];
+  const [inputs, setInputs] = useState(() => initialInputs(visualizer));
+  const [applied, setApplied] = useState(inputs);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[1].ms);
+
+  const trace = useMemo(() => runTrace(visualizer, applied), [visualizer, applied]);
+  const lastStep = trace.steps.length - 1;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (stepIndex >= lastStep) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStepIndex((index) => index + 1), speed);
+    return () => clearTimeout(timer);
+  }, [playing, stepIndex, lastStep, speed]);
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setApplied(inputs);
+    setStepIndex(0);
+    setPlaying(false);
+  };
+
+  const handleRestoreExample = () => {
+    const example = initialInputs(visualizer);
+    setInputs(example);
+    setApplied(example);
+    setStepIndex(0);
+    setPlaying(false);
+  };
+
+  const step = trace.steps[stepIndex];
+  const View = VIEWS[visualizer.kind];
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Algorithm visualizer">
+      <div className="card modal-content prompt-manager algorithm-visualizer">
+        <div className="card-header">
+          <span className="card-title">Visualize · {visualizer.title}</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close visualizer">Close</button>
+        </div>
+
+        <form className="prompt-manager-section" onSubmit={handleApply}>
+          <h4>Input</h4>
+          {visualizer.inputs.map((field) => {
+            const setValue = (value) => setInputs((previous) => ({ ...previous, [field.name]: value }));
+            return (
+              <label key={field.name} className="visualizer-field">
+                <span>{field.label}</span>
+                {field.options ? (
+                  <select className="difficulty-select" value={inputs[field.name]} onChange={(e) => setValue(e.target.value)}>
+                    {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : field.multiline ? (
+                  <textarea
+                    className="prompt-textarea visualizer-grid-input"
+                    value={inputs[field.name]}
+                    onChange={(e) => setValue(e.target.value)}
+                    spellCheck={false}
+                  />
+                ) : (
+                  <input className="prompt-input" value={inputs[field.name]} onChange={(e) => setValue(e.target.value)} />
+                )}
+              </label>
+            );
+          })}
+          <div className="prompt-manager-actions">
+            <button type="submit" className="export-btn quiz-action-btn">Apply</button>
+            <button type="button" className="export-btn" onClick={handleRestoreExample}>Example input</button>
+          </div>
+          {trace.error && <ul className="pack-errors"><li>{trace.error}</li></ul>}
+        </form>
+
+        {step && (
+          <div className="prompt-manager-section">
+            <div className="visualizer-stage">
+              <View meta={trace.meta} step={step} />
+            </div>
+            {step.facts?.length > 0 && (
+              <div className="visualizer-facts">
+                {step.facts.map(([label, value]) => (
+                  <span key={label}><strong>{label}:</strong> {value}</span>
+                ))}
+              </div>
+            )}
+            <p className="visualizer-note" aria-live="polite">{step.note}</p>
+            <div className="prompt-manager-actions">
+              <button className="export-btn" onClick={() => { setPlaying(false); setStepIndex(0); }} disabled={stepIndex === 0}>
+                ⏮ Start
+              </button>
+              <button className="export-btn" onClick={() => { setPlaying(false); setStepIndex(stepIndex - 1); }} disabled={stepIndex === 0}>
+                ◀ Back
+              </button>
+              <button
+                className="export-btn quiz-action-btn"
+                onClick={() => {
+                  if (stepIndex >= lastStep) setStepIndex(0);
+                  setPlaying(!playing);
+                }}
+              >
+                {playing ? '⏸ Pause' : '▶ Play'}
+              </button>
+              <button className="export-btn" onClick={() => { setPlaying(false); setStepIndex(stepIndex + 1); }} disabled={stepIndex >= lastStep}>
+                Step ▶
+              </button>
+              <select
+                className="difficulty-select"
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+                aria-label="Playback speed"
+              >
+                {SPEEDS.map((option) => <option key={option.ms} value={option.ms}>{option.label}</option>)}
+              </select>
+              <span className="sidebar-list-item-time">Step {stepIndex + 1} of {trace.steps.length}</span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,13 @@
-﻿import React, { useState } from 'react';
+﻿import React, { useEffect, useState } from 'react';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
 import FormattedResponseRenderer from './FormattedResponseRenderer';
 import QuizModal from './QuizModal';
+import FollowUpThread from './FollowUpThread';
+import { answerToMarkdown } from '../utils/structuredAnswer';
+
+// History stores "provider/model"; the model name alone is enough on screen.
+const modelName = (modelKey) => modelKey.split('/').slice(1).join('/');
 
 export default function AnswerCard({
   answer,
@@ -11,16 +16,43 @@ export default function AnswerCard({
   favorites,
   showToast,
   generateQuiz,
-  onQuizComplete
+  onQuizComplete,
+  followUps = [],
+  onFollowUp,
+  followUpAnswer,
+  followUpLoading,
+  onStopFollowUp,
+  versions = [],
+  onRegenerate,
+  loading,
+  answerSource,
+  answerModel,
+  onPin,
+  isPinned = false,
+  onVisualize
 }) {
   const [copied, setCopied] = useState(false);
   const [quizData, setQuizData] = useState(null);
   const [showQuiz, setShowQuiz] = useState(false);
   const [quizLoading, setQuizLoading] = useState(false);
+  const [viewedVersion, setViewedVersion] = useState(null);
+
+  // Jump back to the latest answer whenever a new version lands.
+  useEffect(() => {
+    setViewedVersion(null);
+  }, [versions.length]);
+
+  // Versions saved before models were recorded are plain strings.
+  const allVersions = [
+    ...versions.map((version) => (typeof version === 'string' ? { answer: version, model: null } : version)),
+    { answer, model: answerModel }
+  ];
+  const displayedVersion = viewedVersion === null ? allVersions[allVersions.length - 1] : allVersions[viewedVersion];
+  const displayedAnswer = displayedVersion.answer;
 
   const copyToClipboard = async () => {
     try {
-      await navigator.clipboard.writeText(answer);
+      await navigator.clipboard.writeText(answerToMarkdown(displayedAnswer));
       setCopied(true);
       showToast('Answer copied to clipboard.');
       setTimeout(() => setCopied(false), 2000);
@@ -37,7 +69,11 @@ export default function AnswerCard({
         return;
       }
 
-      const canvas = await html2canvas(element);
+      // Math is drawn with KaTeX's web fonts, which must be loaded before the snapshot.
+      await document.fonts?.ready;
+      // Reveals every tab of a structured answer while the snapshot is taken.
+      element.setAttribute('data-exporting', 'true');
+      const canvas = await html2canvas(element).finally(() => element.removeAttribute('data-exporting'));
       const pdf = new jsPDF();
       const imgData = canvas.toDataURL('image/png');
       const imgWidth = 190;
@@ -52,7 +88,10 @@ export default function AnswerCard({
   };
 
   const exportAsMarkdown = () => {
-    const content = `# ${question}\n\n${answer}`;
+    const thread = followUps
+      .map((turn) => `\n\n## Follow-up: ${turn.question}\n\n${answerToMarkdown(turn.answer)}`)
+      .join('');
+    const content = `# ${question}\n\n${answerToMarkdown(displayedAnswer)}${thread}`;
     const blob = new Blob([content], { type: 'text/markdown' });
     const url = URL.createObjectURL(blob);
     const anchor = document.createElement('a');
@@ -64,7 +103,7 @@ export default function AnswerCard({
 
   const handleStartQuiz = async () => {
     setQuizLoading(true);
-    const data = await generateQuiz(question, answer);
+    const data = await generateQuiz(question, answerToMarkdown(answer));
     setQuizLoading(false);
 
     if (data) {
@@ -81,6 +120,16 @@ export default function AnswerCard({
     <div className="card result-wrapper">
       <div className="card-header">
         <span className="card-title">Answer</span>
+        {answerSource && answerSource !== 'model' && (
+          <span className="answer-source-chip">
+            {{ cache: 'Cached answer', pinned: 'Pinned answer' }[answerSource] || 'Offline library'}
+          </span>
+        )}
+        {!loading && displayedVersion.model && (
+          <span className="answer-source-chip" title={`Generated by ${displayedVersion.model}`}>
+            {modelName(displayedVersion.model)}
+          </span>
+        )}
       </div>
       <div className="result-actions">
         <button
@@ -103,6 +152,30 @@ export default function AnswerCard({
         >
           {quizLoading ? 'Preparing quiz...' : 'Test knowledge'}
         </button>
+        {onRegenerate && (
+          <button
+            className="export-btn"
+            onClick={onRegenerate}
+            disabled={loading}
+            title="Ask the model again and keep this version for comparison"
+          >
+            Regenerate
+          </button>
+        )}
+        {onPin && !loading && (
+          <button
+            className="export-btn"
+            onClick={() => onPin(displayedAnswer)}
+            title={isPinned ? 'Edit the pinned copy of this answer' : 'Keep this answer in your offline library'}
+          >
+            {isPinned ? 'Edit pin' : 'Pin to library'}
+          </button>
+        )}
+        {onVisualize && (
+          <button className="export-btn" onClick={onVisualize} title="Step through this algorithm on your own input">
+            Visualize
+          </button>
+        )}
         <button
           className="heart-btn-main"
           onClick={() => toggleFavorite(question)}
@@ -110,15 +183,48 @@ export default function AnswerCard({
           {favorites.includes(question) ? 'Saved to favorites' : 'Save to favorites'}
         </button>
       </div>
+      {versions.length > 0 && (
+        <div className="version-switcher" role="group" aria-label="Answer versions">
+          <span className="version-switcher-label">Versions</span>
+          {allVersions.map((version, idx) => {
+            const isLatest = idx === allVersions.length - 1;
+            const isViewed = viewedVersion === null ? isLatest : viewedVersion === idx;
+            return (
+              <button
+                key={idx}
+                className={`version-chip${isViewed ? ' active' : ''}`}
+                onClick={() => setViewedVersion(isLatest ? null : idx)}
+                aria-pressed={isViewed}
+                title={version.model ? `Generated by ${version.model}` : undefined}
+              >
+                v{idx + 1}{version.model ? ` · ${modelName(version.model)}` : ''}{isLatest ? ' (latest)' : ''}
+              </button>
+            );
+          })}
+        </div>
+      )}
       <div className="result">
-        <FormattedResponseRenderer content={answer} />
+        <FormattedResponseRenderer content={displayedAnswer} streaming={loading} />
       </div>
 
+      {onFollowUp && (
+        <FollowUpThread
+          followUps={followUps}
+          onAsk={onFollowUp}
+          streamingAnswer={followUpAnswer}
+          loading={followUpLoading}
+          onStop={onStopFollowUp}
+        />
+      )}
+
       {showQuiz && quizData && (
         <QuizModal
           quizData={quizData}
           onClose={() => setShowQuiz(false)}
-          onComplete={(score) => { setShowQuiz(false); onQuizComplete?.(score); }}
+          onComplete={(score, answers, timesMs) => {
+            setShowQuiz(false);
+            onQuizComplete?.(quizData, score, answers, timesMs);
+          }}
         />
       )}
     </div>
@@ -9,7 +9,13 @@ export default function ChatInput({
   loading,
   handleGenerateClick,
   toggleFavorite,
-  favorites
+  favorites,
+  bypassCache,
+  setBypassCache,
+  suggestions = [],
+  onPickSuggestion,
+  onBrowseLibrary,
+  libraryTopicCount
 }) {
   const handleKeyDown = (e) => {
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter' && !loading) {
@@ -38,6 +44,21 @@ export default function ChatInput({
         <div style={{ textAlign: 'right', fontSize: '0.75rem', color: question.length > MAX_CHARS * 0.9 ? '#ef4444' : 'var(--text-muted)', marginTop: '4px' }}>
           {question.length}/{MAX_CHARS}
         </div>
+        {suggestions.length > 0 && !loading && (
+          <div className="did-you-mean" role="group" aria-label="Did you mean">
+            <span>Did you mean</span>
+            {suggestions.map((suggestion) => (
+              <button
+                key={suggestion.topic}
+                className="did-you-mean-btn"
+                onClick={() => onPickSuggestion(suggestion.topic)}
+                title="Answer this topic from the offline library"
+              >
+                {suggestion.topic}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="samples-section">
           <p><span className="trending-badge">Popular prompts</span></p>
           <div className="samples-grid">
@@ -51,17 +72,31 @@ export default function ChatInput({
                 <span>{q.text}</span>
               </button>
             ))}
+            {onBrowseLibrary && (
+              <button className="sample-btn" onClick={onBrowseLibrary} title="Browse every offline topic by pattern">
+                <span className="emoji">📚</span>
+                <span>Browse all {libraryTopicCount} topics</span>
+              </button>
+            )}
           </div>
         </div>
         <div className="button-group">
           <button
-            onClick={handleGenerateClick}
+            onClick={() => handleGenerateClick()}
             disabled={loading}
             className="generate-btn"
             title="Explain it (Ctrl+Enter)"
           >
             {loading ? 'Generating...' : 'Explain it'}
           </button>
+          <label className="cache-toggle" title="Ask the model again even if this question was answered before">
+            <input
+              type="checkbox"
+              checked={bypassCache}
+              onChange={(e) => setBypassCache(e.target.checked)}
+            />
+            Skip cache
+          </label>
           {question && (
             <button
               className="heart-btn-main"
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import CodeRunner from './CodeRunner';
+import { getRuntime } from '../utils/codeRunner';
+
+// A highlighted fenced code block. Python and JavaScript blocks get a Run button that
+// opens an editable runner below the code.
+export default function CodeBlock({ language, code, ...props }) {
+  const [showRunner, setShowRunner] = useState(false);
+  const runtime = getRuntime(language);
+
+  return (
+    <div className="code-block">
+      {runtime && (
+        <button
+          className="code-run-toggle"
+          onClick={() => setShowRunner((previous) => !previous)}
+          aria-expanded={showRunner}
+          title={showRunner ? 'Close the runner' : 'Edit and run this code in the browser'}
+        >
+          {showRunner ? 'Close runner' : 'Run'}
+        </button>
+      )}
+      <SyntaxHighlighter
+        {...props}
+        children={code}
+        style={vscDarkPlus}
+        language={language}
+        PreTag="div"
+        showLineNumbers={true}
+        customStyle={{
+          borderRadius: '8px',
+          padding: '15px',
+          fontSize: '0.95em',
+          lineHeight: '1.5',
+          margin: '15px 0'
+        }}
+      />
+      {showRunner && <CodeRunner runtime={runtime} initialCode={code} />}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { RUN_TIME_LIMIT_MS, runCode } from '../utils/codeRunner';
+
+const STATUS_NOTES = {
+  timeout: `Stopped after the ${RUN_TIME_LIMIT_MS / 1000} s time limit.`,
+  stopped: 'Stopped.',
+  'output-limit': 'Stopped: too much output.'
+};
+
+const CALL_HINTS = {
+  python: 'Functions only run when called: add a line such as print(twoSum([2, 7, 11, 15], 9)).',
+  javascript: 'Functions only run when called: add a line such as console.log(twoSum([2, 7, 11, 15], 9)).'
+};
+
+// Editable copy of a code block with its own input box and output panel.
+export default function CodeRunner({ runtime, initialCode }) {
+  const [code, setCode] = useState(initialCode);
+  const [input, setInput] = useState('');
+  const [output, setOutput] = useState([]);
+  const [status, setStatus] = useState('');
+  const [summary, setSummary] = useState('');
+  const [running, setRunning] = useState(false);
+  const runRef = useRef(null);
+
+  // Closing the runner stops whatever it is still running.
+  useEffect(() => () => runRef.current?.stop(), []);
+
+  const handleRun = async () => {
+    setOutput([]);
+    setSummary('');
+    setRunning(true);
+    const run = runCode({
+      language: runtime,
+      code,
+      input,
+      onOutput: (chunk) => setOutput((previous) => [...previous, chunk]),
+      onStatus: setStatus
+    });
+    runRef.current = run;
+    const { status: finalStatus, durationMs } = await run.result;
+    if (runRef.current !== run) return;
+    runRef.current = null;
+    setRunning(false);
+    setStatus('');
+    setSummary(STATUS_NOTES[finalStatus] || `Finished in ${durationMs} ms.`);
+  };
+
+  return (
+    <div className="code-runner">
+      <textarea
+        className="prompt-textarea code-runner-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        spellCheck={false}
+        aria-label="Code to run"
+      />
+      <p className="usage-note">{CALL_HINTS[runtime]}</p>
+      <textarea
+        className="prompt-textarea code-runner-input"
+        value={input}
+        placeholder={runtime === 'python' ? 'Input for input(), one line per call' : 'Input for readline(), one line per call'}
+        onChange={(e) => setInput(e.target.value)}
+        spellCheck={false}
+        aria-label="Program input"
+      />
+      <div className="prompt-manager-actions">
+        {running ? (
+          <button className="export-btn" onClick={() => runRef.current?.stop()}>Stop</button>
+        ) : (
+          <button className="export-btn quiz-action-btn" onClick={handleRun}>Run</button>
+        )}
+        <button className="export-btn" onClick={() => setCode(initialCode)} disabled={code === initialCode}>
+          Reset code
+        </button>
+        <span className="sidebar-list-item-time">
+          {status || summary || `Time limit ${RUN_TIME_LIMIT_MS / 1000} s`}
+        </span>
+      </div>
+      {output.length > 0 && (
+        <pre className="code-runner-output" aria-live="polite">
+          {output.map((chunk, idx) => (
+            <span key={idx} className={chunk.stream === 'stderr' ? 'code-runner-stderr' : undefined}>{chunk.text}</span>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+}
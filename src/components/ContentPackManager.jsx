@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { PACK_FORMAT, PACK_FORMAT_VERSION, PACK_MAX_BYTES, parsePack } from '../utils/contentPacks';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// Packs saved before tracks existed have no `tracks` field.
+const describeContents = (pack) => [
+  pack.entries.length > 0 && plural(pack.entries.length, 'topic'),
+  pack.tracks?.length > 0 && plural(pack.tracks.length, 'study track')
+].filter(Boolean).join(' and ');
+
+export default function ContentPackManager({ packs, builtInTopicCount, onImport, onRemove, onClose }) {
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so choosing the same file again after fixing it triggers another change event.
+    e.target.value = '';
+    if (!file) return;
+
+    setErrors([]);
+    setStatus('');
+    if (file.size > PACK_MAX_BYTES) {
+      setErrors([`${file.name} is larger than ${PACK_MAX_BYTES / (1024 * 1024)} MB.`]);
+      return;
+    }
+
+    const { pack, errors: packErrors } = parsePack(await file.text());
+    if (!pack) {
+      setErrors(packErrors);
+      return;
+    }
+
+    const existing = packs.find((stored) => stored.id === pack.id);
+    if (existing && !window.confirm(`Replace the installed pack "${existing.name}" with this file?`)) {
+      return;
+    }
+
+    try {
+      await onImport(pack);
+      setStatus(`Imported "${pack.name}" with ${describeContents(pack)}.`);
+    } catch (error) {
+      setErrors([`The pack could not be saved: ${error.message}`]);
+    }
+  };
+
+  const handleRemove = async (pack) => {
+    if (!window.confirm(`Remove the pack "${pack.name}"?`)) return;
+    try {
+      await onRemove(pack.id);
+      setStatus(`Removed "${pack.name}".`);
+    } catch (error) {
+      setErrors([`The pack could not be removed: ${error.message}`]);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Content packs">
+      <div className="card modal-content prompt-manager">
+        <div className="card-header">
+          <span className="card-title">Content Packs</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close content packs">Close</button>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Installed</h4>
+          <div className="sidebar-list">
+            <div className="sidebar-list-item sidebar-list-item-row">
+              <p className="sidebar-list-item-text">
+                Built-in library
+                <span className="sidebar-list-item-time"> · {builtInTopicCount} topics</span>
+              </p>
+              <span className="answer-source-chip">Built-in</span>
+            </div>
+            {packs.map((pack) => (
+              <div key={pack.id} className="sidebar-list-item sidebar-list-item-row">
+                <p className="sidebar-list-item-text">
+                  {pack.name}
+                  <span className="sidebar-list-item-time">
+                    {' '}· {describeContents(pack)}{pack.author && ` · by ${pack.author}`}
+                  </span>
+                  {pack.description && <span className="pack-description">{pack.description}</span>}
+                </p>
+                <button className="clear-btn" onClick={() => handleRemove(pack)}>Remove</button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Import a pack</h4>
+          <p className="usage-note">
+            Packs are JSON files with <code>"format": "{PACK_FORMAT}"</code> and <code>"version": {PACK_FORMAT_VERSION}</code>.
+            Their topics join the offline library and are matched like the built-in ones. The format is
+            described in <code>docs/content-packs.md</code>.
+          </p>
+          <div className="prompt-manager-actions">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFile}
+              hidden
+            />
+            <button className="export-btn quiz-action-btn" onClick={() => fileInputRef.current?.click()}>
+              Choose pack file
+            </button>
+          </div>
+          {status && <p className="usage-note" role="status">{status}</p>}
+          {errors.length > 0 && (
+            <div className="pack-errors" role="alert">
+              <p>This pack was not imported:</p>
+              <ul>
+                {errors.map((message) => <li key={message}>{message}</li>)}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import FormattedResponseRenderer from './FormattedResponseRenderer';
+
+export default function FollowUpThread({ followUps, onAsk, streamingAnswer, loading, onStop }) {
+  const [draft, setDraft] = useState('');
+  const [pendingQuestion, setPendingQuestion] = useState('');
+
+  const handleAsk = async () => {
+    const trimmed = draft.trim();
+    if (!trimmed || loading) {
+      return;
+    }
+
+    setPendingQuestion(trimmed);
+    setDraft('');
+    const result = await onAsk(trimmed);
+    setPendingQuestion('');
+    if (!result) {
+      // Give the question back so it can be retried without retyping.
+      setDraft(trimmed);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      handleAsk();
+    }
+  };
+
+  return (
+    <div className="follow-up-thread">
+      {followUps.map((turn, idx) => (
+        <div key={idx} className="follow-up-turn">
+          <p className="follow-up-question">{turn.question}</p>
+          <div className="follow-up-answer">
+            <FormattedResponseRenderer content={turn.answer} />
+          </div>
+        </div>
+      ))}
+
+      {pendingQuestion && (
+        <div className="follow-up-turn">
+          <p className="follow-up-question">{pendingQuestion}</p>
+          <div className="follow-up-answer">
+            {streamingAnswer
+              ? <FormattedResponseRenderer content={streamingAnswer} streaming />
+              : <div className="loading">Thinking...</div>}
+          </div>
+        </div>
+      )}
+
+      <div className="follow-up-input">
+        <textarea
+          placeholder="Ask a follow-up, e.g. now show me the iterative version..."
+          aria-label="Ask a follow-up question"
+          rows="2"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          disabled={loading}
+        />
+        {loading && onStop ? (
+          <button className="export-btn" onClick={onStop}>
+            Stop
+          </button>
+        ) : (
+          <button
+            className="export-btn quiz-action-btn"
+            onClick={handleAsk}
+            disabled={loading || !draft.trim()}
+          >
+            {loading ? 'Answering...' : 'Ask follow-up'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,50 +1,37 @@
 ﻿import React from 'react';
-import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import rehypeRaw from 'rehype-raw';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import MarkdownRenderer from './MarkdownRenderer';
+import StructuredAnswer from './StructuredAnswer';
+import { getAnswerNotice, looksLikePartialJson, parseStructuredAnswer } from '../utils/structuredAnswer';
 
-export default function FormattedResponseRenderer({ content }) {
-  // Pre-process the content: we want to preserve SVGs but avoid rehype-raw messing with them completely or getting stripped.
-  // Actually, rehype-raw + react-markdown usually handles SVG reasonably well if properly formed, but AI SVGs might lack xmlns etc.
-  // Let's rely on standard rehype-raw processing first.
+// Structured (JSON) answers get the tabbed view, filling in as they stream and showing
+// whatever arrived when they stop early; anything else, including offline library entries,
+// renders as markdown.
+export default function FormattedResponseRenderer({ content, streaming = false }) {
+  const structured = parseStructuredAnswer(content);
+
+  if (structured) {
+    return (
+      <div className="formatted-response">
+        <StructuredAnswer answer={structured} />
+      </div>
+    );
+  }
+
+  // JSON with nothing readable yet: still on its first field, or stopped there.
+  const notice = getAnswerNotice(content);
+  if (looksLikePartialJson(content) && (streaming || notice)) {
+    return (
+      <div className="formatted-response">
+        {streaming
+          ? <div className="loading">Structuring answer...</div>
+          : <MarkdownRenderer content={`_The answer stopped before any of it could be shown._${notice}`} />}
+      </div>
+    );
+  }
 
   return (
-    <div className="formatted-response markdown-body">
-      <ReactMarkdown
-        remarkPlugins={[remarkGfm]}
-        rehypePlugins={[rehypeRaw]}
-        components={{
-          code({ className, children, ...props }) {
-            const match = /language-(\w+)/.exec(className || '');
-            return match ? (
-              <SyntaxHighlighter
-                {...props}
-                children={String(children).replace(/\n$/, '')}
-                style={vscDarkPlus}
-                language={match[1]}
-                PreTag="div"
-                showLineNumbers={true}
-                customStyle={{
-                  borderRadius: '8px',
-                  padding: '15px',
-                  fontSize: '0.95em',
-                  lineHeight: '1.5',
-                  margin: '15px 0'
-                }}
-              />
-            ) : (
-              <code {...props} className={className}>
-                {children}
-              </code>
-            );
-          }
-        }}
-      >
-        {content}
-      </ReactMarkdown>
+    <div className="formatted-response">
+      <MarkdownRenderer content={content} />
     </div>
   );
 }
-
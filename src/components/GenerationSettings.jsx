@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DEFAULT_LLM_SETTINGS, GENERATION_LIMITS, LLM_PROVIDERS } from '../utils/llmProviders';
+
+// Empty inputs mean "provider default" and are stored as null. Token counts are rounded,
+// since providers reject fractional ones.
+const parseLimitedNumber = (raw, { min, max, integer }) => {
+  if (raw === '') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) return null;
+  return Math.min(Math.max(integer ? Math.round(value) : value, min), max);
+};
+
+export default function GenerationSettings({ llmSettings, setLlmSettings }) {
+  const [open, setOpen] = useState(false);
+  const panelRef = useRef(null);
+
+  const provider = LLM_PROVIDERS[llmSettings.provider] || LLM_PROVIDERS.gemini;
+  const model = llmSettings.model || provider.defaultModel;
+  const temperature = llmSettings.temperature ?? null;
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleMouseDown = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const update = (changes) => setLlmSettings({ ...llmSettings, ...changes });
+
+  return (
+    <div className="generation-settings" ref={panelRef}>
+      <button
+        className="theme-toggle-btn"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        title="Model and generation settings"
+      >
+        {model}
+      </button>
+      {open && (
+        <div className="card generation-settings-panel" role="dialog" aria-label="Model and generation settings">
+          <label className="generation-field">
+            <span>Provider</span>
+            <select
+              className="difficulty-select"
+              value={provider.id}
+              // Model names do not carry over between providers.
+              onChange={(e) => update({ provider: e.target.value, model: '' })}
+            >
+              {Object.values(LLM_PROVIDERS).map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="generation-field">
+            <span>Model</span>
+            <input
+              className="prompt-input"
+              list="generation-model-options"
+              value={llmSettings.model || ''}
+              placeholder={provider.defaultModel}
+              onChange={(e) => update({ model: e.target.value.trim() })}
+            />
+            <datalist id="generation-model-options">
+              {provider.models.map((option) => <option key={option} value={option} />)}
+            </datalist>
+          </label>
+
+          <div className="generation-field">
+            <span>
+              Temperature: {temperature === null ? 'default' : temperature.toFixed(1)}
+            </span>
+            <div className="generation-field-row">
+              <input
+                type="range"
+                aria-label="Temperature"
+                min={GENERATION_LIMITS.temperature.min}
+                max={GENERATION_LIMITS.temperature.max}
+                step={GENERATION_LIMITS.temperature.step}
+                value={temperature ?? 1}
+                onChange={(e) => update({ temperature: Number(e.target.value) })}
+              />
+              <button
+                className="clear-btn"
+                onClick={() => update({ temperature: null })}
+                disabled={temperature === null}
+              >
+                Default
+              </button>
+            </div>
+          </div>
+
+          <label className="generation-field">
+            <span>Max output tokens</span>
+            <input
+              className="prompt-input"
+              type="number"
+              min={GENERATION_LIMITS.maxOutputTokens.min}
+              max={GENERATION_LIMITS.maxOutputTokens.max}
+              step={GENERATION_LIMITS.maxOutputTokens.step}
+              value={llmSettings.maxOutputTokens ?? ''}
+              placeholder="Provider default"
+              onChange={(e) => update({ maxOutputTokens: parseLimitedNumber(e.target.value, GENERATION_LIMITS.maxOutputTokens) })}
+            />
+          </label>
+
+          <label className="generation-field">
+            <span>Thinking budget</span>
+            <input
+              className="prompt-input"
+              type="number"
+              min={GENERATION_LIMITS.thinkingBudget.min}
+              max={GENERATION_LIMITS.thinkingBudget.max}
+              step={GENERATION_LIMITS.thinkingBudget.step}
+              value={llmSettings.thinkingBudget ?? ''}
+              placeholder={provider.supportsThinkingBudget ? 'Model default' : 'Not supported'}
+              disabled={!provider.supportsThinkingBudget}
+              onChange={(e) => update({ thinkingBudget: parseLimitedNumber(e.target.value, GENERATION_LIMITS.thinkingBudget) })}
+            />
+            {provider.supportsThinkingBudget && (
+              <small className="usage-note">0 turns thinking off, -1 lets the model decide.</small>
+            )}
+          </label>
+
+          <button
+            className="export-btn"
+            onClick={() => setLlmSettings({ ...DEFAULT_LLM_SETTINGS, provider: provider.id })}
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
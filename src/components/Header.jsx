@@ -1,6 +1,23 @@
 ﻿import React from 'react';
+import GenerationSettings from './GenerationSettings';
+import { CODE_LANGUAGES } from '../utils/constants';
 
-export default function Header({ difficulty, setDifficulty, darkMode, setDarkMode, language, setLanguage }) {
+export default function Header({
+  difficulty,
+  setDifficulty,
+  darkMode,
+  setDarkMode,
+  language,
+  setLanguage,
+  llmSettings,
+  setLlmSettings,
+  difficulties,
+  onOpenPrompts,
+  onOpenUsage,
+  onOpenPacks,
+  onOpenLibrary,
+  onOpenInsights
+}) {
   return (
     <nav className="nav-bar">
       <div className="nav-brand">
@@ -15,17 +32,16 @@ export default function Header({ difficulty, setDifficulty, darkMode, setDarkMod
         </span>
       </div>
       <div className="nav-controls">
+        <GenerationSettings llmSettings={llmSettings} setLlmSettings={setLlmSettings} />
         <select
           className="difficulty-select language-select"
           value={language}
           onChange={(e) => setLanguage(e.target.value)}
           aria-label="Select programming language"
         >
-          <option value="python">Python</option>
-          <option value="java">Java</option>
-          <option value="cpp">C++</option>
-          <option value="javascript">JavaScript</option>
-          <option value="sql">SQL</option>
+          {CODE_LANGUAGES.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
         </select>
         <select
           className="difficulty-select"
@@ -33,10 +49,25 @@ export default function Header({ difficulty, setDifficulty, darkMode, setDarkMod
           onChange={(e) => setDifficulty(e.target.value)}
           aria-label="Select difficulty level"
         >
-          <option value="beginner">Beginner</option>
-          <option value="intermediate">Intermediate</option>
-          <option value="advanced">Advanced</option>
+          {difficulties.map((level) => (
+            <option key={level.id} value={level.id}>{level.label}</option>
+          ))}
         </select>
+        <button className="theme-toggle-btn" onClick={onOpenPrompts} title="Edit prompt templates">
+          Prompts
+        </button>
+        <button className="theme-toggle-btn" onClick={onOpenUsage} title="Token usage and cost">
+          Usage
+        </button>
+        <button className="theme-toggle-btn" onClick={onOpenLibrary} title="Browse the offline library">
+          Library
+        </button>
+        <button className="theme-toggle-btn" onClick={onOpenInsights} title="Quiz results and weak areas">
+          Insights
+        </button>
+        <button className="theme-toggle-btn" onClick={onOpenPacks} title="Import offline content packs">
+          Packs
+        </button>
         <button
           className="theme-toggle-btn"
           onClick={() => setDarkMode(!darkMode)}
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { LIBRARY_PATTERNS, TOPIC_DIFFICULTIES } from '../utils/constants';
+
+const OTHER_GROUP = { id: 'other', name: 'Other' };
+
+const sourceLabel = (entry) => {
+  if (entry.pinned) return 'Pinned';
+  return entry.packName || null;
+};
+
+// Lists every offline topic (built-in, packs and pins) by pattern. Opening a topic or its
+// quiz needs no API key.
+export default function LibraryBrowser({ entries, onOpenTopic, onStartQuiz, onVisualize, onClose }) {
+  const [query, setQuery] = useState('');
+  const [difficulty, setDifficulty] = useState('all');
+  const [quizOnly, setQuizOnly] = useState(false);
+  const [focusedTopic, setFocusedTopic] = useState(null);
+  const topicRefs = useRef(new Map());
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (focusedTopic) {
+      topicRefs.current.get(focusedTopic)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusedTopic]);
+
+  // Related links point at topic names; the first entry with a name wins, as in search.
+  const topicNames = useMemo(() => {
+    const names = new Map();
+    entries.forEach((entry) => {
+      const key = entry.topic.toLowerCase();
+      if (!names.has(key)) names.set(key, entry.topic);
+    });
+    return names;
+  }, [entries]);
+
+  const groups = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const visible = entries.filter((entry) => (
+      (!needle
+        || entry.topic.toLowerCase().includes(needle)
+        || entry.keywords.some((keyword) => keyword.includes(needle)))
+      && (difficulty === 'all' || entry.difficulty === difficulty)
+      && (!quizOnly || entry.quiz?.length > 0)
+    ));
+    const known = new Set(LIBRARY_PATTERNS.map((pattern) => pattern.id));
+    return [...LIBRARY_PATTERNS, OTHER_GROUP]
+      .map((pattern) => ({
+        ...pattern,
+        entries: visible.filter((entry) => (
+          pattern === OTHER_GROUP ? !known.has(entry.pattern) : entry.pattern === pattern.id
+        ))
+      }))
+      .filter((group) => group.entries.length > 0);
+  }, [entries, query, difficulty, quizOnly]);
+
+  const shownCount = groups.reduce((total, group) => total + group.entries.length, 0);
+  const quizCount = entries.filter((entry) => entry.quiz?.length > 0).length;
+
+  const showRelated = (name) => {
+    setQuery('');
+    setDifficulty('all');
+    setQuizOnly(false);
+    setFocusedTopic(name);
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Offline library">
+      <div className="card modal-content prompt-manager library-browser">
+        <div className="card-header">
+          <span className="card-title">Offline Library</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close offline library">Close</button>
+        </div>
+
+        <p className="usage-note">
+          {entries.length} topics, {quizCount} with a ready-made quiz. Everything here works without an API key.
+        </p>
+
+        <div className="prompt-level-row library-filters">
+          <input
+            className="prompt-input"
+            value={query}
+            placeholder="Filter topics"
+            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Filter topics"
+          />
+          <select
+            className="difficulty-select"
+            value={difficulty}
+            onChange={(e) => setDifficulty(e.target.value)}
+            aria-label="Difficulty"
+          >
+            <option value="all">All difficulties</option>
+            {TOPIC_DIFFICULTIES.map((level) => (
+              <option key={level.id} value={level.id}>{level.label}</option>
+            ))}
+          </select>
+          <label className="cache-toggle">
+            <input type="checkbox" checked={quizOnly} onChange={(e) => setQuizOnly(e.target.checked)} />
+            Has quiz
+          </label>
+        </div>
+
+        {groups.map((group) => (
+          <div key={group.id} className="prompt-manager-section">
+            <h4>{group.name} <span className="sidebar-list-item-time">· {group.entries.length}</span></h4>
+            <div className="library-topics">
+              {group.entries.map((entry) => {
+                const source = sourceLabel(entry);
+                const related = (entry.related || [])
+                  .map((name) => topicNames.get(name.toLowerCase()))
+                  .filter(Boolean);
+                return (
+                  <div
+                    key={`${source || 'built-in'}-${entry.id || entry.topic}`}
+                    ref={(node) => {
+                      if (node && !topicRefs.current.has(entry.topic)) topicRefs.current.set(entry.topic, node);
+                    }}
+                    className={`library-topic${focusedTopic === entry.topic ? ' focused' : ''}`}
+                  >
+                    <div className="library-topic-header">
+                      <button className="library-topic-title" onClick={() => onOpenTopic(entry)}>
+                        {entry.topic}
+                      </button>
+                      {entry.difficulty && (
+                        <span className={`library-tag library-tag-${entry.difficulty}`}>
+                          {TOPIC_DIFFICULTIES.find((level) => level.id === entry.difficulty)?.label}
+                        </span>
+                      )}
+                      {source && <span className="answer-source-chip">{source}</span>}
+                    </div>
+                    {related.length > 0 && (
+                      <div className="library-related">
+                        <span>Related:</span>
+                        {related.map((name) => (
+                          <button key={name} className="library-related-link" onClick={() => showRelated(name)}>
+                            {name}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <div className="prompt-manager-actions">
+                      <button className="quick-action-btn" onClick={() => onOpenTopic(entry)}>Read</button>
+                      {entry.quiz?.length > 0 ? (
+                        <button className="quick-action-btn" onClick={() => onStartQuiz(entry)}>
+                          Quiz · {entry.quiz.length} questions
+                        </button>
+                      ) : (
+                        <span className="sidebar-list-item-time">No offline quiz</span>
+                      )}
+                      {entry.visualizer && (
+                        <button className="quick-action-btn" onClick={() => onVisualize(entry)}>Visualize</button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+
+        {shownCount === 0 && <p className="sidebar-empty">No topics match these filters.</p>}
+      </div>
+    </div>
+  );
+}
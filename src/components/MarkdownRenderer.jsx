@@ -0,0 +1,38 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeRaw from 'rehype-raw';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+import CodeBlock from './CodeBlock';
+import { rehypeSafeHtml } from '../utils/safeHtml';
+
+// Raw HTML and SVG in the markdown is parsed by rehype-raw, then reduced to an allow-list
+// by rehypeSafeHtml before anything reaches the page. KaTeX runs last, so the markup it
+// generates for $$inline$$ and display math is not filtered. Single dollars stay text, so
+// prices such as $5 and $10 are not read as math.
+export default function MarkdownRenderer({ content }) {
+  return (
+    <div className="markdown-body">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, [remarkMath, { singleDollarTextMath: false }]]}
+        rehypePlugins={[rehypeRaw, rehypeSafeHtml, [rehypeKatex, { throwOnError: false }]]}
+        components={{
+          code({ className, children, ...props }) {
+            const match = /language-(\w+)/.exec(className || '');
+            return match ? (
+              <CodeBlock {...props} language={match[1]} code={String(children).replace(/\n$/, '')} />
+            ) : (
+              <code {...props} className={className}>
+                {children}
+              </code>
+            );
+          }
+        }}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { CONFIDENT_COVERAGE } from '../utils/offlineSearch';
+import { parseKeywords, validatePinnedAnswer } from '../utils/pinnedAnswers';
+
+// Edits a pin before it is saved. `pin` is either a stored pin or a new draft without an id.
+export default function PinnedAnswerEditor({ pin, onSave, onRemove, onClose }) {
+  const [topic, setTopic] = useState(pin.topic);
+  const [keywordText, setKeywordText] = useState(pin.keywords.join(', '));
+  const [answer, setAnswer] = useState(pin.answer);
+  const [mode, setMode] = useState('edit');
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleSave = async () => {
+    const next = { ...pin, topic: topic.trim(), keywords: parseKeywords(keywordText), answer };
+    const problems = validatePinnedAnswer(next);
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    try {
+      await onSave(next);
+    } catch (error) {
+      setErrors([`The pin could not be saved: ${error.message}`]);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Remove "${pin.topic}" from your library?`)) return;
+    try {
+      await onRemove(pin.id);
+    } catch (error) {
+      setErrors([`The pin could not be removed: ${error.message}`]);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Pinned answer">
+      <div className="card modal-content prompt-manager">
+        <div className="card-header">
+          <span className="card-title">{pin.id ? 'Edit Pinned Answer' : 'Pin to Library'}</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close pinned answer editor">Close</button>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Topic</h4>
+          <div className="prompt-level-row">
+            <input
+              className="prompt-input"
+              value={topic}
+              onChange={(e) => setTopic(e.target.value)}
+              aria-label="Topic"
+            />
+          </div>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Keywords</h4>
+          <div className="prompt-level-row">
+            <input
+              className="prompt-input"
+              value={keywordText}
+              placeholder="two sum, pair with target sum"
+              onChange={(e) => setKeywordText(e.target.value)}
+              aria-label="Keywords, separated by commas"
+            />
+          </div>
+          <p className="usage-note">
+            Separate keywords with commas. A question is answered from this pin instead of the model when
+            it contains every word of one keyword and at least {Math.round(CONFIDENT_COVERAGE * 100)}% of its
+            words appear in the keywords or topic (small words such as how or the are not counted), unless
+            another library entry matches it better.
+          </p>
+        </div>
+
+        <div className="prompt-manager-section">
+          <div className="structured-tabs" role="tablist">
+            {['edit', 'preview'].map((tab) => (
+              <button
+                key={tab}
+                role="tab"
+                aria-selected={mode === tab}
+                className={`structured-tab${mode === tab ? ' active' : ''}`}
+                onClick={() => setMode(tab)}
+              >
+                {tab === 'edit' ? 'Markdown' : 'Preview'}
+              </button>
+            ))}
+          </div>
+          {mode === 'edit' ? (
+            <textarea
+              className="prompt-textarea prompt-template pin-answer-input"
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              aria-label="Answer markdown"
+            />
+          ) : (
+            <div className="pin-preview">
+              <MarkdownRenderer content={answer} />
+            </div>
+          )}
+        </div>
+
+        {errors.length > 0 && (
+          <div className="pack-errors" role="alert">
+            <ul>
+              {errors.map((message) => <li key={message}>{message}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="prompt-manager-actions">
+          {pin.id && onRemove && (
+            <button className="clear-btn" onClick={handleRemove}>Remove pin</button>
+          )}
+          <button className="export-btn" onClick={onClose}>Cancel</button>
+          <button className="export-btn quiz-action-btn" onClick={handleSave}>
+            {pin.id ? 'Save changes' : 'Pin answer'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
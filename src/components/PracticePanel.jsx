@@ -0,0 +1,213 @@
+import React, { useEffect, useRef, useState } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { TOPIC_DIFFICULTIES } from '../utils/constants';
+import { JUDGE_LANGUAGES, getStarterCode, getTopicProblems } from '../utils/practiceProblems';
+import { JUDGE_TIME_LIMIT_MS, VERDICTS, judgeSolution } from '../utils/judge';
+
+const STATUS_MARKS = { solved: '✓', attempted: '•' };
+
+const formatArgs = (problem, args) => problem.signature.params
+  .map(([name], idx) => `${name} = ${JSON.stringify(args[idx])}`)
+  .join(', ');
+
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+// Practice problems of one curriculum topic with an editor and the local judge. Run checks
+// the visible examples; Submit also runs the hidden tests and is what counts as solving.
+// `initialProblemId` picks the first tab; otherwise the first unsolved problem is shown.
+export default function PracticePanel({
+  topic, initialProblemId, records, preferredLanguage, onSaveDraft, onSubmitted, onExplain, onClose
+}) {
+  const problems = getTopicProblems(topic);
+  const [problemId, setProblemId] = useState(() => (
+    problems.find((problem) => problem.id === initialProblemId)
+    || problems.find((problem) => records[problem.id]?.status !== 'solved')
+    || problems[0]
+  )?.id);
+  const [language, setLanguage] = useState(
+    JUDGE_LANGUAGES.some((option) => option.id === preferredLanguage) ? preferredLanguage : 'python'
+  );
+  const [code, setCode] = useState('');
+  const [judging, setJudging] = useState(false);
+  const [status, setStatus] = useState('');
+  const [outcome, setOutcome] = useState(null);
+  const runRef = useRef(null);
+
+  const problem = problems.find((candidate) => candidate.id === problemId);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Saved drafts win over the starter code; switching problem or language clears results.
+  useEffect(() => {
+    if (!problem) return;
+    setCode(records[problem.id]?.drafts?.[language] ?? getStarterCode(problem, language));
+    setOutcome(null);
+    // Only a change of problem or language reloads the editor, not every saved draft.
+  }, [problemId, language]);
+
+  useEffect(() => () => runRef.current?.stop(), []);
+
+  if (!problem) {
+    return null;
+  }
+
+  const handleJudge = async (submit) => {
+    setJudging(true);
+    setOutcome(null);
+    const run = judgeSolution({ problem, language, code, includeHidden: submit, onStatus: setStatus });
+    runRef.current = run;
+    const result = await run.result;
+    if (runRef.current !== run) return;
+    runRef.current = null;
+    setJudging(false);
+    setStatus('');
+    setOutcome({ ...result, submitted: submit });
+    if (submit) {
+      onSubmitted(problem, language, code, result.verdict);
+    } else {
+      onSaveDraft(problem.id, language, code);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Replace your code with the starter code?')) {
+      setCode(getStarterCode(problem, language));
+    }
+  };
+
+  const examples = problem.tests.filter((test) => !test.hidden);
+  const passedCount = outcome?.cases.filter((testCase) => testCase.passed).length || 0;
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Practice">
+      <div className="card modal-content prompt-manager practice-panel">
+        <div className="card-header">
+          <span className="card-title">Practice · {topic.name}</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close practice">Close</button>
+        </div>
+
+        <div className="structured-tabs" role="tablist">
+          {problems.map((candidate) => (
+            <button
+              key={candidate.id}
+              role="tab"
+              aria-selected={candidate.id === problemId}
+              className={`structured-tab${candidate.id === problemId ? ' active' : ''}`}
+              onClick={() => !judging && setProblemId(candidate.id)}
+            >
+              {STATUS_MARKS[records[candidate.id]?.status] || ''} {candidate.title}
+            </button>
+          ))}
+        </div>
+
+        <div className="prompt-manager-section">
+          <div className="library-topic-header">
+            <h4 className="practice-title">{problem.title}</h4>
+            <span className={`library-tag library-tag-${problem.difficulty}`}>
+              {TOPIC_DIFFICULTIES.find((level) => level.id === problem.difficulty)?.label}
+            </span>
+            {records[problem.id]?.status === 'solved' && <span className="answer-source-chip">Solved</span>}
+          </div>
+          <MarkdownRenderer content={problem.statement} />
+          <ul className="practice-list">
+            {problem.constraints.map((constraint) => <li key={constraint}><code>{constraint}</code></li>)}
+          </ul>
+          <h4>Examples</h4>
+          <ul className="practice-list">
+            {examples.map((test, idx) => (
+              <li key={idx}>
+                <code>{formatArgs(problem, test.args)}</code> → <code>{formatValue(test.expected)}</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="prompt-manager-section">
+          <div className="prompt-level-row">
+            <select
+              className="difficulty-select"
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              disabled={judging}
+              aria-label="Solution language"
+            >
+              {JUDGE_LANGUAGES.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <span className="sidebar-list-item-time">
+              {problem.tests.length - examples.length} hidden tests · {JUDGE_TIME_LIMIT_MS / 1000} s limit
+            </span>
+          </div>
+          <textarea
+            className="prompt-textarea code-runner-code practice-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            spellCheck={false}
+            aria-label="Solution code"
+          />
+          <div className="prompt-manager-actions practice-actions">
+            {judging ? (
+              <button className="export-btn" onClick={() => runRef.current?.stop()}>Stop</button>
+            ) : (
+              <>
+                <button className="export-btn" onClick={() => handleJudge(false)}>Run examples</button>
+                <button className="export-btn quiz-action-btn" onClick={() => handleJudge(true)}>Submit</button>
+              </>
+            )}
+            <button className="export-btn" onClick={handleReset} disabled={judging}>Reset code</button>
+            <button className="export-btn" onClick={() => onExplain(problem)} title="Ask for an explanation of this problem">
+              Explain it
+            </button>
+            {status && <span className="sidebar-list-item-time">{status}</span>}
+          </div>
+        </div>
+
+        {outcome && (
+          <div className="prompt-manager-section" aria-live="polite">
+            <div className={`practice-verdict${outcome.verdict === VERDICTS.accepted ? ' accepted' : ''}`}>
+              {outcome.verdict} · {passedCount}/{outcome.cases.length} {outcome.submitted ? 'tests' : 'examples'} passed
+            </div>
+            <table className="complexity-table usage-table practice-results">
+              <thead>
+                <tr><th>#</th><th>Input</th><th>Expected</th><th>Output</th><th>Time</th><th>Result</th></tr>
+              </thead>
+              <tbody>
+                {outcome.cases.map((testCase) => (
+                  <tr key={testCase.index}>
+                    <td>{testCase.index + 1}</td>
+                    {testCase.hidden ? (
+                      <td colSpan={3} className="sidebar-list-item-time">Hidden test</td>
+                    ) : (
+                      <>
+                        <td><code>{formatArgs(problem, testCase.args)}</code></td>
+                        <td><code>{formatValue(testCase.expected)}</code></td>
+                        <td><code>{testCase.error || formatValue(testCase.output)}</code></td>
+                      </>
+                    )}
+                    <td>{testCase.ms === null ? '—' : `${testCase.ms} ms`}</td>
+                    <td>
+                      {testCase.passed === null ? 'Not run' : testCase.passed ? 'Pass' : testCase.error ? 'Error' : 'Fail'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {(outcome.stdout || outcome.stderr) && (
+              <pre className="code-runner-output">
+                {outcome.stdout}
+                {outcome.stderr && <span className="code-runner-stderr">{outcome.stdout ? '\n' : ''}{outcome.stderr}</span>}
+              </pre>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
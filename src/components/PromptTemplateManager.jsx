@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  PROMPT_MODES,
+  PROMPT_VARIABLES,
+  buildPromptVariables,
+  renderPromptTemplate,
+  slugifyDifficulty
+} from '../utils/promptTemplates';
+
+const PREVIEW_SOLUTION = '(The generated answer goes here.)';
+
+export default function PromptTemplateManager({
+  templates,
+  versions,
+  activeVersionId,
+  onSave,
+  onActivate,
+  onClose,
+  language,
+  userLevel
+}) {
+  const [draft, setDraft] = useState(templates);
+  const [mode, setMode] = useState('answer');
+  const [note, setNote] = useState('');
+  const [newLevelLabel, setNewLevelLabel] = useState('');
+  const [previewDifficulty, setPreviewDifficulty] = useState(templates.difficulties[0]?.id);
+  const [previewTopic, setPreviewTopic] = useState('Two Sum problem');
+
+  // Switching versions loads that version into the editor.
+  useEffect(() => {
+    setDraft(templates);
+  }, [templates]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(templates);
+
+  const updateLevel = (id, field, value) => {
+    setDraft((previous) => ({
+      ...previous,
+      difficulties: previous.difficulties.map((level) => (level.id === id ? { ...level, [field]: value } : level))
+    }));
+  };
+
+  const removeLevel = (id) => {
+    setDraft((previous) => ({
+      ...previous,
+      difficulties: previous.difficulties.filter((level) => level.id !== id)
+    }));
+  };
+
+  const addLevel = () => {
+    const label = newLevelLabel.trim();
+    const id = slugifyDifficulty(label);
+    if (!id || draft.difficulties.some((level) => level.id === id)) {
+      return;
+    }
+    setDraft((previous) => ({
+      ...previous,
+      difficulties: [...previous.difficulties, { id, label, guide: '' }]
+    }));
+    setNewLevelLabel('');
+  };
+
+  const handleSave = () => {
+    onSave(draft, note.trim());
+    setNote('');
+  };
+
+  const preview = renderPromptTemplate(
+    draft.modes[mode],
+    buildPromptVariables({
+      templates: draft,
+      difficulty: previewDifficulty,
+      language,
+      topic: previewTopic,
+      userLevel,
+      solution: PREVIEW_SOLUTION
+    })
+  );
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Prompt templates">
+      <div className="card modal-content prompt-manager">
+        <div className="card-header">
+          <span className="card-title">Prompt Templates</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close prompt templates">Close</button>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Versions</h4>
+          <div className="sidebar-list">
+            {[...versions].reverse().map((version) => (
+              <div key={version.id} className="sidebar-list-item sidebar-list-item-row">
+                <p className="sidebar-list-item-text">
+                  {version.note}
+                  <span className="sidebar-list-item-time"> · {version.createdAt || 'built-in'}</span>
+                </p>
+                {version.id === activeVersionId ? (
+                  <span className="answer-source-chip">Active</span>
+                ) : (
+                  <button className="quick-action-btn" onClick={() => onActivate(version.id)}>Use</button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Difficulty levels</h4>
+          {draft.difficulties.map((level) => (
+            <div key={level.id} className="prompt-level-row">
+              <input
+                className="prompt-input"
+                value={level.label}
+                onChange={(e) => updateLevel(level.id, 'label', e.target.value)}
+                aria-label={`Label for ${level.label}`}
+              />
+              <textarea
+                className="prompt-textarea prompt-guide"
+                value={level.guide}
+                placeholder="Teaching style for this level"
+                onChange={(e) => updateLevel(level.id, 'guide', e.target.value)}
+                aria-label={`Teaching guide for ${level.label}`}
+              />
+              <button
+                className="clear-btn"
+                onClick={() => removeLevel(level.id)}
+                disabled={draft.difficulties.length === 1}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <div className="prompt-level-row">
+            <input
+              className="prompt-input"
+              value={newLevelLabel}
+              placeholder="New level, e.g. Interview prep"
+              onChange={(e) => setNewLevelLabel(e.target.value)}
+              aria-label="New difficulty level"
+            />
+            <button className="quick-action-btn" onClick={addLevel} disabled={!newLevelLabel.trim()}>
+              Add level
+            </button>
+          </div>
+        </div>
+
+        <div className="prompt-manager-section">
+          <div className="structured-tabs" role="tablist">
+            {PROMPT_MODES.map((promptMode) => (
+              <button
+                key={promptMode.id}
+                role="tab"
+                aria-selected={mode === promptMode.id}
+                className={`structured-tab${mode === promptMode.id ? ' active' : ''}`}
+                onClick={() => setMode(promptMode.id)}
+              >
+                {promptMode.label} template
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="prompt-textarea prompt-template"
+            value={draft.modes[mode]}
+            onChange={(e) => setDraft((previous) => ({ ...previous, modes: { ...previous.modes, [mode]: e.target.value } }))}
+            aria-label={`${mode} prompt template`}
+          />
+          <ul className="prompt-variables">
+            {PROMPT_VARIABLES.map((variable) => (
+              <li key={variable.name}><code>{`{{${variable.name}}}`}</code> {variable.description}</li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Preview</h4>
+          <div className="prompt-level-row">
+            <select
+              className="difficulty-select"
+              value={previewDifficulty}
+              onChange={(e) => setPreviewDifficulty(e.target.value)}
+              aria-label="Preview difficulty"
+            >
+              {draft.difficulties.map((level) => (
+                <option key={level.id} value={level.id}>{level.label}</option>
+              ))}
+            </select>
+            <input
+              className="prompt-input"
+              value={previewTopic}
+              onChange={(e) => setPreviewTopic(e.target.value)}
+              aria-label="Preview question"
+            />
+          </div>
+          <pre className="prompt-preview">{preview}</pre>
+        </div>
+
+        <div className="prompt-manager-actions">
+          <input
+            className="prompt-input"
+            value={note}
+            placeholder="What changed? (version note)"
+            onChange={(e) => setNote(e.target.value)}
+            aria-label="Version note"
+          />
+          <button className="export-btn" onClick={() => setDraft(DEFAULT_PROMPT_TEMPLATES)}>
+            Load defaults
+          </button>
+          <button className="export-btn quiz-action-btn" onClick={handleSave} disabled={!isDirty}>
+            Save as new version
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo } from 'react';
+import { QUIZ_CONCEPTS, WEAK_ACCURACY, getWeakAreas, summarizeAttempts } from '../utils/quizStats';
+
+const RECENT_MISSES = 8;
+
+const formatPercent = (accuracy) => (accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`);
+const formatSeconds = (ms) => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+const conceptLabel = (id) => QUIZ_CONCEPTS.find((concept) => concept.id === id)?.label;
+
+// Accuracy per topic and per concept from the quiz attempt log, with the weakest areas first.
+// Topics link back to the offline answer they were filed under.
+export default function QuizInsights({ attempts, entries, onOpenTopic, onStartQuiz, onClear, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const summary = useMemo(() => summarizeAttempts(attempts), [attempts]);
+  const weakAreas = useMemo(() => getWeakAreas(summary), [summary]);
+  const misses = attempts.filter((attempt) => !attempt.correct).slice(-RECENT_MISSES).reverse();
+
+  // Topics are matched to library entries by name, as related links are.
+  const findEntry = (topic) => entries.find((entry) => entry.topic.toLowerCase() === topic.toLowerCase());
+
+  const topicLink = (topic) => {
+    const entry = findEntry(topic);
+    return entry
+      ? <button className="library-related-link" onClick={() => onOpenTopic(entry)}>{topic}</button>
+      : topic;
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Quiz insights">
+      <div className="card modal-content usage-panel quiz-insights">
+        <div className="card-header">
+          <span className="card-title">Quiz Insights</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close quiz insights">Close</button>
+        </div>
+
+        {attempts.length === 0 ? (
+          <p className="sidebar-empty">No quiz answers recorded yet. Take a quiz from an answer or the library to see your results here.</p>
+        ) : (
+          <>
+            <div className="stats-grid usage-stats-grid">
+              <div className="stat-item">
+                <div className="stat-value">{summary.attempts}</div>
+                <div className="stat-label">Questions answered</div>
+              </div>
+              <div className="stat-item">
+                <div className="stat-value emerald">{formatPercent(summary.accuracy)}</div>
+                <div className="stat-label">Accuracy</div>
+              </div>
+              <div className="stat-item">
+                <div className="stat-value amber">{formatSeconds(summary.averageMs)}</div>
+                <div className="stat-label">Per question</div>
+              </div>
+            </div>
+
+            <div className="prompt-manager-section">
+              <h4>By concept</h4>
+              {summary.concepts.map((concept) => (
+                <div key={concept.id} className="quiz-insights-concept">
+                  <span>{concept.label}</span>
+                  <div className="stat-bar">
+                    <div
+                      className={`stat-bar-fill${concept.accuracy !== null && concept.accuracy < WEAK_ACCURACY ? ' usage-over-budget' : ''}`}
+                      style={{ width: `${(concept.accuracy || 0) * 100}%` }}
+                    />
+                  </div>
+                  <span className="usage-note">
+                    {concept.correct}/{concept.attempts} · {formatPercent(concept.accuracy)}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <div className="prompt-manager-section">
+              <h4>Weak areas</h4>
+              {weakAreas.length === 0 ? (
+                <p className="usage-note">
+                  Nothing stands out yet. A topic or concept is listed here once it has three answers below {formatPercent(WEAK_ACCURACY)}.
+                </p>
+              ) : (
+                <div className="sidebar-list">
+                  {weakAreas.map((area) => {
+                    const entry = findEntry(area.topic);
+                    return (
+                      <div key={`${area.topic}-${area.concept}`} className="sidebar-list-item sidebar-list-item-row">
+                        <p className="sidebar-list-item-text">
+                          {area.topic}{area.concept && ` · ${conceptLabel(area.concept)}`}
+                          <span className="sidebar-list-item-time"> · {area.correct}/{area.attempts} right</span>
+                        </p>
+                        {entry && (
+                          <span className="quiz-insights-actions">
+                            <button className="quick-action-btn" onClick={() => onOpenTopic(entry)}>Read</button>
+                            {entry.quiz?.length > 0 && (
+                              <button className="quick-action-btn" onClick={() => onStartQuiz(entry)}>Quiz</button>
+                            )}
+                          </span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            <div className="prompt-manager-section">
+              <h4>By topic</h4>
+              <table className="complexity-table usage-table">
+                <thead>
+                  <tr>
+                    <th>Topic</th>
+                    <th>Answered</th>
+                    <th>Accuracy</th>
+                    {QUIZ_CONCEPTS.map((concept) => <th key={concept.id}>{concept.label}</th>)}
+                    <th>Per question</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.topics.map((topic) => (
+                    <tr key={topic.topic}>
+                      <td>{topicLink(topic.topic)}</td>
+                      <td>{topic.attempts}</td>
+                      <td>{formatPercent(topic.accuracy)}</td>
+                      {topic.concepts.map((concept) => (
+                        <td key={concept.id}>{concept.attempts > 0 ? `${concept.correct}/${concept.attempts}` : '-'}</td>
+                      ))}
+                      <td>{formatSeconds(topic.averageMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {misses.length > 0 && (
+              <div className="prompt-manager-section">
+                <h4>Recently missed</h4>
+                <div className="sidebar-list">
+                  {misses.map((attempt) => (
+                    <div key={`${attempt.date}-${attempt.question}`} className="sidebar-list-item">
+                      <p className="sidebar-list-item-text">{attempt.question}</p>
+                      <span className="sidebar-list-item-time">
+                        You chose "{attempt.chosenOption}", the answer is "{attempt.correctOption}" · {topicLink(attempt.topic)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="prompt-manager-actions">
+          <button
+            className="clear-btn"
+            onClick={() => {
+              if (window.confirm('Clear all recorded quiz answers?')) {
+                onClear();
+              }
+            }}
+            disabled={attempts.length === 0}
+          >
+            Clear quiz history
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,15 +1,54 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { REVIEW_GRADES } from '../utils/reviewQueue';
 
-export default function QuizModal({ quizData, onClose, onComplete }) {
+// With `onGrade`, every question ends with review grades instead of Next, and questions
+// without options are recall prompts graded by the learner. `onComplete` receives the score
+// the chosen option index per question (null for recall prompts) and the milliseconds spent on
+// each question before answering or grading it. Closing early calls `onClose` with the same
+// answers and times for the questions already left behind (the graded ones in a review).
+export default function QuizModal({ quizData, onClose, onComplete, onGrade, title = 'Concept Check' }) {
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [selectedOption, setSelectedOption] = useState(null);
   const [showExplanation, setShowExplanation] = useState(false);
   const [score, setScore] = useState(0);
+  const [answers, setAnswers] = useState([]);
+  const [timesMs, setTimesMs] = useState([]);
   const [isFinished, setIsFinished] = useState(false);
+  const shownAtRef = useRef(Date.now());
 
-  const handleClose = useCallback(() => {
-    onClose();
-  }, [onClose]);
+  useEffect(() => {
+    shownAtRef.current = Date.now();
+  }, [currentQuestion]);
+
+  const recordTime = () => {
+    const elapsed = Date.now() - shownAtRef.current;
+    setTimesMs((previous) => {
+      const next = [...previous];
+      next[currentQuestion] = elapsed;
+      return next;
+    });
+  };
+
+  const handleFinish = () => {
+    onComplete(
+      score,
+      quizData.map((_, idx) => answers[idx] ?? null),
+      quizData.map((_, idx) => timesMs[idx] ?? null)
+    );
+  };
+
+  // Escape on the results screen finishes the quiz rather than dropping it.
+  const handleClose = () => {
+    if (isFinished) {
+      handleFinish();
+      return;
+    }
+    const done = quizData.slice(0, currentQuestion);
+    onClose(
+      done.map((_, idx) => answers[idx] ?? null),
+      done.map((_, idx) => timesMs[idx] ?? null)
+    );
+  };
 
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -23,6 +62,12 @@ export default function QuizModal({ quizData, onClose, onComplete }) {
     if (showExplanation) return;
     setSelectedOption(index);
     setShowExplanation(true);
+    recordTime();
+    setAnswers((previous) => {
+      const next = [...previous];
+      next[currentQuestion] = index;
+      return next;
+    });
     if (index === quizData[currentQuestion].correctAnswer) {
       setScore((previous) => previous + 1);
     }
@@ -38,12 +83,21 @@ export default function QuizModal({ quizData, onClose, onComplete }) {
     }
   };
 
+  const handleGrade = (quality) => {
+    if (!quizData[currentQuestion].options) {
+      recordTime();
+      if (quality >= 3) setScore((previous) => previous + 1);
+    }
+    onGrade(currentQuestion, quality);
+    handleNext();
+  };
+
   if (isFinished) {
     const isPerfect = score === quizData.length;
     return (
       <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Quiz results">
         <div className="card modal-content" style={{ maxWidth: '400px', textAlign: 'center' }}>
-          <h2 style={{ marginBottom: '16px' }}>Quiz finished</h2>
+          <h2 style={{ marginBottom: '16px' }}>{onGrade ? 'Review finished' : 'Quiz finished'}</h2>
           <div style={{ fontSize: '3rem', marginBottom: '16px' }}>
             {isPerfect ? '🏆' : score >= quizData.length / 2 ? '👍' : '📚'}
           </div>
@@ -53,7 +107,7 @@ export default function QuizModal({ quizData, onClose, onComplete }) {
           <p style={{ marginBottom: '24px', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
             {isPerfect ? 'Perfect score! Great work.' : score >= quizData.length / 2 ? 'Good job! Keep practicing.' : 'Review the material and try again.'}
           </p>
-          <button className="export-btn" onClick={() => onComplete(score)} style={{ width: '100%' }}>
+          <button className="export-btn" onClick={handleFinish} style={{ width: '100%' }}>
             Close quiz
           </button>
         </div>
@@ -62,17 +116,19 @@ export default function QuizModal({ quizData, onClose, onComplete }) {
   }
 
   const question = quizData[currentQuestion];
+  const selfGraded = !question.options;
+  const isRight = selectedOption === question.correctAnswer;
 
   return (
     <div
       className="modal-overlay"
       role="dialog"
       aria-modal="true"
-      aria-label={`Concept check question ${currentQuestion + 1} of ${quizData.length}`}
+      aria-label={`${title} question ${currentQuestion + 1} of ${quizData.length}`}
     >
       <div className="card modal-content" style={{ maxWidth: '500px' }}>
         <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          <span className="card-title">Concept Check ({currentQuestion + 1}/{quizData.length})</span>
+          <span className="card-title">{title} ({currentQuestion + 1}/{quizData.length})</span>
           <button
             onClick={handleClose}
             aria-label="Close quiz"
@@ -85,65 +141,80 @@ export default function QuizModal({ quizData, onClose, onComplete }) {
         <div className="quiz-body" style={{ padding: '20px 0' }}>
           <h3 style={{ marginBottom: '20px', lineHeight: '1.4' }}>{question.question}</h3>
 
-          <div className="quiz-options" style={{ display: 'flex', flexDirection: 'column', gap: '12px' }} role="group" aria-label="Answer choices">
-            {question.options.map((option, idx) => {
-              const isCorrect = idx === question.correctAnswer;
-              const isSelected = idx === selectedOption;
-
-              let bgColor = 'var(--surface-color)';
-              let borderColor = 'var(--border-color)';
-              let ariaLabel = option;
-
-              if (showExplanation) {
-                if (isCorrect) {
-                  bgColor = 'rgba(16, 185, 129, 0.1)';
-                  borderColor = '#10b981';
-                  ariaLabel = `${option} — Correct`;
-                } else if (isSelected) {
-                  bgColor = 'rgba(239, 68, 68, 0.1)';
-                  borderColor = '#ef4444';
-                  ariaLabel = `${option} — Incorrect`;
+          {!selfGraded && (
+            <div className="quiz-options" style={{ display: 'flex', flexDirection: 'column', gap: '12px' }} role="group" aria-label="Answer choices">
+              {question.options.map((option, idx) => {
+                const isCorrect = idx === question.correctAnswer;
+                const isSelected = idx === selectedOption;
+
+                let bgColor = 'var(--surface-color)';
+                let borderColor = 'var(--border-color)';
+                let ariaLabel = option;
+
+                if (showExplanation) {
+                  if (isCorrect) {
+                    bgColor = 'rgba(16, 185, 129, 0.1)';
+                    borderColor = '#10b981';
+                    ariaLabel = `${option} — Correct`;
+                  } else if (isSelected) {
+                    bgColor = 'rgba(239, 68, 68, 0.1)';
+                    borderColor = '#ef4444';
+                    ariaLabel = `${option} — Incorrect`;
+                  }
                 }
-              }
 
-              return (
-                <button
-                  key={idx}
-                  onClick={() => handleOptionSelect(idx)}
-                  aria-label={ariaLabel}
-                  aria-pressed={isSelected}
-                  style={{
-                    padding: '12px 16px',
-                    borderRadius: '8px',
-                    textAlign: 'left',
-                    background: bgColor,
-                    border: `1px solid ${borderColor}`,
-                    cursor: showExplanation ? 'default' : 'pointer',
-                    transition: 'all 0.2s',
-                    fontSize: '0.95rem'
-                  }}
-                >
-                  {showExplanation && isCorrect && <span style={{ marginRight: '6px' }}>✓</span>}
-                  {showExplanation && isSelected && !isCorrect && <span style={{ marginRight: '6px' }}>✗</span>}
-                  {option}
-                </button>
-              );
-            })}
-          </div>
+                return (
+                  <button
+                    key={idx}
+                    onClick={() => handleOptionSelect(idx)}
+                    aria-label={ariaLabel}
+                    aria-pressed={isSelected}
+                    style={{
+                      padding: '12px 16px',
+                      borderRadius: '8px',
+                      textAlign: 'left',
+                      background: bgColor,
+                      border: `1px solid ${borderColor}`,
+                      cursor: showExplanation ? 'default' : 'pointer',
+                      transition: 'all 0.2s',
+                      fontSize: '0.95rem'
+                    }}
+                  >
+                    {showExplanation && isCorrect && <span style={{ marginRight: '6px' }}>✓</span>}
+                    {showExplanation && isSelected && !isCorrect && <span style={{ marginRight: '6px' }}>✗</span>}
+                    {option}
+                  </button>
+                );
+              })}
+            </div>
+          )}
 
-          {showExplanation && (
+          {(showExplanation || selfGraded) && (
             <div style={{ marginTop: '20px', padding: '16px', borderRadius: '8px', background: 'var(--accent-subtle)', border: '1px solid var(--primary-light)' }}>
-              <p style={{ fontWeight: 'bold', marginBottom: '8px', color: selectedOption === question.correctAnswer ? '#10b981' : '#ef4444' }}>
-                {selectedOption === question.correctAnswer ? '✓ Correct' : '✗ Incorrect'}
-              </p>
+              {!selfGraded && (
+                <p style={{ fontWeight: 'bold', marginBottom: '8px', color: isRight ? '#10b981' : '#ef4444' }}>
+                  {isRight ? '✓ Correct' : '✗ Incorrect'}
+                </p>
+              )}
               <p style={{ fontSize: '0.9rem', lineHeight: '1.5' }}>{question.explanation}</p>
-              <button
-                className="export-btn"
-                onClick={handleNext}
-                style={{ marginTop: '16px', width: '100%', background: 'var(--primary)', color: 'white' }}
-              >
-                {currentQuestion < quizData.length - 1 ? 'Next question' : 'See results'}
-              </button>
+              {onGrade ? (
+                // A wrong answer can only be graded Again.
+                <div className="quiz-grades" role="group" aria-label="How well did you remember it?">
+                  {REVIEW_GRADES.filter((grade) => selfGraded || isRight || grade.quality < 3).map((grade) => (
+                    <button key={grade.quality} className="export-btn" onClick={() => handleGrade(grade.quality)}>
+                      {grade.label}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <button
+                  className="export-btn"
+                  onClick={handleNext}
+                  style={{ marginTop: '16px', width: '100%', background: 'var(--primary)', color: 'white' }}
+                >
+                  {currentQuestion < quizData.length - 1 ? 'Next question' : 'See results'}
+                </button>
+              )}
             </div>
           )}
         </div>
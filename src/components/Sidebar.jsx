@@ -1,10 +1,15 @@
 ﻿import React from 'react';
-import { BLIND_75_TOPICS } from '../utils/constants';
+import { TOPIC_DIFFICULTIES } from '../utils/constants';
+import { PROBLEM_STATUSES, countDoneProblems, getNextProblem, getProblemStatus } from '../utils/curriculum';
+import { getTopicProblems } from '../utils/practiceProblems';
+import { DAILY_REVIEW_LIMIT, parseDay } from '../utils/reviewQueue';
+
+const RECOMMENDATION_LABELS = { review: 'Review', problem: 'Practice', learn: 'Read' };
 
 export default function Sidebar({
   history,
   favorites,
-  difficulty,
+  difficultyLabel,
   setQuestion,
   loadFromHistory,
   clearHistory,
@@ -15,9 +20,23 @@ export default function Sidebar({
   currentLevel,
   xpProgress,
   xpForNextLevel,
+  studyTracks,
+  activeTrack,
+  onSelectTrack,
   curriculumProgress,
+  dueReviews = [],
+  nextReviewDay,
+  reviewQueueSize = 0,
+  onStartReview,
+  recommendations = [],
+  onFollowRecommendation,
+  onOpenTopicMap,
   onPracticeNext,
-  onResetCurriculum
+  onSetProblemStatus,
+  onResetCurriculum,
+  pins = [],
+  onOpenPin,
+  onEditPin
 }) {
   return (
     <aside className="sidebar">
@@ -58,7 +77,7 @@ export default function Sidebar({
             <div className="stat-bar"><div className="stat-bar-fill pink-bar" style={{ width: `${Math.min(favorites.length * 20, 100)}%` }}></div></div>
           </div>
           <div className="stat-item">
-            <div className="stat-value emerald">{difficulty === 'beginner' ? 'B' : difficulty === 'intermediate' ? 'I' : 'A'}</div>
+            <div className="stat-value emerald">{difficultyLabel.charAt(0).toUpperCase()}</div>
             <div className="stat-label">Mode</div>
           </div>
           <div className="stat-item">
@@ -69,13 +88,62 @@ export default function Sidebar({
         </div>
       </div>
 
+      <div className="card">
+        <div className="card-header">
+          <span className="card-title">Due for Review</span>
+          <span className="topic-progress-count">{reviewQueueSize} in queue</span>
+        </div>
+        {dueReviews.length > 0 ? (
+          <>
+            <div className="sidebar-list review-due-list">
+              {dueReviews.slice(0, 3).map((item) => (
+                <div key={item.id} className="sidebar-list-item">
+                  <p className="sidebar-list-item-text">{item.kind === 'question' ? item.question.question : item.topic}</p>
+                  <span className="sidebar-list-item-time">{item.kind === 'question' ? `Quiz · ${item.topic}` : 'Topic'}</span>
+                </div>
+              ))}
+            </div>
+            <button className="quick-action-btn" onClick={onStartReview}>
+              Review {Math.min(dueReviews.length, DAILY_REVIEW_LIMIT)} of {dueReviews.length} due
+            </button>
+          </>
+        ) : (
+          <p className="sidebar-empty">
+            {nextReviewDay
+              ? `Nothing due today. Next review on ${parseDay(nextReviewDay).toLocaleDateString()}.`
+              : 'Take a quiz or study a topic to start your review queue.'}
+          </p>
+        )}
+      </div>
+
+      <div className="card card-accent">
+        <div className="card-header">
+          <span className="card-title">Recommended Next</span>
+          <button className="clear-btn" onClick={onOpenTopicMap}>Topic map</button>
+        </div>
+        {recommendations.length > 0 ? (
+          <div className="sidebar-list">
+            {recommendations.map((step) => (
+              <button key={step.id} className="sidebar-list-item" onClick={() => onFollowRecommendation(step)}>
+                <p className="sidebar-list-item-text">
+                  {RECOMMENDATION_LABELS[step.kind]}: {step.kind === 'problem' ? step.problem.title : step.entry.topic}
+                </p>
+                <span className="sidebar-list-item-time">{step.reason}</span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="sidebar-empty">Every topic on the {activeTrack.name} track is done. Pick another track to keep going.</p>
+        )}
+      </div>
+
       <div className="card">
         <div className="card-header">
           <span className="card-title">Curriculum Path</span>
           <button
             className="clear-btn"
             onClick={() => {
-              if (window.confirm('Reset all progress?')) {
+              if (window.confirm(`Reset all progress on the ${activeTrack.name} track?`)) {
                 onResetCurriculum();
               }
             }}
@@ -83,26 +151,81 @@ export default function Sidebar({
             Reset
           </button>
         </div>
+        <div className="track-picker">
+          <select
+            className="difficulty-select"
+            value={activeTrack.id}
+            onChange={(e) => onSelectTrack(e.target.value)}
+            aria-label="Study track"
+          >
+            {studyTracks.map((track) => (
+              <option key={track.id} value={track.id}>
+                {track.packName ? `${track.name} (${track.packName})` : track.name}
+              </option>
+            ))}
+          </select>
+          <span className="topic-progress-count">
+            {activeTrack.topics.reduce((total, topic) => total + countDoneProblems(topic, curriculumProgress), 0)}
+            /{activeTrack.topics.reduce((total, topic) => total + topic.problems.length, 0)} problems
+          </span>
+        </div>
+        {activeTrack.description && <p className="track-description">{activeTrack.description}</p>}
         <div className="topics-grid topics-stack">
-          {BLIND_75_TOPICS.map((topic) => {
-            const completed = curriculumProgress?.[topic.id] || 0;
-            const percentage = Math.round((completed / topic.total) * 100);
+          {activeTrack.topics.map((topic) => {
+            const completed = countDoneProblems(topic, curriculumProgress);
+            const total = topic.problems.length;
+            const percentage = Math.round((completed / total) * 100);
+            const next = getNextProblem(topic, curriculumProgress);
+            const hasPractice = getTopicProblems(topic).length > 0;
 
             return (
               <div key={topic.id} className="topic-progress-card">
                 <div className="topic-progress-header">
                   <span className="topic-progress-name">{topic.icon} {topic.name}</span>
-                  <span className="topic-progress-count">{completed}/{topic.total}</span>
+                  <span className="topic-progress-count">{completed}/{total}</span>
                 </div>
                 <div className="stat-bar topic-progress-bar">
                   <div className="stat-bar-fill" style={{ width: `${percentage}%` }}></div>
                 </div>
+                <div className="topic-next-problem">
+                  {next ? (
+                    <>
+                      <span>Next: {next.title}</span>
+                      {next.difficulty && (
+                        <span className={`library-tag library-tag-${next.difficulty}`}>
+                          {TOPIC_DIFFICULTIES.find((level) => level.id === next.difficulty)?.label}
+                        </span>
+                      )}
+                    </>
+                  ) : (
+                    <span>All {total} problems done</span>
+                  )}
+                </div>
                 <button
                   className="quick-action-btn"
                   onClick={() => onPracticeNext(topic)}
+                  disabled={!next && !hasPractice}
                 >
-                  Practice next
+                  {next ? 'Practice next' : 'Practice'}
                 </button>
+                <details className="topic-problem-list">
+                  <summary>All problems</summary>
+                  {topic.problems.map((problem) => (
+                    <div key={problem.slug} className="topic-problem-row">
+                      <span className="sidebar-list-item-text" title={problem.tags.join(', ')}>{problem.title}</span>
+                      <select
+                        className="difficulty-select"
+                        value={getProblemStatus(curriculumProgress, problem.slug)}
+                        onChange={(e) => onSetProblemStatus(problem.slug, e.target.value)}
+                        aria-label={`Status of ${problem.title}`}
+                      >
+                        {PROBLEM_STATUSES.map((status) => (
+                          <option key={status.id} value={status.id}>{status.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </details>
               </div>
             );
           })}
@@ -122,7 +245,7 @@ export default function Sidebar({
               <button
                 key={item.id}
                 className="sidebar-list-item"
-                onClick={() => loadFromHistory(item.question, item.answer)}
+                onClick={() => loadFromHistory(item)}
               >
                 <p className="sidebar-list-item-text">{item.question}</p>
                 <span className="sidebar-list-item-time">{item.timestamp?.split(',')[0]}</span>
@@ -164,6 +287,33 @@ export default function Sidebar({
         )}
       </div>
 
+      <div className="card card-accent-subtle">
+        <div className="card-header">
+          <span className="card-title">My Library</span>
+        </div>
+        {pins.length > 0 ? (
+          <div className="sidebar-list">
+            {pins.map((pin) => (
+              <div key={pin.id} className="sidebar-list-item sidebar-list-item-row">
+                <p
+                  className="sidebar-list-item-text"
+                  onClick={() => onOpenPin(pin)}
+                  style={{ cursor: 'pointer' }}
+                >
+                  {pin.topic}
+                  <span className="sidebar-list-item-time"> · {pin.keywords.length} keyword{pin.keywords.length === 1 ? '' : 's'}</span>
+                </p>
+                <button className="clear-btn" onClick={() => onEditPin(pin)} title="Edit topic, keywords or answer">
+                  Edit
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="sidebar-empty">Pin a good answer to keep it and have it answered offline next time.</p>
+        )}
+      </div>
+
       <div className="card card-accent-subtle">
         <div className="card-header">
           <span className="card-title">Study Tips</span>
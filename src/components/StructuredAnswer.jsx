@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { codeFence } from '../utils/structuredAnswer';
+
+function CopyButton({ text, label = 'Copy' }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Clipboard error:', err);
+    }
+  };
+
+  return (
+    <button className="clear-btn section-copy-btn" onClick={handleCopy} aria-label={`${label} to clipboard`}>
+      {copied ? 'Copied' : label}
+    </button>
+  );
+}
+
+function SectionCard({ heading, copyText, children }) {
+  return (
+    <section className="structured-section">
+      <div className="structured-section-header">
+        <h3 className="structured-section-title">{heading}</h3>
+        <CopyButton text={copyText} />
+      </div>
+      {children}
+    </section>
+  );
+}
+
+export default function StructuredAnswer({ answer }) {
+  const [activeTab, setActiveTab] = useState('overview');
+  const [activeLanguage, setActiveLanguage] = useState(0);
+
+  const tabs = [
+    { id: 'overview', label: 'Explanation' },
+    answer.code.length > 0 && { id: 'code', label: 'Code' },
+    answer.complexity && { id: 'complexity', label: 'Complexity' },
+    (answer.edgeCases.length > 0 || answer.tips.length > 0) && { id: 'edge-cases', label: 'Edge cases & tips' }
+  ].filter(Boolean);
+
+  const codeBlock = answer.code[Math.min(activeLanguage, answer.code.length - 1)];
+
+  // Inactive panels stay mounted but hidden so the PDF export can reveal all of them.
+  return (
+    <div className="structured-answer">
+      {answer.title && <h2 className="structured-title">{answer.title}</h2>}
+
+      <div className="structured-tabs" role="tablist">
+        {tabs.map((tab) => (
+          <button
+            key={tab.id}
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            className={`structured-tab${activeTab === tab.id ? ' active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="structured-panel" role="tabpanel" hidden={activeTab !== 'overview'}>
+        {answer.summary && <MarkdownRenderer content={answer.summary} />}
+        {answer.diagram && <MarkdownRenderer content={answer.diagram} />}
+        {answer.sections.map((section, idx) => (
+          <SectionCard key={idx} heading={section.heading || `Part ${idx + 1}`} copyText={section.body}>
+            <MarkdownRenderer content={section.body} />
+          </SectionCard>
+        ))}
+      </div>
+
+      {codeBlock && (
+        <div className="structured-panel" role="tabpanel" hidden={activeTab !== 'code'}>
+          {answer.code.length > 1 && (
+            <div className="structured-subtabs">
+              {answer.code.map((block, idx) => (
+                <button
+                  key={idx}
+                  className={`version-chip${block === codeBlock ? ' active' : ''}`}
+                  onClick={() => setActiveLanguage(idx)}
+                >
+                  {block.language}
+                </button>
+              ))}
+            </div>
+          )}
+          <SectionCard heading={`${codeBlock.language} solution`} copyText={codeBlock.code}>
+            <MarkdownRenderer content={codeFence(codeBlock.language, codeBlock.code)} />
+            {codeBlock.explanation && <MarkdownRenderer content={codeBlock.explanation} />}
+          </SectionCard>
+        </div>
+      )}
+
+      {answer.complexity && (
+        <div className="structured-panel" role="tabpanel" hidden={activeTab !== 'complexity'}>
+          <SectionCard
+            heading="Complexity"
+            copyText={`Time: ${answer.complexity.time}\nSpace: ${answer.complexity.space}`}
+          >
+            <table className="complexity-table">
+              <tbody>
+                <tr><th scope="row">Time</th><td>{answer.complexity.time || '—'}</td></tr>
+                <tr><th scope="row">Space</th><td>{answer.complexity.space || '—'}</td></tr>
+              </tbody>
+            </table>
+            {answer.complexity.explanation && <MarkdownRenderer content={answer.complexity.explanation} />}
+          </SectionCard>
+        </div>
+      )}
+
+      {(answer.edgeCases.length > 0 || answer.tips.length > 0) && (
+        <div className="structured-panel" role="tabpanel" hidden={activeTab !== 'edge-cases'}>
+          {answer.edgeCases.length > 0 && (
+            <SectionCard heading="Edge cases" copyText={answer.edgeCases.map((item) => `- ${item}`).join('\n')}>
+              <ul className="structured-list">
+                {answer.edgeCases.map((item, idx) => <li key={idx}><MarkdownRenderer content={item} /></li>)}
+              </ul>
+            </SectionCard>
+          )}
+          {answer.tips.length > 0 && (
+            <SectionCard heading="Key tips" copyText={answer.tips.map((item) => `- ${item}`).join('\n')}>
+              <ul className="structured-list">
+                {answer.tips.map((item, idx) => <li key={idx}><MarkdownRenderer content={item} /></li>)}
+              </ul>
+            </SectionCard>
+          )}
+        </div>
+      )}
+
+      {answer.trailing && <MarkdownRenderer content={answer.trailing} />}
+    </div>
+  );
+}
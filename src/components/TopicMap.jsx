@@ -0,0 +1,145 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { TOPIC_STATUSES, getLibraryPrerequisites, getTopicColumns } from '../utils/topicGraph';
+
+const NODE_WIDTH = 128;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 44;
+const ROW_GAP = 16;
+const PADDING = 8;
+
+const statusLabel = (status) => TOPIC_STATUSES.find((option) => option.id === status)?.label;
+const shorten = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Prerequisites of the active track drawn left to right: a topic sits one column right of
+// its deepest prerequisite. Selecting a topic shows what it needs, what it unlocks and the
+// library topics to read for it.
+export default function TopicMap({ trackName, states, entries, quizScores, onPracticeNext, onOpenTopic, onClose }) {
+  const [selectedId, setSelectedId] = useState(() => (
+    (states.find((state) => state.status === 'in-progress' || state.status === 'available') || states[0])?.topic.id
+  ));
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const columns = useMemo(() => getTopicColumns(states), [states]);
+  const positions = new Map();
+  columns.forEach((column, columnIdx) => column.forEach((state, rowIdx) => {
+    positions.set(state.topic.id, {
+      x: PADDING + columnIdx * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + rowIdx * (NODE_HEIGHT + ROW_GAP)
+    });
+  }));
+  const width = PADDING * 2 + columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const height = PADDING * 2 + Math.max(...columns.map((column) => column.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+  const byId = new Map(states.map((state) => [state.topic.id, state]));
+  const selected = byId.get(selectedId);
+  const names = (ids) => ids.map((id) => byId.get(id).topic.name).join(', ');
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Topic map">
+      <div className="card modal-content prompt-manager topic-map">
+        <div className="card-header">
+          <span className="card-title">Topic Map · {trackName}</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close topic map">Close</button>
+        </div>
+
+        <div className="topic-map-legend">
+          {TOPIC_STATUSES.map((status) => (
+            <span key={status.id} className={`topic-map-swatch ${status.id}`}>{status.label}</span>
+          ))}
+        </div>
+
+        <div className="topic-map-stage">
+          <svg className="topic-map-graph" viewBox={`0 0 ${width} ${height}`} width={width} height={height} role="img" aria-label={`Prerequisites of ${trackName}`}>
+            {states.flatMap((state) => state.prerequisites.map((id) => {
+              const from = positions.get(id);
+              const to = positions.get(state.topic.id);
+              const x1 = from.x + NODE_WIDTH;
+              const y1 = from.y + NODE_HEIGHT / 2;
+              const x2 = to.x;
+              const y2 = to.y + NODE_HEIGHT / 2;
+              const middle = (x1 + x2) / 2;
+              const highlighted = selectedId === id || selectedId === state.topic.id;
+              return (
+                <path
+                  key={`${id}-${state.topic.id}`}
+                  className={`topic-map-edge${highlighted ? ' highlighted' : ''}`}
+                  d={`M ${x1} ${y1} C ${middle} ${y1}, ${middle} ${y2}, ${x2} ${y2}`}
+                />
+              );
+            }))}
+            {states.map((state) => {
+              const { x, y } = positions.get(state.topic.id);
+              return (
+                <g
+                  key={state.topic.id}
+                  className={`topic-map-node ${state.status}${selectedId === state.topic.id ? ' selected' : ''}`}
+                  transform={`translate(${x} ${y})`}
+                  onClick={() => setSelectedId(state.topic.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      setSelectedId(state.topic.id);
+                    }
+                  }}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={`${state.topic.name}: ${statusLabel(state.status)}, ${state.done} of ${state.total} problems done`}
+                >
+                  <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" />
+                  <text x="8" y="17">{shorten(`${state.topic.icon} ${state.topic.name}`, 19)}</text>
+                  <text x="8" y="34" className="topic-map-node-count">{state.done}/{state.total} done</text>
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+
+        {selected && (
+          <div className="prompt-manager-section topic-map-details">
+            <h4>
+              {selected.topic.icon} {selected.topic.name}{' '}
+              <span className="sidebar-list-item-time">· {statusLabel(selected.status)}</span>
+            </h4>
+            <p className="usage-note">
+              {selected.done}/{selected.total} problems done
+              {selected.quiz !== null && ` · library quizzes ${Math.round(selected.quiz * 100)}%`}
+            </p>
+            <p className="usage-note">
+              Needs: {selected.prerequisites.length > 0 ? names(selected.prerequisites) : 'nothing, start here'}
+              {selected.unlocks.length > 0 && <><br />Unlocks: {names(selected.unlocks)}</>}
+            </p>
+            {selected.entries.length > 0 && (
+              <div className="sidebar-list">
+                {selected.entries.map((entry) => {
+                  const before = getLibraryPrerequisites(entry, entries);
+                  const result = quizScores[entry.topic];
+                  return (
+                    <button key={entry.topic} className="sidebar-list-item" onClick={() => onOpenTopic(entry)}>
+                      <p className="sidebar-list-item-text">{entry.topic}</p>
+                      <span className="sidebar-list-item-time">
+                        {before.length > 0 ? `After ${before.map((prerequisite) => prerequisite.topic).join(', ')}` : 'No prerequisites'}
+                        {result && ` · last quiz ${result.score}/${result.total}`}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <div className="prompt-manager-actions">
+              <button className="export-btn quiz-action-btn" onClick={() => onPracticeNext(selected.topic)} disabled={!selected.next}>
+                {selected.next ? `Practice ${selected.next.title}` : 'All problems done'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
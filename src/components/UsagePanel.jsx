@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import {
+  BUDGET_PERIODS,
+  formatCost,
+  formatTokens,
+  getDailySeries,
+  getModelBreakdown,
+  getPeriodSummary,
+  getWeeklySeries
+} from '../utils/usageStats';
+
+const CHART_METRICS = [
+  { id: 'tokens', label: 'Tokens', format: formatTokens },
+  { id: 'requests', label: 'Requests', format: String },
+  { id: 'cost', label: 'Cost', format: formatCost }
+];
+
+function UsageChart({ title, series, metric }) {
+  const max = Math.max(...series.map((bucket) => bucket[metric.id]), 0);
+
+  return (
+    <div className="usage-chart">
+      <h4>{title}</h4>
+      <div className="usage-chart-bars" role="img" aria-label={`${title}: ${metric.label.toLowerCase()}`}>
+        {series.map((bucket) => (
+          <div key={bucket.label} className="usage-chart-column" title={`${bucket.label}: ${metric.format(bucket[metric.id])}`}>
+            <div
+              className="usage-chart-bar"
+              style={{ height: `${max > 0 ? (bucket[metric.id] / max) * 100 : 0}%` }}
+            />
+            <span className="usage-chart-label">{bucket.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function UsagePanel({ log, budget, setBudget, budgetStatus, clearUsage, onClose }) {
+  const [metricId, setMetricId] = useState('tokens');
+  const [limitDraft, setLimitDraft] = useState(budget.limit ? String(budget.limit) : '');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const metric = CHART_METRICS.find((option) => option.id === metricId);
+  const today = getPeriodSummary(log, 'day');
+  const week = getPeriodSummary(log, 'week');
+  const models = getModelBreakdown(log);
+  const budgetUsed = budgetStatus.limit > 0 ? Math.min(budgetStatus.spent / budgetStatus.limit, 1) : 0;
+
+  const handleSaveBudget = () => {
+    const limit = Number.parseFloat(limitDraft);
+    setBudget({ ...budget, limit: Number.isFinite(limit) && limit > 0 ? limit : 0 });
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label="Usage and cost">
+      <div className="card modal-content usage-panel">
+        <div className="card-header">
+          <span className="card-title">Usage &amp; Cost</span>
+          <button className="clear-btn" onClick={onClose} aria-label="Close usage panel">Close</button>
+        </div>
+
+        <div className="stats-grid usage-stats-grid">
+          <div className="stat-item">
+            <div className="stat-value">{today.requests}</div>
+            <div className="stat-label">Requests today</div>
+          </div>
+          <div className="stat-item">
+            <div className="stat-value">{formatTokens(today.tokens)}</div>
+            <div className="stat-label">Tokens today</div>
+          </div>
+          <div className="stat-item">
+            <div className="stat-value emerald">{formatCost(week.cost)}</div>
+            <div className="stat-label">This week</div>
+          </div>
+        </div>
+
+        <div className="structured-tabs" role="tablist">
+          {CHART_METRICS.map((option) => (
+            <button
+              key={option.id}
+              role="tab"
+              aria-selected={metricId === option.id}
+              className={`structured-tab${metricId === option.id ? ' active' : ''}`}
+              onClick={() => setMetricId(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <UsageChart title="Last 14 days" series={getDailySeries(log)} metric={metric} />
+        <UsageChart title="Last 8 weeks" series={getWeeklySeries(log)} metric={metric} />
+
+        <div className="prompt-manager-section">
+          <h4>Cost per model (last 30 days)</h4>
+          {models.length === 0 ? (
+            <p className="sidebar-empty">No model calls recorded yet.</p>
+          ) : (
+            <table className="complexity-table usage-table">
+              <thead>
+                <tr><th>Model</th><th>Requests</th><th>Input</th><th>Output</th><th>Est. cost</th></tr>
+              </thead>
+              <tbody>
+                {models.map((entry) => (
+                  <tr key={entry.model}>
+                    <td>
+                      {entry.model}
+                      {entry.estimatedRequests > 0 && (
+                        <span className="usage-note" title="The provider did not report token counts for some requests">
+                          {' '}({entry.estimatedRequests} estimated)
+                        </span>
+                      )}
+                    </td>
+                    <td>{entry.requests}</td>
+                    <td>{formatTokens(entry.inputTokens)}</td>
+                    <td>{formatTokens(entry.outputTokens)}</td>
+                    <td>{formatCost(entry.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="prompt-manager-section">
+          <h4>Soft budget</h4>
+          <p className="usage-note">
+            Once the estimated cost reaches the budget, each request asks for confirmation first.
+            Leave it empty to turn the warning off.
+          </p>
+          <div className="prompt-level-row">
+            <input
+              className="prompt-input"
+              type="number"
+              min="0"
+              step="0.5"
+              value={limitDraft}
+              placeholder="Budget in USD"
+              onChange={(e) => setLimitDraft(e.target.value)}
+              aria-label="Budget in US dollars"
+            />
+            <select
+              className="difficulty-select"
+              value={budget.period}
+              onChange={(e) => setBudget({ ...budget, period: e.target.value })}
+              aria-label="Budget period"
+            >
+              {BUDGET_PERIODS.map((period) => (
+                <option key={period.id} value={period.id}>{period.label}</option>
+              ))}
+            </select>
+            <button className="quick-action-btn" onClick={handleSaveBudget}>Save budget</button>
+          </div>
+          {budgetStatus.limit > 0 && (
+            <>
+              <div className="stat-bar">
+                <div
+                  className={`stat-bar-fill${budgetStatus.exceeded ? ' usage-over-budget' : ''}`}
+                  style={{ width: `${budgetUsed * 100}%` }}
+                />
+              </div>
+              <p className="usage-note">
+                {formatCost(budgetStatus.spent)} of {formatCost(budgetStatus.limit)} used
+                {budgetStatus.exceeded && ' - budget reached'}
+              </p>
+            </>
+          )}
+        </div>
+
+        <div className="prompt-manager-actions">
+          <button
+            className="clear-btn"
+            onClick={() => {
+              if (window.confirm('Clear all recorded usage?')) {
+                clearUsage();
+              }
+            }}
+          >
+            Clear usage log
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,9 @@
+import { useMemo } from 'react';
 import { useLocalStorage } from './useLocalStorage';
 import { STORAGE_KEYS } from '../utils/constants';
+import { migrateCurriculumProgress } from '../utils/curriculum';
+import { DEFAULT_TRACK_ID } from '../utils/studyTracks';
+import { DEFAULT_LLM_SETTINGS } from '../utils/llmProviders';
 
 export function useAppState() {
   const [history, setHistory] = useLocalStorage(STORAGE_KEYS.QUESTION_HISTORY, []);
@@ -7,16 +11,27 @@ export function useAppState() {
   const [darkMode, setDarkMode] = useLocalStorage(STORAGE_KEYS.DARK_MODE, false);
   const [difficulty, setDifficulty] = useLocalStorage(STORAGE_KEYS.DIFFICULTY, 'beginner');
   const [language, setLanguage] = useLocalStorage(STORAGE_KEYS.LANGUAGE, 'python');
-  const [curriculumProgress, setCurriculumProgress] = useLocalStorage(
+  const [storedProgress, setStoredProgress] = useLocalStorage(
     STORAGE_KEYS.CURRICULUM_PROGRESS,
     {}
   );
+  // Per-track, per-problem statuses; progress saved by older versions is converted when read.
+  const curriculumProgress = useMemo(() => migrateCurriculumProgress(storedProgress), [storedProgress]);
+  const [activeTrackId, setActiveTrackId] = useLocalStorage(STORAGE_KEYS.ACTIVE_TRACK, DEFAULT_TRACK_ID);
+  // Last quiz result per library topic name, as { score, total, date }.
+  const [quizScores, setQuizScores] = useLocalStorage(STORAGE_KEYS.QUIZ_SCORES, {});
+  const [llmSettings, setLlmSettings] = useLocalStorage(STORAGE_KEYS.LLM_SETTINGS, DEFAULT_LLM_SETTINGS);
 
-  const saveToHistory = (question, answer) => {
+  // `source` records where the answer came from: 'pinned', 'offline', 'cache' or 'model', and
+  // `model` which "provider/model" produced it (null for offline answers).
+  const saveToHistory = (question, answer, source, model = null) => {
     const nextEntry = {
       id: Date.now(),
       question,
       answer,
+      source,
+      model,
+      followUps: [],
       timestamp: new Date().toLocaleString()
     };
 
@@ -29,6 +44,65 @@ export function useAppState() {
         throw error;
       }
     }
+    return nextEntry.id;
+  };
+
+  const appendFollowUp = (entryId, question, answer) => {
+    const turn = { question, answer, timestamp: new Date().toLocaleString() };
+    setHistory((previous) =>
+      previous.map((entry) =>
+        entry.id === entryId
+          ? { ...entry, followUps: [...(entry.followUps || []), turn] }
+          : entry
+      )
+    );
+  };
+
+  // Keeps the answer being replaced in `versions` (oldest first, as { answer, model }) so
+  // regenerations can be compared, including across models.
+  const saveRegeneratedAnswer = (entryId, answer, model = null) => {
+    setHistory((previous) =>
+      previous.map((entry) =>
+        entry.id === entryId
+          ? {
+            ...entry,
+            answer,
+            model,
+            source: 'model',
+            versions: [...(entry.versions || []), { answer: entry.answer, model: entry.model || null }]
+          }
+          : entry
+      )
+    );
+  };
+
+  const setProblemStatus = (trackId, slug, status) => {
+    setStoredProgress((previous) => {
+      const progress = migrateCurriculumProgress(previous);
+      const track = { ...progress[trackId] };
+      if (status === 'todo') {
+        delete track[slug];
+      } else {
+        track[slug] = status;
+      }
+      return { ...progress, [trackId]: track };
+    });
+  };
+
+  // Only the given track is reset; the others keep their progress.
+  const resetCurriculumProgress = (trackId) => {
+    setStoredProgress((previous) => {
+      const next = { ...migrateCurriculumProgress(previous) };
+      delete next[trackId];
+      return next;
+    });
+  };
+
+  const recordQuizScore = (topic, score, total) => {
+    setQuizScores((previous) => ({
+      ...previous,
+      [topic]: { score, total, date: new Date().toISOString() }
+    }));
   };
 
   const clearHistory = () => {
@@ -50,11 +124,20 @@ export function useAppState() {
     difficulty,
     language,
     curriculumProgress,
+    activeTrackId,
+    quizScores,
+    llmSettings,
     setDarkMode,
     setDifficulty,
     setLanguage,
-    setCurriculumProgress,
+    setActiveTrackId,
+    setLlmSettings,
+    setProblemStatus,
+    resetCurriculumProgress,
+    recordQuizScore,
     saveToHistory,
+    appendFollowUp,
+    saveRegeneratedAnswer,
     clearHistory,
     toggleFavorite
   };
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+import { loadStoredPacks, removeStoredPack, saveStoredPack } from '../utils/contentPacks';
+
+// Imported content packs, loaded from IndexedDB on mount. `importPack` replaces a stored
+// pack with the same id and rejects when storage fails, so the caller can report it.
+export function useContentPacks() {
+  const [packs, setPacks] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadStoredPacks()
+      .then((stored) => {
+        if (!cancelled) setPacks(stored);
+      })
+      .catch((error) => console.warn('Could not load content packs:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const importPack = async (pack) => {
+    const stored = { ...pack, importedAt: Date.now() };
+    await saveStoredPack(stored);
+    setPacks((previous) => [...previous.filter((existing) => existing.id !== pack.id), stored]);
+  };
+
+  const removePack = async (id) => {
+    await removeStoredPack(id);
+    setPacks((previous) => previous.filter((pack) => pack.id !== id));
+  };
+
+  return { packs, importPack, removePack };
+}
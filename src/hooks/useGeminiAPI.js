@@ -1,98 +1,205 @@
-﻿import { useState } from 'react';
+﻿import { useRef, useState } from 'react';
 import {
+  API_MAX_RETRIES,
   API_RATE_LIMIT_MS,
   API_REQUEST_TIMEOUT,
-  GEMINI_API_KEY,
-  GEMINI_API_URL
+  API_RETRY_BASE_DELAY_MS,
+  API_RETRY_MAX_DELAY_MS,
+  API_STREAM_IDLE_TIMEOUT
 } from '../utils/constants';
+import { getCachedAnswer, setCachedAnswer } from '../utils/answerCache';
+import { DEFAULT_LLM_SETTINGS, getGenerationSettings, getProvider } from '../utils/llmProviders';
 import { findOfflineAnswer } from '../utils/offlineAnswers';
+import { STOPPED_NOTICE, createStreamParser, getTruncationNotice } from '../utils/streamParser';
+import {
+  BUDGET_PERIODS, estimateRequestCost, estimateTokens, formatCost, isOverBudget
+} from '../utils/usageStats';
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  buildPromptVariables,
+  renderPromptTemplate
+} from '../utils/promptTemplates';
+
+// Models without a JSON mode tend to wrap the quiz in prose or code fences.
+const extractJsonArray = (text) => {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  return JSON.parse(start !== -1 && end > start ? text.slice(start, end + 1) : text);
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Honour Retry-After (seconds) when the server sends it, otherwise back off exponentially.
+// Either way the wait is capped, so a long Retry-After fails fast instead of hanging the UI.
+const getRetryDelay = (response, attempt) => {
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  const delay = retryAfter > 0 ? retryAfter * 1000 : API_RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(delay, API_RETRY_MAX_DELAY_MS);
+};
+
+// The abort listener is removed once the delay passes, so retries do not pile listeners
+// onto the shared signal.
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timeoutId = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const DEFAULT_PROMPT_CONTEXT = { templates: DEFAULT_PROMPT_TEMPLATES, versionId: 0, userLevel: 1 };
+
+// `promptContext` carries the active prompt templates (see usePromptTemplates), their
+// version id and the learner's level for the {{userLevel}} variable. `usageTracker`
+// ({ recordUsage, budgetStatus } from useUsageLog) receives the token counts of every
+// model call and holds the soft budget checked before each one. `offlineEntries` is the
+// offline library searched before any model call (see getOfflineEntries); it defaults to
+// the built-in entries.
+export function useGeminiAPI(
+  llmSettings = DEFAULT_LLM_SETTINGS,
+  promptContext = DEFAULT_PROMPT_CONTEXT,
+  usageTracker = {},
+  offlineEntries
+) {
+  const provider = getProvider(llmSettings.provider);
+  const model = llmSettings.model || provider.defaultModel;
+  // Identifies the model in the cache, the usage log and history entries.
+  const modelKey = `${provider.id}/${model}`;
+  const generation = getGenerationSettings(provider, llmSettings);
+  const { templates, versionId, userLevel } = promptContext;
+
+  // The system prompt rides on the first user turn so every provider sees the same instructions.
+  const buildQuestionMessage = (question, difficulty, language) => {
+    const variables = buildPromptVariables({ templates, difficulty, language, topic: question, userLevel });
+    const systemPrompt = renderPromptTemplate(templates.modes.answer, variables);
+    return { role: 'user', content: `${systemPrompt}\n\nUser Question: ${question}` };
+  };
 
-const NO_API_KEY = !GEMINI_API_KEY || GEMINI_API_KEY === 'YOUR_API_KEY_HERE';
-
-export function useGeminiAPI() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [answer, setAnswer] = useState('');
+  const [followUpAnswer, setFollowUpAnswer] = useState('');
+  const [followUpLoading, setFollowUpLoading] = useState(false);
   const [lastApiCall, setLastApiCall] = useState(0);
+  const stopRef = useRef(null);
+
+  // A model call needs an explicit go-ahead once the soft budget is reached, or when the
+  // estimated cost of `messages` would take the spend past it.
+  const confirmBudget = (messages) => {
+    const { budgetStatus } = usageTracker;
+    const requestCost = estimateRequestCost(modelKey, messages, generation.maxOutputTokens);
+    if (!budgetStatus || !isOverBudget(budgetStatus, requestCost)) {
+      return true;
+    }
+    const period = BUDGET_PERIODS.find((option) => option.id === budgetStatus.period)?.label || '';
+    const budgetText = `${formatCost(budgetStatus.limit)} ${period} budget`;
+    const confirmed = window.confirm(budgetStatus.exceeded
+      ? `You have used an estimated ${formatCost(budgetStatus.spent)} of your ${budgetText}. Send this request anyway?`
+      : `This request is estimated at ${formatCost(requestCost)}, which would take your estimated ` +
+        `${formatCost(budgetStatus.spent)} past your ${budgetText}. Send it anyway?`);
+    if (!confirmed) {
+      setError('Request cancelled to stay within the usage budget. Adjust it in the Usage panel.');
+    }
+    return confirmed;
+  };
 
-  const generateAnswer = async (question, difficulty, language = 'python') => {
-    setError('');
-    setAnswer('');
-    setLoading(true);
+  // Providers that report no token counts are estimated from the text length.
+  const reportUsage = (messages, text, usage) => {
+    usageTracker.recordUsage?.({
+      model: modelKey,
+      inputTokens: usage ? usage.inputTokens : estimateTokens(messages.map((message) => message.content).join('\n')),
+      outputTokens: usage ? usage.outputTokens : estimateTokens(text),
+      estimated: !usage
+    });
+  };
 
-    // Try offline answer first
-    const offline = findOfflineAnswer(question);
-    if (offline) {
-      // Simulate a brief loading feel
-      await new Promise(r => setTimeout(r, 300));
-      setAnswer(offline.answer);
-      setLoading(false);
-      return offline.answer;
+  // Shared by answers and follow-ups: checks config, budget and rate limit, then records
+  // the call. Behind the proxy the server enforces the rate limit per user instead.
+  const canCallApi = (notConfiguredMessage, messages) => {
+    if (!provider.isConfigured()) {
+      setError(notConfiguredMessage);
+      return false;
     }
-
-    if (NO_API_KEY) {
-      setLoading(false);
-      setError(
-        'No answer found for that topic in the offline library, and no API key is configured.\n\n' +
-        'Try one of the popular prompts, or add VITE_GEMINI_API_KEY to a .env file to enable AI answers.'
-      );
-      return null;
+    if (!confirmBudget(messages)) {
+      return false;
+    }
+    if (provider.proxied) {
+      return true;
     }
 
     const now = Date.now();
     if (now - lastApiCall < API_RATE_LIMIT_MS) {
-      setLoading(false);
       setError('Please wait a moment before making another request.');
-      return null;
+      return false;
     }
     setLastApiCall(now);
+    return true;
+  };
+
+  const reportApiError = (err) => {
+    console.error('API Error:', err);
+    if (err.name === 'AbortError') {
+      setError(`Request timed out after ${API_REQUEST_TIMEOUT / 1000} seconds. Please try again.`);
+    } else if (err.name === 'StreamStalledError') {
+      setError(err.message);
+    } else {
+      setError(`${err.message}\n\nPlease check your ${provider.label} settings and try again.`);
+    }
+  };
+
+  // Aborts whichever stream is in flight; the partial text is kept.
+  const stopGeneration = () => {
+    stopRef.current?.();
+  };
+
+  // Streams a chat completion, calling onText with the accumulated text after every chunk.
+  // 429/5xx responses are retried with backoff before any text arrives; once streaming,
+  // the stream is abandoned if no chunk shows up within API_STREAM_IDLE_TIMEOUT.
+  // Resolves with { text, complete, stopped } (complete is false when stopped or truncated), or
+  // null when the user stopped it before any text arrived.
+  const streamCompletion = async (messages, onText) => {
+    // Answers come back as structured JSON (see utils/structuredAnswer.js).
+    const { url, init } = provider.buildRequest({ messages, model, stream: true, json: true, generation });
+
+    const controller = new AbortController();
+    let abortReason = null;
+    const abortWith = (reason) => {
+      abortReason = reason;
+      controller.abort();
+    };
+    stopRef.current = () => abortWith('user');
+
+    let streamedText = '';
+    let usage = null;
+    let idleTimeoutId = null;
 
     try {
-      const difficultyGuides = {
-        beginner: 'Use very simple language. Avoid jargon. Use analogies with everyday objects.',
-        intermediate: 'Explain technical details. Include complexity analysis (Big O). Discuss trade-offs.',
-        advanced: 'Include optimization techniques. Discuss edge cases. Compare different approaches.'
-      };
-
-      const capitalizedLanguage = language.charAt(0).toUpperCase() + language.slice(1);
-      const systemPrompt = `You are an expert teacher explaining DSA and LeetCode problems.
-Difficulty level: ${difficulty.toUpperCase()} - ${difficultyGuides[difficulty] || difficultyGuides.beginner}
-
-Important instructions:
-1. Match the difficulty level above.
-2. Always provide ${capitalizedLanguage} code examples that are clear and well-commented.
-3. If the concept is visual (trees, graphs, sorting, arrays, linked lists), provide a simple SVG diagram.
-4. Keep the answer readable with headings and bullet points.
-5. Add Big O complexity analysis (time and space).
-
-Format your answer:
-- Brief explanation
-- SVG diagram (if applicable)
-- Step-by-step breakdown
-- ${capitalizedLanguage} code example (wrap in triple backticks)
-- Complexity analysis
-- Key tips and edge cases`;
-
-      const requestBody = {
-        contents: [{ parts: [{ text: `${systemPrompt}\n\nUser Question: ${question}` }] }]
-      };
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_REQUEST_TIMEOUT);
-
-      const response = await fetch(`${GEMINI_API_URL}?alt=sse&key=${encodeURIComponent(GEMINI_API_KEY)}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
-      clearTimeout(timeoutId);
+      let response;
+      for (let attempt = 0; ; attempt += 1) {
+        const timeoutId = setTimeout(() => abortWith('timeout'), API_REQUEST_TIMEOUT);
+        try {
+          response = await fetch(url, { ...init, signal: controller.signal });
+        } finally {
+          clearTimeout(timeoutId);
+        }
+
+        if (response.ok || !isRetryableStatus(response.status) || attempt >= API_MAX_RETRIES) {
+          break;
+        }
+        // The discarded response's body would otherwise hold its connection open.
+        response.body?.cancel().catch(() => {});
+        await wait(getRetryDelay(response, attempt), controller.signal);
+      }
 
       if (!response.ok) {
         let errorMessage = 'Unknown error';
         try {
           const errorData = await response.json();
-          errorMessage = errorData.error?.message || errorData.error?.code || errorMessage;
+          errorMessage = provider.parseError(errorData) || errorMessage;
         } catch (parseError) {
           errorMessage = response.statusText || `HTTP ${response.status}`;
         }
@@ -106,66 +213,214 @@ Format your answer:
       const reader = response.body.getReader();
       const decoder = new TextDecoder('utf-8');
       let done = false;
-      let streamedAnswer = '';
+      let finishReason = null;
+      let unreadableEvents = 0;
+
+      const parser = createStreamParser(provider.streamFormat, (message) => {
+        let parsed;
+        try {
+          parsed = provider.parseStreamEvent(message);
+        } catch (parseError) {
+          unreadableEvents += 1;
+          console.warn(`Could not parse ${provider.label} event:`, message.data);
+          return;
+        }
+        if (!parsed) {
+          return;
+        }
+        if (parsed.error) {
+          throw new Error(`API Error: ${parsed.error}`);
+        }
+        if (parsed.text) {
+          streamedText += parsed.text;
+          onText(streamedText);
+        }
+        if (parsed.usage) {
+          usage = parsed.usage;
+        }
+        if (parsed.finishReason) {
+          finishReason = parsed.finishReason;
+        }
+        if (parsed.done) {
+          done = true;
+        }
+      });
 
       while (!done) {
+        idleTimeoutId = setTimeout(() => abortWith('idle'), API_STREAM_IDLE_TIMEOUT);
         const { value, done: doneReading } = await reader.read();
-        done = doneReading;
+        clearTimeout(idleTimeoutId);
 
-        if (!value) {
-          continue;
+        if (doneReading) {
+          parser.push(decoder.decode());
+          parser.end();
+          break;
         }
+        parser.push(decoder.decode(value, { stream: true }));
+      }
 
-        const chunkString = decoder.decode(value, { stream: true });
-        const lines = chunkString.split('\n').filter((line) => line.trim() !== '');
-
-        for (const line of lines) {
-          if (!line.startsWith('data: ')) {
-            continue;
-          }
-
-          const data = line.slice(6);
-          if (data === '[DONE]') {
-            done = true;
-            break;
-          }
-
-          try {
-            const parsedData = JSON.parse(data);
-            const textChunk = parsedData.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (textChunk) {
-              streamedAnswer += textChunk;
-              setAnswer(streamedAnswer);
-            }
-          } catch (parseError) {
-            console.warn('Could not parse Gemini chunk:', data);
-          }
+      const notice = getTruncationNotice(finishReason, unreadableEvents);
+      if (notice) {
+        streamedText += notice;
+        onText(streamedText);
+      }
+      return { text: streamedText, complete: !notice };
+    } catch (err) {
+      if (abortReason === 'user') {
+        if (!streamedText) {
+          return null;
         }
+        const partial = streamedText + STOPPED_NOTICE;
+        onText(partial);
+        return { text: partial, complete: false, stopped: true };
+      }
+      if (abortReason === 'idle') {
+        const stalledError = new Error(
+          `The answer stream stalled for ${API_STREAM_IDLE_TIMEOUT / 1000} seconds and was stopped. Please try again.`
+        );
+        stalledError.name = 'StreamStalledError';
+        throw stalledError;
+      }
+      throw err;
+    } finally {
+      clearTimeout(idleTimeoutId);
+      stopRef.current = null;
+      if (streamedText || usage) {
+        reportUsage(messages, streamedText, usage);
       }
+    }
+  };
 
-      return streamedAnswer;
-    } catch (err) {
-      console.error('API Error:', err);
-      if (err.name === 'AbortError') {
-        setError(`Request timed out after ${API_REQUEST_TIMEOUT / 1000} seconds. Please try again.`);
-      } else {
-        setError(`${err.message}\n\nPlease check your API key and try again.`);
+  // Resolves with { text, source, model, stopped } where source is 'pinned', 'offline', 'cache' or
+  // 'model' (model is the "provider/model" key, absent for offline answers; stopped is true when
+  // the user stopped the stream part-way), or null on failure.
+  // `skipOffline` ignores the offline library and `bypassCache` ignores cached answers;
+  // Regenerate sets both to force a fresh model call.
+  const generateAnswer = async (
+    question,
+    difficulty,
+    language = 'python',
+    { skipOffline = false, bypassCache = false } = {}
+  ) => {
+    setError('');
+    setAnswer('');
+    setLoading(true);
+
+    // Try offline answer first
+    const offline = skipOffline ? null : findOfflineAnswer(question, language, offlineEntries);
+    if (offline) {
+      // Simulate a brief loading feel
+      await new Promise(r => setTimeout(r, 300));
+      setAnswer(offline.answer);
+      setLoading(false);
+      return { text: offline.answer, source: offline.pinned ? 'pinned' : 'offline' };
+    }
+
+    // Cached answers work without a provider, so check them before the config check.
+    const cacheKey = {
+      question,
+      difficulty,
+      language,
+      model: modelKey,
+      promptVersion: versionId,
+      promptText: JSON.stringify(templates)
+    };
+    const cached = bypassCache ? null : await getCachedAnswer(cacheKey);
+    if (cached) {
+      setAnswer(cached);
+      setLoading(false);
+      return { text: cached, source: 'cache', model: modelKey };
+    }
+
+    const messages = [buildQuestionMessage(question, difficulty, language)];
+    const allowed = canCallApi(
+      skipOffline
+        ? `Regenerating needs an AI provider, and ${provider.label} is not configured.\n\n` +
+          `To enable it, ${provider.missingConfigHint}.`
+        : `No answer found for that topic in the offline library, and ${provider.label} is not configured.\n\n` +
+          `Try one of the popular prompts, or ${provider.missingConfigHint} to enable AI answers.`,
+      messages
+    );
+    if (!allowed) {
+      setLoading(false);
+      return null;
+    }
+
+    try {
+      const result = await streamCompletion(messages, setAnswer);
+      if (!result) {
+        return null;
+      }
+      if (result.complete) {
+        setCachedAnswer(cacheKey, result.text);
       }
+      return { text: result.text, source: 'model', model: modelKey, stopped: Boolean(result.stopped) };
+    } catch (err) {
+      reportApiError(err);
       return null;
     } finally {
       setLoading(false);
     }
   };
 
-  const generateQuiz = async (topic, solutionText) => {
+  // Continues the conversation about `question`: the original answer and every earlier
+  // follow-up ({ question, answer }) are sent as history before the new question.
+  const generateFollowUp = async (question, answerText, turns, followUpQuestion, difficulty, language = 'python') => {
+    setError('');
+    setFollowUpAnswer('');
+
+    const messages = [
+      buildQuestionMessage(question, difficulty, language),
+      { role: 'assistant', content: answerText },
+      ...turns.flatMap((turn) => [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: turn.answer }
+      ]),
+      { role: 'user', content: followUpQuestion }
+    ];
+    const allowed = canCallApi(
+      `Follow-up questions need an AI provider, and ${provider.label} is not configured.\n\n` +
+      `To enable them, ${provider.missingConfigHint}.`,
+      messages
+    );
+    if (!allowed) {
+      return null;
+    }
+
+    setFollowUpLoading(true);
+    try {
+      const result = await streamCompletion(messages, setFollowUpAnswer);
+      return result ? result.text : null;
+    } catch (err) {
+      reportApiError(err);
+      return null;
+    } finally {
+      setFollowUpLoading(false);
+      setFollowUpAnswer('');
+    }
+  };
+
+  const generateQuiz = async (topic, solutionText, difficulty, language = 'python') => {
     // Try offline quiz first
-    const offline = findOfflineAnswer(topic);
-    if (offline?.quiz) {
+    const offline = findOfflineAnswer(topic, 'python', offlineEntries);
+    if (offline?.quiz?.length > 0) {
       return offline.quiz;
     }
 
-    if (NO_API_KEY) {
-      setError('No offline quiz available for this topic and no API key is configured.');
+    if (!provider.isConfigured()) {
+      setError(`No offline quiz available for this topic and ${provider.label} is not configured.`);
+      return null;
+    }
+    const variables = buildPromptVariables({
+      templates,
+      difficulty,
+      language,
+      topic,
+      userLevel,
+      solution: solutionText.substring(0, 1500)
+    });
+    const messages = [{ role: 'user', content: renderPromptTemplate(templates.modes.quiz, variables) }];
+    if (!confirmBudget(messages)) {
       return null;
     }
 
@@ -173,42 +428,23 @@ Format your answer:
     setError('');
 
     try {
-      const prompt = `Based on the following DSA solution for "${topic}", generate 3 multiple-choice questions to test the user's understanding of the time/space complexity and core logic.
-
-Solution Content:
-${solutionText.substring(0, 1500)}
-
-Return only a valid JSON array of objects with this structure:
-[
-  {
-    "question": "The question text",
-    "options": ["Option A", "Option B", "Option C", "Option D"],
-    "correctAnswer": 0,
-    "explanation": "Brief explanation of why this is correct"
-  }
-]`;
-
-      const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          response_mime_type: 'application/json'
-        }
-      };
-
-      const nonStreamingUrl = GEMINI_API_URL.replace('streamGenerateContent', 'generateContent');
-      const response = await fetch(`${nonStreamingUrl}?key=${encodeURIComponent(GEMINI_API_KEY)}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
+      const { url, init } = provider.buildRequest({
+        messages,
+        model,
+        stream: false,
+        json: true,
+        generation
       });
+      const response = await fetch(url, init);
 
       if (!response.ok) {
         throw new Error('Failed to generate quiz.');
       }
 
       const data = await response.json();
-      const quizJson = data.candidates?.[0]?.content?.parts?.[0]?.text;
-      return JSON.parse(quizJson);
+      const text = provider.parseResponse(data);
+      reportUsage(messages, text, provider.parseUsage(data));
+      return extractJsonArray(text);
     } catch (err) {
       console.error('Quiz Error:', err);
       setError('Failed to generate quiz. Please try again.');
@@ -218,5 +454,17 @@ Return only a valid JSON array of objects with this structure:
     }
   };
 
-  return { generateAnswer, generateQuiz, answer, setAnswer, loading, error, setError };
+  return {
+    generateAnswer,
+    generateFollowUp,
+    generateQuiz,
+    stopGeneration,
+    answer,
+    setAnswer,
+    followUpAnswer,
+    loading,
+    followUpLoading,
+    error,
+    setError
+  };
 }
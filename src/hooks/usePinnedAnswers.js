@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { loadPinnedAnswers, removePinnedAnswer, savePinnedAnswer } from '../utils/pinnedAnswers';
+
+// Pinned answers, most recently edited first. `savePin` creates a pin when `id` is
+// missing and updates it otherwise; both actions reject when storage fails.
+export function usePinnedAnswers() {
+  const [pins, setPins] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPinnedAnswers()
+      .then((stored) => {
+        if (!cancelled) setPins(stored);
+      })
+      .catch((error) => console.warn('Could not load pinned answers:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const savePin = async (pin) => {
+    const now = Date.now();
+    const stored = { ...pin, id: pin.id || `pin-${now}`, createdAt: pin.createdAt || now, updatedAt: now };
+    await savePinnedAnswer(stored);
+    setPins((previous) => [stored, ...previous.filter((existing) => existing.id !== stored.id)]);
+    return stored;
+  };
+
+  const removePin = async (id) => {
+    await removePinnedAnswer(id);
+    setPins((previous) => previous.filter((pin) => pin.id !== id));
+  };
+
+  return { pins, savePin, removePin };
+}
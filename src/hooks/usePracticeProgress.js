@@ -0,0 +1,39 @@
+import { STORAGE_KEYS } from '../utils/constants';
+import { VERDICTS } from '../utils/judge';
+import { useLocalStorage } from './useLocalStorage';
+
+// Per-problem practice records: { status: 'attempted' | 'solved', submissions, solvedAt,
+// lastVerdict, drafts: { [language]: code } }. Drafts are saved whenever code is judged.
+export function usePracticeProgress() {
+  const [records, setRecords] = useLocalStorage(STORAGE_KEYS.PRACTICE_PROGRESS, {});
+
+  const saveDraft = (problemId, language, code) => {
+    setRecords((previous) => {
+      const record = previous[problemId] || { status: 'attempted', submissions: 0, drafts: {} };
+      return { ...previous, [problemId]: { ...record, drafts: { ...record.drafts, [language]: code } } };
+    });
+  };
+
+  // Records a Submit and returns true when it is the first accepted one for the problem.
+  const recordSubmission = (problemId, language, code, verdict) => {
+    const accepted = verdict === VERDICTS.accepted;
+    const firstSolve = accepted && records[problemId]?.status !== 'solved';
+    setRecords((previous) => {
+      const record = previous[problemId] || { status: 'attempted', submissions: 0, drafts: {} };
+      return {
+        ...previous,
+        [problemId]: {
+          ...record,
+          status: accepted || record.status === 'solved' ? 'solved' : 'attempted',
+          submissions: record.submissions + 1,
+          solvedAt: record.solvedAt || (accepted ? Date.now() : null),
+          lastVerdict: verdict,
+          drafts: { ...record.drafts, [language]: code }
+        }
+      };
+    });
+    return firstSolve;
+  };
+
+  return { records, saveDraft, recordSubmission };
+}
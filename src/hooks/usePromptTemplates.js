@@ -0,0 +1,56 @@
+import { STORAGE_KEYS } from '../utils/constants';
+import { DEFAULT_PROMPT_TEMPLATES } from '../utils/promptTemplates';
+import { useLocalStorage } from './useLocalStorage';
+
+const MAX_VERSIONS = 20;
+const BUILT_IN_VERSION_ID = 0;
+
+const INITIAL_STORE = {
+  activeVersionId: BUILT_IN_VERSION_ID,
+  versions: [{ id: BUILT_IN_VERSION_ID, createdAt: null, note: 'Built-in defaults', templates: DEFAULT_PROMPT_TEMPLATES }]
+};
+
+// Every save creates a new version instead of overwriting, so instructors can roll back.
+export function usePromptTemplates() {
+  const [store, setStore] = useLocalStorage(STORAGE_KEYS.PROMPT_TEMPLATES, INITIAL_STORE);
+
+  // The built-in version always reads the current defaults, so prompt updates reach
+  // learners who never edited their templates. Stores trimmed before the built-in version
+  // was kept get it back here.
+  const versions = [
+    INITIAL_STORE.versions[0],
+    ...store.versions.filter((version) => version.id !== BUILT_IN_VERSION_ID)
+  ];
+  const activeVersion = versions.find((version) => version.id === store.activeVersionId)
+    || versions[versions.length - 1];
+
+  const saveVersion = (templates, note) => {
+    const id = Date.now();
+    // Only saved versions are trimmed; the built-in one stays first so it can always be restored.
+    setStore((previous) => {
+      const saved = previous.versions.filter((version) => version.id !== BUILT_IN_VERSION_ID);
+      return {
+        activeVersionId: id,
+        versions: [
+          INITIAL_STORE.versions[0],
+          ...[
+            ...saved,
+            { id, createdAt: new Date().toLocaleString(), note: note || 'Untitled change', templates }
+          ].slice(-(MAX_VERSIONS - 1))
+        ]
+      };
+    });
+  };
+
+  const activateVersion = (id) => {
+    setStore((previous) => ({ ...previous, activeVersionId: id }));
+  };
+
+  return {
+    templates: activeVersion.templates,
+    activeVersionId: activeVersion.id,
+    versions,
+    saveVersion,
+    activateVersion
+  };
+}
@@ -0,0 +1,19 @@
+import { STORAGE_KEYS } from '../utils/constants';
+import { addQuizAttempts } from '../utils/quizStats';
+import { useLocalStorage } from './useLocalStorage';
+
+// Per-question quiz attempts (see quizStats.js), kept in local storage.
+export function useQuizHistory() {
+  const [attempts, setAttempts] = useLocalStorage(STORAGE_KEYS.QUIZ_ATTEMPTS, []);
+
+  // `session` is { topics, questions, answers, timesMs, source }, one topic per question.
+  const recordAttempts = (session) => {
+    setAttempts((previous) => addQuizAttempts(previous, session));
+  };
+
+  const clearAttempts = () => {
+    setAttempts([]);
+  };
+
+  return { attempts, recordAttempts, clearAttempts };
+}
@@ -0,0 +1,33 @@
+import { STORAGE_KEYS } from '../utils/constants';
+import {
+  addQuizResults, addStudiedTopic, getDueItems, getNextDueDay, gradeQueueItem, toDay
+} from '../utils/reviewQueue';
+import { useLocalStorage } from './useLocalStorage';
+
+// The spaced repetition queue (see reviewQueue.js), kept in local storage. `dueItems` and
+// `nextDueDay` are worked out against today's date on every render.
+export function useReviewQueue() {
+  const [queue, setQueue] = useLocalStorage(STORAGE_KEYS.REVIEW_QUEUE, {});
+  const today = toDay();
+
+  const recordQuiz = (topic, questions, answers) => {
+    setQueue((previous) => addQuizResults(previous, topic, questions, answers));
+  };
+
+  const recordStudiedTopic = (topic) => {
+    setQueue((previous) => addStudiedTopic(previous, topic));
+  };
+
+  const gradeReview = (id, quality) => {
+    setQueue((previous) => gradeQueueItem(previous, id, quality));
+  };
+
+  return {
+    queueSize: Object.keys(queue).length,
+    dueItems: getDueItems(queue, today),
+    nextDueDay: getNextDueDay(queue, today),
+    recordQuiz,
+    recordStudiedTopic,
+    gradeReview
+  };
+}
@@ -0,0 +1,31 @@
+import { STORAGE_KEYS } from '../utils/constants';
+import { addUsageEntry, getPeriodSummary, isOverBudget } from '../utils/usageStats';
+import { useLocalStorage } from './useLocalStorage';
+
+// A limit of 0 turns the budget warning off.
+const DEFAULT_BUDGET = { limit: 0, period: 'month' };
+
+export function useUsageLog() {
+  const [log, setLog] = useLocalStorage(STORAGE_KEYS.USAGE_LOG, {});
+  const [budget, setBudget] = useLocalStorage(STORAGE_KEYS.USAGE_BUDGET, DEFAULT_BUDGET);
+
+  // `entry` is { model, inputTokens, outputTokens, estimated }.
+  const recordUsage = (entry) => {
+    setLog((previous) => addUsageEntry(previous, entry));
+  };
+
+  const clearUsage = () => {
+    setLog({});
+  };
+
+  const spent = getPeriodSummary(log, budget.period).cost;
+
+  // The budget is soft: reaching it only asks for confirmation before each request.
+  const budgetStatus = {
+    ...budget,
+    spent,
+    exceeded: isOverBudget({ limit: budget.limit, spent })
+  };
+
+  return { log, budget, setBudget, budgetStatus, recordUsage, clearUsage };
+}
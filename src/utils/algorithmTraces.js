@@ -0,0 +1,369 @@
+// Step-by-step traces for the algorithm visualizer. Each visualizer parses its text inputs
+// and returns { meta, steps }: `meta` holds what stays fixed (the sorted array, the tree
+// layout, the grid) and every step is a snapshot with a `note` explaining it. Offline
+// library entries link here through their `visualizer` id.
+
+const MAX_STEPS = 400;
+const MAX_ARRAY_LENGTH = 20;
+const MAX_TREE_NODES = 31;
+const MAX_GRID_SIZE = 12;
+
+const parseNumbers = (text, label) => {
+  const values = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (values.length === 0 || values.some((value) => !Number.isInteger(value))) {
+    throw new Error(`${label} must be whole numbers separated by commas.`);
+  }
+  if (values.length > MAX_ARRAY_LENGTH) {
+    throw new Error(`${label} can have at most ${MAX_ARRAY_LENGTH} numbers.`);
+  }
+  return values;
+};
+
+const parseInteger = (text, label) => {
+  const value = Number(text.trim());
+  if (!text.trim() || !Number.isInteger(value)) {
+    throw new Error(`${label} must be a whole number.`);
+  }
+  return value;
+};
+
+function traceTwoSum({ nums, target }) {
+  const array = parseNumbers(nums, 'nums');
+  const goal = parseInteger(target, 'target');
+  const seen = new Map();
+  const steps = [];
+  const mapText = () => [...seen].map(([value, index]) => `${value}→${index}`).join(', ') || 'empty';
+
+  for (let i = 0; i < array.length; i++) {
+    const complement = goal - array[i];
+    if (seen.has(complement)) {
+      steps.push({
+        pointers: { i },
+        highlight: [seen.get(complement), i],
+        facts: [['seen', mapText()]],
+        note: `${complement} is in the map at index ${seen.get(complement)}, so the answer is [${seen.get(complement)}, ${i}].`
+      });
+      return { meta: { array }, steps };
+    }
+    steps.push({
+      pointers: { i },
+      highlight: [],
+      facts: [['seen', mapText()]],
+      note: `Need ${goal} - ${array[i]} = ${complement}. Not seen yet, so store ${array[i]}→${i}.`
+    });
+    seen.set(array[i], i);
+  }
+  steps.push({ pointers: {}, highlight: [], facts: [['seen', mapText()]], note: 'No pair adds up to the target.' });
+  return { meta: { array }, steps };
+}
+
+function traceThreeSum({ nums }) {
+  const array = parseNumbers(nums, 'nums').sort((a, b) => a - b);
+  const found = [];
+  const steps = [{ pointers: {}, highlight: [], facts: [['triplets', 'none yet']], note: `Sort first: [${array.join(', ')}].` }];
+  const foundText = () => found.map((triplet) => `[${triplet.join(', ')}]`).join(' ') || 'none yet';
+
+  for (let i = 0; i < array.length - 2 && steps.length < MAX_STEPS; i++) {
+    if (i > 0 && array[i] === array[i - 1]) {
+      steps.push({ pointers: { i }, highlight: [], facts: [['triplets', foundText()]], note: `Skip duplicate ${array[i]} at i.` });
+      continue;
+    }
+    let left = i + 1;
+    let right = array.length - 1;
+    while (left < right && steps.length < MAX_STEPS) {
+      const sum = array[i] + array[left] + array[right];
+      if (sum === 0) {
+        found.push([array[i], array[left], array[right]]);
+        steps.push({
+          pointers: { i, left, right },
+          highlight: [i, left, right],
+          facts: [['triplets', foundText()]],
+          note: `${array[i]} + ${array[left]} + ${array[right]} = 0. Record it and move both pointers past duplicates.`
+        });
+        while (left < right && array[left] === array[left + 1]) left++;
+        while (left < right && array[right] === array[right - 1]) right--;
+        left++;
+        right--;
+      } else {
+        steps.push({
+          pointers: { i, left, right },
+          highlight: [],
+          facts: [['triplets', foundText()]],
+          note: sum < 0
+            ? `Sum is ${sum}, too small: move left forward.`
+            : `Sum is ${sum}, too large: move right back.`
+        });
+        if (sum < 0) left++;
+        else right--;
+      }
+    }
+  }
+  steps.push({ pointers: {}, highlight: [], facts: [['triplets', foundText()]], note: `Done: ${found.length} triplet(s) found.` });
+  return { meta: { array }, steps };
+}
+
+function traceContainer({ height }) {
+  const array = parseNumbers(height, 'height');
+  if (array.some((value) => value < 0)) {
+    throw new Error('Heights cannot be negative.');
+  }
+  let left = 0;
+  let right = array.length - 1;
+  let best = 0;
+  const steps = [];
+  while (left < right) {
+    const area = Math.min(array[left], array[right]) * (right - left);
+    best = Math.max(best, area);
+    const moveLeft = array[left] < array[right];
+    steps.push({
+      pointers: { left, right },
+      highlight: [left, right],
+      facts: [['area', String(area)], ['best', String(best)]],
+      note: `min(${array[left]}, ${array[right]}) × ${right - left} = ${area}. Move the shorter side (${moveLeft ? 'left' : 'right'}).`
+    });
+    if (moveLeft) left++;
+    else right--;
+  }
+  steps.push({ pointers: {}, highlight: [], facts: [['best', String(best)]], note: `The pointers met. Most water: ${best}.` });
+  return { meta: { array, bars: true }, steps };
+}
+
+function traceValidParentheses({ s }) {
+  const chars = [...s.replace(/\s/g, '')];
+  if (chars.length === 0 || chars.length > 40 || chars.some((char) => !'()[]{}'.includes(char))) {
+    throw new Error('Enter 1-40 characters using only ()[]{}.');
+  }
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const stack = [];
+  const steps = [];
+  for (let index = 0; index < chars.length; index++) {
+    const char = chars[index];
+    if (!pairs[char]) {
+      stack.push(char);
+      steps.push({ index, stack: [...stack], status: 'ok', note: `Opening ${char}: push it.` });
+      continue;
+    }
+    const top = stack[stack.length - 1];
+    if (top !== pairs[char]) {
+      steps.push({
+        index,
+        stack: [...stack],
+        status: 'error',
+        note: top ? `${char} does not match the top ${top}: invalid.` : `${char} has nothing to close: invalid.`
+      });
+      return { meta: { chars }, steps };
+    }
+    stack.pop();
+    steps.push({ index, stack: [...stack], status: 'ok', note: `${char} closes the top ${top}: pop it.` });
+  }
+  steps.push({
+    index: null,
+    stack: [...stack],
+    status: stack.length === 0 ? 'done' : 'error',
+    note: stack.length === 0 ? 'The stack is empty: valid.' : `${stack.length} bracket(s) never closed: invalid.`
+  });
+  return { meta: { chars }, steps };
+}
+
+// Nodes are indexed by their position in the level-order input.
+function buildTree(text) {
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0 || tokens[0] === 'null') {
+    throw new Error('Enter the tree in level order, for example 1, 2, 3, null, 4.');
+  }
+  const nodes = [];
+  const queue = [];
+  const makeNode = (token, depth) => {
+    if (token === undefined || token === 'null') return null;
+    if (!/^-?\d+$/.test(token)) throw new Error(`"${token}" is not a number or null.`);
+    const node = { id: nodes.length, value: Number(token), depth, left: null, right: null };
+    nodes.push(node);
+    queue.push(node);
+    return node;
+  };
+  makeNode(tokens[0], 0);
+  let index = 1;
+  for (let i = 0; i < queue.length && index < tokens.length; i++) {
+    const parent = queue[i];
+    parent.left = makeNode(tokens[index++], parent.depth + 1)?.id ?? null;
+    parent.right = makeNode(tokens[index++], parent.depth + 1)?.id ?? null;
+  }
+  if (nodes.length > MAX_TREE_NODES) {
+    throw new Error(`Trees can have at most ${MAX_TREE_NODES} nodes.`);
+  }
+  // x follows in-order position, y follows depth.
+  let column = 0;
+  const place = (id) => {
+    if (id === null) return;
+    place(nodes[id].left);
+    nodes[id].x = column++;
+    place(nodes[id].right);
+  };
+  place(0);
+  return nodes;
+}
+
+const TRAVERSAL_NOTES = {
+  preorder: 'Pre-order: node, then left subtree, then right subtree.',
+  inorder: 'In-order: left subtree, then node, then right subtree.',
+  postorder: 'Post-order: left subtree, then right subtree, then node.',
+  levelorder: 'Level order: a queue visits the tree one level at a time.'
+};
+
+function traceTree({ tree, order }) {
+  if (!TRAVERSAL_NOTES[order]) {
+    throw new Error('Pick preorder, inorder, postorder or levelorder.');
+  }
+  const nodes = buildTree(tree);
+  const visited = [];
+  const steps = [{ visited: [], current: null, frontier: [0], note: TRAVERSAL_NOTES[order] }];
+  const visit = (id, frontier = []) => {
+    visited.push(id);
+    steps.push({
+      visited: [...visited],
+      current: id,
+      frontier,
+      note: `Visit ${nodes[id].value}. Order so far: ${visited.map((nodeId) => nodes[nodeId].value).join(', ')}.`
+    });
+  };
+  const walk = (id) => {
+    if (id === null) return;
+    const { left, right } = nodes[id];
+    if (order === 'preorder') visit(id);
+    walk(left);
+    if (order === 'inorder') visit(id);
+    walk(right);
+    if (order === 'postorder') visit(id);
+  };
+
+  if (order === 'levelorder') {
+    const queue = [0];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      [nodes[id].left, nodes[id].right].forEach((child) => child !== null && queue.push(child));
+      visit(id, [...queue]);
+    }
+  } else {
+    walk(0);
+  }
+  steps.push({ visited: [...visited], current: null, frontier: [], note: `Done: ${visited.map((id) => nodes[id].value).join(', ')}.` });
+  return { meta: { nodes }, steps };
+}
+
+function parseGrid(text) {
+  const rows = text.split('\n').map((row) => row.trim()).filter(Boolean);
+  if (rows.length === 0 || rows.length > MAX_GRID_SIZE || rows.some((row) => row.length !== rows[0].length)) {
+    throw new Error(`Enter 1-${MAX_GRID_SIZE} rows of equal length.`);
+  }
+  if (rows[0].length > MAX_GRID_SIZE || rows.some((row) => /[^.#SE]/.test(row))) {
+    throw new Error(`Rows can have at most ${MAX_GRID_SIZE} cells, using . (open), # (wall), S (start) and E (end).`);
+  }
+  const grid = rows.map((row) => [...row]);
+  const startRow = grid.findIndex((row) => row.includes('S'));
+  if (startRow === -1) {
+    throw new Error('Mark the start cell with S.');
+  }
+  return { grid, start: [startRow, grid[startRow].indexOf('S')] };
+}
+
+const DIRECTIONS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+
+// BFS takes from the front of the frontier (a queue), DFS from the back (a stack).
+function traceGrid({ grid: text }, mode) {
+  const { grid, start } = parseGrid(text);
+  const key = ([row, col]) => `${row},${col}`;
+  const seen = new Set([key(start)]);
+  const frontier = [start];
+  const visited = [];
+  const steps = [{
+    visited: [],
+    frontier: frontier.map(key),
+    current: null,
+    note: mode === 'bfs'
+      ? 'BFS keeps a queue: cells are explored in order of distance from S.'
+      : 'DFS keeps a stack: it follows one path as deep as it can before backtracking.'
+  }];
+
+  while (frontier.length > 0 && steps.length < MAX_STEPS) {
+    const cell = mode === 'bfs' ? frontier.shift() : frontier.pop();
+    visited.push(key(cell));
+    const [row, col] = cell;
+    if (grid[row][col] === 'E') {
+      steps.push({ visited: [...visited], frontier: frontier.map(key), current: key(cell), note: `Reached E at (${row}, ${col}).` });
+      return { meta: { grid }, steps };
+    }
+    const added = [];
+    DIRECTIONS.forEach(([dRow, dCol]) => {
+      const next = [row + dRow, col + dCol];
+      const inside = next[0] >= 0 && next[0] < grid.length && next[1] >= 0 && next[1] < grid[0].length;
+      if (inside && grid[next[0]][next[1]] !== '#' && !seen.has(key(next))) {
+        seen.add(key(next));
+        frontier.push(next);
+        added.push(`(${next[0]}, ${next[1]})`);
+      }
+    });
+    steps.push({
+      visited: [...visited],
+      frontier: frontier.map(key),
+      current: key(cell),
+      note: `Explore (${row}, ${col}). ${added.length > 0 ? `Add ${added.join(', ')}.` : 'No new neighbours.'}`
+    });
+  }
+  steps.push({ visited: [...visited], frontier: [], current: null, note: `Done: ${visited.length} cell(s) reached.` });
+  return { meta: { grid }, steps };
+}
+
+export const VISUALIZERS = {
+  'two-sum': {
+    title: 'Two Sum (hash map scan)',
+    kind: 'array',
+    inputs: [
+      { name: 'nums', label: 'nums', initial: '2, 7, 11, 15' },
+      { name: 'target', label: 'target', initial: '9' }
+    ],
+    trace: traceTwoSum
+  },
+  'three-sum': {
+    title: '3Sum (sort + two pointers)',
+    kind: 'array',
+    inputs: [{ name: 'nums', label: 'nums', initial: '-1, 0, 1, 2, -1, -4' }],
+    trace: traceThreeSum
+  },
+  'container-with-most-water': {
+    title: 'Container With Most Water',
+    kind: 'array',
+    inputs: [{ name: 'height', label: 'height', initial: '1, 8, 6, 2, 5, 4, 8, 3, 7' }],
+    trace: traceContainer
+  },
+  'valid-parentheses': {
+    title: 'Valid Parentheses (stack)',
+    kind: 'stack',
+    inputs: [{ name: 's', label: 's', initial: '({[]})[' }],
+    trace: traceValidParentheses
+  },
+  'tree-traversal': {
+    title: 'Binary tree traversal',
+    kind: 'tree',
+    inputs: [
+      { name: 'tree', label: 'tree (level order)', initial: '1, 2, 3, 4, 5, null, 6' },
+      { name: 'order', label: 'order', initial: 'inorder', options: ['preorder', 'inorder', 'postorder', 'levelorder'] }
+    ],
+    trace: traceTree
+  },
+  'grid-bfs': {
+    title: 'BFS on a grid',
+    kind: 'grid',
+    inputs: [{ name: 'grid', label: 'grid', initial: 'S..#....\n.#.#.##.\n.#...#..\n.####.#.\n......#E', multiline: true }],
+    trace: (input) => traceGrid(input, 'bfs')
+  },
+  'grid-dfs': {
+    title: 'DFS on a grid',
+    kind: 'grid',
+    inputs: [{ name: 'grid', label: 'grid', initial: 'S..#....\n.#.#.##.\n.#...#..\n.####.#.\n......#E', multiline: true }],
+    trace: (input) => traceGrid(input, 'dfs')
+  }
+};
+
+export const initialInputs = (visualizer) => Object.fromEntries(
+  visualizer.inputs.map((input) => [input.name, input.initial])
+);
@@ -0,0 +1,81 @@
+import localforage from 'localforage';
+import { ANSWER_CACHE_MAX_ENTRIES, ANSWER_CACHE_TTL_MS } from './constants';
+
+// Persistent cache of model answers in IndexedDB. Entries expire after
+// ANSWER_CACHE_TTL_MS and the least recently used ones are evicted once there are more
+// than ANSWER_CACHE_MAX_ENTRIES. Storage failures are logged and treated as a miss, so
+// the cache can never stop an answer from being generated.
+
+const store = localforage.createInstance({ name: 'dsa-helper', storeName: 'answerCache' });
+
+// "Two Sum problem?" and "  two sum   problem" should hit the same entry.
+const normalizeQuestion = (question) =>
+  question.toLowerCase().replace(/\s+/g, ' ').replace(/[?.!\s]+$/, '').trim();
+
+// FNV-1a, enough to tell prompt texts apart in a key.
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Answers from an older prompt template version are not reused after the template changes.
+// The text is hashed as well: the built-in version keeps id 0 when its defaults change.
+function buildCacheKey({ question, difficulty, language, model, promptVersion = 0, promptText = '' }) {
+  return [
+    model,
+    `prompt-${promptVersion}-${hashText(promptText)}`,
+    difficulty,
+    language,
+    normalizeQuestion(question)
+  ].join('|');
+}
+
+async function evictEntries(now) {
+  const entries = [];
+  await store.iterate((entry, key) => {
+    entries.push({ key, lastAccessed: entry?.lastAccessed || 0, expired: !entry || now - entry.createdAt > ANSWER_CACHE_TTL_MS });
+  });
+
+  const expired = entries.filter((entry) => entry.expired);
+  const live = entries
+    .filter((entry) => !entry.expired)
+    .sort((a, b) => b.lastAccessed - a.lastAccessed);
+  const overflow = live.slice(ANSWER_CACHE_MAX_ENTRIES);
+
+  await Promise.all([...expired, ...overflow].map((entry) => store.removeItem(entry.key)));
+}
+
+export async function getCachedAnswer(keyParts) {
+  const key = buildCacheKey(keyParts);
+  try {
+    const entry = await store.getItem(key);
+    if (!entry) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (now - entry.createdAt > ANSWER_CACHE_TTL_MS) {
+      await store.removeItem(key);
+      return null;
+    }
+
+    await store.setItem(key, { ...entry, lastAccessed: now });
+    return entry.answer;
+  } catch (error) {
+    console.warn('Answer cache read failed:', error);
+    return null;
+  }
+}
+
+export async function setCachedAnswer(keyParts, answer) {
+  const now = Date.now();
+  try {
+    await store.setItem(buildCacheKey(keyParts), { answer, createdAt: now, lastAccessed: now });
+    await evictEntries(now);
+  } catch (error) {
+    console.warn('Answer cache write failed:', error);
+  }
+}
@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ANSWER_CACHE_MAX_ENTRIES, ANSWER_CACHE_TTL_MS } from './constants';
+import { getCachedAnswer, setCachedAnswer } from './answerCache';
+
+// localforage needs IndexedDB; an in-memory store with the same async API stands in for it.
+// Setting `storage.failing` makes every call reject, like a full or blocked database.
+const { records, storage } = vi.hoisted(() => ({ records: new Map(), storage: { failing: false } }));
+
+vi.mock('localforage', () => {
+  const call = (operation) => async (...args) => {
+    if (storage.failing) throw new Error('QuotaExceededError');
+    return operation(...args);
+  };
+  return {
+    default: {
+      createInstance: () => ({
+        getItem: call((key) => (records.has(key) ? structuredClone(records.get(key)) : null)),
+        setItem: call((key, value) => {
+          records.set(key, structuredClone(value));
+          return value;
+        }),
+        removeItem: call((key) => {
+          records.delete(key);
+        }),
+        iterate: call((callback) => {
+          [...records].forEach(([key, value]) => callback(structuredClone(value), key));
+        })
+      })
+    }
+  };
+});
+
+const KEY = {
+  question: 'Two Sum?',
+  difficulty: 'beginner',
+  language: 'python',
+  model: 'gemini:gemini-2.5-flash',
+  promptVersion: 0,
+  promptText: 'Explain {question}.'
+};
+
+beforeEach(() => {
+  records.clear();
+  storage.failing = false;
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date(2024, 2, 1));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('cache keys', () => {
+  it('matches questions that differ only in case, spacing and trailing punctuation', async () => {
+    await setCachedAnswer(KEY, 'answer');
+    expect(await getCachedAnswer({ ...KEY, question: '  two   SUM!! ' })).toBe('answer');
+  });
+
+  it.each([
+    ['model', { model: 'openai:gpt-4o-mini' }],
+    ['prompt version', { promptVersion: 1 }],
+    ['prompt text (template hash)', { promptText: 'Explain {question} briefly.' }],
+    ['difficulty', { difficulty: 'advanced' }],
+    ['language', { language: 'java' }],
+    ['question', { question: 'Three Sum' }]
+  ])('misses when the %s changes', async (_, change) => {
+    await setCachedAnswer(KEY, 'answer');
+    expect(await getCachedAnswer({ ...KEY, ...change })).toBeNull();
+  });
+});
+
+describe('expiry', () => {
+  it('serves an answer until the TTL has passed, then removes it', async () => {
+    await setCachedAnswer(KEY, 'answer');
+    vi.advanceTimersByTime(ANSWER_CACHE_TTL_MS);
+    expect(await getCachedAnswer(KEY)).toBe('answer');
+
+    vi.advanceTimersByTime(1);
+    expect(await getCachedAnswer(KEY)).toBeNull();
+    expect(records.size).toBe(0);
+  });
+
+  it('clears expired entries when a new answer is written', async () => {
+    await setCachedAnswer(KEY, 'old');
+    vi.advanceTimersByTime(ANSWER_CACHE_TTL_MS + 1);
+    await setCachedAnswer({ ...KEY, question: 'Three Sum' }, 'new');
+    expect(records.size).toBe(1);
+  });
+
+  it('does not extend the TTL on a hit', async () => {
+    await setCachedAnswer(KEY, 'answer');
+    vi.advanceTimersByTime(ANSWER_CACHE_TTL_MS - 1);
+    await getCachedAnswer(KEY);
+    vi.advanceTimersByTime(2);
+    expect(await getCachedAnswer(KEY)).toBeNull();
+  });
+});
+
+describe('eviction', () => {
+  const question = (idx) => ({ ...KEY, question: `question ${idx}` });
+
+  it('evicts the least recently used entry once the cache is full', async () => {
+    for (let idx = 0; idx < ANSWER_CACHE_MAX_ENTRIES; idx += 1) {
+      await setCachedAnswer(question(idx), `answer ${idx}`);
+      vi.advanceTimersByTime(1000);
+    }
+    // Reading the oldest entry makes the second oldest the least recently used.
+    expect(await getCachedAnswer(question(0))).toBe('answer 0');
+    vi.advanceTimersByTime(1000);
+
+    await setCachedAnswer(question('new'), 'answer new');
+    expect(records.size).toBe(ANSWER_CACHE_MAX_ENTRIES);
+    expect(await getCachedAnswer(question(1))).toBeNull();
+    expect(await getCachedAnswer(question(0))).toBe('answer 0');
+    expect(await getCachedAnswer(question('new'))).toBe('answer new');
+  });
+});
+
+describe('storage failures', () => {
+  it('treats a failed read as a miss and a failed write as a no-op', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await setCachedAnswer(KEY, 'answer');
+    storage.failing = true;
+    expect(await getCachedAnswer(KEY)).toBeNull();
+    await expect(setCachedAnswer(KEY, 'answer')).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+});
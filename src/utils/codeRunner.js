@@ -0,0 +1,217 @@
+import pyodideWasmUrl from 'pyodide/pyodide.asm.wasm?url';
+import pyodideLockUrl from 'pyodide/pyodide-lock.json?url';
+import pythonStdlibUrl from 'pyodide/python_stdlib.zip?url';
+import jsRunnerSource from '../workers/jsRunner.worker.js?raw';
+import pythonRunnerSource from '../workers/pythonRunner.worker.js?raw';
+
+// Runs answer code blocks off the main thread: JavaScript in a throwaway Web Worker,
+// Python in a Pyodide worker. Both run in the same sandbox. Output is streamed through
+// `onOutput` and capped, and a run that passes the time limit is stopped by terminating
+// its worker.
+
+export const RUN_TIME_LIMIT_MS = 5000;
+export const MAX_OUTPUT_CHARS = 20000;
+
+// Fence languages that can be run, mapped to the runtime that runs them.
+const RUNTIMES = { python: 'python', py: 'python', javascript: 'javascript', js: 'javascript' };
+
+export const getRuntime = (language) => RUNTIMES[language?.toLowerCase()] || null;
+
+// Snippets have no network. Their worker is started from a blob inside a sandboxed
+// iframe (an opaque origin, so no access to the app's storage), and a blob worker
+// inherits the iframe's Content Security Policy: connect-src falls back to 'none', which
+// blocks fetch, XHR, WebSocket and EventSource, and scripts can only come from blobs, so
+// import() and importScripts() cannot load anything from the network either. Pyodide
+// needs 'wasm-unsafe-eval' to compile its WebAssembly.
+const SANDBOX_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' 'wasm-unsafe-eval' blob:; worker-src blob:";
+
+const SANDBOX_HTML = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">
+<script>
+addEventListener('message', ({ data, ports: [port] }) => {
+  try {
+    const worker = new Worker(
+      URL.createObjectURL(new Blob([data.source], { type: 'text/javascript' })),
+      { type: data.module ? 'module' : 'classic' }
+    );
+    worker.onmessage = (event) => port.postMessage(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      port.postMessage({ type: 'error', text: event.message });
+    };
+    port.onmessage = (event) => worker.postMessage(event.data);
+  } catch (error) {
+    port.postMessage({ type: 'error', text: String(error) });
+  }
+}, { once: true });
+<\/script>`;
+
+// Looks like a Worker to runCode. Messages wait in the channel until the iframe has started
+// the worker, and terminating removes the iframe, which stops the worker with it.
+function createSandboxedWorker(source, { module = false } = {}) {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('sandbox', 'allow-scripts');
+  iframe.hidden = true;
+  iframe.srcdoc = SANDBOX_HTML;
+  const channel = new MessageChannel();
+
+  const sandbox = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (message) => channel.port1.postMessage(message),
+    terminate: () => {
+      channel.port1.close();
+      iframe.remove();
+    }
+  };
+  channel.port1.onmessage = ({ data }) => {
+    if (data.type === 'error') {
+      sandbox.onerror?.({ message: data.text, preventDefault: () => {} });
+    } else {
+      sandbox.onmessage?.({ data });
+    }
+  };
+  iframe.addEventListener('load', () => {
+    iframe.contentWindow.postMessage({ source, module }, '*', [channel.port2]);
+  }, { once: true });
+  document.body.appendChild(iframe);
+  return sandbox;
+}
+
+// The sandbox cannot fetch from the app, so the page loads the Pyodide files and hands
+// them to the Python worker, which serves them to Pyodide itself. The two modules are
+// imported as text, because the dev server would rewrite their imports if fetched, and only
+// when Python first runs.
+const PYODIDE_FILES = {
+  'pyodide.asm.wasm': pyodideWasmUrl,
+  'python_stdlib.zip': pythonStdlibUrl,
+  'pyodide-lock.json': pyodideLockUrl
+};
+
+const PYODIDE_MODULES = {
+  'pyodide.mjs': () => import('pyodide/pyodide.mjs?raw'),
+  'pyodide.asm.mjs': () => import('pyodide/pyodide.asm.mjs?raw')
+};
+
+const fetchPyodideFiles = async () => Object.fromEntries(await Promise.all([
+  ...Object.entries(PYODIDE_FILES).map(async ([name, url]) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load ${name} for Python (HTTP ${response.status}).`);
+    }
+    return [name, await response.arrayBuffer()];
+  }),
+  ...Object.entries(PYODIDE_MODULES).map(async ([name, load]) => [name, (await load()).default])
+]));
+
+function createPythonWorker() {
+  const worker = createSandboxedWorker(pythonRunnerSource, { module: true });
+  fetchPyodideFiles().then(
+    (pyodideFiles) => worker.postMessage({ pyodideFiles }),
+    (error) => worker.postMessage({ pyodideError: error.message })
+  );
+  return worker;
+}
+
+const createWorker = (runtime) => (runtime === 'python'
+  ? createPythonWorker()
+  : createSandboxedWorker(jsRunnerSource));
+
+// The Python worker is reused across runs, one run at a time.
+let pythonWorker = null;
+let pythonQueue = Promise.resolve();
+
+/**
+ * Starts a run and returns { result, stop }. `result` resolves with
+ * { status, durationMs } where status is 'finished', 'timeout', 'stopped' or 'output-limit'.
+ * `onOutput({ stream, text })` receives stdout/stderr chunks and `onStatus(text)` loading notes.
+ */
+export function runCode({ language, code, input = '', timeLimitMs = RUN_TIME_LIMIT_MS, onOutput, onStatus }) {
+  const runtime = getRuntime(language);
+  if (!runtime) {
+    throw new Error(`Running ${language} code is not supported.`);
+  }
+
+  let finish = () => {};
+  const result = new Promise((resolve) => {
+    finish = resolve;
+  });
+  let stopRequested = false;
+  let stopActive = () => {};
+
+  const execute = () => new Promise((done) => {
+    if (stopRequested) {
+      finish({ status: 'stopped', durationMs: 0 });
+      done();
+      return;
+    }
+
+    const reusable = runtime === 'python';
+    const worker = reusable ? (pythonWorker ||= createWorker('python')) : createWorker('javascript');
+    let startedAt = null;
+    let timer = null;
+    let outputChars = 0;
+    let settled = false;
+
+    const settle = (status, { kill = false } = {}) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.onmessage = null;
+      worker.onerror = null;
+      if (kill || !reusable) {
+        worker.terminate();
+        if (reusable) pythonWorker = null;
+      }
+      finish({ status, durationMs: startedAt ? Math.round(performance.now() - startedAt) : 0 });
+      done();
+    };
+
+    const start = () => {
+      startedAt = performance.now();
+      timer = setTimeout(() => settle('timeout', { kill: true }), timeLimitMs);
+    };
+
+    stopActive = () => settle('stopped', { kill: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'status') {
+        onStatus?.(data.text);
+      } else if (data.type === 'started') {
+        onStatus?.('');
+        start();
+      } else if (data.type === 'stdout' || data.type === 'stderr') {
+        outputChars += data.text.length;
+        if (outputChars > MAX_OUTPUT_CHARS) {
+          settle('output-limit', { kill: true });
+          return;
+        }
+        onOutput?.({ stream: data.type, text: data.text });
+      } else if (data.type === 'done') {
+        settle('finished');
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      onOutput?.({ stream: 'stderr', text: `${event.message || 'The runner failed to start.'}\n` });
+      settle('finished', { kill: true });
+    };
+
+    // The JavaScript worker starts running at once; Python reports 'started' after loading.
+    if (!reusable) start();
+    worker.postMessage({ code, input });
+  });
+
+  if (runtime === 'python') {
+    pythonQueue = pythonQueue.then(execute);
+  } else {
+    execute();
+  }
+
+  const stop = () => {
+    stopRequested = true;
+    stopActive();
+  };
+
+  return { result, stop };
+}
@@ -7,7 +7,17 @@
   USER_XP: 'userXp',
   STREAK: 'streak',
   BADGES: 'badges',
-  CURRICULUM_PROGRESS: 'curriculumProgress'
+  CURRICULUM_PROGRESS: 'curriculumProgress',
+  LLM_SETTINGS: 'llmSettings',
+  CLIENT_ID: 'clientId',
+  PROMPT_TEMPLATES: 'promptTemplates',
+  USAGE_LOG: 'usageLog',
+  USAGE_BUDGET: 'usageBudget',
+  PRACTICE_PROGRESS: 'practiceProgress',
+  ACTIVE_TRACK: 'activeTrack',
+  QUIZ_SCORES: 'quizScores',
+  REVIEW_QUEUE: 'reviewQueue',
+  QUIZ_ATTEMPTS: 'quizAttempts'
 };
 
 export const BADGES_MAP = [
@@ -19,9 +29,31 @@ export const BADGES_MAP = [
 ];
 
 export const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY || 'YOUR_API_KEY_HERE';
-export const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent';
+export const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+export const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY || '';
+export const OPENAI_BASE_URL = import.meta.env.VITE_OPENAI_BASE_URL || 'https://api.openai.com/v1';
+export const OPENAI_MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
+export const OLLAMA_BASE_URL = import.meta.env.VITE_OLLAMA_URL || 'http://localhost:11434';
+export const OLLAMA_MODEL = import.meta.env.VITE_OLLAMA_MODEL || 'llama3.1';
+// When set, every model call goes through the local proxy in server/ and no key is needed here.
+export const PROXY_URL = import.meta.env.VITE_PROXY_URL || '';
 export const API_REQUEST_TIMEOUT = 30000; // 30 seconds
+export const API_STREAM_IDLE_TIMEOUT = 20000; // 20 seconds without a chunk
+export const API_MAX_RETRIES = 3;
+export const API_RETRY_BASE_DELAY_MS = 1000; // doubles on every retry
+export const API_RETRY_MAX_DELAY_MS = 8000; // longest wait before a retry, even if Retry-After asks for more
 export const API_RATE_LIMIT_MS = 15000; // 15 seconds between requests
+export const ANSWER_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const ANSWER_CACHE_MAX_ENTRIES = 200;
+
+// Languages offered in the header. Offline answers carry code for every id except SQL.
+export const CODE_LANGUAGES = [
+  { id: 'python', label: 'Python' },
+  { id: 'java', label: 'Java' },
+  { id: 'cpp', label: 'C++' },
+  { id: 'javascript', label: 'JavaScript' },
+  { id: 'sql', label: 'SQL' }
+];
 
 // Organized by difficulty and category for better UX
 export const SAMPLE_QUESTIONS_CATEGORIZED = {
@@ -34,18 +66,223 @@ export const SAMPLE_QUESTIONS_CATEGORIZED = {
   ]
 };
 
+// The Blind 75 list by topic. Each problem has a LeetCode slug, a difficulty id from
+// TOPIC_DIFFICULTIES and pattern tags; progress is tracked per slug (see utils/curriculum.js).
+// This is the default study track; the others are in utils/studyTracks.js.
 export const BLIND_75_TOPICS = [
-  { id: 'arrays_hashing', name: 'Arrays & Hashing', icon: 'AH', total: 9 },
-  { id: 'two_pointers', name: 'Two Pointers', icon: '2P', total: 5 },
-  { id: 'sliding_window', name: 'Sliding Window', icon: 'SW', total: 6 },
-  { id: 'stack', name: 'Stack', icon: 'ST', total: 7 },
-  { id: 'binary_search', name: 'Binary Search', icon: 'BS', total: 7 },
-  { id: 'linked_list', name: 'Linked List', icon: 'LL', total: 11 },
-  { id: 'trees', name: 'Trees', icon: 'TR', total: 15 },
-  { id: 'tries', name: 'Tries', icon: 'TY', total: 3 },
-  { id: 'heap', name: 'Heap / Priority Queue', icon: 'HP', total: 7 },
-  { id: 'backtracking', name: 'Backtracking', icon: 'BT', total: 9 },
-  { id: 'graphs', name: 'Graphs', icon: 'GR', total: 13 },
-  { id: 'dp', name: '1D DP', icon: 'DP', total: 12 },
+  {
+    id: 'arrays_hashing',
+    name: 'Arrays & Hashing',
+    icon: 'AH',
+    problems: [
+      { title: 'Contains Duplicate', slug: 'contains-duplicate', difficulty: 'easy', tags: ['hash-set'] },
+      { title: 'Valid Anagram', slug: 'valid-anagram', difficulty: 'easy', tags: ['hash-map', 'string'] },
+      { title: 'Two Sum', slug: 'two-sum', difficulty: 'easy', tags: ['hash-map'] },
+      { title: 'Group Anagrams', slug: 'group-anagrams', difficulty: 'medium', tags: ['hash-map', 'string'] },
+      { title: 'Top K Frequent Elements', slug: 'top-k-frequent-elements', difficulty: 'medium', tags: ['hash-map', 'bucket-sort'] },
+      { title: 'Encode and Decode Strings', slug: 'encode-and-decode-strings', difficulty: 'medium', tags: ['string', 'design'] },
+      { title: 'Product of Array Except Self', slug: 'product-of-array-except-self', difficulty: 'medium', tags: ['prefix-product'] },
+      { title: 'Longest Consecutive Sequence', slug: 'longest-consecutive-sequence', difficulty: 'medium', tags: ['hash-set'] },
+    ],
+  },
+  {
+    id: 'two_pointers',
+    name: 'Two Pointers',
+    icon: '2P',
+    problems: [
+      { title: 'Valid Palindrome', slug: 'valid-palindrome', difficulty: 'easy', tags: ['two-pointers', 'string'] },
+      { title: '3Sum', slug: '3sum', difficulty: 'medium', tags: ['two-pointers', 'sorting'] },
+      { title: 'Container With Most Water', slug: 'container-with-most-water', difficulty: 'medium', tags: ['two-pointers', 'greedy'] },
+    ],
+  },
+  {
+    id: 'sliding_window',
+    name: 'Sliding Window',
+    icon: 'SW',
+    problems: [
+      { title: 'Best Time to Buy and Sell Stock', slug: 'best-time-to-buy-and-sell-stock', difficulty: 'easy', tags: ['sliding-window'] },
+      { title: 'Longest Substring Without Repeating Characters', slug: 'longest-substring-without-repeating-characters', difficulty: 'medium', tags: ['sliding-window', 'hash-set'] },
+      { title: 'Longest Repeating Character Replacement', slug: 'longest-repeating-character-replacement', difficulty: 'medium', tags: ['sliding-window', 'hash-map'] },
+      { title: 'Minimum Window Substring', slug: 'minimum-window-substring', difficulty: 'hard', tags: ['sliding-window', 'hash-map'] },
+    ],
+  },
+  {
+    id: 'stack',
+    name: 'Stack',
+    icon: 'ST',
+    problems: [
+      { title: 'Valid Parentheses', slug: 'valid-parentheses', difficulty: 'easy', tags: ['stack'] },
+    ],
+  },
+  {
+    id: 'binary_search',
+    name: 'Binary Search',
+    icon: 'BS',
+    problems: [
+      { title: 'Find Minimum in Rotated Sorted Array', slug: 'find-minimum-in-rotated-sorted-array', difficulty: 'medium', tags: ['binary-search'] },
+      { title: 'Search in Rotated Sorted Array', slug: 'search-in-rotated-sorted-array', difficulty: 'medium', tags: ['binary-search'] },
+    ],
+  },
+  {
+    id: 'linked_list',
+    name: 'Linked List',
+    icon: 'LL',
+    problems: [
+      { title: 'Reverse Linked List', slug: 'reverse-linked-list', difficulty: 'easy', tags: ['linked-list'] },
+      { title: 'Merge Two Sorted Lists', slug: 'merge-two-sorted-lists', difficulty: 'easy', tags: ['linked-list'] },
+      { title: 'Linked List Cycle', slug: 'linked-list-cycle', difficulty: 'easy', tags: ['linked-list', 'fast-slow-pointers'] },
+      { title: 'Reorder List', slug: 'reorder-list', difficulty: 'medium', tags: ['linked-list', 'fast-slow-pointers'] },
+      { title: 'Remove Nth Node From End of List', slug: 'remove-nth-node-from-end-of-list', difficulty: 'medium', tags: ['linked-list', 'two-pointers'] },
+      { title: 'Merge K Sorted Lists', slug: 'merge-k-sorted-lists', difficulty: 'hard', tags: ['linked-list', 'heap', 'divide-and-conquer'] },
+    ],
+  },
+  {
+    id: 'trees',
+    name: 'Trees',
+    icon: 'TR',
+    problems: [
+      { title: 'Invert Binary Tree', slug: 'invert-binary-tree', difficulty: 'easy', tags: ['dfs'] },
+      { title: 'Maximum Depth of Binary Tree', slug: 'maximum-depth-of-binary-tree', difficulty: 'easy', tags: ['dfs'] },
+      { title: 'Same Tree', slug: 'same-tree', difficulty: 'easy', tags: ['dfs'] },
+      { title: 'Subtree of Another Tree', slug: 'subtree-of-another-tree', difficulty: 'easy', tags: ['dfs'] },
+      { title: 'Lowest Common Ancestor of a Binary Search Tree', slug: 'lowest-common-ancestor-of-a-binary-search-tree', difficulty: 'medium', tags: ['bst'] },
+      { title: 'Binary Tree Level Order Traversal', slug: 'binary-tree-level-order-traversal', difficulty: 'medium', tags: ['bfs'] },
+      { title: 'Validate Binary Search Tree', slug: 'validate-binary-search-tree', difficulty: 'medium', tags: ['bst', 'dfs'] },
+      { title: 'Kth Smallest Element in a BST', slug: 'kth-smallest-element-in-a-bst', difficulty: 'medium', tags: ['bst', 'dfs'] },
+      { title: 'Construct Binary Tree from Preorder and Inorder Traversal', slug: 'construct-binary-tree-from-preorder-and-inorder-traversal', difficulty: 'medium', tags: ['dfs', 'hash-map'] },
+      { title: 'Binary Tree Maximum Path Sum', slug: 'binary-tree-maximum-path-sum', difficulty: 'hard', tags: ['dfs'] },
+      { title: 'Serialize and Deserialize Binary Tree', slug: 'serialize-and-deserialize-binary-tree', difficulty: 'hard', tags: ['bfs', 'design'] },
+    ],
+  },
+  {
+    id: 'tries',
+    name: 'Tries',
+    icon: 'TY',
+    problems: [
+      { title: 'Implement Trie (Prefix Tree)', slug: 'implement-trie-prefix-tree', difficulty: 'medium', tags: ['trie', 'design'] },
+      { title: 'Design Add and Search Words Data Structure', slug: 'design-add-and-search-words-data-structure', difficulty: 'medium', tags: ['trie', 'dfs'] },
+      { title: 'Word Search II', slug: 'word-search-ii', difficulty: 'hard', tags: ['trie', 'backtracking'] },
+    ],
+  },
+  {
+    id: 'heap',
+    name: 'Heap / Priority Queue',
+    icon: 'HP',
+    problems: [
+      { title: 'Find Median from Data Stream', slug: 'find-median-from-data-stream', difficulty: 'hard', tags: ['heap', 'design'] },
+    ],
+  },
+  {
+    id: 'backtracking',
+    name: 'Backtracking',
+    icon: 'BT',
+    problems: [
+      { title: 'Combination Sum', slug: 'combination-sum', difficulty: 'medium', tags: ['backtracking'] },
+      { title: 'Word Search', slug: 'word-search', difficulty: 'medium', tags: ['backtracking', 'matrix'] },
+    ],
+  },
+  {
+    id: 'graphs',
+    name: 'Graphs',
+    icon: 'GR',
+    problems: [
+      { title: 'Number of Islands', slug: 'number-of-islands', difficulty: 'medium', tags: ['dfs', 'bfs', 'matrix'] },
+      { title: 'Clone Graph', slug: 'clone-graph', difficulty: 'medium', tags: ['dfs', 'hash-map'] },
+      { title: 'Pacific Atlantic Water Flow', slug: 'pacific-atlantic-water-flow', difficulty: 'medium', tags: ['dfs', 'matrix'] },
+      { title: 'Course Schedule', slug: 'course-schedule', difficulty: 'medium', tags: ['topological-sort'] },
+      { title: 'Graph Valid Tree', slug: 'graph-valid-tree', difficulty: 'medium', tags: ['union-find', 'dfs'] },
+      { title: 'Number of Connected Components in an Undirected Graph', slug: 'number-of-connected-components-in-an-undirected-graph', difficulty: 'medium', tags: ['union-find', 'dfs'] },
+    ],
+  },
+  {
+    id: 'advanced_graphs',
+    name: 'Advanced Graphs',
+    icon: 'AG',
+    problems: [
+      { title: 'Alien Dictionary', slug: 'alien-dictionary', difficulty: 'hard', tags: ['topological-sort'] },
+    ],
+  },
+  {
+    id: 'dp',
+    name: '1D DP',
+    icon: 'DP',
+    problems: [
+      { title: 'Climbing Stairs', slug: 'climbing-stairs', difficulty: 'easy', tags: ['dp'] },
+      { title: 'House Robber', slug: 'house-robber', difficulty: 'medium', tags: ['dp'] },
+      { title: 'House Robber II', slug: 'house-robber-ii', difficulty: 'medium', tags: ['dp'] },
+      { title: 'Longest Palindromic Substring', slug: 'longest-palindromic-substring', difficulty: 'medium', tags: ['dp', 'two-pointers'] },
+      { title: 'Palindromic Substrings', slug: 'palindromic-substrings', difficulty: 'medium', tags: ['dp', 'two-pointers'] },
+      { title: 'Decode Ways', slug: 'decode-ways', difficulty: 'medium', tags: ['dp', 'string'] },
+      { title: 'Coin Change', slug: 'coin-change', difficulty: 'medium', tags: ['dp'] },
+      { title: 'Maximum Product Subarray', slug: 'maximum-product-subarray', difficulty: 'medium', tags: ['dp'] },
+      { title: 'Word Break', slug: 'word-break', difficulty: 'medium', tags: ['dp', 'hash-set'] },
+      { title: 'Longest Increasing Subsequence', slug: 'longest-increasing-subsequence', difficulty: 'medium', tags: ['dp', 'binary-search'] },
+    ],
+  },
+  {
+    id: 'dp_2d',
+    name: '2D DP',
+    icon: '2D',
+    problems: [
+      { title: 'Unique Paths', slug: 'unique-paths', difficulty: 'medium', tags: ['dp', 'matrix'] },
+      { title: 'Longest Common Subsequence', slug: 'longest-common-subsequence', difficulty: 'medium', tags: ['dp', 'string'] },
+    ],
+  },
+  {
+    id: 'greedy',
+    name: 'Greedy',
+    icon: 'GD',
+    problems: [
+      { title: 'Maximum Subarray', slug: 'maximum-subarray', difficulty: 'medium', tags: ['greedy', 'dp'] },
+      { title: 'Jump Game', slug: 'jump-game', difficulty: 'medium', tags: ['greedy'] },
+    ],
+  },
+  {
+    id: 'intervals',
+    name: 'Intervals',
+    icon: 'IN',
+    problems: [
+      { title: 'Insert Interval', slug: 'insert-interval', difficulty: 'medium', tags: ['intervals'] },
+      { title: 'Merge Intervals', slug: 'merge-intervals', difficulty: 'medium', tags: ['intervals', 'sorting'] },
+      { title: 'Non-overlapping Intervals', slug: 'non-overlapping-intervals', difficulty: 'medium', tags: ['intervals', 'greedy'] },
+      { title: 'Meeting Rooms', slug: 'meeting-rooms', difficulty: 'easy', tags: ['intervals', 'sorting'] },
+      { title: 'Meeting Rooms II', slug: 'meeting-rooms-ii', difficulty: 'medium', tags: ['intervals', 'heap'] },
+    ],
+  },
+  {
+    id: 'math_geometry',
+    name: 'Math & Geometry',
+    icon: 'MG',
+    problems: [
+      { title: 'Rotate Image', slug: 'rotate-image', difficulty: 'medium', tags: ['matrix'] },
+      { title: 'Spiral Matrix', slug: 'spiral-matrix', difficulty: 'medium', tags: ['matrix'] },
+      { title: 'Set Matrix Zeroes', slug: 'set-matrix-zeroes', difficulty: 'medium', tags: ['matrix'] },
+    ],
+  },
+  {
+    id: 'bit_manipulation',
+    name: 'Bit Manipulation',
+    icon: 'BM',
+    problems: [
+      { title: 'Number of 1 Bits', slug: 'number-of-1-bits', difficulty: 'easy', tags: ['bit-manipulation'] },
+      { title: 'Counting Bits', slug: 'counting-bits', difficulty: 'easy', tags: ['bit-manipulation', 'dp'] },
+      { title: 'Reverse Bits', slug: 'reverse-bits', difficulty: 'easy', tags: ['bit-manipulation'] },
+      { title: 'Missing Number', slug: 'missing-number', difficulty: 'easy', tags: ['bit-manipulation', 'math'] },
+      { title: 'Sum of Two Integers', slug: 'sum-of-two-integers', difficulty: 'medium', tags: ['bit-manipulation'] },
+    ],
+  },
+];
+
+// Groups of the library browser. Pattern ids match BLIND_75_TOPICS; topics without a
+// known pattern (pinned answers, packs that leave it out) are listed under "Other".
+export const LIBRARY_PATTERNS = [
+  ...BLIND_75_TOPICS.map(({ id, name }) => ({ id, name })),
+  { id: 'sorting', name: 'Sorting' },
+];
+
+export const TOPIC_DIFFICULTIES = [
+  { id: 'easy', label: 'Easy' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'hard', label: 'Hard' },
 ];
 
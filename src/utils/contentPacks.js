@@ -0,0 +1,426 @@
+import localforage from 'localforage';
+import { CODE_LANGUAGES, LIBRARY_PATTERNS, TOPIC_DIFFICULTIES } from './constants';
+import { OFFLINE_TOPICS, countPythonBlocks } from './offlineAnswers';
+import { QUIZ_CONCEPTS } from './quizStats';
+
+// Content packs add topics to the offline library, and study tracks to the curriculum card,
+// without editing source. A pack is a JSON file; docs/content-packs.md describes the format
+// and docs/example-pack.json is a complete example. Imported packs are kept in IndexedDB,
+// one record per pack id.
+
+export const PACK_FORMAT = 'dsa-helper-pack';
+export const PACK_FORMAT_VERSION = 1;
+export const PACK_MAX_BYTES = 2 * 1024 * 1024;
+
+const MAX_ENTRIES = 500;
+const MAX_TRACKS = 20;
+const MAX_TRACK_PROBLEMS = 500;
+const MAX_REPORTED_ERRORS = 50;
+// Per-field limits keep one oversized answer or quiz from filling the library and IndexedDB.
+const MAX_KEYWORDS = 20;
+const MAX_QUIZ_QUESTIONS = 50;
+const MAX_OPTIONS = 10;
+const MAX_TAGS = 20;
+const MAX_LENGTH = {
+  name: 120,
+  description: 1000,
+  keyword: 100,
+  answer: 50000,
+  code: 20000,
+  question: 2000,
+  option: 500,
+  tag: 50
+};
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const TOPIC_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,127}$/;
+
+const PACK_FIELDS = ['format', 'version', 'id', 'name', 'description', 'author', 'entries', 'tracks'];
+const ENTRY_FIELDS = ['topic', 'keywords', 'pattern', 'difficulty', 'related', 'prerequisites', 'answer', 'code', 'quiz'];
+const QUIZ_FIELDS = ['question', 'options', 'correctAnswer', 'explanation', 'concept'];
+const TRACK_FIELDS = ['id', 'name', 'description', 'topics'];
+const TRACK_TOPIC_FIELDS = ['id', 'name', 'icon', 'prerequisites', 'problems'];
+const TRACK_PROBLEM_FIELDS = ['title', 'slug', 'difficulty', 'tags'];
+
+// Answers are written with Python code; variants cover the other languages, except SQL.
+const VARIANT_LANGUAGES = CODE_LANGUAGES
+  .map((language) => language.id)
+  .filter((id) => id !== 'python' && id !== 'sql');
+const PATTERN_IDS = LIBRARY_PATTERNS.map((pattern) => pattern.id);
+const DIFFICULTY_IDS = TOPIC_DIFFICULTIES.map((difficulty) => difficulty.id);
+const CONCEPT_IDS = QUIZ_CONCEPTS.map((concept) => concept.id);
+
+const store = localforage.createInstance({ name: 'dsa-helper', storeName: 'contentPacks' });
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const BUILT_IN_TOPICS = new Set(OFFLINE_TOPICS.map((topic) => topic.toLowerCase()));
+
+function checkUnknownFields(value, allowed, path, errors) {
+  Object.keys(value)
+    .filter((key) => !allowed.includes(key))
+    .forEach((key) => errors.push(`${path}.${key}: unknown field (allowed: ${allowed.join(', ')})`));
+}
+
+function checkLength(value, max, path, errors) {
+  if (typeof value === 'string' && value.length > max) {
+    errors.push(`${path}: is ${value.length} characters long, the limit is ${max}`);
+  }
+}
+
+// Checks the count of a list of strings and the length of each one.
+function checkListLengths(list, maxItems, maxLength, path, errors) {
+  if (!Array.isArray(list)) return;
+  if (list.length > maxItems) {
+    errors.push(`${path}: has ${list.length} items, the limit is ${maxItems}`);
+  }
+  list.forEach((item, idx) => checkLength(item, maxLength, `${path}[${idx}]`, errors));
+}
+
+function validateQuestion(question, path, errors) {
+  if (!isPlainObject(question)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  checkUnknownFields(question, QUIZ_FIELDS, path, errors);
+  if (!isNonEmptyString(question.question)) {
+    errors.push(`${path}.question: must be a non-empty string`);
+  }
+  const optionsValid = Array.isArray(question.options)
+    && question.options.length >= 2
+    && question.options.every(isNonEmptyString);
+  if (!optionsValid) {
+    errors.push(`${path}.options: must be a list of at least two non-empty strings`);
+  }
+  if (!Number.isInteger(question.correctAnswer)
+    || question.correctAnswer < 0
+    || (optionsValid && question.correctAnswer >= question.options.length)) {
+    errors.push(`${path}.correctAnswer: must be the zero-based index of the right option`);
+  }
+  if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+    errors.push(`${path}.explanation: must be a string`);
+  }
+  checkLength(question.question, MAX_LENGTH.question, `${path}.question`, errors);
+  checkLength(question.explanation, MAX_LENGTH.question, `${path}.explanation`, errors);
+  checkListLengths(question.options, MAX_OPTIONS, MAX_LENGTH.option, `${path}.options`, errors);
+  if (question.concept !== undefined && !CONCEPT_IDS.includes(question.concept)) {
+    errors.push(`${path}.concept: must be one of ${CONCEPT_IDS.join(', ')}`);
+  }
+}
+
+function validateEntry(entry, path, errors) {
+  if (!isPlainObject(entry)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  checkUnknownFields(entry, ENTRY_FIELDS, path, errors);
+
+  if (!isNonEmptyString(entry.topic)) {
+    errors.push(`${path}.topic: must be a non-empty string`);
+  } else if (BUILT_IN_TOPICS.has(entry.topic.trim().toLowerCase())) {
+    errors.push(`${path}.topic: "${entry.topic}" is already a built-in topic`);
+  }
+  checkLength(entry.topic, MAX_LENGTH.name, `${path}.topic`, errors);
+  if (!Array.isArray(entry.keywords) || entry.keywords.length === 0 || !entry.keywords.every(isNonEmptyString)) {
+    errors.push(`${path}.keywords: must be a non-empty list of strings`);
+  }
+  checkListLengths(entry.keywords, MAX_KEYWORDS, MAX_LENGTH.keyword, `${path}.keywords`, errors);
+  if (!isNonEmptyString(entry.answer)) {
+    errors.push(`${path}.answer: must be non-empty markdown`);
+  }
+  checkLength(entry.answer, MAX_LENGTH.answer, `${path}.answer`, errors);
+  if (entry.pattern !== undefined && !PATTERN_IDS.includes(entry.pattern)) {
+    errors.push(`${path}.pattern: must be one of ${PATTERN_IDS.join(', ')}`);
+  }
+  if (entry.difficulty !== undefined && !DIFFICULTY_IDS.includes(entry.difficulty)) {
+    errors.push(`${path}.difficulty: must be one of ${DIFFICULTY_IDS.join(', ')}`);
+  }
+  if (entry.related !== undefined && (!Array.isArray(entry.related) || !entry.related.every(isNonEmptyString))) {
+    errors.push(`${path}.related: must be a list of topic names`);
+  }
+  if (entry.prerequisites !== undefined
+    && (!Array.isArray(entry.prerequisites) || !entry.prerequisites.every(isNonEmptyString))) {
+    errors.push(`${path}.prerequisites: must be a list of topic names`);
+  }
+
+  if (entry.code !== undefined) {
+    if (!Array.isArray(entry.code)) {
+      errors.push(`${path}.code: must be a list with one object per python code block`);
+    } else {
+      const blocks = typeof entry.answer === 'string' ? countPythonBlocks(entry.answer) : 0;
+      if (entry.code.length !== blocks) {
+        errors.push(`${path}.code: has ${entry.code.length} item(s) but the answer has ${blocks} python code block(s)`);
+      }
+      entry.code.forEach((variants, idx) => {
+        const variantPath = `${path}.code[${idx}]`;
+        if (!isPlainObject(variants)) {
+          errors.push(`${variantPath}: must be an object keyed by language`);
+          return;
+        }
+        checkUnknownFields(variants, VARIANT_LANGUAGES, variantPath, errors);
+        Object.entries(variants).forEach(([language, code]) => {
+          if (VARIANT_LANGUAGES.includes(language) && !isNonEmptyString(code)) {
+            errors.push(`${variantPath}.${language}: must be a non-empty string`);
+          }
+          checkLength(code, MAX_LENGTH.code, `${variantPath}.${language}`, errors);
+        });
+      });
+    }
+  }
+
+  if (entry.quiz !== undefined) {
+    if (!Array.isArray(entry.quiz)) {
+      errors.push(`${path}.quiz: must be a list of questions`);
+    } else if (entry.quiz.length > MAX_QUIZ_QUESTIONS) {
+      errors.push(`${path}.quiz: has ${entry.quiz.length} questions, the limit is ${MAX_QUIZ_QUESTIONS}`);
+    } else {
+      entry.quiz.forEach((question, idx) => validateQuestion(question, `${path}.quiz[${idx}]`, errors));
+    }
+  }
+}
+
+// Reports the second and later occurrences of a value, e.g. duplicate ids in a list.
+function checkDuplicates(items, getKey, describe, errors) {
+  const seen = new Set();
+  items.forEach((item, idx) => {
+    const key = isPlainObject(item) ? getKey(item) : null;
+    if (key && seen.has(key)) errors.push(describe(item, idx));
+    if (key) seen.add(key);
+  });
+}
+
+function validateTrackProblem(problem, path, errors) {
+  if (!isPlainObject(problem)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  checkUnknownFields(problem, TRACK_PROBLEM_FIELDS, path, errors);
+  if (!isNonEmptyString(problem.title)) {
+    errors.push(`${path}.title: must be a non-empty string`);
+  }
+  checkLength(problem.title, MAX_LENGTH.name, `${path}.title`, errors);
+  if (typeof problem.slug !== 'string' || !SLUG_PATTERN.test(problem.slug)) {
+    errors.push(`${path}.slug: must be lowercase letters, digits or dashes, like a LeetCode slug`);
+  }
+  if (problem.difficulty !== undefined && !DIFFICULTY_IDS.includes(problem.difficulty)) {
+    errors.push(`${path}.difficulty: must be one of ${DIFFICULTY_IDS.join(', ')}`);
+  }
+  if (problem.tags !== undefined && (!Array.isArray(problem.tags) || !problem.tags.every(isNonEmptyString))) {
+    errors.push(`${path}.tags: must be a list of strings`);
+  }
+  checkListLengths(problem.tags, MAX_TAGS, MAX_LENGTH.tag, `${path}.tags`, errors);
+}
+
+function validateTrack(track, path, errors) {
+  if (!isPlainObject(track)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  checkUnknownFields(track, TRACK_FIELDS, path, errors);
+  if (typeof track.id !== 'string' || !PACK_ID_PATTERN.test(track.id)) {
+    errors.push(`${path}.id: must be 1-64 lowercase letters, digits or dashes, starting with a letter or digit`);
+  }
+  if (!isNonEmptyString(track.name)) {
+    errors.push(`${path}.name: must be a non-empty string`);
+  }
+  if (track.description !== undefined && typeof track.description !== 'string') {
+    errors.push(`${path}.description: must be a string`);
+  }
+  checkLength(track.name, MAX_LENGTH.name, `${path}.name`, errors);
+  checkLength(track.description, MAX_LENGTH.description, `${path}.description`, errors);
+  if (!Array.isArray(track.topics) || track.topics.length === 0) {
+    errors.push(`${path}.topics: must be a non-empty list`);
+    return;
+  }
+
+  track.topics.forEach((topic, idx) => {
+    const topicPath = `${path}.topics[${idx}]`;
+    const earlierIds = track.topics.slice(0, idx).map((earlier) => earlier?.id);
+    if (!isPlainObject(topic)) {
+      errors.push(`${topicPath}: must be an object`);
+      return;
+    }
+    checkUnknownFields(topic, TRACK_TOPIC_FIELDS, topicPath, errors);
+    if (typeof topic.id !== 'string' || !TOPIC_ID_PATTERN.test(topic.id)) {
+      errors.push(`${topicPath}.id: must be 1-64 lowercase letters, digits, dashes or underscores`);
+    }
+    if (!isNonEmptyString(topic.name)) {
+      errors.push(`${topicPath}.name: must be a non-empty string`);
+    }
+    checkLength(topic.name, MAX_LENGTH.name, `${topicPath}.name`, errors);
+    if (topic.icon !== undefined && (typeof topic.icon !== 'string' || topic.icon.trim().length === 0 || topic.icon.length > 3)) {
+      errors.push(`${topicPath}.icon: must be 1-3 characters`);
+    }
+    // Pointing only backwards keeps the prerequisite graph free of cycles.
+    if (topic.prerequisites !== undefined
+      && (!Array.isArray(topic.prerequisites) || !topic.prerequisites.every((id) => earlierIds.includes(id)))) {
+      errors.push(`${topicPath}.prerequisites: must be a list of ids of topics listed earlier in this track`);
+    }
+    if (!Array.isArray(topic.problems) || topic.problems.length === 0) {
+      errors.push(`${topicPath}.problems: must be a non-empty list`);
+      return;
+    }
+    topic.problems.forEach((problem, problemIdx) => (
+      validateTrackProblem(problem, `${topicPath}.problems[${problemIdx}]`, errors)
+    ));
+  });
+
+  checkDuplicates(track.topics, (topic) => topic.id, (topic, idx) => (
+    `${path}.topics[${idx}].id: "${topic.id}" appears more than once in this track`
+  ), errors);
+  // Progress is kept per slug, so a slug can only appear once in a track.
+  const problems = track.topics.flatMap((topic) => (isPlainObject(topic) && Array.isArray(topic.problems) ? topic.problems : []));
+  if (problems.length > MAX_TRACK_PROBLEMS) {
+    errors.push(`${path}: has ${problems.length} problems, the limit is ${MAX_TRACK_PROBLEMS}`);
+  }
+  checkDuplicates(problems, (problem) => problem.slug, (problem) => (
+    `${path}: the slug "${problem.slug}" appears more than once in this track`
+  ), errors);
+}
+
+/**
+ * Checks a parsed pack against the format and returns a list of errors, each prefixed
+ * with the path of the offending field (e.g. "entries[2].quiz[0].correctAnswer").
+ * An empty list means the pack is valid.
+ */
+export function validatePack(data) {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return ['pack: must be a JSON object'];
+  }
+  checkUnknownFields(data, PACK_FIELDS, 'pack', errors);
+
+  if (data.format !== PACK_FORMAT) {
+    errors.push(`pack.format: must be "${PACK_FORMAT}"`);
+  }
+  if (data.version !== PACK_FORMAT_VERSION) {
+    errors.push(`pack.version: must be ${PACK_FORMAT_VERSION} (this app reads format version ${PACK_FORMAT_VERSION})`);
+  }
+  if (typeof data.id !== 'string' || !PACK_ID_PATTERN.test(data.id)) {
+    errors.push('pack.id: must be 1-64 lowercase letters, digits or dashes, starting with a letter or digit');
+  }
+  if (!isNonEmptyString(data.name)) {
+    errors.push('pack.name: must be a non-empty string');
+  }
+  ['description', 'author'].forEach((field) => {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      errors.push(`pack.${field}: must be a string`);
+    }
+  });
+  checkLength(data.name, MAX_LENGTH.name, 'pack.name', errors);
+  checkLength(data.author, MAX_LENGTH.name, 'pack.author', errors);
+  checkLength(data.description, MAX_LENGTH.description, 'pack.description', errors);
+
+  // A pack that only adds tracks may leave out `entries`.
+  const hasTracks = Array.isArray(data.tracks) && data.tracks.length > 0;
+  if (data.entries === undefined) {
+    if (!hasTracks) errors.push('pack.entries: must be a non-empty list unless the pack has tracks');
+  } else if (!Array.isArray(data.entries) || data.entries.length === 0) {
+    errors.push('pack.entries: must be a non-empty list');
+  } else if (data.entries.length > MAX_ENTRIES) {
+    errors.push(`pack.entries: has ${data.entries.length} entries, the limit is ${MAX_ENTRIES}`);
+  } else {
+    data.entries.forEach((entry, idx) => validateEntry(entry, `entries[${idx}]`, errors));
+    checkDuplicates(
+      data.entries,
+      (entry) => (isNonEmptyString(entry.topic) ? entry.topic.trim().toLowerCase() : null),
+      (entry, idx) => `entries[${idx}].topic: "${entry.topic}" appears more than once in this pack`,
+      errors
+    );
+  }
+
+  if (data.tracks !== undefined) {
+    if (!Array.isArray(data.tracks) || data.tracks.length === 0) {
+      errors.push('pack.tracks: must be a non-empty list');
+    } else if (data.tracks.length > MAX_TRACKS) {
+      errors.push(`pack.tracks: has ${data.tracks.length} tracks, the limit is ${MAX_TRACKS}`);
+    } else {
+      data.tracks.forEach((track, idx) => validateTrack(track, `tracks[${idx}]`, errors));
+      checkDuplicates(data.tracks, (track) => track.id, (track, idx) => (
+        `tracks[${idx}].id: "${track.id}" appears more than once in this pack`
+      ), errors);
+    }
+  }
+
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    return [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more`];
+  }
+  return errors;
+}
+
+/**
+ * Parses and validates the text of a pack file. Returns { pack, errors }; `pack` is null
+ * whenever `errors` is not empty.
+ */
+export function parsePack(text) {
+  if (text.length > PACK_MAX_BYTES) {
+    return { pack: null, errors: [`The file is larger than ${PACK_MAX_BYTES / (1024 * 1024)} MB.`] };
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { pack: null, errors: [`The file is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validatePack(data);
+  if (errors.length > 0) {
+    return { pack: null, errors };
+  }
+
+  return {
+    pack: {
+      id: data.id,
+      name: data.name.trim(),
+      description: data.description || '',
+      author: data.author || '',
+      entries: (data.entries || []).map((entry) => ({
+        topic: entry.topic.trim(),
+        keywords: entry.keywords.map((keyword) => keyword.trim().toLowerCase()),
+        pattern: entry.pattern || null,
+        difficulty: entry.difficulty || null,
+        related: (entry.related || []).map((topic) => topic.trim()),
+        prerequisites: (entry.prerequisites || []).map((topic) => topic.trim()),
+        answer: entry.answer,
+        code: entry.code || [],
+        quiz: entry.quiz || []
+      })),
+      tracks: (data.tracks || []).map((track) => ({
+        id: track.id,
+        name: track.name.trim(),
+        description: track.description || '',
+        topics: track.topics.map((topic) => ({
+          id: topic.id,
+          name: topic.name.trim(),
+          icon: topic.icon?.trim() || topic.name.trim().slice(0, 2).toUpperCase(),
+          prerequisites: topic.prerequisites || [],
+          problems: topic.problems.map((problem) => ({
+            title: problem.title.trim(),
+            slug: problem.slug,
+            difficulty: problem.difficulty || null,
+            tags: (problem.tags || []).map((tag) => tag.trim())
+          }))
+        }))
+      }))
+    },
+    errors: []
+  };
+}
+
+// Unlike the answer cache, pack storage errors are thrown: the import UI reports them.
+export async function loadStoredPacks() {
+  const packs = [];
+  await store.iterate((pack) => {
+    packs.push(pack);
+  });
+  return packs.sort((a, b) => a.importedAt - b.importedAt);
+}
+
+export async function saveStoredPack(pack) {
+  await store.setItem(pack.id, pack);
+}
+
+export async function removeStoredPack(id) {
+  await store.removeItem(id);
+}
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import examplePack from '../../docs/example-pack.json';
+import { PACK_MAX_BYTES, parsePack, validatePack } from './contentPacks';
+
+const ENTRY = {
+  topic: 'Valid Anagram',
+  keywords: ['valid anagram', 'anagram'],
+  answer: '## Valid Anagram\n\n```python\nfrom collections import Counter\n```',
+  code: [{ javascript: 'const count = new Map();' }],
+  quiz: [{ question: 'Why check the lengths first?', options: ['Speed', 'Correctness'], correctAnswer: 0 }]
+};
+
+const TRACK = {
+  id: 'onboarding',
+  name: 'Team onboarding',
+  topics: [
+    { id: 'warmup', name: 'Warm-up', problems: [{ title: 'Two Sum', slug: 'two-sum' }] },
+    { id: 'next', name: 'Next', prerequisites: ['warmup'], problems: [{ title: '3Sum', slug: '3sum' }] }
+  ]
+};
+
+const pack = (overrides = {}) => ({
+  format: 'dsa-helper-pack',
+  version: 1,
+  id: 'team-notes',
+  name: 'Team notes',
+  entries: [ENTRY],
+  ...overrides
+});
+
+describe('validatePack', () => {
+  it.each([
+    ['the documented example', examplePack],
+    ['a pack with entries', pack()],
+    ['a pack with only tracks', pack({ entries: undefined, tracks: [TRACK] })]
+  ])('accepts %s', (_, data) => {
+    expect(validatePack(data)).toEqual([]);
+  });
+
+  it.each([
+    ['not an object', [], 'pack: must be a JSON object'],
+    ['a missing id', pack({ id: undefined }), 'pack.id: must be 1-64 lowercase letters, digits or dashes, starting with a letter or digit'],
+    ['an id with capitals', pack({ id: 'Team' }), 'pack.id: must be 1-64 lowercase letters, digits or dashes, starting with a letter or digit'],
+    ['a newer version', pack({ version: 2 }), 'pack.version: must be 1 (this app reads format version 1)'],
+    ['a version given as text', pack({ version: '1' }), 'pack.version: must be 1 (this app reads format version 1)'],
+    ['another format', pack({ format: 'other' }), 'pack.format: must be "dsa-helper-pack"'],
+    ['no entries and no tracks', pack({ entries: undefined }), 'pack.entries: must be a non-empty list unless the pack has tracks'],
+    ['an unknown pack field', pack({ entry: [] }), 'pack.entry: unknown field (allowed: format, version, id, name, description, author, entries, tracks)'],
+    ['an unknown entry field', pack({ entries: [{ ...ENTRY, keyword: 'x' }] }), expect.stringMatching(/^entries\[0\]\.keyword: unknown field/)],
+    ['an unknown code language', pack({ entries: [{ ...ENTRY, code: [{ ruby: 'x' }] }] }), expect.stringMatching(/^entries\[0\]\.code\[0\]\.ruby: unknown field/)]
+  ])('rejects %s', (_, data, error) => {
+    expect(validatePack(data)).toContainEqual(error);
+  });
+
+  it('rejects duplicate topics, track ids, topic ids and slugs', () => {
+    const duplicateTrack = {
+      ...TRACK,
+      topics: [TRACK.topics[0], { ...TRACK.topics[0], problems: [{ title: 'Two Sum again', slug: 'two-sum' }] }]
+    };
+    const errors = validatePack(pack({ entries: [ENTRY, { ...ENTRY, topic: ' valid anagram ' }], tracks: [TRACK, duplicateTrack] }));
+    expect(errors).toHaveLength(4);
+    expect(errors).toEqual(expect.arrayContaining([
+      'entries[1].topic: " valid anagram " appears more than once in this pack',
+      'tracks[1].topics[1].id: "warmup" appears more than once in this track',
+      'tracks[1]: the slug "two-sum" appears more than once in this track',
+      'tracks[1].id: "onboarding" appears more than once in this pack'
+    ]));
+  });
+
+  it('rejects a topic that is already in the built-in library', () => {
+    expect(validatePack(pack({ entries: [{ ...ENTRY, topic: 'two sum' }] }))).toEqual([
+      'entries[0].topic: "two sum" is already a built-in topic'
+    ]);
+  });
+
+  it.each([
+    ['a long topic', { topic: 'x'.repeat(121) }, 'entries[0].topic: is 121 characters long, the limit is 120'],
+    ['a long answer', { answer: `${ENTRY.answer}\n${'x'.repeat(50000)}` }, expect.stringMatching(/^entries\[0\]\.answer: is \d+ characters long, the limit is 50000$/)],
+    ['too many keywords', { keywords: Array.from({ length: 21 }, (_, idx) => `keyword ${idx}`) }, 'entries[0].keywords: has 21 items, the limit is 20'],
+    ['a long keyword', { keywords: ['x'.repeat(101)] }, 'entries[0].keywords[0]: is 101 characters long, the limit is 100'],
+    ['a long code variant', { code: [{ java: 'x'.repeat(20001) }] }, 'entries[0].code[0].java: is 20001 characters long, the limit is 20000'],
+    ['too many quiz questions', { quiz: Array(51).fill(ENTRY.quiz[0]) }, 'entries[0].quiz: has 51 questions, the limit is 50']
+  ])('rejects %s', (_, overrides, error) => {
+    expect(validatePack(pack({ entries: [{ ...ENTRY, ...overrides }] }))).toEqual([error]);
+  });
+
+  it('rejects an oversized pack name and track field', () => {
+    const track = { ...TRACK, description: 'x'.repeat(1001) };
+    expect(validatePack(pack({ name: 'x'.repeat(121), tracks: [track] }))).toEqual([
+      'pack.name: is 121 characters long, the limit is 120',
+      'tracks[0].description: is 1001 characters long, the limit is 1000'
+    ]);
+  });
+
+  it('reports the path of a bad quiz answer index', () => {
+    const quiz = [{ ...ENTRY.quiz[0], correctAnswer: 2 }];
+    expect(validatePack(pack({ entries: [{ ...ENTRY, quiz }] }))).toEqual([
+      'entries[0].quiz[0].correctAnswer: must be the zero-based index of the right option'
+    ]);
+  });
+
+  it('stops after 50 errors', () => {
+    const entries = Array.from({ length: 60 }, () => ({ topic: '' }));
+    const errors = validatePack(pack({ entries }));
+    expect(errors).toHaveLength(51);
+    expect(errors[50]).toMatch(/^\.\.\.and \d+ more$/);
+  });
+});
+
+describe('parsePack', () => {
+  it('normalizes a valid pack', () => {
+    const { pack: parsed, errors } = parsePack(JSON.stringify(pack({ name: ' Team notes ', tracks: [TRACK] })));
+    expect(errors).toEqual([]);
+    expect(parsed).toMatchObject({ id: 'team-notes', name: 'Team notes', description: '', author: '' });
+    expect(parsed.entries[0]).toMatchObject({ topic: 'Valid Anagram', pattern: null, related: [], keywords: ['valid anagram', 'anagram'] });
+    expect(parsed.tracks[0].topics[0]).toMatchObject({ icon: 'WA', prerequisites: [] });
+  });
+
+  it('rejects text that is not JSON or is too large', () => {
+    expect(parsePack('{').errors[0]).toMatch(/^The file is not valid JSON/);
+    expect(parsePack(' '.repeat(PACK_MAX_BYTES + 1)).errors).toEqual(['The file is larger than 2 MB.']);
+  });
+
+  it('returns no pack when there are errors', () => {
+    expect(parsePack(JSON.stringify(pack({ version: 2 })))).toEqual({
+      pack: null,
+      errors: ['pack.version: must be 1 (this app reads format version 1)']
+    });
+  });
+});
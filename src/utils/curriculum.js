@@ -0,0 +1,50 @@
+import { BLIND_75_TOPICS } from './constants';
+import { DEFAULT_TRACK_ID } from './studyTracks';
+
+// Curriculum progress is stored per study track and problem slug as
+// { [trackId]: { [slug]: status } }. The helpers below take one track's map. Problems
+// without an entry are 'todo'; solved and reviewed problems count towards a topic.
+
+export const PROBLEM_STATUSES = [
+  { id: 'todo', label: 'To do' },
+  { id: 'attempted', label: 'Attempted' },
+  { id: 'solved', label: 'Solved' },
+  { id: 'reviewed', label: 'Reviewed' }
+];
+
+const DONE_STATUSES = new Set(['solved', 'reviewed']);
+
+export const getProblemStatus = (progress, slug) => progress[slug] || 'todo';
+
+export const isProblemDone = (progress, slug) => DONE_STATUSES.has(getProblemStatus(progress, slug));
+
+export const countDoneProblems = (topic, progress) => (
+  topic.problems.filter((problem) => isProblemDone(progress, problem.slug)).length
+);
+
+// The first problem of the topic that is not solved yet, or null when all are done.
+export const getNextProblem = (topic, progress) => (
+  topic.problems.find((problem) => !isProblemDone(progress, problem.slug)) || null
+);
+
+// Progress saved before tracks existed is one map for Blind 75: either { [slug]: status }
+// or, in the oldest versions, a solved count per topic id. Counts are read as the topic's
+// first problems being solved. Progress that is already per track is returned as is.
+export function migrateCurriculumProgress(progress) {
+  const entries = Object.entries(progress || {});
+  if (entries.every(([, value]) => typeof value === 'object' && value !== null)) {
+    return progress || {};
+  }
+  const blind75 = {};
+  entries.forEach(([key, value]) => {
+    if (typeof value === 'string') {
+      blind75[key] = value;
+      return;
+    }
+    const topic = BLIND_75_TOPICS.find((candidate) => candidate.id === key);
+    topic?.problems.slice(0, value).forEach((problem) => {
+      blind75[problem.slug] = 'solved';
+    });
+  });
+  return { [DEFAULT_TRACK_ID]: blind75 };
+}
@@ -0,0 +1,313 @@
+import { runCode } from './codeRunner';
+
+// Local judge for practice problems. The learner's code is wrapped in a harness that calls
+// the solution once per test case and prints one marker line per case; the runner from
+// codeRunner.js executes it, and results are compared here so expected answers never
+// reach the worker. The marker is random for every run, so code written in advance cannot
+// print result lines of its own.
+
+export const JUDGE_TIME_LIMIT_MS = 10000;
+
+const createResultMarker = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return `@@judge-${Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')} `;
+};
+
+export const VERDICTS = {
+  accepted: 'Accepted',
+  wrongAnswer: 'Wrong Answer',
+  runtimeError: 'Runtime Error',
+  timeLimit: 'Time Limit Exceeded',
+  outputLimit: 'Output Limit Exceeded',
+  stopped: 'Stopped'
+};
+
+const PYTHON_PRELUDE = `import json as __judge_json
+import time as __judge_time
+from typing import List, Optional
+
+
+class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+`;
+
+const PYTHON_RUNNER = `
+def __judge_to_list(values):
+    head = tail = None
+    for value in values:
+        node = ListNode(value)
+        if tail is None:
+            head = tail = node
+        else:
+            tail.next = node
+            tail = node
+    return head
+
+
+def __judge_from_list(node):
+    values = []
+    while node is not None:
+        if len(values) > 100000:
+            raise ValueError('the returned list has a cycle')
+        values.append(node.val)
+        node = node.next
+    return values
+
+
+def __judge_to_tree(values):
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = [root]
+    index = 1
+    for node in queue:
+        if index >= len(values):
+            break
+        if values[index] is not None:
+            node.left = TreeNode(values[index])
+            queue.append(node.left)
+        index += 1
+        if index < len(values) and values[index] is not None:
+            node.right = TreeNode(values[index])
+            queue.append(node.right)
+        index += 1
+    return root
+
+
+def __judge_from_tree(root):
+    values = []
+    queue = [root]
+    for node in queue:
+        if len(queue) > 200000:
+            raise ValueError('the returned tree is too large')
+        if node is None:
+            values.append(None)
+        else:
+            values.append(node.val)
+            queue.append(node.left)
+            queue.append(node.right)
+    while values and values[-1] is None:
+        values.pop()
+    return values
+
+
+__judge_inputs = {'ListNode': __judge_to_list, 'TreeNode': __judge_to_tree}
+__judge_outputs = {'ListNode': __judge_from_list, 'TreeNode': __judge_from_tree}
+`;
+
+const JS_PRELUDE = `globalThis.ListNode = class ListNode {
+  constructor(val = 0, next = null) {
+    this.val = val;
+    this.next = next;
+  }
+};
+
+globalThis.TreeNode = class TreeNode {
+  constructor(val = 0, left = null, right = null) {
+    this.val = val;
+    this.left = left;
+    this.right = right;
+  }
+};
+`;
+
+const JS_RUNNER = `
+const __judgeToList = (values) => {
+  let head = null;
+  let tail = null;
+  for (const value of values) {
+    const node = new globalThis.ListNode(value);
+    if (tail) tail.next = node; else head = node;
+    tail = node;
+  }
+  return head;
+};
+
+const __judgeFromList = (node) => {
+  const values = [];
+  while (node) {
+    if (values.length > 100000) throw new Error('the returned list has a cycle');
+    values.push(node.val);
+    node = node.next;
+  }
+  return values;
+};
+
+const __judgeToTree = (values) => {
+  if (values.length === 0 || values[0] === null) return null;
+  const root = new globalThis.TreeNode(values[0]);
+  const queue = [root];
+  let index = 1;
+  for (let i = 0; i < queue.length && index < values.length; i++) {
+    const node = queue[i];
+    if (values[index] !== null) {
+      node.left = new globalThis.TreeNode(values[index]);
+      queue.push(node.left);
+    }
+    index++;
+    if (index < values.length && values[index] !== null) {
+      node.right = new globalThis.TreeNode(values[index]);
+      queue.push(node.right);
+    }
+    index++;
+  }
+  return root;
+};
+
+const __judgeFromTree = (root) => {
+  const values = [];
+  const queue = [root];
+  for (let i = 0; i < queue.length; i++) {
+    if (queue.length > 200000) throw new Error('the returned tree is too large');
+    const node = queue[i];
+    if (node) {
+      values.push(node.val);
+      queue.push(node.left, node.right);
+    } else {
+      values.push(null);
+    }
+  }
+  while (values.length > 0 && values[values.length - 1] === null) values.pop();
+  return values;
+};
+
+const __judgeInputs = { ListNode: __judgeToList, TreeNode: __judgeToTree };
+const __judgeOutputs = { ListNode: __judgeFromList, TreeNode: __judgeFromTree };
+`;
+
+function buildPythonHarness({ name, params, returns }, code, argsList, marker) {
+  // A JSON string literal is also a valid Python string literal.
+  const cases = JSON.stringify(JSON.stringify(argsList));
+  const types = JSON.stringify(params.map(([, type]) => type));
+  return `${PYTHON_PRELUDE}
+${code}
+${PYTHON_RUNNER}
+__judge_types = ${types}
+for __judge_index, __judge_args in enumerate(__judge_json.loads(${cases})):
+    try:
+        __judge_call = [__judge_inputs.get(kind, lambda value: value)(value) for kind, value in zip(__judge_types, __judge_args)]
+        __judge_start = __judge_time.perf_counter()
+        __judge_result = ${name}(*__judge_call)
+        __judge_ms = (__judge_time.perf_counter() - __judge_start) * 1000
+        __judge_output = __judge_outputs.get(${JSON.stringify(returns)}, lambda value: value)(__judge_result)
+        print(${JSON.stringify(marker)} + __judge_json.dumps({'index': __judge_index, 'output': __judge_output, 'ms': __judge_ms}))
+    except Exception as __judge_error:
+        print(${JSON.stringify(marker)} + __judge_json.dumps({'index': __judge_index, 'error': f'{type(__judge_error).__name__}: {__judge_error}'}))
+`;
+}
+
+function buildJavaScriptHarness({ name, params, returns }, code, argsList, marker) {
+  const types = JSON.stringify(params.map(([, type]) => type));
+  return `${JS_PRELUDE}
+${code}
+${JS_RUNNER}
+const __judgeTypes = ${types};
+const __judgeCases = ${JSON.stringify(argsList)};
+__judgeCases.forEach((args, index) => {
+  try {
+    const call = args.map((value, i) => (__judgeInputs[__judgeTypes[i]] || ((v) => v))(value));
+    const start = performance.now();
+    const result = ${name}(...call);
+    const ms = performance.now() - start;
+    const output = (__judgeOutputs[${JSON.stringify(returns)}] || ((v) => v))(result);
+    console.log(${JSON.stringify(marker)} + JSON.stringify({ index, output: output === undefined ? null : output, ms }));
+  } catch (error) {
+    console.log(${JSON.stringify(marker)} + JSON.stringify({ index, error: \`\${error.name}: \${error.message}\` }));
+  }
+});
+`;
+}
+
+// Canonical JSON for comparing an output with the expected answer.
+function canonical(value, mode) {
+  if (!Array.isArray(value) || mode === 'exact' || !mode) {
+    return JSON.stringify(value);
+  }
+  const items = mode === 'anyOrderNested'
+    ? value.map((item) => (Array.isArray(item) ? item.map((inner) => JSON.stringify(inner)).sort() : item))
+    : value;
+  return JSON.stringify(items.map((item) => JSON.stringify(item)).sort());
+}
+
+/**
+ * Judges `code` against the problem's tests (visible ones only unless `includeHidden`).
+ * Returns { result, stop }; `result` resolves with { verdict, cases, stdout, stderr }, where
+ * each case is { index, hidden, args, expected, output, error, passed, ms }. Cases that did
+ * not run before a timeout or stop have `passed: null`.
+ */
+export function judgeSolution({ problem, language, code, includeHidden = false, onStatus }) {
+  const tests = problem.tests.filter((test) => includeHidden || !test.hidden);
+  const argsList = tests.map((test) => test.args);
+  const marker = createResultMarker();
+  const harness = language === 'python'
+    ? buildPythonHarness(problem.signature, code, argsList, marker)
+    : buildJavaScriptHarness(problem.signature, code, argsList, marker);
+
+  let stdout = '';
+  let stderr = '';
+  const run = runCode({
+    language,
+    code: harness,
+    timeLimitMs: JUDGE_TIME_LIMIT_MS,
+    onStatus,
+    onOutput: ({ stream, text }) => {
+      if (stream === 'stdout') stdout += text;
+      else stderr += text;
+    }
+  });
+
+  const result = run.result.then(({ status }) => {
+    const reported = new Map();
+    const printed = [];
+    stdout.split('\n').forEach((line) => {
+      if (line.startsWith(marker)) {
+        try {
+          const data = JSON.parse(line.slice(marker.length));
+          reported.set(data.index, data);
+          return;
+        } catch {
+          // A marker line that does not parse is shown as ordinary output.
+        }
+      }
+      printed.push(line);
+    });
+
+    const compare = problem.compare || 'exact';
+    const cases = tests.map((test, index) => {
+      const data = reported.get(index);
+      const base = { index, hidden: Boolean(test.hidden), args: test.args, expected: test.expected };
+      if (!data) return { ...base, output: undefined, error: null, passed: null, ms: null };
+      if (data.error) return { ...base, output: undefined, error: data.error, passed: false, ms: null };
+      return {
+        ...base,
+        output: data.output,
+        error: null,
+        passed: canonical(data.output, compare) === canonical(test.expected, compare),
+        ms: Math.round(data.ms * 100) / 100
+      };
+    });
+
+    let verdict = VERDICTS.accepted;
+    if (status === 'timeout') verdict = VERDICTS.timeLimit;
+    else if (status === 'output-limit') verdict = VERDICTS.outputLimit;
+    else if (status === 'stopped') verdict = VERDICTS.stopped;
+    else if (cases.some((testCase) => testCase.error) || cases.some((testCase) => testCase.passed === null)) {
+      verdict = VERDICTS.runtimeError;
+    } else if (cases.some((testCase) => !testCase.passed)) {
+      verdict = VERDICTS.wrongAnswer;
+    }
+
+    return { verdict, cases, stdout: printed.join('\n').trim(), stderr: stderr.trim() };
+  });
+
+  return { result, stop: run.stop };
+}
@@ -0,0 +1,112 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { VERDICTS, judgeSolution } from './judge';
+import { runCode } from './codeRunner';
+import { PRACTICE_PROBLEMS } from './practiceProblems';
+
+// The real runner needs browser workers. This one runs JavaScript harnesses in-process, with
+// console.log as stdout, and only records Python harnesses; `runStatus` stands in for a
+// timeout or stop.
+let runStatus;
+
+vi.mock('./codeRunner', () => ({
+  runCode: vi.fn(({ language, code, onOutput }) => {
+    if (language === 'javascript' && runStatus === 'finished') {
+      const write = (stream) => (...args) => onOutput({ stream, text: `${args.join(' ')}\n` });
+      try {
+        new Function('console', code)({ log: write('stdout'), error: write('stderr') });
+      } catch (error) {
+        onOutput({ stream: 'stderr', text: `${error.name}: ${error.message}\n` });
+      }
+    }
+    return { result: Promise.resolve({ status: runStatus, durationMs: 1 }), stop: () => {} };
+  })
+}));
+
+const twoSum = PRACTICE_PROBLEMS.find((problem) => problem.id === 'two-sum');
+
+const SOLUTION = `function twoSum(nums, target) {
+  const seen = new Map();
+  for (let i = 0; i < nums.length; i++) {
+    if (seen.has(target - nums[i])) return [seen.get(target - nums[i]), i];
+    seen.set(nums[i], i);
+  }
+  return [];
+}`;
+
+const judge = (code, options = {}) => judgeSolution({ problem: twoSum, language: 'javascript', code, ...options }).result;
+
+const harnessOf = (call) => runCode.mock.calls[call][0].code;
+
+beforeEach(() => {
+  runStatus = 'finished';
+  runCode.mockClear();
+});
+
+describe('judgeSolution', () => {
+  it('accepts a correct solution on the visible and hidden tests', async () => {
+    const { verdict, cases } = await judge(SOLUTION, { includeHidden: true });
+    expect(verdict).toBe(VERDICTS.accepted);
+    expect(cases).toHaveLength(twoSum.tests.length);
+    expect(cases.every((testCase) => testCase.passed)).toBe(true);
+  });
+
+  it('runs only the visible tests unless asked for the hidden ones', async () => {
+    const { cases } = await judge(SOLUTION);
+    expect(cases.some((testCase) => testCase.hidden)).toBe(false);
+  });
+
+  it('reports a wrong answer per case', async () => {
+    const { verdict, cases } = await judge('function twoSum() { return [0, 1]; }');
+    expect(verdict).toBe(VERDICTS.wrongAnswer);
+    expect(cases.map((testCase) => testCase.passed)).toEqual([true, false, true]);
+    expect(cases[1]).toMatchObject({ output: [0, 1], expected: [1, 2] });
+  });
+
+  it('reports an exception as a runtime error', async () => {
+    const { verdict, cases } = await judge('function twoSum() { throw new RangeError("boom"); }');
+    expect(verdict).toBe(VERDICTS.runtimeError);
+    expect(cases[0]).toMatchObject({ passed: false, error: 'RangeError: boom' });
+  });
+
+  it('keeps the learner\'s own output apart from the results', async () => {
+    const { stdout } = await judge(`console.log('debug line');\n${SOLUTION}`);
+    expect(stdout).toBe('debug line');
+  });
+
+  it.each([
+    ['timeout', VERDICTS.timeLimit],
+    ['stopped', VERDICTS.stopped],
+    ['output-limit', VERDICTS.outputLimit]
+  ])('maps a %s run to %s and leaves the cases unjudged', async (status, verdict) => {
+    runStatus = status;
+    const result = await judge(SOLUTION);
+    expect(result.verdict).toBe(verdict);
+    expect(result.cases.every((testCase) => testCase.passed === null)).toBe(true);
+  });
+});
+
+describe('result markers', () => {
+  // Prints a passing result for every visible case before the real harness runs.
+  const forged = (marker) => `${twoSum.tests.filter((test) => !test.hidden).map((test, index) => (
+    `console.log(${JSON.stringify(marker)} + JSON.stringify({ index: ${index}, output: ${JSON.stringify(test.expected)}, ms: 0 }));`
+  )).join('\n')}
+function twoSum() { return []; }`;
+
+  it('uses a different random marker on every run', async () => {
+    await judge(SOLUTION);
+    await judgeSolution({ problem: twoSum, language: 'python', code: 'def twoSum(nums, target):\n    return []' }).result;
+    const [first] = harnessOf(0).match(/@@judge-[0-9a-f]{32} /g);
+    const python = [...new Set(harnessOf(1).match(/@@judge-[0-9a-f]{32} /g))];
+    expect(python).toHaveLength(1);
+    expect(python[0]).not.toBe(first);
+  });
+
+  it.each([
+    ['the old fixed marker', '@@judge '],
+    ['a guessed marker', '@@judge-00000000000000000000000000000000 ']
+  ])('does not count result lines printed with %s', async (_, marker) => {
+    const { verdict, stdout } = await judge(forged(marker));
+    expect(verdict).toBe(VERDICTS.wrongAnswer);
+    expect(stdout).toContain(marker.trim());
+  });
+});
@@ -0,0 +1,291 @@
+import {
+  GEMINI_API_BASE_URL,
+  GEMINI_API_KEY,
+  OLLAMA_BASE_URL,
+  OLLAMA_MODEL,
+  OPENAI_API_KEY,
+  OPENAI_BASE_URL,
+  OPENAI_MODEL,
+  PROXY_URL,
+  STORAGE_KEYS
+} from './constants';
+import { buildGeminiBody, buildOllamaBody, buildOpenAIBody } from './providerRequests';
+
+// Each provider turns a list of chat messages ({ role: 'user' | 'assistant', content })
+// into a fetch request and knows how to read text back out of its own response format.
+// The streamed body is split into messages by `streamFormat` (see streamParser.js);
+// `parseStreamEvent` turns one message into { text, done, finishReason, usage, error } or
+// null when it carries nothing useful. Finish reasons are normalised to
+// 'stop' | 'length' | 'safety' | 'other' so the hook can explain truncated answers.
+// Token counts are normalised to { inputTokens, outputTokens } by `parseUsage` for
+// non-streamed responses and the `usage` field of stream events.
+// `generation` carries the user's { temperature, maxOutputTokens, thinkingBudget }; the
+// request bodies are built in providerRequests.js, which the proxy shares.
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+const uniqueModels = (models) => [...new Set(models.filter(Boolean))];
+
+const GEMINI_SAFETY_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+const normalizeGeminiFinishReason = (reason) => {
+  if (!reason) return null;
+  if (reason === 'STOP') return 'stop';
+  if (reason === 'MAX_TOKENS') return 'length';
+  if (GEMINI_SAFETY_REASONS.includes(reason)) return 'safety';
+  return 'other';
+};
+
+// Thinking tokens are billed as output, so they are counted with the candidates.
+const parseGeminiUsage = (metadata) => (metadata ? {
+  inputTokens: metadata.promptTokenCount || 0,
+  outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0)
+} : null);
+
+const parseOpenAIUsage = (usage) => (usage ? {
+  inputTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0
+} : null);
+
+// Ollama only reports counts on the final (done) message.
+const parseOllamaUsage = (data) => (data.done && (data.prompt_eval_count || data.eval_count) ? {
+  inputTokens: data.prompt_eval_count || 0,
+  outputTokens: data.eval_count || 0
+} : null);
+
+const gemini = {
+  id: 'gemini',
+  label: 'Gemini',
+  defaultModel: 'gemini-2.5-flash',
+  models: ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-2.0-flash'],
+  supportsThinkingBudget: true,
+  isConfigured: () => Boolean(GEMINI_API_KEY) && GEMINI_API_KEY !== 'YOUR_API_KEY_HERE',
+  missingConfigHint: 'add VITE_GEMINI_API_KEY to a .env file',
+
+  buildRequest({ messages, model, stream, json, generation = {} }) {
+    const method = stream ? 'streamGenerateContent' : 'generateContent';
+    const query = stream ? `alt=sse&key=${encodeURIComponent(GEMINI_API_KEY)}` : `key=${encodeURIComponent(GEMINI_API_KEY)}`;
+    const body = buildGeminiBody({ messages, json, generation });
+
+    return {
+      url: `${GEMINI_API_BASE_URL}/${model}:${method}?${query}`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  streamFormat: 'sse',
+
+  parseStreamEvent({ data }) {
+    const parsed = JSON.parse(data);
+    if (parsed.error) {
+      return { error: parsed.error.message || parsed.error.status };
+    }
+
+    const candidate = parsed.candidates?.[0];
+    // A blocked prompt comes back with promptFeedback and no candidates at all.
+    const finishReason = parsed.promptFeedback?.blockReason
+      ? 'safety'
+      : normalizeGeminiFinishReason(candidate?.finishReason);
+    const text = (candidate?.content?.parts || []).map((part) => part.text || '').join('');
+    // Every chunk repeats the running usage totals; the hook keeps the last one.
+    return { text, done: false, finishReason, usage: parseGeminiUsage(parsed.usageMetadata) };
+  },
+
+  parseResponse(data) {
+    return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  },
+
+  parseUsage(data) {
+    return parseGeminiUsage(data.usageMetadata);
+  },
+
+  parseError(data) {
+    return data.error?.message || data.error?.code;
+  }
+};
+
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: OPENAI_MODEL,
+  models: uniqueModels([OPENAI_MODEL, 'gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1']),
+  supportsThinkingBudget: false,
+  // Local servers (LM Studio, vLLM, llama.cpp) usually accept requests without a key,
+  // so an explicit base URL is enough; the public endpoint still needs one.
+  isConfigured: () => Boolean(OPENAI_API_KEY || import.meta.env.VITE_OPENAI_BASE_URL),
+  missingConfigHint: 'set VITE_OPENAI_BASE_URL (and VITE_OPENAI_API_KEY if your server needs one)',
+
+  buildRequest({ messages, model, stream, json, generation = {} }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+    }
+    const body = buildOpenAIBody({ messages, model, stream, json, generation });
+
+    return {
+      url: `${stripTrailingSlash(OPENAI_BASE_URL)}/chat/completions`,
+      init: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  streamFormat: 'sse',
+
+  parseStreamEvent({ data }) {
+    if (data === '[DONE]') {
+      return { text: '', done: true, finishReason: null };
+    }
+    const parsed = JSON.parse(data);
+    if (parsed.error) {
+      return { error: parsed.error.message || parsed.error };
+    }
+
+    const choice = parsed.choices?.[0];
+    const finishReasons = { stop: 'stop', length: 'length', content_filter: 'safety' };
+    const finishReason = choice?.finish_reason ? finishReasons[choice.finish_reason] || 'other' : null;
+    // The usage totals arrive in a final chunk with an empty `choices` list.
+    return { text: choice?.delta?.content || '', done: false, finishReason, usage: parseOpenAIUsage(parsed.usage) };
+  },
+
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content || '';
+  },
+
+  parseUsage(data) {
+    return parseOpenAIUsage(data.usage);
+  },
+
+  parseError(data) {
+    return data.error?.message || data.error;
+  }
+};
+
+const ollama = {
+  id: 'ollama',
+  label: 'Ollama (local)',
+  defaultModel: OLLAMA_MODEL,
+  models: uniqueModels([OLLAMA_MODEL, 'llama3.1', 'qwen2.5-coder', 'mistral']),
+  supportsThinkingBudget: false,
+  isConfigured: () => Boolean(OLLAMA_BASE_URL),
+  missingConfigHint: 'set VITE_OLLAMA_URL to your local Ollama server',
+
+  buildRequest({ messages, model, stream, json, generation = {} }) {
+    const body = buildOllamaBody({ messages, model, stream, json, generation });
+
+    return {
+      url: `${stripTrailingSlash(OLLAMA_BASE_URL)}/api/chat`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  // Ollama streams newline-delimited JSON rather than SSE.
+  streamFormat: 'ndjson',
+
+  parseStreamEvent({ data }) {
+    const parsed = JSON.parse(data);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    const finishReason = parsed.done ? (parsed.done_reason === 'length' ? 'length' : 'stop') : null;
+    return {
+      text: parsed.message?.content || '',
+      done: Boolean(parsed.done),
+      finishReason,
+      usage: parseOllamaUsage(parsed)
+    };
+  },
+
+  parseResponse(data) {
+    return data.message?.content || '';
+  },
+
+  parseUsage(data) {
+    return parseOllamaUsage(data);
+  },
+
+  parseError(data) {
+    return data.error;
+  }
+};
+
+export const LLM_PROVIDERS = { gemini, openai, ollama };
+
+// An empty model means the provider's default; null generation fields mean the provider's default.
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'gemini',
+  model: '',
+  temperature: null,
+  maxOutputTokens: null,
+  thinkingBudget: null
+};
+
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  maxOutputTokens: { min: 1, max: 65536, step: 256, integer: true },
+  thinkingBudget: { min: -1, max: 32768, step: 512, integer: true }
+};
+
+// Picks the generation settings the provider understands out of the saved LLM settings.
+export function getGenerationSettings(provider, llmSettings) {
+  return {
+    temperature: llmSettings.temperature ?? null,
+    maxOutputTokens: llmSettings.maxOutputTokens ?? null,
+    thinkingBudget: provider.supportsThinkingBudget ? llmSettings.thinkingBudget ?? null : null
+  };
+}
+
+// Stable per-browser id, sent so the proxy can tell clients apart in its usage log.
+function getClientId() {
+  try {
+    let clientId = window.localStorage.getItem(STORAGE_KEYS.CLIENT_ID);
+    if (!clientId) {
+      clientId = crypto.randomUUID();
+      window.localStorage.setItem(STORAGE_KEYS.CLIENT_ID, clientId);
+    }
+    return clientId;
+  } catch (error) {
+    return 'anonymous';
+  }
+}
+
+// Routes a provider through the proxy: the proxy holds the key and forwards the request,
+// and the response comes back in the provider's own format so parsing stays the same.
+function withProxy(provider) {
+  return {
+    ...provider,
+    isConfigured: () => true,
+    proxied: true,
+
+    buildRequest({ messages, model, stream, json = false, generation = {} }) {
+      return {
+        url: `${stripTrailingSlash(PROXY_URL)}/api/chat`,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Client-Id': getClientId() },
+          body: JSON.stringify({ provider: provider.id, model, messages, stream, json, generation })
+        }
+      };
+    },
+
+    parseError(data) {
+      return data.error?.message || provider.parseError(data);
+    }
+  };
+}
+
+export function getProvider(id) {
+  const provider = LLM_PROVIDERS[id] || LLM_PROVIDERS.gemini;
+  return PROXY_URL ? withProxy(provider) : provider;
+}
@@ -1,9 +1,24 @@
+import { CODE_LANGUAGES } from './constants';
+import { rankEntries } from './offlineSearch';
+import { codeFence } from './structuredAnswer';
+
 const C = '```'; // backtick helper for code blocks in template literals
 
+// Each answer is written with Python code. `code` holds the other languages, one
+// { java, cpp, javascript } map per Python block, in the order the blocks appear.
+// `pattern` is a LIBRARY_PATTERNS id and `related` lists other topics by name; both,
+// with `difficulty`, only feed the library browser. `prerequisites` names the topics to
+// read first, for the topic map (see topicGraph.js). `visualizer` is a VISUALIZERS id from
+// algorithmTraces.js for topics with a step-by-step animation.
+
 const OFFLINE_DB = [
   {
     keywords: ['two sum', 'twosum', '2sum'],
     topic: 'Two Sum',
+    pattern: 'arrays_hashing',
+    difficulty: 'easy',
+    related: ['3Sum', 'Product of Array Except Self'],
+    visualizer: 'two-sum',
     answer: `## Two Sum
 
 Find two numbers in an array that add up to a target, and return their indices. The key insight is trading space for time: store each number in a hash map so you can check in O(1) if the complement exists.
@@ -35,6 +50,44 @@ ${C}
 - A number can be used with itself only if it appears **twice** (e.g., target=6, nums=[3,3]).
 - The brute-force nested loop approach is O(n²) — avoid it.
 - If asked for indices, use a hash map. If asked to return the values (variant), sort + two pointers works in O(n log n) with O(1) space.`,
+    code: [
+      {
+        java: `public int[] twoSum(int[] nums, int target) {
+    Map<Integer, Integer> seen = new HashMap<>(); // value -> index
+    for (int i = 0; i < nums.length; i++) {
+        int complement = target - nums[i];
+        if (seen.containsKey(complement)) {
+            return new int[] { seen.get(complement), i };
+        }
+        seen.put(nums[i], i);
+    }
+    return new int[0];
+}`,
+        cpp: `vector<int> twoSum(const vector<int>& nums, int target) {
+    unordered_map<int, int> seen; // value -> index
+    for (int i = 0; i < (int)nums.size(); i++) {
+        int complement = target - nums[i];
+        auto it = seen.find(complement);
+        if (it != seen.end()) {
+            return {it->second, i};
+        }
+        seen[nums[i]] = i;
+    }
+    return {};
+}`,
+        javascript: `function twoSum(nums, target) {
+  const seen = new Map(); // value -> index
+  for (let i = 0; i < nums.length; i++) {
+    const complement = target - nums[i];
+    if (seen.has(complement)) {
+      return [seen.get(complement), i];
+    }
+    seen.set(nums[i], i);
+  }
+  return [];
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What is the time complexity of the hash map solution for Two Sum?',
@@ -59,6 +112,9 @@ ${C}
   {
     keywords: ['binary search'],
     topic: 'Binary Search',
+    pattern: 'binary_search',
+    difficulty: 'easy',
+    related: ['Binary Tree Traversals', 'Merge Sort'],
     answer: `## Binary Search
 
 Binary search finds a target in a **sorted** array in O(log n) time by repeatedly halving the search space. Each step eliminates half of the remaining candidates.
@@ -96,6 +152,53 @@ ${C}
 - Use \`lo + (hi - lo) // 2\` instead of \`(lo + hi) // 2\` to prevent overflow in other languages.
 - Off-by-one errors are common: remember \`lo <= hi\` (not \`<\`) with \`lo = mid + 1\` / \`hi = mid - 1\`.
 - Variants: find first/last occurrence, find insertion position (\`bisect_left\`/\`bisect_right\` in Python).`,
+    code: [
+      {
+        java: `public int binarySearch(int[] nums, int target) {
+    int lo = 0, hi = nums.length - 1;
+    while (lo <= hi) {
+        int mid = lo + (hi - lo) / 2;
+        if (nums[mid] == target) {
+            return mid;
+        } else if (nums[mid] < target) {
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return -1;
+}`,
+        cpp: `int binarySearch(const vector<int>& nums, int target) {
+    int lo = 0, hi = (int)nums.size() - 1;
+    while (lo <= hi) {
+        int mid = lo + (hi - lo) / 2;
+        if (nums[mid] == target) {
+            return mid;
+        } else if (nums[mid] < target) {
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return -1;
+}`,
+        javascript: `function binarySearch(nums, target) {
+  let lo = 0;
+  let hi = nums.length - 1;
+  while (lo <= hi) {
+    const mid = lo + Math.floor((hi - lo) / 2);
+    if (nums[mid] === target) {
+      return mid;
+    } else if (nums[mid] < target) {
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return -1;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What is the time complexity of binary search?',
@@ -120,6 +223,10 @@ ${C}
   {
     keywords: ['reverse linked list', 'reverse a linked list'],
     topic: 'Reverse Linked List',
+    pattern: 'linked_list',
+    difficulty: 'easy',
+    related: ['Linked List Essentials'],
+    prerequisites: ['Linked List Essentials'],
     answer: `## Reverse Linked List
 
 Reverse the direction of all \`next\` pointers in a singly linked list. The iterative approach uses three pointers; the recursive approach uses the call stack.
@@ -167,6 +274,97 @@ ${C}
 - Always save \`curr.next\` before overwriting it — otherwise you lose the rest of the list.
 - Empty list and single-node list both return \`head\` unchanged — handle these naturally with the loop condition.
 - Prefer iterative in interviews to show you understand the pointer manipulation.`,
+    code: [
+      {
+        java: `class ListNode {
+    int val;
+    ListNode next;
+    ListNode(int val) { this.val = val; }
+}
+
+// Iterative — O(1) space
+public ListNode reverseList(ListNode head) {
+    ListNode prev = null, curr = head;
+    while (curr != null) {
+        ListNode next = curr.next;
+        curr.next = prev;
+        prev = curr;
+        curr = next;
+    }
+    return prev;
+}
+
+// Recursive — O(n) space (call stack)
+public ListNode reverseListRecursive(ListNode head) {
+    if (head == null || head.next == null) {
+        return head;
+    }
+    ListNode newHead = reverseListRecursive(head.next);
+    head.next.next = head;
+    head.next = null;
+    return newHead;
+}`,
+        cpp: `struct ListNode {
+    int val;
+    ListNode* next;
+    ListNode(int val = 0, ListNode* next = nullptr) : val(val), next(next) {}
+};
+
+// Iterative — O(1) space
+ListNode* reverseList(ListNode* head) {
+    ListNode* prev = nullptr;
+    ListNode* curr = head;
+    while (curr) {
+        ListNode* next = curr->next;
+        curr->next = prev;
+        prev = curr;
+        curr = next;
+    }
+    return prev;
+}
+
+// Recursive — O(n) space (call stack)
+ListNode* reverseListRecursive(ListNode* head) {
+    if (!head || !head->next) {
+        return head;
+    }
+    ListNode* newHead = reverseListRecursive(head->next);
+    head->next->next = head;
+    head->next = nullptr;
+    return newHead;
+}`,
+        javascript: `class ListNode {
+  constructor(val = 0, next = null) {
+    this.val = val;
+    this.next = next;
+  }
+}
+
+// Iterative — O(1) space
+function reverseList(head) {
+  let prev = null;
+  let curr = head;
+  while (curr) {
+    const next = curr.next;
+    curr.next = prev;
+    prev = curr;
+    curr = next;
+  }
+  return prev;
+}
+
+// Recursive — O(n) space (call stack)
+function reverseListRecursive(head) {
+  if (!head || !head.next) {
+    return head;
+  }
+  const newHead = reverseListRecursive(head.next);
+  head.next.next = head;
+  head.next = null;
+  return newHead;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What is the space complexity of the iterative reverse linked list solution?',
@@ -191,6 +389,10 @@ ${C}
   {
     keywords: ['valid parentheses', 'balanced parentheses', 'matching brackets'],
     topic: 'Valid Parentheses',
+    pattern: 'stack',
+    difficulty: 'easy',
+    related: ['Backtracking', 'Depth-First Search (DFS)'],
+    visualizer: 'valid-parentheses',
     answer: `## Valid Parentheses
 
 Determine if a string of brackets is valid: every opening bracket must be closed in the correct order. A stack is the perfect data structure — push opens, pop and verify on closes.
@@ -225,6 +427,55 @@ ${C}
 - String of length 1 → always False.
 - \`"([)]"\` → False (wrong nesting order, even though counts match).
 - Always check \`not stack\` before accessing \`stack[-1]\` to avoid index errors.`,
+    code: [
+      {
+        java: `public boolean isValid(String s) {
+    Deque<Character> stack = new ArrayDeque<>();
+    Map<Character, Character> match = Map.of(')', '(', ']', '[', '}', '{');
+    for (char c : s.toCharArray()) {
+        if (c == '(' || c == '[' || c == '{') {
+            stack.push(c);
+        } else {
+            if (stack.isEmpty() || !stack.peek().equals(match.get(c))) {
+                return false;
+            }
+            stack.pop();
+        }
+    }
+    return stack.isEmpty();
+}`,
+        cpp: `bool isValid(const string& s) {
+    stack<char> st;
+    unordered_map<char, char> match = {{')', '('}, {']', '['}, {'}', '{'}};
+    for (char c : s) {
+        if (c == '(' || c == '[' || c == '{') {
+            st.push(c);
+        } else {
+            if (st.empty() || st.top() != match[c]) {
+                return false;
+            }
+            st.pop();
+        }
+    }
+    return st.empty();
+}`,
+        javascript: `function isValid(s) {
+  const stack = [];
+  const match = { ')': '(', ']': '[', '}': '{' };
+  for (const c of s) {
+    if ('([{'.includes(c)) {
+      stack.push(c);
+    } else {
+      if (stack.length === 0 || stack[stack.length - 1] !== match[c]) {
+        return false;
+      }
+      stack.pop();
+    }
+  }
+  return stack.length === 0;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What data structure is best for Valid Parentheses?',
@@ -249,6 +500,9 @@ ${C}
   {
     keywords: ['climbing stairs', 'climb stairs', 'staircase'],
     topic: 'Climbing Stairs (Dynamic Programming)',
+    pattern: 'dp',
+    difficulty: 'easy',
+    related: ['Dynamic Programming (DP)', 'Maximum Subarray (Kadane\'s Algorithm)'],
     answer: `## Climbing Stairs
 
 You can climb 1 or 2 steps at a time. How many distinct ways to reach step n? This is the Fibonacci pattern: ways(n) = ways(n-1) + ways(n-2).
@@ -303,6 +557,108 @@ ${C}
 - Recognize the Fibonacci pattern quickly — it appears often in DP problems.
 - The space-optimized version is preferred in interviews.
 - Generalize: if you can take 1, 2, or 3 steps → ways(n) = ways(n-1) + ways(n-2) + ways(n-3).`,
+    code: [
+      {
+        java: `// Approach 1: Bottom-up DP — O(n) time, O(n) space
+public int climbStairsDp(int n) {
+    if (n <= 2) return n;
+    int[] dp = new int[n + 1];
+    dp[1] = 1;
+    dp[2] = 2;
+    for (int i = 3; i <= n; i++) {
+        dp[i] = dp[i - 1] + dp[i - 2];
+    }
+    return dp[n];
+}
+
+// Approach 2: Space-optimized — O(n) time, O(1) space
+public int climbStairs(int n) {
+    if (n <= 2) return n;
+    int prev2 = 1, prev1 = 2;
+    for (int i = 3; i <= n; i++) {
+        int curr = prev1 + prev2;
+        prev2 = prev1;
+        prev1 = curr;
+    }
+    return prev1;
+}
+
+// Approach 3: Memoization (top-down)
+private final Map<Integer, Integer> memo = new HashMap<>();
+
+public int climbStairsMemo(int n) {
+    if (n <= 2) return n;
+    if (memo.containsKey(n)) return memo.get(n);
+    int ways = climbStairsMemo(n - 1) + climbStairsMemo(n - 2);
+    memo.put(n, ways);
+    return ways;
+}`,
+        cpp: `// Approach 1: Bottom-up DP — O(n) time, O(n) space
+int climbStairsDp(int n) {
+    if (n <= 2) return n;
+    vector<int> dp(n + 1);
+    dp[1] = 1;
+    dp[2] = 2;
+    for (int i = 3; i <= n; i++) {
+        dp[i] = dp[i - 1] + dp[i - 2];
+    }
+    return dp[n];
+}
+
+// Approach 2: Space-optimized — O(n) time, O(1) space
+int climbStairs(int n) {
+    if (n <= 2) return n;
+    int prev2 = 1, prev1 = 2;
+    for (int i = 3; i <= n; i++) {
+        int curr = prev1 + prev2;
+        prev2 = prev1;
+        prev1 = curr;
+    }
+    return prev1;
+}
+
+// Approach 3: Memoization (top-down)
+int climbStairsMemo(int n, unordered_map<int, int>& memo) {
+    if (n <= 2) return n;
+    auto it = memo.find(n);
+    if (it != memo.end()) return it->second;
+    return memo[n] = climbStairsMemo(n - 1, memo) + climbStairsMemo(n - 2, memo);
+}`,
+        javascript: `// Approach 1: Bottom-up DP — O(n) time, O(n) space
+function climbStairsDp(n) {
+  if (n <= 2) return n;
+  const dp = new Array(n + 1).fill(0);
+  dp[1] = 1;
+  dp[2] = 2;
+  for (let i = 3; i <= n; i++) {
+    dp[i] = dp[i - 1] + dp[i - 2];
+  }
+  return dp[n];
+}
+
+// Approach 2: Space-optimized — O(n) time, O(1) space
+function climbStairs(n) {
+  if (n <= 2) return n;
+  let prev2 = 1;
+  let prev1 = 2;
+  for (let i = 3; i <= n; i++) {
+    const curr = prev1 + prev2;
+    prev2 = prev1;
+    prev1 = curr;
+  }
+  return prev1;
+}
+
+// Approach 3: Memoization (top-down)
+function climbStairsMemo(n, memo = new Map()) {
+  if (n <= 2) return n;
+  if (memo.has(n)) return memo.get(n);
+  const ways = climbStairsMemo(n - 1, memo) + climbStairsMemo(n - 2, memo);
+  memo.set(n, ways);
+  return ways;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'Why does climbStairs follow the Fibonacci pattern?',
@@ -332,6 +688,10 @@ ${C}
   {
     keywords: ['maximum subarray', 'max subarray', "kadane", 'largest subarray sum'],
     topic: 'Maximum Subarray (Kadane\'s Algorithm)',
+    pattern: 'dp',
+    difficulty: 'medium',
+    related: ['Best Time to Buy and Sell Stock', 'Dynamic Programming (DP)'],
+    prerequisites: ['Climbing Stairs (Dynamic Programming)'],
     answer: `## Maximum Subarray — Kadane's Algorithm
 
 Find the contiguous subarray with the largest sum. Kadane's insight: at each position, either extend the current subarray or start fresh (whichever is larger).
@@ -362,6 +722,35 @@ ${C}
 - All negative numbers: Kadane's still works — it returns the least negative element.
 - Initialize with \`nums[0]\`, not \`0\`, to handle all-negative arrays correctly.
 - If you also need to return the subarray indices, track \`start\`, \`end\`, and \`temp_start\` separately.`,
+    code: [
+      {
+        java: `public int maxSubArray(int[] nums) {
+    int currentSum = nums[0], maxSum = nums[0];
+    for (int i = 1; i < nums.length; i++) {
+        currentSum = Math.max(nums[i], currentSum + nums[i]);
+        maxSum = Math.max(maxSum, currentSum);
+    }
+    return maxSum;
+}`,
+        cpp: `int maxSubArray(const vector<int>& nums) {
+    int currentSum = nums[0], maxSum = nums[0];
+    for (size_t i = 1; i < nums.size(); i++) {
+        currentSum = max(nums[i], currentSum + nums[i]);
+        maxSum = max(maxSum, currentSum);
+    }
+    return maxSum;
+}`,
+        javascript: `function maxSubArray(nums) {
+  let currentSum = nums[0];
+  let maxSum = nums[0];
+  for (let i = 1; i < nums.length; i++) {
+    currentSum = Math.max(nums[i], currentSum + nums[i]);
+    maxSum = Math.max(maxSum, currentSum);
+  }
+  return maxSum;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What does Kadane\'s algorithm decide at each step?',
@@ -391,6 +780,11 @@ ${C}
   {
     keywords: ['binary tree traversal', 'tree traversal', 'inorder', 'preorder', 'postorder', 'level order'],
     topic: 'Binary Tree Traversals',
+    pattern: 'trees',
+    difficulty: 'easy',
+    related: ['Breadth-First Search (BFS)', 'Depth-First Search (DFS)'],
+    prerequisites: ['Linked List Essentials'],
+    visualizer: 'tree-traversal',
     answer: `## Binary Tree Traversals
 
 The four main ways to visit all nodes in a binary tree.
@@ -459,6 +853,188 @@ ${C}
 - A BST's inorder traversal always yields a sorted array — great for validation problems.
 - Level order BFS uses a **queue**; DFS traversals use a **stack** (or call stack).
 - Tree height: O(log n) balanced, O(n) worst case (skewed tree).`,
+    code: [
+      {
+        java: `class TreeNode {
+    int val;
+    TreeNode left, right;
+    TreeNode(int val) { this.val = val; }
+}
+
+// Inorder — recursive
+public void inorder(TreeNode root, List<Integer> out) {
+    if (root == null) return;
+    inorder(root.left, out);
+    out.add(root.val);
+    inorder(root.right, out);
+}
+
+// Preorder — recursive
+public void preorder(TreeNode root, List<Integer> out) {
+    if (root == null) return;
+    out.add(root.val);
+    preorder(root.left, out);
+    preorder(root.right, out);
+}
+
+// Postorder — recursive
+public void postorder(TreeNode root, List<Integer> out) {
+    if (root == null) return;
+    postorder(root.left, out);
+    postorder(root.right, out);
+    out.add(root.val);
+}
+
+// Level Order (BFS) — iterative
+public List<List<Integer>> levelOrder(TreeNode root) {
+    List<List<Integer>> result = new ArrayList<>();
+    if (root == null) return result;
+    Queue<TreeNode> queue = new ArrayDeque<>();
+    queue.offer(root);
+    while (!queue.isEmpty()) {
+        List<Integer> level = new ArrayList<>();
+        for (int i = queue.size(); i > 0; i--) {
+            TreeNode node = queue.poll();
+            level.add(node.val);
+            if (node.left != null) queue.offer(node.left);
+            if (node.right != null) queue.offer(node.right);
+        }
+        result.add(level);
+    }
+    return result;
+}
+
+// Inorder — iterative (useful to know)
+public List<Integer> inorderIterative(TreeNode root) {
+    List<Integer> result = new ArrayList<>();
+    Deque<TreeNode> stack = new ArrayDeque<>();
+    TreeNode curr = root;
+    while (curr != null || !stack.isEmpty()) {
+        while (curr != null) {
+            stack.push(curr);
+            curr = curr.left;
+        }
+        curr = stack.pop();
+        result.add(curr.val);
+        curr = curr.right;
+    }
+    return result;
+}`,
+        cpp: `struct TreeNode {
+    int val;
+    TreeNode* left;
+    TreeNode* right;
+    TreeNode(int val = 0) : val(val), left(nullptr), right(nullptr) {}
+};
+
+// Inorder — recursive
+void inorder(TreeNode* root, vector<int>& out) {
+    if (!root) return;
+    inorder(root->left, out);
+    out.push_back(root->val);
+    inorder(root->right, out);
+}
+
+// Preorder — recursive
+void preorder(TreeNode* root, vector<int>& out) {
+    if (!root) return;
+    out.push_back(root->val);
+    preorder(root->left, out);
+    preorder(root->right, out);
+}
+
+// Postorder — recursive
+void postorder(TreeNode* root, vector<int>& out) {
+    if (!root) return;
+    postorder(root->left, out);
+    postorder(root->right, out);
+    out.push_back(root->val);
+}
+
+// Level Order (BFS) — iterative
+vector<vector<int>> levelOrder(TreeNode* root) {
+    vector<vector<int>> result;
+    if (!root) return result;
+    queue<TreeNode*> q;
+    q.push(root);
+    while (!q.empty()) {
+        vector<int> level;
+        for (int i = q.size(); i > 0; i--) {
+            TreeNode* node = q.front();
+            q.pop();
+            level.push_back(node->val);
+            if (node->left) q.push(node->left);
+            if (node->right) q.push(node->right);
+        }
+        result.push_back(level);
+    }
+    return result;
+}
+
+// Inorder — iterative (useful to know)
+vector<int> inorderIterative(TreeNode* root) {
+    vector<int> result;
+    stack<TreeNode*> st;
+    TreeNode* curr = root;
+    while (curr || !st.empty()) {
+        while (curr) {
+            st.push(curr);
+            curr = curr->left;
+        }
+        curr = st.top();
+        st.pop();
+        result.push_back(curr->val);
+        curr = curr->right;
+    }
+    return result;
+}`,
+        javascript: `class TreeNode {
+  constructor(val = 0, left = null, right = null) {
+    this.val = val;
+    this.left = left;
+    this.right = right;
+  }
+}
+
+// Inorder — recursive
+const inorder = (root) => (root ? [...inorder(root.left), root.val, ...inorder(root.right)] : []);
+
+// Preorder — recursive
+const preorder = (root) => (root ? [root.val, ...preorder(root.left), ...preorder(root.right)] : []);
+
+// Postorder — recursive
+const postorder = (root) => (root ? [...postorder(root.left), ...postorder(root.right), root.val] : []);
+
+// Level Order (BFS) — iterative, one array per level
+function levelOrder(root) {
+  if (!root) return [];
+  const result = [];
+  let level = [root];
+  while (level.length > 0) {
+    result.push(level.map((node) => node.val));
+    level = level.flatMap((node) => [node.left, node.right].filter(Boolean));
+  }
+  return result;
+}
+
+// Inorder — iterative (useful to know)
+function inorderIterative(root) {
+  const result = [];
+  const stack = [];
+  let curr = root;
+  while (curr || stack.length > 0) {
+    while (curr) {
+      stack.push(curr);
+      curr = curr.left;
+    }
+    curr = stack.pop();
+    result.push(curr.val);
+    curr = curr.right;
+  }
+  return result;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'Which traversal of a BST produces a sorted output?',
@@ -483,6 +1059,11 @@ ${C}
   {
     keywords: ['bfs', 'breadth first search', 'breadth-first'],
     topic: 'Breadth-First Search (BFS)',
+    pattern: 'graphs',
+    difficulty: 'medium',
+    related: ['Depth-First Search (DFS)', 'Graph Traversal & Islands', 'Binary Tree Traversals'],
+    prerequisites: ['Binary Tree Traversals'],
+    visualizer: 'grid-bfs',
     answer: `## Breadth-First Search (BFS)
 
 BFS explores a graph or tree **level by level** — visiting all neighbors of a node before going deeper. It uses a **queue** and is ideal for finding shortest paths in unweighted graphs.
@@ -551,6 +1132,178 @@ ${C}
 - Mark nodes visited **when enqueuing**, not when dequeuing — prevents adding duplicates to the queue.
 - BFS guarantees the **shortest path** in unweighted graphs; use Dijkstra for weighted graphs.
 - For 2D grids, the 4-direction array \`[(0,1),(0,-1),(1,0),(-1,0)]\` is a standard pattern.`,
+    code: [
+      {
+        java: `// BFS on a graph (adjacency list)
+public List<Integer> bfs(Map<Integer, List<Integer>> graph, int start) {
+    Set<Integer> visited = new HashSet<>(List.of(start));
+    Queue<Integer> queue = new ArrayDeque<>(List.of(start));
+    List<Integer> order = new ArrayList<>();
+    while (!queue.isEmpty()) {
+        int node = queue.poll();
+        order.add(node);
+        for (int neighbor : graph.getOrDefault(node, List.of())) {
+            if (visited.add(neighbor)) { // add() is false if already visited
+                queue.offer(neighbor);
+            }
+        }
+    }
+    return order;
+}
+
+// BFS shortest path in unweighted graph
+public int shortestPath(Map<Integer, List<Integer>> graph, int start, int end) {
+    if (start == end) return 0;
+    Set<Integer> visited = new HashSet<>(List.of(start));
+    Queue<int[]> queue = new ArrayDeque<>();
+    queue.offer(new int[] { start, 0 }); // (node, distance)
+    while (!queue.isEmpty()) {
+        int[] current = queue.poll();
+        for (int neighbor : graph.getOrDefault(current[0], List.of())) {
+            if (neighbor == end) return current[1] + 1;
+            if (visited.add(neighbor)) {
+                queue.offer(new int[] { neighbor, current[1] + 1 });
+            }
+        }
+    }
+    return -1; // not reachable
+}
+
+// BFS on a 2D grid (common in problems)
+public void bfsGrid(int[][] grid, int startRow, int startCol) {
+    int rows = grid.length, cols = grid[0].length;
+    boolean[][] visited = new boolean[rows][cols];
+    int[][] directions = { {0, 1}, {0, -1}, {1, 0}, {-1, 0} };
+    Queue<int[]> queue = new ArrayDeque<>();
+    visited[startRow][startCol] = true;
+    queue.offer(new int[] { startRow, startCol });
+    while (!queue.isEmpty()) {
+        int[] cell = queue.poll();
+        for (int[] d : directions) {
+            int nr = cell[0] + d[0], nc = cell[1] + d[1];
+            if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && !visited[nr][nc]) {
+                visited[nr][nc] = true;
+                queue.offer(new int[] { nr, nc });
+            }
+        }
+    }
+}`,
+        cpp: `// BFS on a graph (adjacency list)
+vector<int> bfs(unordered_map<int, vector<int>>& graph, int start) {
+    unordered_set<int> visited = {start};
+    queue<int> q;
+    q.push(start);
+    vector<int> order;
+    while (!q.empty()) {
+        int node = q.front();
+        q.pop();
+        order.push_back(node);
+        for (int neighbor : graph[node]) {
+            if (visited.insert(neighbor).second) { // false if already visited
+                q.push(neighbor);
+            }
+        }
+    }
+    return order;
+}
+
+// BFS shortest path in unweighted graph
+int shortestPath(unordered_map<int, vector<int>>& graph, int start, int end) {
+    if (start == end) return 0;
+    unordered_set<int> visited = {start};
+    queue<pair<int, int>> q; // (node, distance)
+    q.push({start, 0});
+    while (!q.empty()) {
+        auto [node, dist] = q.front();
+        q.pop();
+        for (int neighbor : graph[node]) {
+            if (neighbor == end) return dist + 1;
+            if (visited.insert(neighbor).second) {
+                q.push({neighbor, dist + 1});
+            }
+        }
+    }
+    return -1; // not reachable
+}
+
+// BFS on a 2D grid (common in problems)
+void bfsGrid(const vector<vector<int>>& grid, int startRow, int startCol) {
+    int rows = grid.size(), cols = grid[0].size();
+    vector<vector<bool>> visited(rows, vector<bool>(cols, false));
+    int directions[4][2] = {{0, 1}, {0, -1}, {1, 0}, {-1, 0}};
+    queue<pair<int, int>> q;
+    visited[startRow][startCol] = true;
+    q.push({startRow, startCol});
+    while (!q.empty()) {
+        auto [r, c] = q.front();
+        q.pop();
+        for (auto& d : directions) {
+            int nr = r + d[0], nc = c + d[1];
+            if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && !visited[nr][nc]) {
+                visited[nr][nc] = true;
+                q.push({nr, nc});
+            }
+        }
+    }
+}`,
+        javascript: `// BFS on a graph (adjacency list). A read index avoids the O(n) cost of shift().
+function bfs(graph, start) {
+  const visited = new Set([start]);
+  const queue = [start];
+  const order = [];
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    order.push(node);
+    for (const neighbor of graph[node] || []) {
+      if (!visited.has(neighbor)) {
+        visited.add(neighbor);
+        queue.push(neighbor);
+      }
+    }
+  }
+  return order;
+}
+
+// BFS shortest path in unweighted graph
+function shortestPath(graph, start, end) {
+  if (start === end) return 0;
+  const visited = new Set([start]);
+  const queue = [[start, 0]]; // [node, distance]
+  for (let head = 0; head < queue.length; head++) {
+    const [node, dist] = queue[head];
+    for (const neighbor of graph[node] || []) {
+      if (neighbor === end) return dist + 1;
+      if (!visited.has(neighbor)) {
+        visited.add(neighbor);
+        queue.push([neighbor, dist + 1]);
+      }
+    }
+  }
+  return -1; // not reachable
+}
+
+// BFS on a 2D grid (common in problems)
+function bfsGrid(grid, [startRow, startCol]) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const visited = new Set([startRow + ',' + startCol]);
+  const queue = [[startRow, startCol]];
+  const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+  for (let head = 0; head < queue.length; head++) {
+    const [r, c] = queue[head];
+    for (const [dr, dc] of directions) {
+      const nr = r + dr;
+      const nc = c + dc;
+      const key = nr + ',' + nc;
+      if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && !visited.has(key)) {
+        visited.add(key);
+        queue.push([nr, nc]);
+      }
+    }
+  }
+}`
+      }
+    ],
     quiz: [
       {
         question: 'BFS uses which data structure to manage the frontier?',
@@ -575,6 +1328,11 @@ ${C}
   {
     keywords: ['dfs', 'depth first search', 'depth-first'],
     topic: 'Depth-First Search (DFS)',
+    pattern: 'graphs',
+    difficulty: 'medium',
+    related: ['Breadth-First Search (BFS)', 'Backtracking', 'Graph Traversal & Islands'],
+    prerequisites: ['Binary Tree Traversals'],
+    visualizer: 'grid-dfs',
     answer: `## Depth-First Search (DFS)
 
 DFS explores as far as possible along each branch before backtracking. It uses a **stack** (explicit or via recursion) and is ideal for cycle detection, topological sort, and connected components.
@@ -631,6 +1389,138 @@ ${C}
 - DFS does **not** guarantee shortest path — use BFS for that.
 - Iterative DFS with an explicit stack may visit nodes in different order than recursive DFS.
 - For cycle detection in directed graphs, track nodes in the current recursion path (gray nodes), not just visited nodes.`,
+    code: [
+      {
+        java: `// DFS — recursive
+public void dfsRecursive(Map<Integer, List<Integer>> graph, int node, Set<Integer> visited) {
+    visited.add(node);
+    System.out.println(node); // process node
+    for (int neighbor : graph.getOrDefault(node, List.of())) {
+        if (!visited.contains(neighbor)) {
+            dfsRecursive(graph, neighbor, visited);
+        }
+    }
+}
+
+// DFS — iterative (explicit stack)
+public List<Integer> dfsIterative(Map<Integer, List<Integer>> graph, int start) {
+    Set<Integer> visited = new HashSet<>();
+    Deque<Integer> stack = new ArrayDeque<>();
+    stack.push(start);
+    List<Integer> order = new ArrayList<>();
+    while (!stack.isEmpty()) {
+        int node = stack.pop();
+        if (!visited.add(node)) continue; // already visited
+        order.add(node);
+        for (int neighbor : graph.getOrDefault(node, List.of())) {
+            if (!visited.contains(neighbor)) {
+                stack.push(neighbor);
+            }
+        }
+    }
+    return order;
+}
+
+// DFS on a 2D grid — find island size
+public int islandSize(char[][] grid, int r, int c, boolean[][] visited) {
+    if (r < 0 || r >= grid.length || c < 0 || c >= grid[0].length
+            || visited[r][c] || grid[r][c] == '0') {
+        return 0;
+    }
+    visited[r][c] = true;
+    return 1 + islandSize(grid, r + 1, c, visited)
+             + islandSize(grid, r - 1, c, visited)
+             + islandSize(grid, r, c + 1, visited)
+             + islandSize(grid, r, c - 1, visited);
+}`,
+        cpp: `// DFS — recursive
+void dfsRecursive(unordered_map<int, vector<int>>& graph, int node, unordered_set<int>& visited) {
+    visited.insert(node);
+    cout << node << endl; // process node
+    for (int neighbor : graph[node]) {
+        if (!visited.count(neighbor)) {
+            dfsRecursive(graph, neighbor, visited);
+        }
+    }
+}
+
+// DFS — iterative (explicit stack)
+vector<int> dfsIterative(unordered_map<int, vector<int>>& graph, int start) {
+    unordered_set<int> visited;
+    stack<int> st;
+    st.push(start);
+    vector<int> order;
+    while (!st.empty()) {
+        int node = st.top();
+        st.pop();
+        if (!visited.insert(node).second) continue; // already visited
+        order.push_back(node);
+        for (int neighbor : graph[node]) {
+            if (!visited.count(neighbor)) {
+                st.push(neighbor);
+            }
+        }
+    }
+    return order;
+}
+
+// DFS on a 2D grid — find island size
+int islandSize(const vector<vector<char>>& grid, int r, int c, vector<vector<bool>>& visited) {
+    int rows = grid.size(), cols = grid[0].size();
+    if (r < 0 || r >= rows || c < 0 || c >= cols || visited[r][c] || grid[r][c] == '0') {
+        return 0;
+    }
+    visited[r][c] = true;
+    return 1 + islandSize(grid, r + 1, c, visited)
+             + islandSize(grid, r - 1, c, visited)
+             + islandSize(grid, r, c + 1, visited)
+             + islandSize(grid, r, c - 1, visited);
+}`,
+        javascript: `// DFS — recursive
+function dfsRecursive(graph, node, visited = new Set()) {
+  visited.add(node);
+  console.log(node); // process node
+  for (const neighbor of graph[node] || []) {
+    if (!visited.has(neighbor)) {
+      dfsRecursive(graph, neighbor, visited);
+    }
+  }
+}
+
+// DFS — iterative (explicit stack)
+function dfsIterative(graph, start) {
+  const visited = new Set();
+  const stack = [start];
+  const order = [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (visited.has(node)) continue;
+    visited.add(node);
+    order.push(node);
+    for (const neighbor of graph[node] || []) {
+      if (!visited.has(neighbor)) {
+        stack.push(neighbor);
+      }
+    }
+  }
+  return order;
+}
+
+// DFS on a 2D grid — find island size
+function islandSize(grid, r, c, visited = new Set()) {
+  const key = r + ',' + c;
+  if (r < 0 || r >= grid.length || c < 0 || c >= grid[0].length
+      || visited.has(key) || grid[r][c] === '0') {
+    return 0;
+  }
+  visited.add(key);
+  return 1 + islandSize(grid, r + 1, c, visited)
+           + islandSize(grid, r - 1, c, visited)
+           + islandSize(grid, r, c + 1, visited)
+           + islandSize(grid, r, c - 1, visited);
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What data structure does iterative DFS use?',
@@ -655,6 +1545,10 @@ ${C}
   {
     keywords: ['longest substring', 'substring without repeating', 'sliding window'],
     topic: 'Longest Substring Without Repeating Characters',
+    pattern: 'sliding_window',
+    difficulty: 'medium',
+    related: ['Best Time to Buy and Sell Stock', 'Two Sum'],
+    prerequisites: ['Two Sum'],
     answer: `## Longest Substring Without Repeating Characters
 
 Find the length of the longest substring with all unique characters. The **sliding window** technique with a hash map solves this in O(n).
@@ -690,6 +1584,51 @@ ${C}
 - All same characters (e.g., \`"aaaa"\`) → return 1.
 - The condition \`char_index[char] >= left\` is crucial — the previous occurrence might be outside the current window.
 - The general sliding window template: expand right, shrink left when constraint violated.`,
+    code: [
+      {
+        java: `public int lengthOfLongestSubstring(String s) {
+    Map<Character, Integer> charIndex = new HashMap<>(); // char -> last seen index
+    int left = 0, maxLen = 0;
+    for (int right = 0; right < s.length(); right++) {
+        char c = s.charAt(right);
+        if (charIndex.containsKey(c) && charIndex.get(c) >= left) {
+            left = charIndex.get(c) + 1;
+        }
+        charIndex.put(c, right);
+        maxLen = Math.max(maxLen, right - left + 1);
+    }
+    return maxLen;
+}`,
+        cpp: `int lengthOfLongestSubstring(const string& s) {
+    unordered_map<char, int> charIndex; // char -> last seen index
+    int left = 0, maxLen = 0;
+    for (int right = 0; right < (int)s.size(); right++) {
+        char c = s[right];
+        auto it = charIndex.find(c);
+        if (it != charIndex.end() && it->second >= left) {
+            left = it->second + 1;
+        }
+        charIndex[c] = right;
+        maxLen = max(maxLen, right - left + 1);
+    }
+    return maxLen;
+}`,
+        javascript: `function lengthOfLongestSubstring(s) {
+  const charIndex = new Map(); // char -> last seen index
+  let left = 0;
+  let maxLen = 0;
+  for (let right = 0; right < s.length; right++) {
+    const char = s[right];
+    if (charIndex.has(char) && charIndex.get(char) >= left) {
+      left = charIndex.get(char) + 1;
+    }
+    charIndex.set(char, right);
+    maxLen = Math.max(maxLen, right - left + 1);
+  }
+  return maxLen;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What technique is used to solve Longest Substring Without Repeating Characters efficiently?',
@@ -719,6 +1658,9 @@ ${C}
   {
     keywords: ['best time to buy', 'buy sell stock', 'stock profit', 'maximum profit'],
     topic: 'Best Time to Buy and Sell Stock',
+    pattern: 'sliding_window',
+    difficulty: 'easy',
+    related: ['Maximum Subarray (Kadane\'s Algorithm)', 'Longest Substring Without Repeating Characters'],
     answer: `## Best Time to Buy and Sell Stock
 
 Find the maximum profit from one buy-sell transaction. Track the minimum price seen so far and the maximum profit achievable at each day.
@@ -749,6 +1691,35 @@ ${C}
 - If prices only decrease, \`max_profit\` stays 0 (no profitable trade).
 - You must buy before you sell — tracking \`min_price\` ensures this.
 - Variant (unlimited transactions): use a greedy approach — sum all upward moves.`,
+    code: [
+      {
+        java: `public int maxProfit(int[] prices) {
+    int minPrice = Integer.MAX_VALUE, maxProfit = 0;
+    for (int price : prices) {
+        minPrice = Math.min(minPrice, price);
+        maxProfit = Math.max(maxProfit, price - minPrice);
+    }
+    return maxProfit;
+}`,
+        cpp: `int maxProfit(const vector<int>& prices) {
+    int minPrice = INT_MAX, maxProfit = 0;
+    for (int price : prices) {
+        minPrice = min(minPrice, price);
+        maxProfit = max(maxProfit, price - minPrice);
+    }
+    return maxProfit;
+}`,
+        javascript: `function maxProfit(prices) {
+  let minPrice = Infinity;
+  let maxProfit = 0;
+  for (const price of prices) {
+    minPrice = Math.min(minPrice, price);
+    maxProfit = Math.max(maxProfit, price - minPrice);
+  }
+  return maxProfit;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'For prices=[7,1,5,3,6,4], what is the maximum profit?',
@@ -778,6 +1749,9 @@ ${C}
   {
     keywords: ['product of array', 'product except self', 'prefix suffix'],
     topic: 'Product of Array Except Self',
+    pattern: 'arrays_hashing',
+    difficulty: 'medium',
+    related: ['Two Sum', 'Maximum Subarray (Kadane\'s Algorithm)'],
     answer: `## Product of Array Except Self
 
 Return an array where each element is the product of all other elements, **without using division** and in O(n).
@@ -815,6 +1789,70 @@ ${C}
 ## Key Tips & Edge Cases
 - Arrays with zeros: if one zero, all products except that index are 0. If two zeros, all products are 0.
 - The constraint "no division" is what makes this problem interesting — division would trivialize it.`,
+    code: [
+      {
+        java: `public int[] productExceptSelf(int[] nums) {
+    int n = nums.length;
+    int[] result = new int[n];
+
+    // Left pass: result[i] = product of nums[0..i-1]
+    int prefix = 1;
+    for (int i = 0; i < n; i++) {
+        result[i] = prefix;
+        prefix *= nums[i];
+    }
+
+    // Right pass: multiply result[i] by product of nums[i+1..n-1]
+    int suffix = 1;
+    for (int i = n - 1; i >= 0; i--) {
+        result[i] *= suffix;
+        suffix *= nums[i];
+    }
+
+    return result;
+}`,
+        cpp: `vector<int> productExceptSelf(const vector<int>& nums) {
+    int n = nums.size();
+    vector<int> result(n, 1);
+
+    // Left pass: result[i] = product of nums[0..i-1]
+    int prefix = 1;
+    for (int i = 0; i < n; i++) {
+        result[i] = prefix;
+        prefix *= nums[i];
+    }
+
+    // Right pass: multiply result[i] by product of nums[i+1..n-1]
+    int suffix = 1;
+    for (int i = n - 1; i >= 0; i--) {
+        result[i] *= suffix;
+        suffix *= nums[i];
+    }
+
+    return result;
+}`,
+        javascript: `function productExceptSelf(nums) {
+  const n = nums.length;
+  const result = new Array(n).fill(1);
+
+  // Left pass: result[i] = product of nums[0..i-1]
+  let prefix = 1;
+  for (let i = 0; i < n; i++) {
+    result[i] = prefix;
+    prefix *= nums[i];
+  }
+
+  // Right pass: multiply result[i] by product of nums[i+1..n-1]
+  let suffix = 1;
+  for (let i = n - 1; i >= 0; i--) {
+    result[i] *= suffix;
+    suffix *= nums[i];
+  }
+
+  return result;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'For nums=[1,2,3,4], what is the output?',
@@ -849,6 +1887,11 @@ ${C}
   {
     keywords: ['three sum', '3sum', 'triplet', 'three numbers'],
     topic: '3Sum',
+    pattern: 'two_pointers',
+    difficulty: 'medium',
+    related: ['Two Sum', 'Container With Most Water'],
+    prerequisites: ['Two Sum'],
+    visualizer: 'three-sum',
     answer: `## 3Sum
 
 Find all unique triplets that sum to zero. The key insight: sort first, then use a fixed pointer + two-pointer scan to avoid duplicates and achieve O(n²).
@@ -897,6 +1940,84 @@ ${C}
 - Sorting is mandatory — it enables both the two-pointer technique and easy duplicate skipping.
 - Three separate duplicate-skipping checks: for \`i\`, for \`lo\`, and for \`hi\`.
 - Early exit: if \`nums[i] > 0\`, no triplet can sum to 0 (all remaining are larger).`,
+    code: [
+      {
+        java: `public List<List<Integer>> threeSum(int[] nums) {
+    Arrays.sort(nums);
+    List<List<Integer>> result = new ArrayList<>();
+    for (int i = 0; i < nums.length - 2; i++) {
+        if (nums[i] > 0) break; // all remaining triplets will be > 0
+        if (i > 0 && nums[i] == nums[i - 1]) continue; // skip duplicate fixed element
+        int lo = i + 1, hi = nums.length - 1;
+        while (lo < hi) {
+            int total = nums[i] + nums[lo] + nums[hi];
+            if (total == 0) {
+                result.add(List.of(nums[i], nums[lo], nums[hi]));
+                while (lo < hi && nums[lo] == nums[lo + 1]) lo++;
+                while (lo < hi && nums[hi] == nums[hi - 1]) hi--;
+                lo++;
+                hi--;
+            } else if (total < 0) {
+                lo++;
+            } else {
+                hi--;
+            }
+        }
+    }
+    return result;
+}`,
+        cpp: `vector<vector<int>> threeSum(vector<int> nums) {
+    sort(nums.begin(), nums.end());
+    vector<vector<int>> result;
+    int n = nums.size();
+    for (int i = 0; i < n - 2; i++) {
+        if (nums[i] > 0) break; // all remaining triplets will be > 0
+        if (i > 0 && nums[i] == nums[i - 1]) continue; // skip duplicate fixed element
+        int lo = i + 1, hi = n - 1;
+        while (lo < hi) {
+            int total = nums[i] + nums[lo] + nums[hi];
+            if (total == 0) {
+                result.push_back({nums[i], nums[lo], nums[hi]});
+                while (lo < hi && nums[lo] == nums[lo + 1]) lo++;
+                while (lo < hi && nums[hi] == nums[hi - 1]) hi--;
+                lo++;
+                hi--;
+            } else if (total < 0) {
+                lo++;
+            } else {
+                hi--;
+            }
+        }
+    }
+    return result;
+}`,
+        javascript: `function threeSum(nums) {
+  nums.sort((a, b) => a - b); // numeric sort, the default compares strings
+  const result = [];
+  for (let i = 0; i < nums.length - 2; i++) {
+    if (nums[i] > 0) break; // all remaining triplets will be > 0
+    if (i > 0 && nums[i] === nums[i - 1]) continue; // skip duplicate fixed element
+    let lo = i + 1;
+    let hi = nums.length - 1;
+    while (lo < hi) {
+      const total = nums[i] + nums[lo] + nums[hi];
+      if (total === 0) {
+        result.push([nums[i], nums[lo], nums[hi]]);
+        while (lo < hi && nums[lo] === nums[lo + 1]) lo++;
+        while (lo < hi && nums[hi] === nums[hi - 1]) hi--;
+        lo++;
+        hi--;
+      } else if (total < 0) {
+        lo++;
+      } else {
+        hi--;
+      }
+    }
+  }
+  return result;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'Why do we sort the array first in 3Sum?',
@@ -931,6 +2052,10 @@ ${C}
   {
     keywords: ['container with most water', 'most water', 'max water', 'trapping water'],
     topic: 'Container With Most Water',
+    pattern: 'two_pointers',
+    difficulty: 'medium',
+    related: ['3Sum', 'Best Time to Buy and Sell Stock'],
+    visualizer: 'container-with-most-water',
     answer: `## Container With Most Water
 
 Given heights of vertical lines, find two lines that together with the x-axis form a container holding the most water. Use the **two-pointer** approach.
@@ -963,6 +2088,53 @@ ${C}
 ## Key Tips & Edge Cases
 - We move the shorter pointer because moving the taller one can only decrease width while height stays bounded by the shorter — no gain.
 - This is different from **Trapping Rain Water** (harder — requires knowing both left and right maximums for each bar).`,
+    code: [
+      {
+        java: `public int maxArea(int[] height) {
+    int lo = 0, hi = height.length - 1;
+    int maxArea = 0;
+    while (lo < hi) {
+        int area = Math.min(height[lo], height[hi]) * (hi - lo);
+        maxArea = Math.max(maxArea, area);
+        if (height[lo] < height[hi]) {
+            lo++;
+        } else {
+            hi--;
+        }
+    }
+    return maxArea;
+}`,
+        cpp: `int maxArea(const vector<int>& height) {
+    int lo = 0, hi = (int)height.size() - 1;
+    int maxArea = 0;
+    while (lo < hi) {
+        int area = min(height[lo], height[hi]) * (hi - lo);
+        maxArea = max(maxArea, area);
+        if (height[lo] < height[hi]) {
+            lo++;
+        } else {
+            hi--;
+        }
+    }
+    return maxArea;
+}`,
+        javascript: `function maxArea(height) {
+  let lo = 0;
+  let hi = height.length - 1;
+  let maxArea = 0;
+  while (lo < hi) {
+    const area = Math.min(height[lo], height[hi]) * (hi - lo);
+    maxArea = Math.max(maxArea, area);
+    if (height[lo] < height[hi]) {
+      lo++;
+    } else {
+      hi--;
+    }
+  }
+  return maxArea;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'Why do we move the shorter-height pointer inward?',
@@ -986,6 +2158,9 @@ ${C}
   {
     keywords: ['merge sort', 'mergesort'],
     topic: 'Merge Sort',
+    pattern: 'sorting',
+    difficulty: 'medium',
+    related: ['Quick Sort', 'Linked List Essentials'],
     answer: `## Merge Sort
 
 A divide-and-conquer sorting algorithm that splits the array in half, recursively sorts each half, then merges them. Guaranteed O(n log n) in all cases.
@@ -1023,11 +2198,81 @@ ${C}
 - **Time:** O(n log n) — log n levels × O(n) merge at each level
 - **Space:** O(n) — merge requires auxiliary arrays
 
+Each call sorts two halves and merges them in linear time:
+
+$$
+T(n) = 2\\,T\\left(\\frac{n}{2}\\right) + O(n)
+$$
+
+By the master theorem with $$a = 2$$, $$b = 2$$ and $$f(n) = O(n) = O(n^{\\log_2 2})$$, every level of the recursion does the same $$O(n)$$ work across $$\\log_2 n$$ levels, so $$T(n) = O(n \\log n)$$.
+
 ## Key Tips & Edge Cases
 - **Stable** sort — equal elements preserve relative order.
 - Better than Quick Sort in worst case (always O(n log n) vs. O(n²) for Quick Sort).
 - Used in Python's \`timsort\` (the built-in sort) for merging runs.
 - Great for **counting inversions** (modify merge to count swaps).`,
+    code: [
+      {
+        java: `public int[] mergeSort(int[] nums) {
+    if (nums.length <= 1) return nums;
+    int mid = nums.length / 2;
+    int[] left = mergeSort(Arrays.copyOfRange(nums, 0, mid));
+    int[] right = mergeSort(Arrays.copyOfRange(nums, mid, nums.length));
+    return merge(left, right);
+}
+
+private int[] merge(int[] left, int[] right) {
+    int[] result = new int[left.length + right.length];
+    int i = 0, j = 0, k = 0;
+    while (i < left.length && j < right.length) {
+        result[k++] = left[i] <= right[j] ? left[i++] : right[j++];
+    }
+    while (i < left.length) result[k++] = left[i++];
+    while (j < right.length) result[k++] = right[j++];
+    return result;
+}`,
+        cpp: `vector<int> merge(const vector<int>& left, const vector<int>& right) {
+    vector<int> result;
+    result.reserve(left.size() + right.size());
+    size_t i = 0, j = 0;
+    while (i < left.size() && j < right.size()) {
+        result.push_back(left[i] <= right[j] ? left[i++] : right[j++]);
+    }
+    result.insert(result.end(), left.begin() + i, left.end());
+    result.insert(result.end(), right.begin() + j, right.end());
+    return result;
+}
+
+vector<int> mergeSort(const vector<int>& nums) {
+    if (nums.size() <= 1) return nums;
+    size_t mid = nums.size() / 2;
+    vector<int> left = mergeSort(vector<int>(nums.begin(), nums.begin() + mid));
+    vector<int> right = mergeSort(vector<int>(nums.begin() + mid, nums.end()));
+    return merge(left, right);
+}`,
+        javascript: `function mergeSort(nums) {
+  if (nums.length <= 1) return nums;
+  const mid = Math.floor(nums.length / 2);
+  const left = mergeSort(nums.slice(0, mid));
+  const right = mergeSort(nums.slice(mid));
+  return merge(left, right);
+}
+
+function merge(left, right) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] <= right[j]) {
+      result.push(left[i++]);
+    } else {
+      result.push(right[j++]);
+    }
+  }
+  return result.concat(left.slice(i), right.slice(j));
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What is the worst-case time complexity of Merge Sort?',
@@ -1057,6 +2302,10 @@ ${C}
   {
     keywords: ['quick sort', 'quicksort'],
     topic: 'Quick Sort',
+    pattern: 'sorting',
+    difficulty: 'medium',
+    related: ['Merge Sort', 'Heap / Priority Queue'],
+    prerequisites: ['Merge Sort'],
     answer: `## Quick Sort
 
 A divide-and-conquer sort that picks a pivot, partitions elements around it, and recursively sorts sub-arrays. Average O(n log n), in-place.
@@ -1101,6 +2350,89 @@ ${C}
 - Quick Sort is **not stable** — equal elements may swap relative order.
 - In-place: more cache-friendly than Merge Sort.
 - Python's built-in \`sort()\` uses Timsort, not Quick Sort.`,
+    code: [
+      {
+        java: `private final Random random = new Random();
+
+public void quickSort(int[] nums) {
+    quickSort(nums, 0, nums.length - 1);
+}
+
+private void quickSort(int[] nums, int lo, int hi) {
+    if (lo < hi) {
+        int pivotIdx = partition(nums, lo, hi);
+        quickSort(nums, lo, pivotIdx - 1);
+        quickSort(nums, pivotIdx + 1, hi);
+    }
+}
+
+private int partition(int[] nums, int lo, int hi) {
+    // Randomize pivot to avoid worst-case on sorted input
+    swap(nums, lo + random.nextInt(hi - lo + 1), hi);
+    int pivot = nums[hi];
+    int i = lo - 1; // boundary of elements < pivot
+    for (int j = lo; j < hi; j++) {
+        if (nums[j] <= pivot) {
+            swap(nums, ++i, j);
+        }
+    }
+    swap(nums, i + 1, hi);
+    return i + 1;
+}
+
+private void swap(int[] nums, int a, int b) {
+    int tmp = nums[a];
+    nums[a] = nums[b];
+    nums[b] = tmp;
+}`,
+        cpp: `int partition(vector<int>& nums, int lo, int hi) {
+    // Randomize pivot to avoid worst-case on sorted input
+    swap(nums[lo + rand() % (hi - lo + 1)], nums[hi]);
+    int pivot = nums[hi];
+    int i = lo - 1; // boundary of elements < pivot
+    for (int j = lo; j < hi; j++) {
+        if (nums[j] <= pivot) {
+            swap(nums[++i], nums[j]);
+        }
+    }
+    swap(nums[i + 1], nums[hi]);
+    return i + 1;
+}
+
+void quickSort(vector<int>& nums, int lo, int hi) {
+    if (lo < hi) {
+        int pivotIdx = partition(nums, lo, hi);
+        quickSort(nums, lo, pivotIdx - 1);
+        quickSort(nums, pivotIdx + 1, hi);
+    }
+}
+
+// Call as quickSort(nums, 0, nums.size() - 1)`,
+        javascript: `function quickSort(nums, lo = 0, hi = nums.length - 1) {
+  if (lo < hi) {
+    const pivotIdx = partition(nums, lo, hi);
+    quickSort(nums, lo, pivotIdx - 1);
+    quickSort(nums, pivotIdx + 1, hi);
+  }
+}
+
+function partition(nums, lo, hi) {
+  // Randomize pivot to avoid worst-case on sorted input
+  const randIdx = lo + Math.floor(Math.random() * (hi - lo + 1));
+  [nums[randIdx], nums[hi]] = [nums[hi], nums[randIdx]];
+  const pivot = nums[hi];
+  let i = lo - 1; // boundary of elements < pivot
+  for (let j = lo; j < hi; j++) {
+    if (nums[j] <= pivot) {
+      i++;
+      [nums[i], nums[j]] = [nums[j], nums[i]];
+    }
+  }
+  [nums[i + 1], nums[hi]] = [nums[hi], nums[i + 1]];
+  return i + 1;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What is the worst-case time complexity of Quick Sort?',
@@ -1130,6 +2462,10 @@ ${C}
   {
     keywords: ['heap', 'priority queue', 'min heap', 'max heap', 'heapify'],
     topic: 'Heap / Priority Queue',
+    pattern: 'heap',
+    difficulty: 'medium',
+    related: ['Quick Sort', 'Breadth-First Search (BFS)'],
+    prerequisites: ['Binary Tree Traversals'],
     answer: `## Heap / Priority Queue
 
 A heap is a complete binary tree where every parent satisfies the heap property:
@@ -1193,6 +2529,135 @@ ${C}
 - Python only has min-heap; negate values for max-heap behavior.
 - Use a heap of size k for "top k" / "kth largest" problems — more efficient than sorting (O(n log k) vs O(n log n)).
 - \`heapq.heapreplace\` is faster than pop + push.`,
+    code: [
+      {
+        java: `// Min-heap (default PriorityQueue)
+PriorityQueue<Integer> heap = new PriorityQueue<>();
+heap.offer(3);
+heap.offer(1);
+heap.offer(4);
+System.out.println(heap.poll()); // 1 (smallest)
+
+// Max-heap — reverse the comparator
+PriorityQueue<Integer> maxHeap = new PriorityQueue<>(Comparator.reverseOrder());
+maxHeap.offer(3);
+maxHeap.offer(1);
+System.out.println(maxHeap.poll()); // 3 (largest)
+
+// Build from a collection
+PriorityQueue<Integer> nums = new PriorityQueue<>(List.of(3, 1, 4, 1, 5));
+
+// Kth largest using min-heap of size k
+public int findKthLargest(int[] nums, int k) {
+    PriorityQueue<Integer> minHeap = new PriorityQueue<>();
+    for (int num : nums) {
+        minHeap.offer(num);
+        if (minHeap.size() > k) {
+            minHeap.poll(); // drop the smallest, keep the k largest
+        }
+    }
+    return minHeap.peek();
+}`,
+        cpp: `// Min-heap — priority_queue is a max-heap by default, so flip the comparator
+priority_queue<int, vector<int>, greater<int>> minHeap;
+minHeap.push(3);
+minHeap.push(1);
+minHeap.push(4);
+cout << minHeap.top() << endl; // 1 (smallest)
+minHeap.pop();
+
+// Max-heap (the default)
+priority_queue<int> maxHeap;
+maxHeap.push(3);
+maxHeap.push(1);
+cout << maxHeap.top() << endl; // 3 (largest)
+
+// Build from a vector — O(n)
+vector<int> nums = {3, 1, 4, 1, 5};
+make_heap(nums.begin(), nums.end(), greater<int>());
+
+// Kth largest using min-heap of size k
+int findKthLargest(const vector<int>& nums, int k) {
+    priority_queue<int, vector<int>, greater<int>> heap;
+    for (int num : nums) {
+        heap.push(num);
+        if ((int)heap.size() > k) {
+            heap.pop(); // drop the smallest, keep the k largest
+        }
+    }
+    return heap.top();
+}`,
+        javascript: `// JavaScript has no built-in heap, so interviews usually expect a small one.
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(value) {
+    const items = this.items;
+    items.push(value);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = Math.floor((i - 1) / 2);
+      if (items[parent] <= items[i]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left] < items[smallest]) smallest = left;
+        if (right < items.length && items[right] < items[smallest]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const heap = new MinHeap();
+[3, 1, 4].forEach((n) => heap.push(n));
+console.log(heap.pop()); // 1 (smallest)
+
+// Max-heap — negate values
+const maxHeap = new MinHeap();
+maxHeap.push(-3);
+maxHeap.push(-1);
+console.log(-maxHeap.pop()); // 3 (largest)
+
+// Kth largest using min-heap of size k
+function findKthLargest(nums, k) {
+  const minHeap = new MinHeap();
+  for (const num of nums) {
+    minHeap.push(num);
+    if (minHeap.size > k) {
+      minHeap.pop(); // drop the smallest, keep the k largest
+    }
+  }
+  return minHeap.peek();
+}`
+      }
+    ],
     quiz: [
       {
         question: 'How do you implement a max-heap in Python using heapq?',
@@ -1227,6 +2692,10 @@ ${C}
   {
     keywords: ['trie', 'prefix tree', 'autocomplete'],
     topic: 'Trie (Prefix Tree)',
+    pattern: 'tries',
+    difficulty: 'medium',
+    related: ['Backtracking', 'Depth-First Search (DFS)'],
+    prerequisites: ['Binary Tree Traversals'],
     answer: `## Trie (Prefix Tree)
 
 A trie is a tree where each node represents a character. It enables O(L) insert/search (L = word length) and is ideal for prefix-based problems like autocomplete and spell checking.
@@ -1287,6 +2756,145 @@ ${C}
 - Use \`is_end\` to distinguish between "apple" (inserted) and "app" (prefix only).
 - For wildcard search (\`.\` matches any char), use DFS through the trie.
 - A dictionary of children is flexible; an array of 26 slots is faster for lowercase-only inputs.`,
+    code: [
+      {
+        java: `class TrieNode {
+    Map<Character, TrieNode> children = new HashMap<>();
+    boolean isEnd = false;
+}
+
+class Trie {
+    private final TrieNode root = new TrieNode();
+
+    public void insert(String word) {
+        TrieNode node = root;
+        for (char c : word.toCharArray()) {
+            node = node.children.computeIfAbsent(c, key -> new TrieNode());
+        }
+        node.isEnd = true;
+    }
+
+    public boolean search(String word) {
+        TrieNode node = walk(word);
+        return node != null && node.isEnd;
+    }
+
+    public boolean startsWith(String prefix) {
+        return walk(prefix) != null; // reached end of prefix
+    }
+
+    private TrieNode walk(String s) {
+        TrieNode node = root;
+        for (char c : s.toCharArray()) {
+            node = node.children.get(c);
+            if (node == null) return null;
+        }
+        return node;
+    }
+}
+
+// Usage
+Trie trie = new Trie();
+trie.insert("apple");
+System.out.println(trie.search("apple"));   // true
+System.out.println(trie.search("app"));     // false (not a complete word)
+System.out.println(trie.startsWith("app")); // true`,
+        cpp: `struct TrieNode {
+    unordered_map<char, unique_ptr<TrieNode>> children;
+    bool isEnd = false;
+};
+
+class Trie {
+    TrieNode root;
+
+    const TrieNode* walk(const string& s) const {
+        const TrieNode* node = &root;
+        for (char c : s) {
+            auto it = node->children.find(c);
+            if (it == node->children.end()) return nullptr;
+            node = it->second.get();
+        }
+        return node;
+    }
+
+public:
+    void insert(const string& word) {
+        TrieNode* node = &root;
+        for (char c : word) {
+            auto& child = node->children[c];
+            if (!child) child = make_unique<TrieNode>();
+            node = child.get();
+        }
+        node->isEnd = true;
+    }
+
+    bool search(const string& word) const {
+        const TrieNode* node = walk(word);
+        return node && node->isEnd;
+    }
+
+    bool startsWith(const string& prefix) const {
+        return walk(prefix) != nullptr; // reached end of prefix
+    }
+};
+
+// Usage
+Trie trie;
+trie.insert("apple");
+cout << boolalpha;
+cout << trie.search("apple") << endl;   // true
+cout << trie.search("app") << endl;     // false (not a complete word)
+cout << trie.startsWith("app") << endl; // true`,
+        javascript: `class TrieNode {
+  constructor() {
+    this.children = new Map();
+    this.isEnd = false;
+  }
+}
+
+class Trie {
+  constructor() {
+    this.root = new TrieNode();
+  }
+
+  insert(word) {
+    let node = this.root;
+    for (const char of word) {
+      if (!node.children.has(char)) {
+        node.children.set(char, new TrieNode());
+      }
+      node = node.children.get(char);
+    }
+    node.isEnd = true;
+  }
+
+  search(word) {
+    const node = this.walk(word);
+    return node !== null && node.isEnd;
+  }
+
+  startsWith(prefix) {
+    return this.walk(prefix) !== null; // reached end of prefix
+  }
+
+  walk(s) {
+    let node = this.root;
+    for (const char of s) {
+      node = node.children.get(char);
+      if (!node) return null;
+    }
+    return node;
+  }
+}
+
+// Usage
+const trie = new Trie();
+trie.insert('apple');
+console.log(trie.search('apple'));   // true
+console.log(trie.search('app'));     // false (not a complete word)
+console.log(trie.startsWith('app')); // true`
+      }
+    ],
     quiz: [
       {
         question: 'What is the time complexity of Trie insert and search?',
@@ -1321,6 +2929,10 @@ ${C}
   {
     keywords: ['backtracking', 'permutation', 'combination', 'subset', 'n-queens'],
     topic: 'Backtracking',
+    pattern: 'backtracking',
+    difficulty: 'medium',
+    related: ['Depth-First Search (DFS)', 'Trie (Prefix Tree)', 'Dynamic Programming (DP)'],
+    prerequisites: ['Depth-First Search (DFS)'],
     answer: `## Backtracking
 
 Backtracking is a general algorithm for finding all solutions by incrementally building candidates and **abandoning** (backtracking) paths that cannot lead to a valid solution.
@@ -1392,6 +3004,214 @@ ${C}
 - Always append a **copy** of path (\`path[:]\`), not the path itself.
 - Use \`start\` index to avoid reusing elements (subsets/combinations).
 - Pruning (skipping invalid choices early) dramatically reduces runtime.`,
+    code: [
+      {
+        java: `void backtrack(List<Integer> path, List<Integer> choices) {
+    if (isComplete(path)) {
+        result.add(new ArrayList<>(path)); // save a copy
+        return;
+    }
+    for (int choice : choices) {
+        if (isValid(path, choice)) {
+            path.add(choice);               // make choice
+            backtrack(path, choices);       // recurse
+            path.remove(path.size() - 1);   // undo choice (backtrack)
+        }
+    }
+}`,
+        cpp: `void backtrack(vector<int>& path, const vector<int>& choices) {
+    if (isComplete(path)) {
+        result.push_back(path); // save a copy
+        return;
+    }
+    for (int choice : choices) {
+        if (isValid(path, choice)) {
+            path.push_back(choice);     // make choice
+            backtrack(path, choices);   // recurse
+            path.pop_back();            // undo choice (backtrack)
+        }
+    }
+}`,
+        javascript: `function backtrack(path, choices) {
+  if (isComplete(path)) {
+    result.push([...path]); // save a copy
+    return;
+  }
+  for (const choice of choices) {
+    if (isValid(path, choice)) {
+      path.push(choice);          // make choice
+      backtrack(path, choices);   // recurse
+      path.pop();                 // undo choice (backtrack)
+    }
+  }
+}`
+      },
+      {
+        java: `// Subsets — 2^n subsets
+public List<List<Integer>> subsets(int[] nums) {
+    List<List<Integer>> result = new ArrayList<>();
+    subsetsFrom(nums, 0, new ArrayList<>(), result);
+    return result;
+}
+
+private void subsetsFrom(int[] nums, int start, List<Integer> path, List<List<Integer>> result) {
+    result.add(new ArrayList<>(path));
+    for (int i = start; i < nums.length; i++) {
+        path.add(nums[i]);
+        subsetsFrom(nums, i + 1, path, result);
+        path.remove(path.size() - 1);
+    }
+}
+
+// Permutations — n! permutations
+public List<List<Integer>> permute(int[] nums) {
+    List<List<Integer>> result = new ArrayList<>();
+    permuteFrom(nums, new boolean[nums.length], new ArrayList<>(), result);
+    return result;
+}
+
+private void permuteFrom(int[] nums, boolean[] used, List<Integer> path, List<List<Integer>> result) {
+    if (path.size() == nums.length) {
+        result.add(new ArrayList<>(path));
+        return;
+    }
+    for (int i = 0; i < nums.length; i++) {
+        if (used[i]) continue;
+        used[i] = true;
+        path.add(nums[i]);
+        permuteFrom(nums, used, path, result);
+        path.remove(path.size() - 1);
+        used[i] = false;
+    }
+}
+
+// Combinations — C(n, k)
+public List<List<Integer>> combine(int n, int k) {
+    List<List<Integer>> result = new ArrayList<>();
+    combineFrom(n, k, 1, new ArrayList<>(), result);
+    return result;
+}
+
+private void combineFrom(int n, int k, int start, List<Integer> path, List<List<Integer>> result) {
+    if (path.size() == k) {
+        result.add(new ArrayList<>(path));
+        return;
+    }
+    for (int i = start; i <= n; i++) {
+        path.add(i);
+        combineFrom(n, k, i + 1, path, result);
+        path.remove(path.size() - 1);
+    }
+}`,
+        cpp: `// Subsets — 2^n subsets
+vector<vector<int>> subsets(const vector<int>& nums) {
+    vector<vector<int>> result;
+    vector<int> path;
+    function<void(int)> bt = [&](int start) {
+        result.push_back(path);
+        for (int i = start; i < (int)nums.size(); i++) {
+            path.push_back(nums[i]);
+            bt(i + 1);
+            path.pop_back();
+        }
+    };
+    bt(0);
+    return result;
+}
+
+// Permutations — n! permutations
+vector<vector<int>> permute(const vector<int>& nums) {
+    vector<vector<int>> result;
+    vector<int> path;
+    vector<bool> used(nums.size(), false);
+    function<void()> bt = [&]() {
+        if (path.size() == nums.size()) {
+            result.push_back(path);
+            return;
+        }
+        for (int i = 0; i < (int)nums.size(); i++) {
+            if (used[i]) continue;
+            used[i] = true;
+            path.push_back(nums[i]);
+            bt();
+            path.pop_back();
+            used[i] = false;
+        }
+    };
+    bt();
+    return result;
+}
+
+// Combinations — C(n, k)
+vector<vector<int>> combine(int n, int k) {
+    vector<vector<int>> result;
+    vector<int> path;
+    function<void(int)> bt = [&](int start) {
+        if ((int)path.size() == k) {
+            result.push_back(path);
+            return;
+        }
+        for (int i = start; i <= n; i++) {
+            path.push_back(i);
+            bt(i + 1);
+            path.pop_back();
+        }
+    };
+    bt(1);
+    return result;
+}`,
+        javascript: `// Subsets — 2^n subsets
+function subsets(nums) {
+  const result = [];
+  const bt = (start, path) => {
+    result.push([...path]);
+    for (let i = start; i < nums.length; i++) {
+      path.push(nums[i]);
+      bt(i + 1, path);
+      path.pop();
+    }
+  };
+  bt(0, []);
+  return result;
+}
+
+// Permutations — n! permutations
+function permute(nums) {
+  const result = [];
+  const bt = (path, remaining) => {
+    if (remaining.length === 0) {
+      result.push([...path]);
+      return;
+    }
+    remaining.forEach((num, i) => {
+      path.push(num);
+      bt(path, [...remaining.slice(0, i), ...remaining.slice(i + 1)]);
+      path.pop();
+    });
+  };
+  bt([], nums);
+  return result;
+}
+
+// Combinations — C(n, k)
+function combine(n, k) {
+  const result = [];
+  const bt = (start, path) => {
+    if (path.length === k) {
+      result.push([...path]);
+      return;
+    }
+    for (let i = start; i <= n; i++) {
+      path.push(i);
+      bt(i + 1, path);
+      path.pop();
+    }
+  };
+  bt(1, []);
+  return result;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'Why do we append path[:] instead of path in backtracking?',
@@ -1426,6 +3246,10 @@ ${C}
   {
     keywords: ['dynamic programming', 'dp basics', 'memoization', 'tabulation'],
     topic: 'Dynamic Programming (DP)',
+    pattern: 'dp',
+    difficulty: 'medium',
+    related: ['Climbing Stairs (Dynamic Programming)', 'Backtracking'],
+    prerequisites: ['Climbing Stairs (Dynamic Programming)', 'Backtracking'],
     answer: `## Dynamic Programming
 
 DP solves problems by breaking them into overlapping subproblems and storing results to avoid recomputation. Two main approaches: **top-down (memoization)** and **bottom-up (tabulation)**.
@@ -1487,6 +3311,143 @@ ${C}
 - Start with recursion → add memoization → convert to tabulation → optimize space.
 - Identify the **state** (what changes between subproblems) and the **recurrence relation**.
 - Bottom-up is usually faster (no recursion overhead) but harder to derive initially.`,
+    code: [
+      {
+        java: `// Problem: Fibonacci (classic DP example)
+
+// Top-down — memoization (recursive + cache)
+private final Map<Integer, Long> memo = new HashMap<>();
+
+public long fibMemo(int n) {
+    if (n <= 1) return n;
+    if (memo.containsKey(n)) return memo.get(n);
+    long value = fibMemo(n - 1) + fibMemo(n - 2);
+    memo.put(n, value);
+    return value;
+}
+
+// Bottom-up — tabulation (iterative)
+public long fibTab(int n) {
+    if (n <= 1) return n;
+    long[] dp = new long[n + 1];
+    dp[1] = 1;
+    for (int i = 2; i <= n; i++) {
+        dp[i] = dp[i - 1] + dp[i - 2];
+    }
+    return dp[n];
+}
+
+// Space-optimized (O(1))
+public long fibOpt(int n) {
+    if (n <= 1) return n;
+    long a = 0, b = 1;
+    for (int i = 2; i <= n; i++) {
+        long next = a + b;
+        a = b;
+        b = next;
+    }
+    return b;
+}
+
+// Classic 2D DP: Unique Paths in a grid
+public int uniquePaths(int m, int n) {
+    int[][] dp = new int[m][n];
+    for (int[] row : dp) Arrays.fill(row, 1);
+    for (int r = 1; r < m; r++) {
+        for (int c = 1; c < n; c++) {
+            dp[r][c] = dp[r - 1][c] + dp[r][c - 1];
+        }
+    }
+    return dp[m - 1][n - 1];
+}`,
+        cpp: `// Problem: Fibonacci (classic DP example)
+
+// Top-down — memoization (recursive + cache)
+long long fibMemo(int n, unordered_map<int, long long>& memo) {
+    if (n <= 1) return n;
+    auto it = memo.find(n);
+    if (it != memo.end()) return it->second;
+    return memo[n] = fibMemo(n - 1, memo) + fibMemo(n - 2, memo);
+}
+
+// Bottom-up — tabulation (iterative)
+long long fibTab(int n) {
+    if (n <= 1) return n;
+    vector<long long> dp(n + 1, 0);
+    dp[1] = 1;
+    for (int i = 2; i <= n; i++) {
+        dp[i] = dp[i - 1] + dp[i - 2];
+    }
+    return dp[n];
+}
+
+// Space-optimized (O(1))
+long long fibOpt(int n) {
+    if (n <= 1) return n;
+    long long a = 0, b = 1;
+    for (int i = 2; i <= n; i++) {
+        long long next = a + b;
+        a = b;
+        b = next;
+    }
+    return b;
+}
+
+// Classic 2D DP: Unique Paths in a grid
+int uniquePaths(int m, int n) {
+    vector<vector<int>> dp(m, vector<int>(n, 1));
+    for (int r = 1; r < m; r++) {
+        for (int c = 1; c < n; c++) {
+            dp[r][c] = dp[r - 1][c] + dp[r][c - 1];
+        }
+    }
+    return dp[m - 1][n - 1];
+}`,
+        javascript: `// Problem: Fibonacci (classic DP example)
+
+// Top-down — memoization (recursive + cache)
+function fibMemo(n, memo = new Map()) {
+  if (n <= 1) return n;
+  if (memo.has(n)) return memo.get(n);
+  const value = fibMemo(n - 1, memo) + fibMemo(n - 2, memo);
+  memo.set(n, value);
+  return value;
+}
+
+// Bottom-up — tabulation (iterative)
+function fibTab(n) {
+  if (n <= 1) return n;
+  const dp = new Array(n + 1).fill(0);
+  dp[1] = 1;
+  for (let i = 2; i <= n; i++) {
+    dp[i] = dp[i - 1] + dp[i - 2];
+  }
+  return dp[n];
+}
+
+// Space-optimized (O(1))
+function fibOpt(n) {
+  if (n <= 1) return n;
+  let a = 0;
+  let b = 1;
+  for (let i = 2; i <= n; i++) {
+    [a, b] = [b, a + b];
+  }
+  return b;
+}
+
+// Classic 2D DP: Unique Paths in a grid
+function uniquePaths(m, n) {
+  const dp = Array.from({ length: m }, () => new Array(n).fill(1));
+  for (let r = 1; r < m; r++) {
+    for (let c = 1; c < n; c++) {
+      dp[r][c] = dp[r - 1][c] + dp[r][c - 1];
+    }
+  }
+  return dp[m - 1][n - 1];
+}`
+      }
+    ],
     quiz: [
       {
         question: 'What are the two key properties a problem must have for DP to apply?',
@@ -1526,6 +3487,9 @@ ${C}
   {
     keywords: ['linked list', 'singly linked', 'detect cycle', 'find middle', 'merge sorted list'],
     topic: 'Linked List Essentials',
+    pattern: 'linked_list',
+    difficulty: 'medium',
+    related: ['Reverse Linked List', 'Merge Sort'],
     answer: `## Linked List Essentials
 
 Key linked list techniques: find middle, detect cycle, merge sorted lists.
@@ -1590,6 +3554,197 @@ ${C}
 - Use a **dummy node** to simplify edge cases (empty list, removing head).
 - **Slow/fast pointers** solve middle, cycle, and nth-from-end problems.
 - Floyd's cycle detection: when slow and fast meet, reset one to head and advance both by 1 to find cycle start.`,
+    code: [
+      {
+        java: `class ListNode {
+    int val;
+    ListNode next;
+    ListNode(int val) { this.val = val; }
+    ListNode(int val, ListNode next) { this.val = val; this.next = next; }
+}
+
+// Find middle node — slow/fast pointers
+public ListNode findMiddle(ListNode head) {
+    ListNode slow = head, fast = head;
+    while (fast != null && fast.next != null) {
+        slow = slow.next;
+        fast = fast.next.next;
+    }
+    return slow; // slow is at middle
+}
+
+// Detect cycle — Floyd's algorithm
+public boolean hasCycle(ListNode head) {
+    ListNode slow = head, fast = head;
+    while (fast != null && fast.next != null) {
+        slow = slow.next;
+        fast = fast.next.next;
+        if (slow == fast) return true;
+    }
+    return false;
+}
+
+// Merge two sorted lists
+public ListNode mergeTwoLists(ListNode l1, ListNode l2) {
+    ListNode dummy = new ListNode(0);
+    ListNode curr = dummy;
+    while (l1 != null && l2 != null) {
+        if (l1.val <= l2.val) {
+            curr.next = l1;
+            l1 = l1.next;
+        } else {
+            curr.next = l2;
+            l2 = l2.next;
+        }
+        curr = curr.next;
+    }
+    curr.next = (l1 != null) ? l1 : l2; // attach remaining
+    return dummy.next;
+}
+
+// Remove nth node from end — two passes or one pass
+public ListNode removeNthFromEnd(ListNode head, int n) {
+    ListNode dummy = new ListNode(0, head);
+    ListNode fast = dummy, slow = dummy;
+    for (int i = 0; i <= n; i++) {
+        fast = fast.next;
+    }
+    while (fast != null) {
+        slow = slow.next;
+        fast = fast.next;
+    }
+    slow.next = slow.next.next;
+    return dummy.next;
+}`,
+        cpp: `struct ListNode {
+    int val;
+    ListNode* next;
+    ListNode(int val = 0, ListNode* next = nullptr) : val(val), next(next) {}
+};
+
+// Find middle node — slow/fast pointers
+ListNode* findMiddle(ListNode* head) {
+    ListNode* slow = head;
+    ListNode* fast = head;
+    while (fast && fast->next) {
+        slow = slow->next;
+        fast = fast->next->next;
+    }
+    return slow; // slow is at middle
+}
+
+// Detect cycle — Floyd's algorithm
+bool hasCycle(ListNode* head) {
+    ListNode* slow = head;
+    ListNode* fast = head;
+    while (fast && fast->next) {
+        slow = slow->next;
+        fast = fast->next->next;
+        if (slow == fast) return true;
+    }
+    return false;
+}
+
+// Merge two sorted lists
+ListNode* mergeTwoLists(ListNode* l1, ListNode* l2) {
+    ListNode dummy;
+    ListNode* curr = &dummy;
+    while (l1 && l2) {
+        if (l1->val <= l2->val) {
+            curr->next = l1;
+            l1 = l1->next;
+        } else {
+            curr->next = l2;
+            l2 = l2->next;
+        }
+        curr = curr->next;
+    }
+    curr->next = l1 ? l1 : l2; // attach remaining
+    return dummy.next;
+}
+
+// Remove nth node from end — two passes or one pass
+ListNode* removeNthFromEnd(ListNode* head, int n) {
+    ListNode dummy(0, head);
+    ListNode* fast = &dummy;
+    ListNode* slow = &dummy;
+    for (int i = 0; i <= n; i++) {
+        fast = fast->next;
+    }
+    while (fast) {
+        slow = slow->next;
+        fast = fast->next;
+    }
+    ListNode* removed = slow->next;
+    slow->next = removed->next;
+    delete removed;
+    return dummy.next;
+}`,
+        javascript: `class ListNode {
+  constructor(val = 0, next = null) {
+    this.val = val;
+    this.next = next;
+  }
+}
+
+// Find middle node — slow/fast pointers
+function findMiddle(head) {
+  let slow = head;
+  let fast = head;
+  while (fast && fast.next) {
+    slow = slow.next;
+    fast = fast.next.next;
+  }
+  return slow; // slow is at middle
+}
+
+// Detect cycle — Floyd's algorithm
+function hasCycle(head) {
+  let slow = head;
+  let fast = head;
+  while (fast && fast.next) {
+    slow = slow.next;
+    fast = fast.next.next;
+    if (slow === fast) return true;
+  }
+  return false;
+}
+
+// Merge two sorted lists
+function mergeTwoLists(l1, l2) {
+  const dummy = new ListNode(0);
+  let curr = dummy;
+  while (l1 && l2) {
+    if (l1.val <= l2.val) {
+      curr.next = l1;
+      l1 = l1.next;
+    } else {
+      curr.next = l2;
+      l2 = l2.next;
+    }
+    curr = curr.next;
+  }
+  curr.next = l1 || l2; // attach remaining
+  return dummy.next;
+}
+
+// Remove nth node from end — two passes or one pass
+function removeNthFromEnd(head, n) {
+  const dummy = new ListNode(0, head);
+  let fast = dummy;
+  let slow = dummy;
+  for (let i = 0; i <= n; i++) {
+    fast = fast.next;
+  }
+  while (fast) {
+    slow = slow.next;
+    fast = fast.next;
+  }
+  slow.next = slow.next.next;
+  return dummy.next;
+}`
+      }
+    ],
     quiz: [
       {
         question: 'In Floyd\'s cycle detection, what does it mean when slow and fast pointers meet?',
@@ -1624,6 +3779,10 @@ ${C}
   {
     keywords: ['graph', 'number of islands', 'connected components', 'union find'],
     topic: 'Graph Traversal & Islands',
+    pattern: 'graphs',
+    difficulty: 'medium',
+    related: ['Breadth-First Search (BFS)', 'Depth-First Search (DFS)'],
+    prerequisites: ['Breadth-First Search (BFS)', 'Depth-First Search (DFS)'],
     answer: `## Graph Traversal & Number of Islands
 
 "Number of Islands" is the classic graph traversal problem on a 2D grid. Count connected components of '1's.
@@ -1677,6 +3836,166 @@ ${C}
 - Sinking visited '1' cells to '0' avoids a separate visited set.
 - For graphs with bidirectional edges, always use a visited set to avoid infinite recursion.
 - Union-Find is great for dynamic connectivity problems (edges added online).`,
+    code: [
+      {
+        java: `// Number of Islands — DFS approach
+public int numIslands(char[][] grid) {
+    if (grid.length == 0) return 0;
+    int count = 0;
+    for (int r = 0; r < grid.length; r++) {
+        for (int c = 0; c < grid[0].length; c++) {
+            if (grid[r][c] == '1') {
+                count++;
+                sink(grid, r, c);
+            }
+        }
+    }
+    return count;
+}
+
+private void sink(char[][] grid, int r, int c) {
+    if (r < 0 || r >= grid.length || c < 0 || c >= grid[0].length || grid[r][c] != '1') return;
+    grid[r][c] = '0'; // mark visited by sinking the island
+    sink(grid, r + 1, c);
+    sink(grid, r - 1, c);
+    sink(grid, r, c + 1);
+    sink(grid, r, c - 1);
+}
+
+// Union-Find (Disjoint Set Union) — O(α(n)) ≈ O(1) per operation
+class UnionFind {
+    private final int[] parent;
+    private final int[] rank;
+
+    UnionFind(int n) {
+        parent = new int[n];
+        rank = new int[n];
+        for (int i = 0; i < n; i++) parent[i] = i;
+    }
+
+    int find(int x) {
+        if (parent[x] != x) {
+            parent[x] = find(parent[x]); // path compression
+        }
+        return parent[x];
+    }
+
+    boolean union(int x, int y) {
+        int px = find(x), py = find(y);
+        if (px == py) return false;
+        if (rank[px] < rank[py]) {
+            int tmp = px;
+            px = py;
+            py = tmp;
+        }
+        parent[py] = px;
+        if (rank[px] == rank[py]) rank[px]++;
+        return true;
+    }
+}`,
+        cpp: `// Number of Islands — DFS approach
+void sink(vector<vector<char>>& grid, int r, int c) {
+    if (r < 0 || r >= (int)grid.size() || c < 0 || c >= (int)grid[0].size() || grid[r][c] != '1') return;
+    grid[r][c] = '0'; // mark visited by sinking the island
+    sink(grid, r + 1, c);
+    sink(grid, r - 1, c);
+    sink(grid, r, c + 1);
+    sink(grid, r, c - 1);
+}
+
+int numIslands(vector<vector<char>>& grid) {
+    if (grid.empty()) return 0;
+    int count = 0;
+    for (int r = 0; r < (int)grid.size(); r++) {
+        for (int c = 0; c < (int)grid[0].size(); c++) {
+            if (grid[r][c] == '1') {
+                count++;
+                sink(grid, r, c);
+            }
+        }
+    }
+    return count;
+}
+
+// Union-Find (Disjoint Set Union) — O(α(n)) ≈ O(1) per operation
+class UnionFind {
+    vector<int> parent, rank;
+
+public:
+    UnionFind(int n) : parent(n), rank(n, 0) {
+        iota(parent.begin(), parent.end(), 0);
+    }
+
+    int find(int x) {
+        if (parent[x] != x) {
+            parent[x] = find(parent[x]); // path compression
+        }
+        return parent[x];
+    }
+
+    // "union" is a C++ keyword, hence "unite"
+    bool unite(int x, int y) {
+        int px = find(x), py = find(y);
+        if (px == py) return false;
+        if (rank[px] < rank[py]) swap(px, py);
+        parent[py] = px;
+        if (rank[px] == rank[py]) rank[px]++;
+        return true;
+    }
+};`,
+        javascript: `// Number of Islands — DFS approach
+function numIslands(grid) {
+  if (grid.length === 0) return 0;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  let count = 0;
+
+  const dfs = (r, c) => {
+    if (r < 0 || r >= rows || c < 0 || c >= cols || grid[r][c] !== '1') return;
+    grid[r][c] = '0'; // mark visited by sinking the island
+    dfs(r + 1, c);
+    dfs(r - 1, c);
+    dfs(r, c + 1);
+    dfs(r, c - 1);
+  };
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (grid[r][c] === '1') {
+        count++;
+        dfs(r, c);
+      }
+    }
+  }
+  return count;
+}
+
+// Union-Find (Disjoint Set Union) — O(α(n)) ≈ O(1) per operation
+class UnionFind {
+  constructor(n) {
+    this.parent = Array.from({ length: n }, (_, i) => i);
+    this.rank = new Array(n).fill(0);
+  }
+
+  find(x) {
+    if (this.parent[x] !== x) {
+      this.parent[x] = this.find(this.parent[x]); // path compression
+    }
+    return this.parent[x];
+  }
+
+  union(x, y) {
+    let px = this.find(x);
+    let py = this.find(y);
+    if (px === py) return false;
+    if (this.rank[px] < this.rank[py]) [px, py] = [py, px];
+    this.parent[py] = px;
+    if (this.rank[px] === this.rank[py]) this.rank[px]++;
+    return true;
+  }
+}`
+      }
+    ],
     quiz: [
       {
         question: 'In the Number of Islands problem, why do we set grid[r][c] = "0" during DFS?',
@@ -1704,14 +4023,60 @@ ${C}
   }
 ];
 
-export function findOfflineAnswer(question) {
-  const q = question.toLowerCase().replace(/[^a-z0-9\s]/g, ' ');
-  for (const entry of OFFLINE_DB) {
-    if (entry.keywords.some(kw => q.includes(kw))) {
-      return entry;
-    }
+const PYTHON_BLOCK = new RegExp(`${C}python\\n[\\s\\S]*?${C}`, 'g');
+
+export const countPythonBlocks = answer => (answer.match(PYTHON_BLOCK) || []).length;
+
+// Swaps the Python blocks for the requested language. If the entry has no code for it,
+// the Python version stays and a notice at the top says so.
+function localizeAnswer(entry, language) {
+  // Pinned answers already carry the code in whatever language they were generated in.
+  if (language === 'python' || countPythonBlocks(entry.answer) === 0) {
+    return entry.answer;
   }
-  return null;
+  const variants = entry.code || [];
+  if (variants.length > 0 && variants.every(variant => variant[language])) {
+    let index = 0;
+    return entry.answer.replace(PYTHON_BLOCK, () => codeFence(language, variants[index++][language]));
+  }
+  const label = CODE_LANGUAGES.find(option => option.id === language)?.label || language;
+  return `> **Note:** This offline answer has no ${label} version yet, so the code below is in Python.\n\n${entry.answer}`;
+}
+
+// Pinned answers, the built-in library and the entries of imported content packs. Pins come
+// first so that a tie goes to the learner's own answer. Callers should memoize the result per
+// `packs`/`pins` arrays, since search indexes are cached per entry.
+export function getOfflineEntries(packs = [], pins = []) {
+  return [
+    ...pins.map(pin => ({ ...pin, pinned: true })),
+    ...OFFLINE_DB,
+    ...packs.flatMap(pack => pack.entries.map(entry => ({ ...entry, packName: pack.name })))
+  ];
+}
+
+// Ranked candidates as { topic, score, corrected, confident }, best first.
+export function searchOfflineAnswers(question, entries = OFFLINE_DB, limit = 3) {
+  return rankEntries(question, entries, limit).map(({ entry, ...result }) => ({ topic: entry.topic, ...result }));
 }
 
+// Returns the top-ranked match with `answer` in the requested language, or null when it is
+// not confident. A confident entry further down never wins over a better-scoring one.
+export function findOfflineAnswer(question, language = 'python', entries = OFFLINE_DB) {
+  const [best] = rankEntries(question, entries, 1);
+  if (!best?.confident) {
+    return null;
+  }
+  return localizeEntry(best.entry, language);
+}
+
+// The visualizer id of the built-in topic a question is about, or null. Only the built-in
+// library is searched so that a pinned copy of a topic does not hide its animation.
+export function findVisualizer(question) {
+  const [best] = rankEntries(question, OFFLINE_DB, 1);
+  return (best?.confident && best.entry.visualizer) || null;
+}
+
+// The entry with `answer` in the requested language, for callers that already picked it.
+export const localizeEntry = (entry, language = 'python') => ({ ...entry, answer: localizeAnswer(entry, language) });
+
 export const OFFLINE_TOPICS = OFFLINE_DB.map(e => e.topic);
@@ -0,0 +1,251 @@
+// Ranked matching for the offline library. Queries and entries are split into stemmed
+// tokens, so "heap" no longer matches inside unrelated words, and each query token scores
+// for every field it matches: keywords count most, then the topic, then the answer text.
+
+const FIELD_WEIGHTS = { keyword: 3, topic: 2, body: 0.5 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.75, typo: 0.6 };
+
+// Bonus per token for a keyword phrase whose tokens all appear in the query.
+const PHRASE_BONUS = 1.5;
+
+// Tokens that only come from a synonym expansion count for less than typed ones.
+const SYNONYM_WEIGHT = 0.5;
+
+// Below this an entry is not worth suggesting. A token found in both the keywords and the
+// topic scores 5; one found only in a keyword scores 3.
+export const MIN_SUGGESTION_SCORE = 4;
+
+// Candidates scoring at least this share of the best one count as close.
+export const CLOSE_MATCH_RATIO = 0.9;
+
+// A keyword phrase only makes a match confident when this share of the typed query tokens
+// is found in the keywords or topic, so one phrase cannot carry a longer question: in
+// "sliding window maximum", two tokens out of three are not enough.
+export const CONFIDENT_COVERAGE = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'can', 'code', 'does', 'example', 'explain', 'for', 'give', 'how',
+  'i', 'implement', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'please', 'problem', 'show',
+  'solve', 'solution', 'the', 'to', 'use', 'using', 'what', 'when', 'why', 'with', 'work', 'write',
+  'python', 'java', 'cpp', 'javascript', 'js', 'sql'
+]);
+
+// Applied to the normalized query before tokenizing: a match appends the expansion.
+const SYNONYMS = [
+  ['dp', 'dynamic programming'],
+  ['memo', 'memoization'],
+  ['max', 'maximum'],
+  ['fibonacci', 'dynamic programming'],
+  ['bst', 'binary search tree'],
+  ['linkedlist', 'linked list'],
+  ['pq', 'priority queue'],
+  ['kth largest', 'heap'],
+  ['top k', 'heap'],
+  ['dsu', 'union find'],
+  ['disjoint set', 'union find'],
+  ['brackets', 'parentheses'],
+  ['parenthesis', 'parentheses'],
+  ['bfs', 'breadth first search'],
+  ['dfs', 'depth first search']
+];
+
+const normalize = (text) => ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+// Plural "s" only; "bfs" and "class" stay as they are.
+const stem = (token) => (token.length > 3 && /[^su]s$/.test(token) ? token.slice(0, -1) : token);
+
+export function tokenize(text) {
+  return normalize(text)
+    .split(' ')
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+// Maps each query token to its weight, adding synonym expansions at a lower weight.
+// `aliases` maps the typed tokens of a synonym phrase to the tokens of its expansion.
+function parseQuery(query) {
+  const normalized = normalize(query);
+  const weights = new Map();
+  const aliases = new Map();
+  SYNONYMS
+    .filter(([phrase]) => normalized.includes(` ${phrase} `))
+    .forEach(([phrase, expansion]) => {
+      const expanded = tokenize(expansion);
+      expanded.forEach((token) => weights.set(token, SYNONYM_WEIGHT));
+      tokenize(phrase).forEach((token) => aliases.set(token, [...(aliases.get(token) || []), ...expanded]));
+    });
+  const typed = tokenize(normalized);
+  typed.forEach((token) => weights.set(token, 1));
+  return { weights, typed: [...new Set(typed)], aliases };
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), stopping early
+// once every cell in a row exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 5 ? 1 : 0);
+
+// Typos are only forgiven against keyword and topic tokens, and only for query tokens that
+// appear nowhere in the library ("tree" is a real word here, not a misspelled "trie").
+function matchQuality(queryToken, docToken, allowTypos) {
+  if (queryToken === docToken) return 'exact';
+  // A prefix has to cover most of the word, so "two" does not stand in for "twosum".
+  if (queryToken.length >= 3 && docToken.startsWith(queryToken) && queryToken.length / docToken.length >= 0.6) {
+    return 'prefix';
+  }
+  if (allowTypos) {
+    const max = allowedTypos(queryToken);
+    if (max > 0 && editDistance(queryToken, docToken, max) <= max) return 'typo';
+  }
+  return null;
+}
+
+function bestMatch(queryToken, tokens, allowTypos) {
+  let best = null;
+  for (const token of tokens) {
+    const quality = matchQuality(queryToken, token, allowTypos);
+    if (quality && (!best || MATCH_QUALITY[quality] > MATCH_QUALITY[best])) {
+      best = quality;
+      if (best === 'exact') break;
+    }
+  }
+  return best;
+}
+
+const indexCache = new WeakMap();
+const vocabularyCache = new WeakMap();
+
+function indexEntry(entry) {
+  if (!indexCache.has(entry)) {
+    const keywords = entry.keywords.map(tokenize).filter((tokens) => tokens.length > 0);
+    indexCache.set(entry, {
+      keywords,
+      keywordTokens: [...new Set(keywords.flat())],
+      topicTokens: [...new Set(tokenize(entry.topic))],
+      bodyTokens: new Set(tokenize(entry.answer))
+    });
+  }
+  return indexCache.get(entry);
+}
+
+function getVocabulary(entries) {
+  if (!vocabularyCache.has(entries)) {
+    const vocabulary = new Set();
+    entries.forEach((entry) => {
+      const index = indexEntry(entry);
+      [...index.keywordTokens, ...index.topicTokens, ...index.bodyTokens].forEach((token) => vocabulary.add(token));
+    });
+    vocabularyCache.set(entries, vocabulary);
+  }
+  return vocabularyCache.get(entries);
+}
+
+function scoreEntry({ weights, typed, aliases }, entry, vocabulary) {
+  const index = indexEntry(entry);
+  let score = 0;
+  let corrected = false;
+  let matchedTokens = 0;
+  const keyMatched = new Set();
+
+  weights.forEach((weight, queryToken) => {
+    const allowTypos = !vocabulary.has(queryToken);
+    const matches = [
+      ['keyword', bestMatch(queryToken, index.keywordTokens, allowTypos)],
+      ['topic', bestMatch(queryToken, index.topicTokens, allowTypos)],
+      ['body', index.bodyTokens.has(queryToken) ? 'exact' : bestMatch(queryToken, index.bodyTokens, false)]
+    ].filter(([, quality]) => quality);
+    if (matches.length === 0) return;
+
+    matchedTokens += 1;
+    if (matches.some(([field]) => field !== 'body')) keyMatched.add(queryToken);
+    matches.forEach(([field, quality]) => {
+      score += FIELD_WEIGHTS[field] * MATCH_QUALITY[quality] * weight;
+      if (quality === 'typo') corrected = true;
+    });
+  });
+
+  // A keyword phrase counts as matched when each of its tokens matches a query token.
+  let matchedPhrase = false;
+  index.keywords.forEach((phrase) => {
+    const qualities = phrase.map((token) => {
+      let best = 0;
+      weights.forEach((weight, queryToken) => {
+        const quality = matchQuality(queryToken, token, !vocabulary.has(queryToken));
+        if (quality) best = Math.max(best, MATCH_QUALITY[quality] * weight);
+      });
+      return best;
+    });
+    if (qualities.every((quality) => quality > 0)) {
+      matchedPhrase = true;
+      score += PHRASE_BONUS * phrase.length * Math.min(...qualities);
+    }
+  });
+
+  // A typed token is covered by its own keyword or topic match, or when every token of a
+  // synonym expansion it is part of matched ("dp" by "dynamic" and "programming").
+  const covered = typed.filter((token) => keyMatched.has(token) || (
+    aliases.has(token) && aliases.get(token).every((alias) => keyMatched.has(alias))
+  ));
+
+  return {
+    score,
+    corrected,
+    matchedPhrase,
+    coverage: matchedTokens / weights.size,
+    keyCoverage: typed.length > 0 ? covered.length / typed.length : 0
+  };
+}
+
+/**
+ * Ranks entries ({ keywords, topic, answer }) against a free-text query, best first.
+ * Each result is { entry, score, corrected, confident }: `corrected` means a typo was
+ * forgiven, and `confident` means a whole keyword phrase matched and the keywords and
+ * topic cover at least CONFIDENT_COVERAGE of the query, which is what answering offline
+ * without asking requires.
+ */
+export function rankEntries(query, entries, limit = 3) {
+  const parsed = parseQuery(query);
+  if (parsed.weights.size === 0) return [];
+  const vocabulary = getVocabulary(entries);
+
+  return entries
+    .map((entry) => {
+      const { score, corrected, matchedPhrase, coverage, keyCoverage } = scoreEntry(parsed, entry, vocabulary);
+      const confident = matchedPhrase && keyCoverage >= CONFIDENT_COVERAGE;
+      return { entry, score, corrected, confident, matchedPhrase, coverage };
+    })
+    // Without a whole keyword, at least half of the query has to match.
+    .filter((result) => result.score >= MIN_SUGGESTION_SCORE && (result.matchedPhrase || result.coverage >= 0.5))
+    .map(({ matchedPhrase, coverage, ...result }) => result)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// True when the ranking is worth asking about: the best match needed a typo fix or no
+// whole keyword, or a runner-up scores close to it.
+export function isAmbiguous(results) {
+  if (results.length === 0) return false;
+  const [best, runnerUp] = results;
+  return best.corrected || !best.confident || Boolean(runnerUp && runnerUp.score >= best.score * CLOSE_MATCH_RATIO);
+}
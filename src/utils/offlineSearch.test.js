@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { findOfflineAnswer, searchOfflineAnswers } from './offlineAnswers';
+import { isAmbiguous, rankEntries, tokenize } from './offlineSearch';
+
+const entry = (topic, keywords, answer = 'See the notes.') => ({ topic, keywords, answer });
+
+const topics = (results) => results.map((result) => result.entry?.topic ?? result.topic);
+
+describe('tokenize', () => {
+  it('drops stop words and plural endings but keeps words like "bfs"', () => {
+    expect(tokenize('How do I solve Two Sums in Python?')).toEqual(['do', 'two', 'sum']);
+    expect(tokenize('bfs class')).toEqual(['bfs', 'class']);
+  });
+});
+
+describe('rankEntries', () => {
+  const binarySearch = entry('Binary Search', ['binary search', 'sorted array'], 'Halve the range each step.');
+  const entries = [
+    entry('Merge Sort', ['merge sort']),
+    binarySearch,
+    entry('Binary Tree Traversals', ['binary tree'])
+  ];
+
+  it('ranks a whole keyword phrase above a partial match', () => {
+    const results = rankEntries('binary search', entries);
+    expect(topics(results)).toEqual(['Binary Search', 'Binary Tree Traversals']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('returns nothing for a query made only of stop words', () => {
+    expect(rankEntries('how do I write it in python', entries)).toEqual([]);
+  });
+
+  it('forgives a typo in a word the library does not know and marks the result corrected', () => {
+    const [best] = rankEntries('binary serach', entries);
+    expect(best).toMatchObject({ entry: binarySearch, corrected: true, confident: true });
+    expect(isAmbiguous([best])).toBe(true);
+  });
+
+  it('does not treat a real word as a typo of another', () => {
+    const results = rankEntries('tree', [entry('Trie (Prefix Tree)', ['trie']), entry('Tree Basics', ['tree'])]);
+    expect(results.every((result) => !result.corrected)).toBe(true);
+  });
+
+  // Four typed tokens with three found in the keywords is exactly CONFIDENT_COVERAGE (0.75);
+  // two out of three is below it.
+  it.each([
+    ['binary search sorted array', true],
+    ['binary search sorted list', true],
+    ['binary search list', false],
+    ['search', false]
+  ])('"%s" is confident: %s', (query, confident) => {
+    const [best] = rankEntries(query, entries);
+    expect(best.entry).toBe(binarySearch);
+    expect(best.confident).toBe(confident);
+  });
+});
+
+describe('the offline library', () => {
+  it.each([
+    ['dp', 'Dynamic Programming (DP)'],
+    ['fibonacci', 'Dynamic Programming (DP)'],
+    ['max subarray', 'Maximum Subarray (Kadane\'s Algorithm)'],
+    ['valid brackets', 'Valid Parentheses'],
+    ['reverse a linked list', 'Reverse Linked List']
+  ])('answers "%s" through its synonyms and keywords', (query, topic) => {
+    expect(findOfflineAnswer(query)?.topic).toBe(topic);
+  });
+
+  it.each([
+    ['sliding window maximum', 'Longest Substring Without Repeating Characters'],
+    ['merge srot', 'Merge Sort'],
+    ['bst', 'Binary Search'],
+    ['tree', 'Binary Tree Traversals']
+  ])('only suggests for the near miss "%s"', (query, topic) => {
+    expect(findOfflineAnswer(query)).toBeNull();
+    expect(searchOfflineAnswers(query)[0].topic).toBe(topic);
+  });
+
+  it('localizes the answer to the requested language', () => {
+    const answer = findOfflineAnswer('two sum', 'java');
+    expect(answer.answer).toContain('```java');
+  });
+});
+
+describe('findOfflineAnswer', () => {
+  // The first entry outscores the second through its topic and answer text, but no whole
+  // keyword matches it; the confident runner-up must not be answered in its place.
+  const entries = [
+    entry('Sliding Window Maximum', ['sliding window maximum deque'], 'A sliding window maximum keeps a deque.'),
+    entry('Window', ['sliding window', 'maximum'])
+  ];
+
+  it('decides on the top-ranked result only', () => {
+    const results = rankEntries('sliding window maximum', entries);
+    expect(results.map((result) => result.confident)).toEqual([false, true]);
+    expect(findOfflineAnswer('sliding window maximum', 'python', entries)).toBeNull();
+  });
+
+  it('answers the same entry when nothing outranks it', () => {
+    expect(findOfflineAnswer('sliding window maximum', 'python', [entries[1]])?.topic).toBe('Window');
+  });
+});
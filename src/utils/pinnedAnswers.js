@@ -0,0 +1,42 @@
+import localforage from 'localforage';
+
+// Answers the learner pinned into their own offline library. They are searched together
+// with the built-in entries and content packs, and stored in IndexedDB so they outlive the
+// ten-entry history. Shape: { id, topic, keywords, answer, question, model, createdAt, updatedAt }.
+
+const store = localforage.createInstance({ name: 'dsa-helper', storeName: 'pinnedAnswers' });
+
+// The question itself is the starting keyword: asking it again finds the pin.
+export const defaultKeywords = (question) => [
+  question.toLowerCase().replace(/\s+/g, ' ').replace(/[?.!\s]+$/, '').trim()
+].filter(Boolean);
+
+// Keywords are edited as one comma-separated field.
+export const parseKeywords = (text) => [
+  ...new Set(text.split(',').map((keyword) => keyword.trim().toLowerCase()).filter(Boolean))
+];
+
+// Returns a list of problems; empty when the pin can be saved.
+export function validatePinnedAnswer({ topic, keywords, answer }) {
+  const errors = [];
+  if (!topic.trim()) errors.push('Give the pin a topic.');
+  if (keywords.length === 0) errors.push('Add at least one keyword so the pin can be found.');
+  if (!answer.trim()) errors.push('The answer cannot be empty.');
+  return errors;
+}
+
+export async function loadPinnedAnswers() {
+  const pins = [];
+  await store.iterate((pin) => {
+    pins.push(pin);
+  });
+  return pins.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function savePinnedAnswer(pin) {
+  await store.setItem(pin.id, pin);
+}
+
+export async function removePinnedAnswer(id) {
+  await store.removeItem(id);
+}
@@ -0,0 +1,783 @@
+// Judged practice problems behind the curriculum's "Practice next" button, two for each of
+// the first twelve curriculum topics. An `id` that matches a catalog slug in BLIND_75_TOPICS
+// updates that problem's status when submitted. `signature` types drive the starter code
+// and the judge's argument conversion: int, bool, string, int[], int[][], string[],
+// string[][], ListNode and TreeNode (lists and trees are written as arrays, trees in level
+// order with null gaps). `compare` is 'exact' unless the answer may come back in any order
+// ('anyOrderNested' also ignores the order inside each item). Tests marked `hidden` only
+// run on Submit and never show their input.
+
+export const PRACTICE_PROBLEMS = [
+  {
+    id: 'contains-duplicate',
+    topicId: 'arrays_hashing',
+    title: 'Contains Duplicate',
+    difficulty: 'easy',
+    statement: `Given an integer array \`nums\`, return \`true\` if any value appears at least twice, and \`false\` if every element is distinct.`,
+    constraints: ['0 <= nums.length <= 10^5', '-10^9 <= nums[i] <= 10^9'],
+    signature: { name: 'containsDuplicate', params: [['nums', 'int[]']], returns: 'bool' },
+    tests: [
+      { args: [[1, 2, 3, 1]], expected: true },
+      { args: [[1, 2, 3, 4]], expected: false },
+      { args: [[1, 1, 1, 3, 3, 4, 3, 2, 4, 2]], expected: true },
+      { args: [[]], expected: false, hidden: true },
+      { args: [[7]], expected: false, hidden: true },
+      { args: [[-1, -1]], expected: true, hidden: true },
+      {
+        args: [
+          [
+            94679, -131427, 691753, -363675, -233232, -392612, -633653, 606643, 478791, 476856,
+            132850, 387020, -416412, -768974, 924122, -943510, -478013, -194335, 709569, 565304,
+            -120106, -470713, 802931, 51937, 682700, -334291, 343277, 774878, 435363, 982215,
+            518909, -157803, -711555, 155917, -869573, -706647, 704164, 660157, 835671, -587774,
+            -683508, 851376, 479684, 117482, 172081, 681483, 438291, -559578, -305768, 132385,
+            -741001, 850644, 500699, 339604, -854923, -351562, -140851, -828320, 63861, 970853
+          ]
+        ],
+        expected: false,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'two-sum',
+    topicId: 'arrays_hashing',
+    title: 'Two Sum',
+    difficulty: 'easy',
+    statement: `Given an array of integers \`nums\` and an integer \`target\`, return the indices of the two numbers that add up to \`target\`, smaller index first.
+
+Each input has exactly one solution, and the same element may not be used twice.`,
+    constraints: ['2 <= nums.length <= 10^4', 'Exactly one valid answer exists'],
+    signature: { name: 'twoSum', params: [['nums', 'int[]'], ['target', 'int']], returns: 'int[]' },
+    tests: [
+      { args: [[2, 7, 11, 15], 9], expected: [0, 1] },
+      { args: [[3, 2, 4], 6], expected: [1, 2] },
+      { args: [[3, 3], 6], expected: [0, 1] },
+      { args: [[-3, 4, 3, 90], 0], expected: [0, 2], hidden: true },
+      { args: [[0, 4, 3, 0], 0], expected: [0, 3], hidden: true },
+      { args: [[1, 5, 9, 14], 23], expected: [2, 3], hidden: true },
+      {
+        args: [
+          [
+            1850, -1550, 1180, 2180, 440, -2820, 1430, 810, 2850, -2480, 630, 3, -2490, 1880, 830,
+            2930, -2950, 1150, -560, -1810, 2700, -820, -460, 2390, 680, -2410, -270, -2350, -180,
+            -1030, 1004, 2680, 2450, 2660, -1680, -440, 140, 560, 260, -1260, 400, -2040
+          ],
+          1007
+        ],
+        expected: [11, 30],
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'valid-palindrome',
+    topicId: 'two_pointers',
+    title: 'Valid Palindrome',
+    difficulty: 'easy',
+    statement: `A phrase is a palindrome if it reads the same forward and backward after converting all uppercase letters to lowercase and removing every character that is not a letter or digit.
+
+Given a string \`s\`, return \`true\` if it is a palindrome.`,
+    constraints: ['1 <= s.length <= 2 * 10^5', 's consists of printable ASCII characters'],
+    signature: { name: 'isPalindrome', params: [['s', 'string']], returns: 'bool' },
+    tests: [
+      { args: ['A man, a plan, a canal: Panama'], expected: true },
+      { args: ['race a car'], expected: false },
+      { args: [' '], expected: true },
+      { args: ['0P'], expected: false, hidden: true },
+      { args: ['ab_a'], expected: true, hidden: true },
+      { args: ['Was it a car or a cat I saw?'], expected: true, hidden: true },
+      { args: ['No \'x\' in Nixon'], expected: true, hidden: true }
+    ]
+  },
+  {
+    id: 'container-with-most-water',
+    topicId: 'two_pointers',
+    title: 'Container With Most Water',
+    difficulty: 'medium',
+    statement: `You are given an array \`height\` where \`height[i]\` is the height of a vertical line at position \`i\`. Pick two lines that, together with the x-axis, hold the most water.
+
+Return the maximum amount of water a container can store.`,
+    constraints: ['2 <= height.length <= 10^5', '0 <= height[i] <= 10^4'],
+    signature: { name: 'maxArea', params: [['height', 'int[]']], returns: 'int' },
+    tests: [
+      { args: [[1, 8, 6, 2, 5, 4, 8, 3, 7]], expected: 49 },
+      { args: [[1, 1]], expected: 1 },
+      { args: [[4, 3, 2, 1, 4]], expected: 16 },
+      { args: [[1, 2, 1]], expected: 2, hidden: true },
+      { args: [[2, 3, 4, 5, 18, 17, 6]], expected: 17, hidden: true },
+      { args: [[0, 0]], expected: 0, hidden: true },
+      {
+        args: [
+          [
+            9419, 9475, 4465, 5490, 159, 829, 5701, 314, 7653, 4464, 7762, 884, 3248, 5075, 4228,
+            1229, 7944, 338, 9243, 8605, 2267, 6602, 7944, 9668, 6415, 3002, 3205, 4119, 2470, 1808,
+            3479, 822, 8797, 4999, 5169, 5179, 810, 2645, 6864, 1520, 5109, 4104, 6613, 7868, 1229,
+            8882, 1395, 8897, 3960, 3685, 8720, 4345, 9436, 2677, 4837, 806, 7975, 9607, 6435, 7970,
+            3645, 9076, 6682, 8448, 7291, 1268, 7526, 3582, 3752, 7912, 5214, 3093, 5965, 9800, 464,
+            9470, 9304, 8510, 6925, 879
+          ]
+        ],
+        expected: 707104,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'best-time-to-buy-and-sell-stock',
+    topicId: 'sliding_window',
+    title: 'Best Time to Buy and Sell Stock',
+    difficulty: 'easy',
+    statement: `\`prices[i]\` is the price of a stock on day \`i\`. Choose one day to buy and a later day to sell.
+
+Return the maximum profit you can make, or \`0\` if no profit is possible.`,
+    constraints: ['1 <= prices.length <= 10^5', '0 <= prices[i] <= 10^4'],
+    signature: { name: 'maxProfit', params: [['prices', 'int[]']], returns: 'int' },
+    tests: [
+      { args: [[7, 1, 5, 3, 6, 4]], expected: 5 },
+      { args: [[7, 6, 4, 3, 1]], expected: 0 },
+      { args: [[2, 4, 1]], expected: 2 },
+      { args: [[1]], expected: 0, hidden: true },
+      { args: [[3, 3, 3]], expected: 0, hidden: true },
+      { args: [[2, 1, 2, 1, 0, 1, 2]], expected: 2, hidden: true },
+      {
+        args: [
+          [
+            5386, 9479, 2770, 9107, 3786, 5135, 6028, 2820, 3458, 4970, 7107, 5824, 7357, 9691,
+            1530, 8497, 1728, 8573, 172, 3147, 9432, 9068, 2928, 7362, 7596, 7300, 8261, 2247, 8785,
+            9000, 7781, 7418, 198, 4820, 4315, 3015, 134, 7657, 5527, 5386, 3461, 848, 4377, 1614,
+            8480, 250, 451, 1848, 7728, 4938, 3343, 1616, 428, 7460, 8791, 3638, 490, 6553, 2010,
+            7014, 955, 8833, 980, 3081, 8826, 4298, 4414, 5847, 5690, 8908, 9523, 6826, 6644, 122,
+            8613, 5558, 1325, 549, 4666, 5331
+          ]
+        ],
+        expected: 9389,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'longest-substring-without-repeating-characters',
+    topicId: 'sliding_window',
+    title: 'Longest Substring Without Repeating Characters',
+    difficulty: 'medium',
+    statement: `Given a string \`s\`, return the length of the longest substring that contains no repeated characters.`,
+    constraints: ['0 <= s.length <= 5 * 10^4', 's consists of letters, digits, symbols and spaces'],
+    signature: { name: 'lengthOfLongestSubstring', params: [['s', 'string']], returns: 'int' },
+    tests: [
+      { args: ['abcabcbb'], expected: 3 },
+      { args: ['bbbbb'], expected: 1 },
+      { args: ['pwwkew'], expected: 3 },
+      { args: [''], expected: 0, hidden: true },
+      { args: [' '], expected: 1, hidden: true },
+      { args: ['abba'], expected: 2, hidden: true },
+      { args: ['dvdf'], expected: 3, hidden: true },
+      { args: ['tmmzuxt'], expected: 5, hidden: true }
+    ]
+  },
+  {
+    id: 'valid-parentheses',
+    topicId: 'stack',
+    title: 'Valid Parentheses',
+    difficulty: 'easy',
+    statement: `Given a string \`s\` containing only the characters \`(\`, \`)\`, \`{\`, \`}\`, \`[\` and \`]\`, return \`true\` if every bracket is closed by the same type of bracket, in the correct order.`,
+    constraints: ['1 <= s.length <= 10^4'],
+    signature: { name: 'isValid', params: [['s', 'string']], returns: 'bool' },
+    tests: [
+      { args: ['()'], expected: true },
+      { args: ['()[]{}'], expected: true },
+      { args: ['(]'], expected: false },
+      { args: ['([)]'], expected: false, hidden: true },
+      { args: ['{[]}'], expected: true, hidden: true },
+      { args: ['(('], expected: false, hidden: true },
+      { args: [']'], expected: false, hidden: true },
+      { args: ['(({[]})[])'], expected: true, hidden: true }
+    ]
+  },
+  {
+    id: 'daily-temperatures',
+    topicId: 'stack',
+    title: 'Daily Temperatures',
+    difficulty: 'medium',
+    statement: `Given daily temperatures, return an array \`answer\` where \`answer[i]\` is the number of days after day \`i\` until a warmer temperature. Use \`0\` when no warmer day follows.`,
+    constraints: ['1 <= temperatures.length <= 10^5', '30 <= temperatures[i] <= 100'],
+    signature: { name: 'dailyTemperatures', params: [['temperatures', 'int[]']], returns: 'int[]' },
+    tests: [
+      { args: [[73, 74, 75, 71, 69, 72, 76, 73]], expected: [1, 1, 4, 2, 1, 1, 0, 0] },
+      { args: [[30, 40, 50, 60]], expected: [1, 1, 1, 0] },
+      { args: [[30, 60, 90]], expected: [1, 1, 0] },
+      { args: [[90, 80, 70]], expected: [0, 0, 0], hidden: true },
+      { args: [[50]], expected: [0], hidden: true },
+      { args: [[55, 55, 56]], expected: [2, 1, 0], hidden: true },
+      {
+        args: [
+          [
+            71, 45, 72, 46, 98, 61, 93, 66, 86, 45, 62, 61, 39, 83, 69, 55, 91, 76, 46, 57, 94, 49,
+            67, 40, 85, 86, 97, 79, 96, 49, 48, 51, 98, 70, 93, 66, 82, 38, 60, 51, 49, 60, 84, 100,
+            71, 99, 86, 94, 46, 66, 61, 93, 62, 94, 54, 77, 30, 45, 72, 93
+          ]
+        ],
+        expected: [
+          2, 1, 2, 1, 39, 1, 14, 1, 8, 1, 3, 2, 1, 3, 2, 1, 4, 3, 1, 1, 6, 1, 2, 1, 1, 1, 6, 1, 4,
+          2, 1, 1, 11, 1, 9, 1, 6, 1, 4, 2, 1, 1, 1, 0, 1, 0, 1, 0, 1, 2, 1, 2, 1, 0, 1, 4, 1, 1, 1,
+          0
+        ],
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'binary-search',
+    topicId: 'binary_search',
+    title: 'Binary Search',
+    difficulty: 'easy',
+    statement: `Given a sorted array of distinct integers \`nums\` and a \`target\`, return the index of \`target\`, or \`-1\` if it is not in the array.
+
+Aim for O(log n) time.`,
+    constraints: ['1 <= nums.length <= 10^4', 'nums is sorted in ascending order and has no duplicates'],
+    signature: { name: 'search', params: [['nums', 'int[]'], ['target', 'int']], returns: 'int' },
+    tests: [
+      { args: [[-1, 0, 3, 5, 9, 12], 9], expected: 4 },
+      { args: [[-1, 0, 3, 5, 9, 12], 2], expected: -1 },
+      { args: [[5], 5], expected: 0 },
+      { args: [[5], -5], expected: -1, hidden: true },
+      { args: [[1, 3], 3], expected: 1, hidden: true },
+      {
+        args: [
+          [
+            -4810, -4805, -4424, -4016, -3844, -3832, -3807, -3741, -3710, -3582, -3561, -3393,
+            -3295, -2952, -2849, -2649, -2567, -2551, -2341, -2210, -2157, -1898, -1791, -1763,
+            -1668, -1592, -1511, -1507, -1492, -1450, -1269, -1232, -1139, -1115, -1082, -1006,
+            -782, -752, -642, -573, -274, -140, -43, 41, 51, 174, 264, 333, 352, 480, 566, 767, 816,
+            943, 1051, 1151, 1196, 1200, 1221, 1281, 1322, 1451, 1583, 1617, 1626, 1660, 1797, 1933,
+            2054, 2143, 2146, 2147, 2237, 2361, 2463, 2578, 2752, 2932, 2963, 3061, 3072, 3202,
+            3421, 3441, 3922, 4320, 4417, 4536, 4570, 4994
+          ],
+          -4810
+        ],
+        expected: 0,
+        hidden: true
+      },
+      {
+        args: [
+          [
+            -4810, -4805, -4424, -4016, -3844, -3832, -3807, -3741, -3710, -3582, -3561, -3393,
+            -3295, -2952, -2849, -2649, -2567, -2551, -2341, -2210, -2157, -1898, -1791, -1763,
+            -1668, -1592, -1511, -1507, -1492, -1450, -1269, -1232, -1139, -1115, -1082, -1006,
+            -782, -752, -642, -573, -274, -140, -43, 41, 51, 174, 264, 333, 352, 480, 566, 767, 816,
+            943, 1051, 1151, 1196, 1200, 1221, 1281, 1322, 1451, 1583, 1617, 1626, 1660, 1797, 1933,
+            2054, 2143, 2146, 2147, 2237, 2361, 2463, 2578, 2752, 2932, 2963, 3061, 3072, 3202,
+            3421, 3441, 3922, 4320, 4417, 4536, 4570, 4994
+          ],
+          4994
+        ],
+        expected: 89,
+        hidden: true
+      },
+      {
+        args: [
+          [
+            -4810, -4805, -4424, -4016, -3844, -3832, -3807, -3741, -3710, -3582, -3561, -3393,
+            -3295, -2952, -2849, -2649, -2567, -2551, -2341, -2210, -2157, -1898, -1791, -1763,
+            -1668, -1592, -1511, -1507, -1492, -1450, -1269, -1232, -1139, -1115, -1082, -1006,
+            -782, -752, -642, -573, -274, -140, -43, 41, 51, 174, 264, 333, 352, 480, 566, 767, 816,
+            943, 1051, 1151, 1196, 1200, 1221, 1281, 1322, 1451, 1583, 1617, 1626, 1660, 1797, 1933,
+            2054, 2143, 2146, 2147, 2237, 2361, 2463, 2578, 2752, 2932, 2963, 3061, 3072, 3202,
+            3421, 3441, 3922, 4320, 4417, 4536, 4570, 4994
+          ],
+          5001
+        ],
+        expected: -1,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'find-minimum-in-rotated-sorted-array',
+    topicId: 'binary_search',
+    title: 'Find Minimum in Rotated Sorted Array',
+    difficulty: 'medium',
+    statement: `A sorted array of distinct integers was rotated between 1 and n times, so \`[0,1,2,4,5,6,7]\` might become \`[4,5,6,7,0,1,2]\`.
+
+Return the minimum element in O(log n) time.`,
+    constraints: ['1 <= nums.length <= 5000', 'All values are distinct'],
+    signature: { name: 'findMin', params: [['nums', 'int[]']], returns: 'int' },
+    tests: [
+      { args: [[3, 4, 5, 1, 2]], expected: 1 },
+      { args: [[4, 5, 6, 7, 0, 1, 2]], expected: 0 },
+      { args: [[11, 13, 15, 17]], expected: 11 },
+      { args: [[1]], expected: 1, hidden: true },
+      { args: [[2, 1]], expected: 1, hidden: true },
+      { args: [[5, 1, 2, 3, 4]], expected: 1, hidden: true },
+      {
+        args: [
+          [
+            100, 131, 613, 657, 867, 921, 944, 946, 1038, 1069, 1106, 1238, 1248, 1352, 1380, 1394,
+            1571, 1615, 1922, 2007, 2011, 2017, 2046, 2295, 2302, 2306, 2328, 2767, 2809, -2936,
+            -2752, -2746, -2723, -2706, -2666, -2644, -2558, -2545, -2413, -2352, -2283, -2186,
+            -2119, -2070, -2057, -1981, -1944, -1799, -1781, -1716, -1493, -1372, -1262, -1201,
+            -899, -871, -844, -833, -750, -666, -616, -588, -573, -450, -303, -147, -121, 5, 46, 49
+          ]
+        ],
+        expected: -2936,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'reverse-linked-list',
+    topicId: 'linked_list',
+    title: 'Reverse Linked List',
+    difficulty: 'easy',
+    statement: `Given the \`head\` of a singly linked list, reverse the list and return the new head.
+
+Nodes are \`ListNode\` objects with \`val\` and \`next\`; the class is already defined for you. Test cases show lists as arrays.`,
+    constraints: ['0 <= number of nodes <= 5000'],
+    signature: { name: 'reverseList', params: [['head', 'ListNode']], returns: 'ListNode' },
+    tests: [
+      { args: [[1, 2, 3, 4, 5]], expected: [5, 4, 3, 2, 1] },
+      { args: [[1, 2]], expected: [2, 1] },
+      { args: [[]], expected: [] },
+      { args: [[7]], expected: [7], hidden: true },
+      { args: [[1, 1, 2, 2]], expected: [2, 2, 1, 1], hidden: true },
+      {
+        args: [
+          [
+            0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23,
+            24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45,
+            46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67,
+            68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+            90, 91, 92, 93, 94, 95, 96, 97, 98, 99
+          ]
+        ],
+        expected: [
+          99, 98, 97, 96, 95, 94, 93, 92, 91, 90, 89, 88, 87, 86, 85, 84, 83, 82, 81, 80, 79, 78,
+          77, 76, 75, 74, 73, 72, 71, 70, 69, 68, 67, 66, 65, 64, 63, 62, 61, 60, 59, 58, 57, 56,
+          55, 54, 53, 52, 51, 50, 49, 48, 47, 46, 45, 44, 43, 42, 41, 40, 39, 38, 37, 36, 35, 34,
+          33, 32, 31, 30, 29, 28, 27, 26, 25, 24, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13, 12,
+          11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0
+        ],
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'merge-two-sorted-lists',
+    topicId: 'linked_list',
+    title: 'Merge Two Sorted Lists',
+    difficulty: 'easy',
+    statement: `Merge two sorted linked lists into one sorted list by splicing their nodes together, and return its head.
+
+\`ListNode\` (\`val\`, \`next\`) is already defined. Test cases show lists as arrays.`,
+    constraints: ['0 <= number of nodes in each list <= 50', 'Both lists are sorted in non-decreasing order'],
+    signature: { name: 'mergeTwoLists', params: [['list1', 'ListNode'], ['list2', 'ListNode']], returns: 'ListNode' },
+    tests: [
+      { args: [[1, 2, 4], [1, 3, 4]], expected: [1, 1, 2, 3, 4, 4] },
+      { args: [[], []], expected: [] },
+      { args: [[], [0]], expected: [0] },
+      { args: [[5], [1, 2, 4]], expected: [1, 2, 4, 5], hidden: true },
+      { args: [[1, 1, 1], [1, 1]], expected: [1, 1, 1, 1, 1], hidden: true },
+      {
+        args: [[-10, -3, 0, 8], [-7, 2, 9, 11, 20]],
+        expected: [-10, -7, -3, 0, 2, 8, 9, 11, 20],
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'maximum-depth-of-binary-tree',
+    topicId: 'trees',
+    title: 'Maximum Depth of Binary Tree',
+    difficulty: 'easy',
+    statement: `Given the \`root\` of a binary tree, return its maximum depth: the number of nodes on the longest path from the root down to a leaf.
+
+\`TreeNode\` (\`val\`, \`left\`, \`right\`) is already defined. Test cases show trees in level order, with \`null\` for missing children.`,
+    constraints: ['0 <= number of nodes <= 10^4'],
+    signature: { name: 'maxDepth', params: [['root', 'TreeNode']], returns: 'int' },
+    tests: [
+      { args: [[3, 9, 20, null, null, 15, 7]], expected: 3 },
+      { args: [[1, null, 2]], expected: 2 },
+      { args: [[]], expected: 0 },
+      { args: [[0]], expected: 1, hidden: true },
+      { args: [[1, 2, 3, 4, null, null, 5, 6]], expected: 4, hidden: true },
+      { args: [[1, 2, null, 3, null, 4, null, 5]], expected: 5, hidden: true }
+    ]
+  },
+  {
+    id: 'invert-binary-tree',
+    topicId: 'trees',
+    title: 'Invert Binary Tree',
+    difficulty: 'easy',
+    statement: `Given the \`root\` of a binary tree, mirror it (swap the left and right child of every node) and return its root.
+
+\`TreeNode\` (\`val\`, \`left\`, \`right\`) is already defined. Test cases show trees in level order, with \`null\` for missing children.`,
+    constraints: ['0 <= number of nodes <= 100'],
+    signature: { name: 'invertTree', params: [['root', 'TreeNode']], returns: 'TreeNode' },
+    tests: [
+      { args: [[4, 2, 7, 1, 3, 6, 9]], expected: [4, 7, 2, 9, 6, 3, 1] },
+      { args: [[2, 1, 3]], expected: [2, 3, 1] },
+      { args: [[]], expected: [] },
+      { args: [[1]], expected: [1], hidden: true },
+      { args: [[1, 2]], expected: [1, null, 2], hidden: true },
+      { args: [[1, 2, 3, 4, null, null, 5]], expected: [1, 3, 2, 5, null, null, 4], hidden: true }
+    ]
+  },
+  {
+    id: 'longest-common-prefix',
+    topicId: 'tries',
+    title: 'Longest Common Prefix',
+    difficulty: 'easy',
+    statement: `Return the longest string that is a prefix of every word in \`strs\`, or an empty string if there is none.
+
+A trie makes this a walk down the single-child path from the root.`,
+    constraints: ['1 <= strs.length <= 200', 'strs[i] consists of lowercase English letters'],
+    signature: { name: 'longestCommonPrefix', params: [['strs', 'string[]']], returns: 'string' },
+    tests: [
+      { args: [['flower', 'flow', 'flight']], expected: 'fl' },
+      { args: [['dog', 'racecar', 'car']], expected: '' },
+      { args: [['alone']], expected: 'alone' },
+      { args: [['', '']], expected: '', hidden: true },
+      { args: [['ab', 'a']], expected: 'a', hidden: true },
+      { args: [['interview', 'internet', 'interval', 'internal']], expected: 'inter', hidden: true },
+      { args: [['same', 'same', 'same']], expected: 'same', hidden: true }
+    ]
+  },
+  {
+    id: 'replace-words',
+    topicId: 'tries',
+    title: 'Replace Words',
+    difficulty: 'medium',
+    statement: `A root can be followed by other letters to form a longer word (\`"help"\` + \`"ful"\` = \`"helpful"\`). Given a \`dictionary\` of roots and a \`sentence\` of words separated by single spaces, replace every word with the shortest root that starts it.
+
+Words with no matching root stay unchanged. Return the new sentence.`,
+    constraints: ['1 <= dictionary.length <= 1000', 'sentence has no leading or trailing spaces'],
+    signature: { name: 'replaceWords', params: [['dictionary', 'string[]'], ['sentence', 'string']], returns: 'string' },
+    tests: [
+      {
+        args: [['cat', 'bat', 'rat'], 'the cattle was rattled by the battery'],
+        expected: 'the cat was rat by the bat'
+      },
+      { args: [['a', 'b', 'c'], 'aadsfasf absbs bbab cadsfafs'], expected: 'a a b c' },
+      { args: [['xyz'], 'hello world'], expected: 'hello world' },
+      { args: [['a', 'aa', 'aaa'], 'aaaa aaa aa a'], expected: 'a a a a', hidden: true },
+      {
+        args: [['catt', 'cat', 'bat', 'rat'], 'the cattle was rattled by the battery'],
+        expected: 'the cat was rat by the bat',
+        hidden: true
+      },
+      {
+        args: [['ac', 'ab'], 'it is abnormal that this solution is accepted'],
+        expected: 'it is ab that this solution is ac',
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'kth-largest-element-in-an-array',
+    topicId: 'heap',
+    title: 'Kth Largest Element in an Array',
+    difficulty: 'medium',
+    statement: `Given an integer array \`nums\` and an integer \`k\`, return the \`k\`th largest element in sorted order (not the \`k\`th distinct element).
+
+A min-heap of size \`k\` solves it in O(n log k).`,
+    constraints: ['1 <= k <= nums.length <= 10^5'],
+    signature: { name: 'findKthLargest', params: [['nums', 'int[]'], ['k', 'int']], returns: 'int' },
+    tests: [
+      { args: [[3, 2, 1, 5, 6, 4], 2], expected: 5 },
+      { args: [[3, 2, 3, 1, 2, 4, 5, 5, 6], 4], expected: 4 },
+      { args: [[1], 1], expected: 1 },
+      { args: [[2, 1], 2], expected: 1, hidden: true },
+      { args: [[-1, -1], 2], expected: -1, hidden: true },
+      { args: [[7, 6, 5, 4, 3, 2, 1], 5], expected: 3, hidden: true },
+      {
+        args: [
+          [
+            2836, -6412, 5105, -5295, -3548, 7944, 4498, -8458, -1212, -9404, 9434, -6520, -6850,
+            -5398, 5599, -2780, 123, -153, -78, 9855, 836, 8106, -9455, 4334, -7100, 2576, -9899,
+            5117, -6598, 694, 7590, 596, 5047, -8126, 5965, -6949, 7504, 5337, -271, 9905, -5974,
+            9336, -4955, -7675, 558, -8722, -4950, 8746, -3435, -334, 3743, -7204, -6464, 2487,
+            -8153, 6033, 6863, 3437, 3558, -1369, 8904, -2190, 8440, 6436, 3264, 9736, -5761, -2726,
+            859, -2413, 400, 5430, 314, -3086, -6758, -3283, 7386, 5330, -3179, 4413, 4278, 1969,
+            4318, -8282, -3481, -6007, -1832, -9813, -1508, -8325
+          ],
+          17
+        ],
+        expected: 5965,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'last-stone-weight',
+    topicId: 'heap',
+    title: 'Last Stone Weight',
+    difficulty: 'easy',
+    statement: `Each turn, take the two heaviest stones \`x <= y\` and smash them: if they are equal both are destroyed, otherwise a stone of weight \`y - x\` remains.
+
+Return the weight of the last stone, or \`0\` if none are left.`,
+    constraints: ['1 <= stones.length <= 30', '1 <= stones[i] <= 1000'],
+    signature: { name: 'lastStoneWeight', params: [['stones', 'int[]']], returns: 'int' },
+    tests: [
+      { args: [[2, 7, 4, 1, 8, 1]], expected: 1 },
+      { args: [[1]], expected: 1 },
+      { args: [[3, 3]], expected: 0 },
+      { args: [[10, 4, 2, 10]], expected: 2, hidden: true },
+      { args: [[1, 3]], expected: 2, hidden: true },
+      { args: [[9, 3, 2, 10]], expected: 0, hidden: true },
+      {
+        args: [
+          [
+            911, 268, 890, 730, 371, 850, 439, 396, 724, 47, 548, 574, 534, 972, 785, 16, 25, 644,
+            555, 775, 332, 718, 607, 330, 831, 802, 683, 907, 177, 806
+          ]
+        ],
+        expected: 1,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'subsets',
+    topicId: 'backtracking',
+    title: 'Subsets',
+    difficulty: 'medium',
+    statement: `Given an array \`nums\` of distinct integers, return all of its subsets (the power set), without duplicates.
+
+Subsets may be returned in any order, and so may the numbers inside each subset.`,
+    constraints: ['1 <= nums.length <= 10', 'All numbers are distinct'],
+    signature: { name: 'subsets', params: [['nums', 'int[]']], returns: 'int[][]' },
+    compare: 'anyOrderNested',
+    tests: [
+      { args: [[1, 2, 3]], expected: [[], [1], [2], [1, 2], [3], [1, 3], [2, 3], [1, 2, 3]] },
+      { args: [[0]], expected: [[], [0]] },
+      { args: [[5, 9]], expected: [[], [5], [9], [5, 9]] },
+      { args: [[-1, 1]], expected: [[], [-1], [1], [-1, 1]], hidden: true },
+      {
+        args: [[4, 1, 0, 2]],
+        expected: [
+          [], [4], [1], [4, 1], [0], [4, 0], [1, 0], [4, 1, 0], [2], [4, 2], [1, 2], [4, 1, 2],
+          [0, 2], [4, 0, 2], [1, 0, 2], [4, 1, 0, 2]
+        ],
+        hidden: true
+      },
+      {
+        args: [[1, 2, 3, 4, 5]],
+        expected: [
+          [], [1], [2], [1, 2], [3], [1, 3], [2, 3], [1, 2, 3], [4], [1, 4], [2, 4], [1, 2, 4],
+          [3, 4], [1, 3, 4], [2, 3, 4], [1, 2, 3, 4], [5], [1, 5], [2, 5], [1, 2, 5], [3, 5],
+          [1, 3, 5], [2, 3, 5], [1, 2, 3, 5], [4, 5], [1, 4, 5], [2, 4, 5], [1, 2, 4, 5], [3, 4, 5],
+          [1, 3, 4, 5], [2, 3, 4, 5], [1, 2, 3, 4, 5]
+        ],
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'combination-sum',
+    topicId: 'backtracking',
+    title: 'Combination Sum',
+    difficulty: 'medium',
+    statement: `Given distinct positive integers \`candidates\` and a \`target\`, return every unique combination of candidates that sums to \`target\`. Each candidate may be used any number of times.
+
+Combinations may be returned in any order, and so may the numbers inside each combination.`,
+    constraints: ['1 <= candidates.length <= 30', '2 <= candidates[i] <= 40', '1 <= target <= 40'],
+    signature: { name: 'combinationSum', params: [['candidates', 'int[]'], ['target', 'int']], returns: 'int[][]' },
+    compare: 'anyOrderNested',
+    tests: [
+      { args: [[2, 3, 6, 7], 7], expected: [[2, 2, 3], [7]] },
+      { args: [[2, 3, 5], 8], expected: [[2, 2, 2, 2], [2, 3, 3], [3, 5]] },
+      { args: [[2], 1], expected: [] },
+      { args: [[1], 2], expected: [[1, 1]], hidden: true },
+      {
+        args: [[7, 3, 2], 18],
+        expected: [
+          [2, 2, 2, 2, 2, 2, 2, 2, 2], [2, 2, 2, 2, 2, 2, 3, 3], [2, 2, 2, 2, 3, 7],
+          [2, 2, 2, 3, 3, 3, 3], [2, 2, 7, 7], [2, 3, 3, 3, 7], [3, 3, 3, 3, 3, 3]
+        ],
+        hidden: true
+      },
+      { args: [[8, 7, 4, 3], 11], expected: [[3, 4, 4], [3, 8], [4, 7]], hidden: true }
+    ]
+  },
+  {
+    id: 'number-of-islands',
+    topicId: 'graphs',
+    title: 'Number of Islands',
+    difficulty: 'medium',
+    statement: `Given a grid of \`"1"\` (land) and \`"0"\` (water), return the number of islands. An island is land connected horizontally or vertically and surrounded by water; the grid edges count as water.`,
+    constraints: ['1 <= rows, columns <= 300'],
+    signature: { name: 'numIslands', params: [['grid', 'string[][]']], returns: 'int' },
+    tests: [
+      {
+        args: [
+          [
+            ['1', '1', '1', '1', '0'], ['1', '1', '0', '1', '0'], ['1', '1', '0', '0', '0'],
+            ['0', '0', '0', '0', '0']
+          ]
+        ],
+        expected: 1
+      },
+      {
+        args: [
+          [
+            ['1', '1', '0', '0', '0'], ['1', '1', '0', '0', '0'], ['0', '0', '1', '0', '0'],
+            ['0', '0', '0', '1', '1']
+          ]
+        ],
+        expected: 3
+      },
+      { args: [[['0']]], expected: 0 },
+      { args: [[['1']]], expected: 1, hidden: true },
+      {
+        args: [[['1', '0', '1', '0', '1'], ['0', '1', '0', '1', '0'], ['1', '0', '1', '0', '1']]],
+        expected: 8,
+        hidden: true
+      },
+      { args: [[['1', '1', '1'], ['0', '1', '0'], ['1', '1', '1']]], expected: 1, hidden: true },
+      {
+        args: [
+          [
+            ['1', '1', '0', '0', '0', '1', '1'], ['1', '1', '0', '1', '0', '1', '1'],
+            ['0', '0', '0', '1', '0', '0', '0'], ['1', '1', '0', '0', '0', '1', '1']
+          ]
+        ],
+        expected: 5,
+        hidden: true
+      }
+    ]
+  },
+  {
+    id: 'course-schedule',
+    topicId: 'graphs',
+    title: 'Course Schedule',
+    difficulty: 'medium',
+    statement: `There are \`numCourses\` courses labelled \`0\` to \`numCourses - 1\`. Each pair \`[a, b]\` in \`prerequisites\` means course \`b\` must be taken before course \`a\`.
+
+Return \`true\` if it is possible to finish every course, that is, if the prerequisites contain no cycle.`,
+    constraints: ['1 <= numCourses <= 2000', '0 <= prerequisites.length <= 5000'],
+    signature: { name: 'canFinish', params: [['numCourses', 'int'], ['prerequisites', 'int[][]']], returns: 'bool' },
+    tests: [
+      { args: [2, [[1, 0]]], expected: true },
+      { args: [2, [[1, 0], [0, 1]]], expected: false },
+      { args: [3, []], expected: true },
+      { args: [5, [[1, 4], [2, 4], [3, 1], [3, 2]]], expected: true, hidden: true },
+      { args: [3, [[0, 1], [1, 2], [2, 0]]], expected: false, hidden: true },
+      { args: [4, [[1, 0], [2, 1], [3, 2]]], expected: true, hidden: true },
+      { args: [1, [[0, 0]]], expected: false, hidden: true }
+    ]
+  },
+  {
+    id: 'climbing-stairs',
+    topicId: 'dp',
+    title: 'Climbing Stairs',
+    difficulty: 'easy',
+    statement: `You are climbing a staircase with \`n\` steps and can climb either 1 or 2 steps at a time. Return the number of distinct ways to reach the top.`,
+    constraints: ['1 <= n <= 45'],
+    signature: { name: 'climbStairs', params: [['n', 'int']], returns: 'int' },
+    tests: [
+      { args: [2], expected: 2 },
+      { args: [3], expected: 3 },
+      { args: [5], expected: 8 },
+      { args: [1], expected: 1, hidden: true },
+      { args: [10], expected: 89, hidden: true },
+      { args: [30], expected: 1346269, hidden: true },
+      { args: [45], expected: 1836311903, hidden: true }
+    ]
+  },
+  {
+    id: 'house-robber',
+    topicId: 'dp',
+    title: 'House Robber',
+    difficulty: 'medium',
+    statement: `Houses along a street hold \`nums[i]\` money each. Robbing two adjacent houses alerts the police. Return the most money you can rob without robbing two neighbours.`,
+    constraints: ['1 <= nums.length <= 100', '0 <= nums[i] <= 400'],
+    signature: { name: 'rob', params: [['nums', 'int[]']], returns: 'int' },
+    tests: [
+      { args: [[1, 2, 3, 1]], expected: 4 },
+      { args: [[2, 7, 9, 3, 1]], expected: 12 },
+      { args: [[5]], expected: 5 },
+      { args: [[2, 1, 1, 2]], expected: 4, hidden: true },
+      { args: [[0, 0, 0]], expected: 0, hidden: true },
+      { args: [[400, 1, 1, 400]], expected: 800, hidden: true },
+      {
+        args: [
+          [
+            183, 299, 311, 338, 162, 306, 122, 136, 292, 226, 228, 56, 65, 12, 70, 232, 259, 78,
+            367, 227, 300, 3, 3, 88, 195, 192, 336, 358, 204, 50, 143, 98, 103, 72, 364, 9, 310,
+            239, 167, 76, 243, 113, 216, 358, 185, 133, 363, 373, 228, 240, 45, 88, 53, 126, 255,
+            127, 159, 52, 132, 264
+          ]
+        ],
+        expected: 6462,
+        hidden: true
+      }
+    ]
+  }
+];
+
+export const JUDGE_LANGUAGES = [
+  { id: 'python', label: 'Python' },
+  { id: 'javascript', label: 'JavaScript' }
+];
+
+// Practice problems of a curriculum topic: those written for its id plus any whose id is one
+// of the topic's problem slugs, so topics of other study tracks find them too.
+export const getTopicProblems = (topic) => PRACTICE_PROBLEMS.filter((problem) => (
+  problem.topicId === topic.id || topic.problems?.some((entry) => entry.slug === problem.id)
+));
+
+const PYTHON_TYPES = {
+  int: 'int',
+  bool: 'bool',
+  string: 'str',
+  'int[]': 'List[int]',
+  'int[][]': 'List[List[int]]',
+  'string[]': 'List[str]',
+  'string[][]': 'List[List[str]]',
+  ListNode: 'Optional[ListNode]',
+  TreeNode: 'Optional[TreeNode]'
+};
+
+const JS_TYPES = {
+  int: 'number',
+  bool: 'boolean',
+  string: 'string',
+  'int[]': 'number[]',
+  'int[][]': 'number[][]',
+  'string[]': 'string[]',
+  'string[][]': 'string[][]',
+  ListNode: 'ListNode | null',
+  TreeNode: 'TreeNode | null'
+};
+
+const NODE_NOTES = {
+  python: {
+    ListNode: '# class ListNode:\n#     def __init__(self, val=0, next=None):\n#         self.val = val\n#         self.next = next\n',
+    TreeNode: '# class TreeNode:\n#     def __init__(self, val=0, left=None, right=None):\n#         self.val = val\n#         self.left = left\n#         self.right = right\n'
+  },
+  javascript: {
+    ListNode: '// class ListNode { constructor(val = 0, next = null) { this.val = val; this.next = next; } }\n',
+    TreeNode: '// class TreeNode { constructor(val = 0, left = null, right = null) { this.val = val; this.left = left; this.right = right; } }\n'
+  }
+};
+
+const usedNodeNotes = ({ params, returns }, language) => {
+  const types = new Set([...params.map(([, type]) => type), returns]);
+  return ['ListNode', 'TreeNode'].filter((type) => types.has(type)).map((type) => NODE_NOTES[language][type]).join('');
+};
+
+// Starter code for a judge language, generated from the problem signature.
+export function getStarterCode(problem, language) {
+  const { name, params, returns } = problem.signature;
+  const notes = usedNodeNotes(problem.signature, language);
+  if (language === 'python') {
+    const args = params.map(([param, type]) => `${param}: ${PYTHON_TYPES[type]}`).join(', ');
+    return `${notes}${notes ? '\n' : ''}def ${name}(${args}) -> ${PYTHON_TYPES[returns]}:\n    # Write your solution here\n    pass\n`;
+  }
+  const docs = [
+    ...params.map(([param, type]) => ` * @param {${JS_TYPES[type]}} ${param}`),
+    ` * @return {${JS_TYPES[returns]}}`
+  ].join('\n');
+  const args = params.map(([param]) => param).join(', ');
+  return `${notes}${notes ? '\n' : ''}/**\n${docs}\n */\nfunction ${name}(${args}) {\n  // Write your solution here\n}\n`;
+}
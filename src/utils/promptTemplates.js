@@ -0,0 +1,99 @@
+import { STRUCTURED_ANSWER_SCHEMA } from './structuredAnswer';
+
+// Prompt templates use {{variable}} placeholders. A template set holds the difficulty
+// levels (each with its teaching-style guide) and one template per prompt mode.
+
+export const PROMPT_MODES = [
+  { id: 'answer', label: 'Answer' },
+  { id: 'quiz', label: 'Quiz' }
+];
+
+export const PROMPT_VARIABLES = [
+  { name: 'difficulty', description: 'Label of the selected difficulty, e.g. "Beginner"' },
+  { name: 'difficultyGuide', description: 'Teaching-style guide of the selected difficulty' },
+  { name: 'language', description: 'Code language name, e.g. "Python"' },
+  { name: 'languageId', description: 'Code language id, e.g. "python"' },
+  { name: 'topic', description: 'The question being answered, or the quiz topic' },
+  { name: 'userLevel', description: 'Learner level earned through XP' },
+  { name: 'schema', description: 'JSON structure the answer view expects (answer mode)' },
+  { name: 'solution', description: 'Answer text the quiz is based on (quiz mode)' }
+];
+
+const DEFAULT_ANSWER_TEMPLATE = `You are an expert teacher explaining DSA and LeetCode problems.
+Difficulty level: {{difficulty}} - {{difficultyGuide}}
+The learner is currently at level {{userLevel}}.
+
+Important instructions:
+1. Match the difficulty level above.
+2. Always provide {{language}} code examples that are clear and well-commented.
+3. If the concept is visual (trees, graphs, sorting, arrays, linked lists), provide a simple SVG diagram.
+4. Keep prose readable with short paragraphs and bullet points.
+5. Add Big O complexity analysis (time and space).
+6. Write math in LaTeX between double dollars: inline as $$O(n \\log n)$$ inside a sentence and display equations as $$...$$ on their own lines. A single $ is plain text. For recursive algorithms, state the recurrence (e.g. merge sort's $$T(n) = 2T(n/2) + O(n)$$) and derive the bound step by step or with the master theorem.
+
+Return ONLY a JSON object (no surrounding text or code fences) with this structure:
+{{schema}}
+
+- "sections" should cover the step-by-step breakdown and any other explanation.
+- "code" must contain at least one {{language}} entry with "language": "{{languageId}}".
+- Use markdown inside string values, but never put code fences inside "code".
+- Escape backslashes in JSON strings, so LaTeX such as \\log is written as \\\\log.`;
+
+const DEFAULT_QUIZ_TEMPLATE = `Based on the following DSA solution for "{{topic}}", generate 3 multiple-choice questions to test the user's understanding of the time/space complexity and core logic.
+
+Solution Content:
+{{solution}}
+
+Return only a valid JSON array of objects with this structure:
+[
+  {
+    "question": "The question text",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": 0,
+    "explanation": "Brief explanation of why this is correct",
+    "concept": "complexity"
+  }
+]
+Set "concept" to "complexity" for questions about time or space complexity and to "logic" for questions about how the solution works.`;
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+  difficulties: [
+    { id: 'beginner', label: 'Beginner', guide: 'Use very simple language. Avoid jargon. Use analogies with everyday objects.' },
+    { id: 'intermediate', label: 'Intermediate', guide: 'Explain technical details. Include complexity analysis (Big O). Discuss trade-offs.' },
+    { id: 'advanced', label: 'Advanced', guide: 'Include optimization techniques. Discuss edge cases. Compare different approaches.' }
+  ],
+  modes: {
+    answer: DEFAULT_ANSWER_TEMPLATE,
+    quiz: DEFAULT_QUIZ_TEMPLATE
+  }
+};
+
+// Unknown placeholders are left in place so typos are visible in the preview.
+export function renderPromptTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  );
+}
+
+// Falls back to the first level when the selected one was removed from the templates.
+export function findDifficulty(templates, difficultyId) {
+  return templates.difficulties.find((level) => level.id === difficultyId) || templates.difficulties[0];
+}
+
+export function buildPromptVariables({ templates, difficulty, language, topic = '', userLevel = 1, solution = '' }) {
+  const level = findDifficulty(templates, difficulty);
+  return {
+    difficulty: level?.label || difficulty,
+    difficultyGuide: level?.guide || '',
+    language: language.charAt(0).toUpperCase() + language.slice(1),
+    languageId: language,
+    topic,
+    userLevel,
+    schema: STRUCTURED_ANSWER_SCHEMA,
+    solution
+  };
+}
+
+export function slugifyDifficulty(label) {
+  return label.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
@@ -0,0 +1,71 @@
+// Request bodies for each provider, shared by the browser builders in llmProviders.js and
+// the proxy's in server/upstreams.js so the two cannot drift apart. Only URLs and headers
+// differ between them, because the proxy keeps the keys. This file has no imports: Node
+// loads it directly for the proxy.
+// `generation` carries the user's { temperature, maxOutputTokens, thinkingBudget };
+// unset (null) fields are left out so the provider's own defaults apply.
+
+const isSet = (value) => value !== null && value !== undefined;
+
+export function buildGeminiBody({ messages, json, generation = {} }) {
+  const body = {
+    contents: messages.map((message) => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }))
+  };
+  const generationConfig = {};
+  if (json) {
+    generationConfig.response_mime_type = 'application/json';
+  }
+  if (isSet(generation.temperature)) {
+    generationConfig.temperature = generation.temperature;
+  }
+  if (isSet(generation.maxOutputTokens)) {
+    generationConfig.maxOutputTokens = generation.maxOutputTokens;
+  }
+  // 0 turns thinking off on models that allow it, -1 lets the model decide.
+  if (isSet(generation.thinkingBudget)) {
+    generationConfig.thinkingConfig = { thinkingBudget: generation.thinkingBudget };
+  }
+  if (Object.keys(generationConfig).length > 0) {
+    body.generationConfig = generationConfig;
+  }
+  return body;
+}
+
+export function buildOpenAIBody({ messages, model, stream, json, generation = {} }) {
+  const body = { model, messages, stream };
+  if (json) {
+    body.response_format = { type: 'json_object' };
+  }
+  if (isSet(generation.temperature)) {
+    body.temperature = generation.temperature;
+  }
+  if (isSet(generation.maxOutputTokens)) {
+    body.max_tokens = generation.maxOutputTokens;
+  }
+  if (stream) {
+    // Without stream_options the streamed reply carries no token counts.
+    body.stream_options = { include_usage: true };
+  }
+  return body;
+}
+
+export function buildOllamaBody({ messages, model, stream, json, generation = {} }) {
+  const body = { model, messages, stream };
+  if (json) {
+    body.format = 'json';
+  }
+  const options = {};
+  if (isSet(generation.temperature)) {
+    options.temperature = generation.temperature;
+  }
+  if (isSet(generation.maxOutputTokens)) {
+    options.num_predict = generation.maxOutputTokens;
+  }
+  if (Object.keys(options).length > 0) {
+    body.options = options;
+  }
+  return body;
+}
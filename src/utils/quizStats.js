@@ -0,0 +1,99 @@
+// Every answered quiz question is logged as an attempt, newest last:
+// { topic, question, concept, choice, chosenOption, correctOption, correct, timeMs, date, source }.
+// `topic` is the library topic the quiz was filed under, `choice` the chosen option index and
+// `source` is 'quiz' or 'review'. Review recall prompts have no options and are not logged.
+
+export const MAX_QUIZ_ATTEMPTS = 1000;
+
+export const QUIZ_CONCEPTS = [
+  { id: 'complexity', label: 'Complexity' },
+  { id: 'logic', label: 'Logic' }
+];
+
+// A topic or concept is weak below this accuracy, once it has at least WEAK_MIN_ATTEMPTS.
+export const WEAK_ACCURACY = 0.6;
+const WEAK_MIN_ATTEMPTS = 3;
+
+const COMPLEXITY_PATTERN = /complexity|big[\s-]?o\b|\bO\(|run\s?time|how (?:fast|slow)|(?:extra|auxiliary) (?:space|memory)|memory (?:usage|use)/i;
+
+// Questions tagged by the quiz prompt or a pack keep their `concept`; others are classified
+// by their wording: asking about Big O or time/space makes it a complexity question.
+export function getQuestionConcept(question) {
+  if (QUIZ_CONCEPTS.some((concept) => concept.id === question.concept)) return question.concept;
+  const text = [question.question, ...(question.options || [])].join(' ');
+  return COMPLEXITY_PATTERN.test(text) ? 'complexity' : 'logic';
+}
+
+// Appends the answered questions of one quiz or review session and drops the oldest attempts
+// beyond MAX_QUIZ_ATTEMPTS. `topics` gives the topic per question.
+export function addQuizAttempts(attempts, { topics, questions, answers, timesMs, source }) {
+  const date = new Date().toISOString();
+  const added = questions
+    .map((question, idx) => ({ question, idx }))
+    .filter(({ question, idx }) => question.options && answers[idx] !== null && answers[idx] !== undefined)
+    .map(({ question, idx }) => ({
+      topic: topics[idx],
+      question: question.question,
+      concept: getQuestionConcept(question),
+      choice: answers[idx],
+      chosenOption: question.options[answers[idx]],
+      correctOption: question.options[question.correctAnswer],
+      correct: answers[idx] === question.correctAnswer,
+      timeMs: timesMs[idx] ?? null,
+      date,
+      source
+    }));
+  return [...attempts, ...added].slice(-MAX_QUIZ_ATTEMPTS);
+}
+
+const tally = (list) => {
+  const correct = list.filter((attempt) => attempt.correct).length;
+  const timed = list.filter((attempt) => attempt.timeMs !== null);
+  return {
+    attempts: list.length,
+    correct,
+    accuracy: list.length > 0 ? correct / list.length : null,
+    averageMs: timed.length > 0 ? timed.reduce((sum, attempt) => sum + attempt.timeMs, 0) / timed.length : null
+  };
+};
+
+const byConcept = (list) => QUIZ_CONCEPTS.map((concept) => ({
+  ...concept,
+  ...tally(list.filter((attempt) => attempt.concept === concept.id))
+}));
+
+/**
+ * Accuracy overall, per concept and per topic. Topics are { topic, attempts, correct,
+ * accuracy, averageMs, concepts, lastDate }, weakest first; `concepts` has the same numbers
+ * per QUIZ_CONCEPTS entry.
+ */
+export function summarizeAttempts(attempts) {
+  const groups = new Map();
+  attempts.forEach((attempt) => {
+    groups.set(attempt.topic, [...(groups.get(attempt.topic) || []), attempt]);
+  });
+  const topics = [...groups.entries()]
+    .map(([topic, list]) => ({
+      topic,
+      ...tally(list),
+      concepts: byConcept(list),
+      lastDate: list[list.length - 1].date
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts);
+  return { ...tally(attempts), concepts: byConcept(attempts), topics };
+}
+
+// Topics, and concepts within a topic, answered often enough and below WEAK_ACCURACY, weakest
+// first, as { topic, concept, attempts, correct, accuracy }. `concept` is null when the topic
+// as a whole is weak.
+export function getWeakAreas(summary) {
+  const weak = (stats) => stats.attempts >= WEAK_MIN_ATTEMPTS && stats.accuracy < WEAK_ACCURACY;
+  const area = (topic, concept, { attempts, correct, accuracy }) => ({ topic, concept, attempts, correct, accuracy });
+  return summary.topics
+    .flatMap((entry) => (
+      weak(entry)
+        ? [area(entry.topic, null, entry)]
+        : entry.concepts.filter(weak).map((concept) => area(entry.topic, concept.id, concept))
+    ))
+    .sort((a, b) => a.accuracy - b.accuracy);
+}
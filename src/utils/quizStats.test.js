@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  MAX_QUIZ_ATTEMPTS, WEAK_ACCURACY, addQuizAttempts, getQuestionConcept, getWeakAreas, summarizeAttempts
+} from './quizStats';
+
+const attempt = (topic, concept, correct, timeMs = 1000) => ({
+  topic, question: `${topic} ${concept}`, concept, correct, timeMs, date: '2024-03-01T00:00:00.000Z'
+});
+
+const repeat = (count, make) => Array.from({ length: count }, (_, idx) => make(idx));
+
+describe('getQuestionConcept', () => {
+  it.each([
+    ['What is the time complexity of binary search?', 'complexity'],
+    ['Which is the Big-O of a hash map lookup?', 'complexity'],
+    ['Is the runtime O(n log n)?', 'complexity'],
+    ['How much extra space does merge sort use?', 'complexity'],
+    ['Which node is visited first in a BFS?', 'logic']
+  ])('classifies "%s" as %s', (question, concept) => {
+    expect(getQuestionConcept({ question, options: ['a', 'b'] })).toBe(concept);
+  });
+
+  it('reads the options as well as the question', () => {
+    expect(getQuestionConcept({ question: 'How does it scale?', options: ['O(1)', 'O(n)'] })).toBe('complexity');
+  });
+
+  it('keeps a known concept tag and ignores an unknown one', () => {
+    expect(getQuestionConcept({ question: 'What is the Big O?', concept: 'logic' })).toBe('logic');
+    expect(getQuestionConcept({ question: 'Which node comes first?', concept: 'graphs' })).toBe('logic');
+  });
+});
+
+describe('addQuizAttempts', () => {
+  const QUESTIONS = [
+    { question: 'What is the time complexity of lookup?', options: ['O(1)', 'O(n)'], correctAnswer: 0 },
+    { question: 'Which end does a stack pop from?', options: ['top', 'bottom'], correctAnswer: 0 },
+    { question: 'Skipped?', options: ['yes', 'no'], correctAnswer: 1 },
+    { question: 'Explain a queue in your own words.' }
+  ];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-01T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('logs answered multiple-choice questions with their options and result', () => {
+    const attempts = addQuizAttempts([], {
+      topics: ['Hash Maps', 'Stacks', 'Stacks', 'Queues'],
+      questions: QUESTIONS,
+      answers: [0, 1, null, 0],
+      timesMs: [1500],
+      source: 'quiz'
+    });
+    expect(attempts).toEqual([
+      {
+        topic: 'Hash Maps',
+        question: QUESTIONS[0].question,
+        concept: 'complexity',
+        choice: 0,
+        chosenOption: 'O(1)',
+        correctOption: 'O(1)',
+        correct: true,
+        timeMs: 1500,
+        date: '2024-03-01T12:00:00.000Z',
+        source: 'quiz'
+      },
+      {
+        topic: 'Stacks',
+        question: QUESTIONS[1].question,
+        concept: 'logic',
+        choice: 1,
+        chosenOption: 'bottom',
+        correctOption: 'top',
+        correct: false,
+        timeMs: null,
+        date: '2024-03-01T12:00:00.000Z',
+        source: 'quiz'
+      }
+    ]);
+  });
+
+  it(`keeps only the newest ${MAX_QUIZ_ATTEMPTS} attempts`, () => {
+    const old = repeat(MAX_QUIZ_ATTEMPTS, (idx) => attempt(`old ${idx}`, 'logic', true));
+    const attempts = addQuizAttempts(old, {
+      topics: ['Stacks'], questions: [QUESTIONS[1]], answers: [0], timesMs: [], source: 'review'
+    });
+    expect(attempts).toHaveLength(MAX_QUIZ_ATTEMPTS);
+    expect(attempts[0].topic).toBe('old 1');
+    expect(attempts.at(-1)).toMatchObject({ topic: 'Stacks', source: 'review' });
+  });
+});
+
+describe('summarizeAttempts', () => {
+  const ATTEMPTS = [
+    attempt('Graphs', 'logic', true, 1000),
+    attempt('Graphs', 'complexity', false, null),
+    attempt('Graphs', 'logic', false, 3000),
+    attempt('Arrays', 'logic', true, 500),
+    attempt('Arrays', 'complexity', true, 500)
+  ];
+
+  it('adds up accuracy and time overall and per concept', () => {
+    const summary = summarizeAttempts(ATTEMPTS);
+    expect(summary).toMatchObject({ attempts: 5, correct: 3, accuracy: 0.6, averageMs: 1250 });
+    expect(summary.concepts).toEqual([
+      { id: 'complexity', label: 'Complexity', attempts: 2, correct: 1, accuracy: 0.5, averageMs: 500 },
+      { id: 'logic', label: 'Logic', attempts: 3, correct: 2, accuracy: 2 / 3, averageMs: 1500 }
+    ]);
+  });
+
+  it('lists topics weakest first', () => {
+    const { topics } = summarizeAttempts(ATTEMPTS);
+    expect(topics.map((topic) => topic.topic)).toEqual(['Graphs', 'Arrays']);
+    expect(topics[0]).toMatchObject({ attempts: 3, correct: 1, averageMs: 2000, lastDate: ATTEMPTS[2].date });
+    expect(topics[0].concepts.map((concept) => concept.attempts)).toEqual([1, 2]);
+  });
+
+  it('leaves accuracy and time empty without attempts', () => {
+    const summary = summarizeAttempts([]);
+    expect(summary).toMatchObject({ attempts: 0, accuracy: null, averageMs: null, topics: [] });
+    expect(summary.concepts.every((concept) => concept.accuracy === null)).toBe(true);
+  });
+});
+
+describe('getWeakAreas', () => {
+  const weakAreas = (attempts) => getWeakAreas(summarizeAttempts(attempts));
+
+  it(`flags a topic answered at least three times below ${WEAK_ACCURACY * 100}%`, () => {
+    expect(weakAreas([
+      attempt('Graphs', 'logic', false),
+      attempt('Graphs', 'logic', true),
+      attempt('Graphs', 'complexity', false)
+    ])).toEqual([{ topic: 'Graphs', concept: null, attempts: 3, correct: 1, accuracy: 1 / 3 }]);
+  });
+
+  it('ignores topics with too few attempts or at the threshold', () => {
+    expect(weakAreas([attempt('Graphs', 'logic', false), attempt('Graphs', 'logic', false)])).toEqual([]);
+    expect(weakAreas([
+      ...repeat(3, () => attempt('Arrays', 'logic', true)),
+      ...repeat(2, () => attempt('Arrays', 'logic', false))
+    ])).toEqual([]);
+  });
+
+  it('flags a weak concept inside an otherwise strong topic', () => {
+    expect(weakAreas([
+      ...repeat(6, () => attempt('Trees', 'logic', true)),
+      ...repeat(3, () => attempt('Trees', 'complexity', false)),
+      attempt('Trees', 'complexity', true)
+    ])).toEqual([{ topic: 'Trees', concept: 'complexity', attempts: 4, correct: 1, accuracy: 0.25 }]);
+  });
+
+  it('orders weak areas across topics weakest first', () => {
+    const areas = weakAreas([
+      ...repeat(3, () => attempt('Graphs', 'logic', false)),
+      attempt('Heaps', 'logic', true),
+      ...repeat(2, () => attempt('Heaps', 'logic', false))
+    ]);
+    expect(areas.map((area) => [area.topic, area.accuracy])).toEqual([['Graphs', 0], ['Heaps', 1 / 3]]);
+  });
+});
@@ -0,0 +1,127 @@
+// Spaced repetition for quiz questions and studied topics, scheduled with SM-2. The queue is
+// a map of items by id: { id, kind: 'question' | 'topic', topic, question, easiness,
+// interval, repetitions, due, lastReviewed }. `question` is the quiz question ({ question,
+// options, correctAnswer, explanation }) and is null for topics; `due` and `lastReviewed` are
+// local dates as YYYY-MM-DD, so an item is due for the whole day.
+
+// Qualities on SM-2's 0-5 scale; anything below 3 counts as forgotten.
+export const REVIEW_GRADES = [
+  { quality: 1, label: 'Again' },
+  { quality: 3, label: 'Hard' },
+  { quality: 4, label: 'Good' },
+  { quality: 5, label: 'Easy' }
+];
+
+// At most this many items are reviewed in one session; the rest stay due.
+export const DAILY_REVIEW_LIMIT = 20;
+
+// XP for each graded review item.
+export const REVIEW_XP_PER_ITEM = 5;
+
+const QUIZ_CORRECT_QUALITY = 4;
+const QUIZ_WRONG_QUALITY = 1;
+const MIN_EASINESS = 1.3;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDay = (date = new Date()) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+export const addDays = (day, days) => {
+  const date = parseDay(day);
+  date.setDate(date.getDate() + days);
+  return toDay(date);
+};
+
+export const questionItemId = (topic, question) => `question:${topic}:${question.question}`;
+export const topicItemId = (topic) => `topic:${topic}`;
+
+const newItem = (id, kind, topic, question, today) => ({
+  id,
+  kind,
+  topic,
+  question,
+  easiness: 2.5,
+  interval: 0,
+  repetitions: 0,
+  due: addDays(today, 1),
+  lastReviewed: null
+});
+
+// One SM-2 step. A remembered item waits 1 day, then 6, then its previous interval times its
+// easiness; a forgotten one starts over and comes back tomorrow.
+export function gradeItem(item, quality, today = toDay()) {
+  const remembered = quality >= 3;
+  const repetitions = remembered ? item.repetitions + 1 : 0;
+  let interval = 1;
+  if (remembered && repetitions === 2) interval = 6;
+  if (remembered && repetitions > 2) interval = Math.round(item.interval * item.easiness);
+  const easiness = Math.max(
+    MIN_EASINESS,
+    item.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+  return { ...item, easiness, interval, repetitions, due: addDays(today, interval), lastReviewed: today };
+}
+
+// Grades one queued item in place; an id no longer in the queue leaves it unchanged.
+export function gradeQueueItem(queue, id, quality, today = toDay()) {
+  return queue[id] ? { ...queue, [id]: gradeItem(queue[id], quality, today) } : queue;
+}
+
+// Files the questions of a finished quiz under `topic`, graded by the answers given: Good when
+// right, Again when wrong. Questions already in the queue are graded again, which reschedules
+// them.
+export function addQuizResults(queue, topic, questions, answers, today = toDay()) {
+  const next = { ...queue };
+  questions.forEach((question, idx) => {
+    const id = questionItemId(topic, question);
+    const item = next[id] || newItem(id, 'question', topic, question, today);
+    const quality = answers[idx] === question.correctAnswer ? QUIZ_CORRECT_QUALITY : QUIZ_WRONG_QUALITY;
+    next[id] = gradeItem({ ...item, question }, quality, today);
+  });
+  return next;
+}
+
+// Adds a studied topic, due tomorrow. A topic already in the queue keeps its schedule.
+export function addStudiedTopic(queue, topic, today = toDay()) {
+  const id = topicItemId(topic);
+  if (queue[id]) return queue;
+  return { ...queue, [id]: newItem(id, 'topic', topic, null, today) };
+}
+
+// Items due today or earlier, most overdue first.
+export const getDueItems = (queue, today = toDay()) => Object.values(queue)
+  .filter((item) => item.due <= today)
+  .sort((a, b) => a.due.localeCompare(b.due) || a.id.localeCompare(b.id));
+
+// The first day after today with something due, or null for an empty queue.
+export function getNextDueDay(queue, today = toDay()) {
+  const upcoming = Object.values(queue).map((item) => item.due).filter((due) => due > today).sort();
+  return upcoming[0] || null;
+}
+
+// Review items as QuizModal questions. Topics have no options: the learner recalls the topic
+// and grades themselves.
+export const toReviewQuestions = (items) => items.map((item) => (
+  item.kind === 'question'
+    ? item.question
+    : {
+      question: `Recall: ${item.topic}`,
+      explanation: 'Explain the idea, when it applies and its time and space complexity from memory, then grade how well it went.'
+    }
+));
+
+// What a review session earned, finished or closed early. `answers` covers the items graded so
+// far, in order; each was already rescheduled by gradeQueueItem, so only those count.
+export function summarizeReview(items, answers) {
+  const count = answers.length;
+  return {
+    count,
+    topics: items.slice(0, count).map((item) => item.topic),
+    xp: count * REVIEW_XP_PER_ITEM
+  };
+}
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addDays, addQuizResults, addStudiedTopic, getDueItems, getNextDueDay, gradeItem, gradeQueueItem,
+  questionItemId, summarizeReview, toDay, topicItemId
+} from './reviewQueue';
+
+const TODAY = '2024-03-01';
+
+const QUESTIONS = [
+  { question: 'Heap push cost?', options: ['O(1)', 'O(log n)'], correctAnswer: 1 },
+  { question: 'Heap peek cost?', options: ['O(1)', 'O(n)'], correctAnswer: 0 }
+];
+
+const fresh = { easiness: 2.5, interval: 0, repetitions: 0, due: TODAY, lastReviewed: null };
+
+describe('gradeItem', () => {
+  it('waits 1 day, then 6, then the previous interval times the easiness', () => {
+    const first = gradeItem(fresh, 4, TODAY);
+    expect(first).toMatchObject({ repetitions: 1, interval: 1, due: '2024-03-02', lastReviewed: TODAY });
+    const second = gradeItem(first, 4, '2024-03-02');
+    expect(second).toMatchObject({ repetitions: 2, interval: 6, due: '2024-03-08' });
+    const third = gradeItem(second, 4, '2024-03-08');
+    expect(third).toMatchObject({ repetitions: 3, interval: 15, due: '2024-03-23' });
+  });
+
+  it.each([
+    [5, 2.6],
+    [4, 2.5],
+    [3, 2.36],
+    [1, 1.96]
+  ])('moves the easiness for quality %i to %s', (quality, easiness) => {
+    expect(gradeItem(fresh, quality, TODAY).easiness).toBeCloseTo(easiness);
+  });
+
+  it('never lets the easiness drop below 1.3', () => {
+    expect(gradeItem({ ...fresh, easiness: 1.4 }, 1, TODAY).easiness).toBe(1.3);
+  });
+
+  it('starts a forgotten item over and brings it back tomorrow', () => {
+    const learned = { ...fresh, repetitions: 3, interval: 15, due: TODAY };
+    const lapsed = gradeItem(learned, 1, TODAY);
+    expect(lapsed).toMatchObject({ repetitions: 0, interval: 1, due: '2024-03-02' });
+    expect(gradeItem(lapsed, 4, '2024-03-02')).toMatchObject({ repetitions: 1, interval: 1 });
+  });
+});
+
+describe('due dates', () => {
+  it.each([
+    ['2024-02-28', 1, '2024-02-29'],
+    ['2023-12-31', 1, '2024-01-01'],
+    ['2024-03-09', 1, '2024-03-10'],
+    ['2024-01-31', 30, '2024-03-01']
+  ])('%s plus %i days is %s', (day, days, expected) => {
+    expect(addDays(day, days)).toBe(expected);
+  });
+
+  it('uses the local date', () => {
+    expect(toDay(new Date(2024, 0, 5, 23, 59))).toBe('2024-01-05');
+  });
+
+  it('lists due items most overdue first and finds the next due day', () => {
+    const queue = {
+      a: { id: 'a', due: '2024-03-01' },
+      b: { id: 'b', due: '2024-02-20' },
+      c: { id: 'c', due: '2024-03-05' },
+      d: { id: 'd', due: '2024-03-03' }
+    };
+    expect(getDueItems(queue, TODAY).map((item) => item.id)).toEqual(['b', 'a']);
+    expect(getNextDueDay(queue, TODAY)).toBe('2024-03-03');
+    expect(getNextDueDay({}, TODAY)).toBeNull();
+  });
+});
+
+describe('filling the queue', () => {
+  it('files quiz questions as Good when right and Again when wrong', () => {
+    const queue = addQuizResults({}, 'Heap', QUESTIONS, [1, 1], TODAY);
+    const right = queue[questionItemId('Heap', QUESTIONS[0])];
+    const wrong = queue[questionItemId('Heap', QUESTIONS[1])];
+    expect(right).toMatchObject({ kind: 'question', repetitions: 1, easiness: 2.5, due: '2024-03-02' });
+    expect(wrong).toMatchObject({ kind: 'question', repetitions: 0, due: '2024-03-02' });
+    expect(wrong.easiness).toBeCloseTo(1.96);
+  });
+
+  it('keeps the schedule of a topic that is studied again', () => {
+    const queue = addStudiedTopic({}, 'Heap', TODAY);
+    expect(queue[topicItemId('Heap')]).toMatchObject({ kind: 'topic', question: null, due: '2024-03-02' });
+    expect(addStudiedTopic(queue, 'Heap', '2024-03-05')).toBe(queue);
+  });
+});
+
+describe('closing a review early', () => {
+  const queue = addStudiedTopic(addQuizResults({}, 'Heap', QUESTIONS, [1, 0], '2024-02-01'), 'Trie', '2024-02-01');
+  const items = getDueItems(queue, TODAY);
+
+  it('keeps the grades and XP of the graded items and leaves the rest due', () => {
+    expect(items).toHaveLength(3);
+    const graded = gradeQueueItem(gradeQueueItem(queue, items[0].id, 5, TODAY), items[1].id, 1, TODAY);
+    expect(graded[items[0].id].lastReviewed).toBe(TODAY);
+    expect(graded[items[1].id].lastReviewed).toBe(TODAY);
+    expect(getDueItems(graded, TODAY)).toEqual([items[2]]);
+
+    expect(summarizeReview(items, [0, 1])).toEqual({ count: 2, topics: [items[0].topic, items[1].topic], xp: 10 });
+  });
+
+  it('earns nothing when closed before the first grade', () => {
+    expect(summarizeReview(items, [])).toEqual({ count: 0, topics: [], xp: 0 });
+  });
+
+  it('ignores a grade for an item no longer in the queue', () => {
+    expect(gradeQueueItem(queue, 'question:Gone:?', 4, TODAY)).toBe(queue);
+  });
+});
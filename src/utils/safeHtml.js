@@ -0,0 +1,172 @@
+// Allow-list sanitizer for HTML and SVG in answers. It runs as a rehype plugin after
+// rehype-raw, so raw markup from the model has already been parsed into hast elements.
+// Elements that are not allowed are replaced by a visible placeholder (inside an SVG the
+// placeholder goes under the diagram), attributes that are not allowed are dropped, and
+// SVG roots get an xmlns, a viewBox where one can be derived, and a wrapper that scales
+// them to the card.
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const HTML_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+  'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins',
+  'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub',
+  'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+]);
+
+const SVG_ELEMENTS = new Set([
+  'circle', 'clipPath', 'defs', 'desc', 'ellipse', 'g', 'line', 'linearGradient', 'marker', 'path',
+  'pattern', 'polygon', 'polyline', 'radialGradient', 'rect', 'stop', 'symbol', 'text', 'title',
+  'tspan', 'use'
+]);
+
+// hast property names, so `stroke-width` is `strokeWidth` and `xlink:href` is `xLinkHref`.
+const GLOBAL_PROPERTIES = new Set(['className', 'title', 'lang', 'dir', 'role', 'ariaLabel', 'ariaHidden']);
+
+// Besides these, HTML elements keep an `id` that matches FOOTNOTE_ID: GFM footnotes link
+// references and backlinks through ids it prefixes with `user-content-`.
+const HTML_PROPERTIES = {
+  a: ['href', 'dataFootnoteRef', 'dataFootnoteBackref', 'ariaDescribedBy'],
+  section: ['dataFootnotes'],
+  img: ['src', 'alt', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  ol: ['start'],
+  td: ['align', 'colSpan', 'rowSpan'],
+  th: ['align', 'colSpan', 'rowSpan'],
+  details: ['open']
+};
+
+const SVG_PROPERTIES = new Set([
+  'id', 'style', 'xmlns', 'viewBox', 'preserveAspectRatio', 'width', 'height', 'x', 'y', 'x1', 'y1',
+  'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'dx', 'dy', 'd', 'points', 'pathLength', 'transform',
+  'fill', 'fillOpacity', 'fillRule', 'clipRule', 'clipPath', 'stroke', 'strokeWidth', 'strokeOpacity',
+  'strokeDasharray', 'strokeDashoffset', 'strokeLinecap', 'strokeLinejoin', 'opacity', 'visibility',
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'textAnchor', 'dominantBaseline',
+  'alignmentBaseline', 'letterSpacing', 'textDecoration', 'markerStart', 'markerMid', 'markerEnd',
+  'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient', 'offset', 'stopColor',
+  'stopOpacity', 'gradientUnits', 'gradientTransform', 'patternUnits', 'clipPathUnits', 'href', 'xLinkHref'
+]);
+
+const FOOTNOTE_ID = /^(user-content-|footnote-label$)/;
+const SAFE_LINK = /^(https?:|mailto:|#|\/(?!\/)|\.{1,2}\/)/i;
+const SAFE_IMAGE = /^(https?:|data:image\/(png|jpe?g|gif|webp);)/i;
+// In SVG only same-document references are allowed, as url(#id) or href="#id".
+const UNSAFE_CSS = /url\(\s*['"]?(?!#)|expression\(|@import|javascript:|\\/i;
+
+// An SVG `style` keeps only painting and text declarations, so it cannot position the diagram
+// over the page (position: fixed) or resize it.
+const SVG_STYLE_PROPERTIES = new Set([
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'color',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+  'letter-spacing', 'text-decoration', 'stop-color', 'stop-opacity', 'marker-start', 'marker-mid', 'marker-end'
+]);
+
+const textOf = (value) => (Array.isArray(value) ? value.join(' ') : String(value));
+
+const placeholder = (tagNames) => ({
+  type: 'element',
+  tagName: 'span',
+  properties: { className: ['unsafe-placeholder'], title: 'Removed because it is not safe to display' },
+  children: [{ type: 'text', value: `Removed unsafe content (${[...new Set(tagNames)].map((name) => `<${name}>`).join(', ')})` }]
+});
+
+function cleanHtmlProperties(tagName, properties = {}) {
+  const allowed = HTML_PROPERTIES[tagName] || [];
+  const clean = {};
+  Object.entries(properties).forEach(([name, value]) => {
+    if (GLOBAL_PROPERTIES.has(name) || allowed.includes(name)) clean[name] = value;
+  });
+  if (properties.id !== undefined && FOOTNOTE_ID.test(textOf(properties.id))) clean.id = properties.id;
+  if (clean.href !== undefined && !SAFE_LINK.test(textOf(clean.href).trim())) delete clean.href;
+  if (clean.src !== undefined && !SAFE_IMAGE.test(textOf(clean.src).trim())) delete clean.src;
+  return clean;
+}
+
+// Drops every declaration whose property is not in SVG_STYLE_PROPERTIES; null when none is left.
+function cleanSvgStyle(style) {
+  const declarations = style.split(';').filter((declaration) => {
+    const name = declaration.split(':')[0].trim().toLowerCase();
+    return declaration.includes(':') && SVG_STYLE_PROPERTIES.has(name);
+  });
+  return declarations.length > 0 ? declarations.map((declaration) => declaration.trim()).join('; ') : null;
+}
+
+function cleanSvgProperties(properties = {}) {
+  const clean = {};
+  Object.entries(properties).forEach(([name, value]) => {
+    if (!GLOBAL_PROPERTIES.has(name) && !SVG_PROPERTIES.has(name)) return;
+    const text = textOf(value);
+    if ((name === 'href' || name === 'xLinkHref') && !text.trim().startsWith('#')) return;
+    if (UNSAFE_CSS.test(text)) return;
+    if (name === 'style') {
+      const style = cleanSvgStyle(text);
+      if (style) clean.style = style;
+      return;
+    }
+    clean[name] = value;
+  });
+  return clean;
+}
+
+// Sanitizes the children of an SVG element in place and returns the rejected tag names.
+function sanitizeSvgChildren(node) {
+  const rejected = [];
+  node.children = (node.children || []).filter((child) => {
+    if (child.type === 'text') return true;
+    if (child.type !== 'element') return false;
+    if (!SVG_ELEMENTS.has(child.tagName)) {
+      rejected.push(child.tagName);
+      return false;
+    }
+    child.properties = cleanSvgProperties(child.properties);
+    rejected.push(...sanitizeSvgChildren(child));
+    return true;
+  });
+  return rejected;
+}
+
+const toNumber = (value) => {
+  const number = parseFloat(textOf(value ?? ''));
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+function sanitizeSvg(node) {
+  node.properties = cleanSvgProperties(node.properties);
+  const rejected = sanitizeSvgChildren(node);
+  node.properties.xmlns = SVG_NAMESPACE;
+  if (!node.properties.viewBox) {
+    const width = toNumber(node.properties.width);
+    const height = toNumber(node.properties.height);
+    if (width && height) node.properties.viewBox = `0 0 ${width} ${height}`;
+  }
+  return {
+    type: 'element',
+    tagName: 'span',
+    properties: { className: ['answer-diagram'] },
+    children: rejected.length > 0 ? [node, placeholder(rejected)] : [node]
+  };
+}
+
+function sanitizeChildren(node) {
+  node.children = (node.children || []).flatMap((child) => {
+    if (child.type === 'text') return [child];
+    if (child.type !== 'element') return [];
+    if (child.tagName === 'svg') return [sanitizeSvg(child)];
+    if (!HTML_ELEMENTS.has(child.tagName) || (child.tagName === 'input' && child.properties?.type !== 'checkbox')) {
+      return [placeholder([child.tagName])];
+    }
+    child.properties = cleanHtmlProperties(child.tagName, child.properties);
+    // Task-list checkboxes are the only inputs, and they are never editable.
+    if (child.tagName === 'input') child.properties.disabled = true;
+    sanitizeChildren(child);
+    return [child];
+  });
+}
+
+/** rehype plugin: `rehypePlugins={[rehypeRaw, rehypeSafeHtml]}`. */
+export function rehypeSafeHtml() {
+  return (tree) => {
+    sanitizeChildren(tree);
+  };
+}
@@ -0,0 +1,117 @@
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import rehypeRaw from 'rehype-raw';
+import remarkGfm from 'remark-gfm';
+import { describe, expect, it } from 'vitest';
+import { rehypeSafeHtml } from './safeHtml';
+
+// Renders markdown through the same remark/rehype steps as MarkdownRenderer, minus KaTeX.
+const render = (markdown) => renderToStaticMarkup(createElement(ReactMarkdown, {
+  remarkPlugins: [remarkGfm],
+  rehypePlugins: [rehypeRaw, rehypeSafeHtml]
+}, markdown));
+
+describe('rehypeSafeHtml', () => {
+  it.each([
+    ['a script', '<script>alert(1)</script>', '<script>'],
+    ['an iframe', '<iframe src="https://example.com"></iframe>', '<iframe>'],
+    ['a style sheet', '<style>body { display: none }</style>', '<style>'],
+    ['a form control', '<input type="text" value="x">', '<input>']
+  ])('replaces %s with a placeholder', (_, html, tag) => {
+    const output = render(html);
+    expect(output).toContain(`Removed unsafe content (${tag.replace('<', '&lt;').replace('>', '&gt;')})`);
+    expect(output).not.toContain(tag);
+  });
+
+  it('drops event handlers and inline styles from HTML', () => {
+    const output = render('<p onclick="alert(1)" style="position:fixed">hi</p> <img src="x.png" onerror="alert(1)">');
+    expect(output).not.toMatch(/onclick|onerror|style=/);
+    expect(output).toContain('<p>hi</p>');
+  });
+
+  it.each([
+    ['javascript:alert(1)', false],
+    ['  JavaScript:alert(1)', false],
+    ['data:text/html,<b>x</b>', false],
+    ['//evil.example/x', false],
+    ['https://example.com', true],
+    ['#section', true],
+    ['/docs/page', true]
+  ])('keeps the link %s: %s', (href, kept) => {
+    const output = render(`<a href="${href}">link</a>`);
+    expect(output.includes('href=')).toBe(kept);
+  });
+
+  it.each([
+    ['data:image/png;base64,AAAA', true],
+    ['data:image/svg+xml;base64,AAAA', false],
+    ['data:text/html;base64,AAAA', false],
+    ['https://example.com/a.png', true]
+  ])('keeps the image source %s: %s', (src, kept) => {
+    expect(render(`<img src="${src}" alt="x">`).includes('src=')).toBe(kept);
+  });
+
+  it('keeps the ids and links of GFM footnotes', () => {
+    const output = render('A claim.[^1]\n\n[^1]: The source.');
+    expect(output).toContain('id="user-content-fnref-1"');
+    expect(output).toContain('href="#user-content-fn-1"');
+    expect(output).toContain('id="user-content-fn-1"');
+    expect(output).toContain('id="footnote-label"');
+  });
+
+  it('drops other ids on HTML elements', () => {
+    expect(render('<div id="root">x</div>')).toBe('<div>x</div>');
+  });
+});
+
+describe('SVG', () => {
+  const svg = (body, attributes = 'width="100" height="50"') => render(`<svg ${attributes}>${body}</svg>`);
+
+  it('wraps a diagram and derives its viewBox', () => {
+    const output = svg('<rect x="1" y="1" width="10" height="10" fill="#fff"/>');
+    expect(output).toMatch(/<span class="answer-diagram"><svg[^>]*viewBox="0 0 100 50"/);
+    expect(output).toContain('<rect x="1" y="1" width="10" height="10" fill="#fff">');
+  });
+
+  it.each([
+    ['foreignObject', '<foreignObject><div>html</div></foreignObject>'],
+    ['script', '<script>alert(1)</script>'],
+    ['image', '<image href="https://evil.example/x.png"/>'],
+    ['animate', '<animate attributeName="href" to="javascript:alert(1)"/>']
+  ])('moves a <%s> out as a placeholder under the diagram', (tag, body) => {
+    const output = svg(`<circle r="5"/>${body}`);
+    expect(output).toContain(`Removed unsafe content (&lt;${tag}&gt;)`);
+    expect(output).toContain('<circle r="5">');
+    expect(output).not.toMatch(/alert|evil\.example|<div>html/);
+  });
+
+  it('drops event handlers', () => {
+    expect(svg('<circle r="5" onmouseover="alert(1)"/>', 'onload="alert(1)"')).not.toMatch(/onload|onmouseover|alert/);
+  });
+
+  it.each([
+    ['<use href="https://evil.example/sprite.svg#icon"/>', 'href='],
+    ['<use xlink:href="data:image/svg+xml,x"/>', 'href='],
+    ['<rect fill="url(https://evil.example/track)"/>', 'fill='],
+    ['<rect style="fill: url(\'//evil.example/x\')"/>', 'style=']
+  ])('drops the external reference in %s', (body, attribute) => {
+    expect(svg(body)).not.toContain(attribute);
+  });
+
+  it('keeps references inside the diagram', () => {
+    const output = svg('<defs><marker id="arrow"><path d="M0 0L5 5"/></marker></defs><line marker-end="url(#arrow)"/><use href="#arrow"/>');
+    expect(output).toContain('marker-end="url(#arrow)"');
+    expect(output).toContain('href="#arrow"');
+  });
+
+  it('keeps only painting and text properties in a style', () => {
+    const output = svg('<text style="fill: red; position: fixed; top: 0; font-size: 12px; width: 100vw">x</text>');
+    expect(output).toContain('<text style="fill:red;font-size:12px">x</text>');
+  });
+
+  it('drops a style with nothing allowed in it, so the diagram cannot cover the page', () => {
+    const output = svg('<rect/>', 'width="100" height="50" style="position:fixed;inset:0;z-index:9999"');
+    expect(output).not.toContain('style=');
+  });
+});
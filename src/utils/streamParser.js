@@ -0,0 +1,131 @@
+// Incremental parsers for streamed model responses. Network reads can end anywhere —
+// mid-line or mid-event — so both parsers buffer the unfinished tail of each chunk and
+// only emit complete messages. Neither touches fetch or React, so they can be fed
+// recorded stream fixtures directly.
+//
+// Both parsers call onMessage({ event, data, id }) and expose push(text) for each
+// decoded chunk plus end() once the stream closes.
+
+const LINE_BREAK = /\r\n|\r|\n/;
+
+// Server-sent events as described in the HTML spec: `data:` lines accumulate until a
+// blank line dispatches the event, `event:` and `id:` are tracked, `:` lines are comments.
+export function createSSEParser(onMessage) {
+  let buffer = '';
+  let skipLeadingNewline = false;
+  let dataLines = [];
+  let eventType = '';
+  let lastEventId = '';
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onMessage({ event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId });
+    }
+    dataLines = [];
+    eventType = '';
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'event') {
+      eventType = value;
+    } else if (field === 'id' && !value.includes('\0')) {
+      lastEventId = value;
+    }
+    // `retry` and unknown fields are ignored.
+  };
+
+  return {
+    push(text) {
+      // A chunk ending in "\r" may be the first half of "\r\n"; don't count the "\n" twice.
+      if (skipLeadingNewline && text.startsWith('\n')) {
+        text = text.slice(1);
+      }
+      skipLeadingNewline = text.endsWith('\r');
+
+      buffer += text;
+      const lines = buffer.split(LINE_BREAK);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+
+    end() {
+      if (buffer) {
+        processLine(buffer);
+        buffer = '';
+      }
+      dispatch();
+    }
+  };
+}
+
+// Newline-delimited JSON (Ollama): every non-blank line is one message.
+export function createLineParser(onMessage) {
+  let buffer = '';
+
+  const emit = (line) => {
+    if (line.trim() !== '') {
+      onMessage({ event: 'message', data: line, id: '' });
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const lines = buffer.split(LINE_BREAK);
+      buffer = lines.pop();
+      lines.forEach(emit);
+    },
+
+    end() {
+      emit(buffer);
+      buffer = '';
+    }
+  };
+}
+
+export function createStreamParser(format, onMessage) {
+  return format === 'ndjson' ? createLineParser(onMessage) : createSSEParser(onMessage);
+}
+
+// Notices appended to an answer that did not finish, as a Markdown footnote after a rule.
+const formatNotice = (message) => `\n\n---\n_${message}_`;
+
+export const STOPPED_NOTICE = formatNotice('Generation stopped. This answer is incomplete.');
+
+// Explains why a stream that ended on its own may be incomplete; null when it finished normally.
+// `finishReason` is the normalized reason from the provider's parseStreamEvent.
+export function getTruncationNotice(finishReason, unreadableEvents) {
+  if (finishReason === 'length') {
+    return formatNotice('The answer was cut off because the model reached its output limit.');
+  }
+  if (finishReason === 'safety') {
+    return formatNotice('The model stopped this answer because a safety filter blocked it.');
+  }
+  if (finishReason === 'other') {
+    return formatNotice('The model stopped before finishing this answer.');
+  }
+  if (!finishReason) {
+    return formatNotice('The connection closed before the answer finished.');
+  }
+  if (unreadableEvents > 0) {
+    return formatNotice('Part of the streamed answer could not be read, so some text may be missing.');
+  }
+  return null;
+}
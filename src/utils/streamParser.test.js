@@ -0,0 +1,140 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { LLM_PROVIDERS } from './llmProviders';
+import { createSSEParser, createStreamParser, getTruncationNotice } from './streamParser';
+
+// Recorded provider streams, replayed through the parser and the provider's event reader
+// the same way useGeminiAPI does: bytes are decoded with a streaming TextDecoder, so a
+// chunk boundary can fall anywhere, including inside "\r\n" or a multi-byte character.
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/streams/${name}`, import.meta.url));
+
+const EXPECTED_TEXT = '{"title": "Two Sum", "summary": "Store each value\'s index in a hash map → one pass.", "code": []}';
+
+function replay(provider, bytes, chunkSize) {
+  const result = { text: '', done: false, finishReason: null, usage: null, messages: 0 };
+  const parser = createStreamParser(provider.streamFormat, (message) => {
+    result.messages += 1;
+    const parsed = provider.parseStreamEvent(message);
+    if (!parsed) return;
+    result.text += parsed.text || '';
+    if (parsed.usage) result.usage = parsed.usage;
+    if (parsed.finishReason) result.finishReason = parsed.finishReason;
+    if (parsed.done) result.done = true;
+  });
+
+  const decoder = new TextDecoder('utf-8');
+  for (let start = 0; start < bytes.length; start += chunkSize) {
+    parser.push(decoder.decode(bytes.subarray(start, start + chunkSize), { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.end();
+  return result;
+}
+
+const CHUNK_SIZES = [Infinity, 1, 2, 7, 64];
+
+describe.each([
+  ['gemini', 'gemini.sse', { messages: 3, done: false, usage: { inputTokens: 412, outputTokens: 199 } }],
+  ['openai', 'openai.sse', { messages: 7, done: true, usage: { inputTokens: 398, outputTokens: 31 } }],
+  ['ollama', 'ollama.ndjson', { messages: 4, done: true, usage: { inputTokens: 405, outputTokens: 29 } }]
+])('%s stream fixture', (providerId, file, expected) => {
+  const provider = LLM_PROVIDERS[providerId];
+  const bytes = fixture(file);
+
+  it.each(CHUNK_SIZES)('reads the whole answer in chunks of %s bytes', (chunkSize) => {
+    const result = replay(provider, bytes, chunkSize);
+    expect(result.text).toBe(EXPECTED_TEXT);
+    expect(result.messages).toBe(expected.messages);
+    expect(result.finishReason).toBe('stop');
+    expect(result.done).toBe(expected.done);
+    expect(result.usage).toEqual(expected.usage);
+  });
+});
+
+describe('createSSEParser', () => {
+  const collect = (chunks) => {
+    const messages = [];
+    const parser = createSSEParser((message) => messages.push(message));
+    chunks.forEach((chunk) => parser.push(chunk));
+    parser.end();
+    return messages;
+  };
+
+  it('joins multi-line data and skips comments', () => {
+    expect(collect([': keep-alive\n', 'event: delta\nid: 7\ndata: a\ndata: b\n\n'])).toEqual([
+      { event: 'delta', data: 'a\nb', id: '7' }
+    ]);
+  });
+
+  it('does not read a "\\r\\n" split across chunks as two line breaks', () => {
+    expect(collect(['data: one\r', '\ndata: two\r\n\r\n'])).toEqual([
+      { event: 'message', data: 'one\ntwo', id: '' }
+    ]);
+  });
+
+  it('treats a lone "\\r" as a line break', () => {
+    expect(collect(['data: one\r\rdata: two\r\r'])).toEqual([
+      { event: 'message', data: 'one', id: '' },
+      { event: 'message', data: 'two', id: '' }
+    ]);
+  });
+
+  it('dispatches an event left without its blank line when the stream ends', () => {
+    expect(collect(['data: [DONE]'])).toEqual([{ event: 'message', data: '[DONE]', id: '' }]);
+  });
+});
+
+describe('finish reasons', () => {
+  const event = (data) => ({ event: 'message', data: JSON.stringify(data), id: '' });
+  const gemini = (finishReason) => event({ candidates: [{ content: { parts: [{ text: 'x' }] }, finishReason }] });
+  const openai = (finishReason) => event({ choices: [{ delta: { content: 'x' }, finish_reason: finishReason }] });
+  const ollama = (doneReason) => event({ message: { content: 'x' }, done: true, done_reason: doneReason });
+
+  it.each([
+    ['gemini', 'STOP', gemini('STOP'), 'stop'],
+    ['gemini', 'MAX_TOKENS', gemini('MAX_TOKENS'), 'length'],
+    ['gemini', 'SAFETY', gemini('SAFETY'), 'safety'],
+    ['gemini', 'RECITATION', gemini('RECITATION'), 'safety'],
+    ['gemini', 'MALFORMED_FUNCTION_CALL', gemini('MALFORMED_FUNCTION_CALL'), 'other'],
+    ['gemini', 'no reason', gemini(undefined), null],
+    ['gemini', 'a blocked prompt', event({ promptFeedback: { blockReason: 'SAFETY' } }), 'safety'],
+    ['openai', 'stop', openai('stop'), 'stop'],
+    ['openai', 'length', openai('length'), 'length'],
+    ['openai', 'content_filter', openai('content_filter'), 'safety'],
+    ['openai', 'tool_calls', openai('tool_calls'), 'other'],
+    ['openai', 'no reason', openai(null), null],
+    ['ollama', 'stop', ollama('stop'), 'stop'],
+    ['ollama', 'length', ollama('length'), 'length'],
+    ['ollama', 'an unfinished chunk', event({ message: { content: 'x' }, done: false }), null]
+  ])('%s reads %s as %s', (providerId, _, message, finishReason) => {
+    expect(LLM_PROVIDERS[providerId].parseStreamEvent(message).finishReason).toBe(finishReason);
+  });
+
+  it('reports a Gemini answer blocked mid-stream as a safety stop', () => {
+    const stream = [
+      { candidates: [{ content: { parts: [{ text: 'Partial ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'answer' }] }, finishReason: 'SAFETY' }] }
+    ].map((data) => `data: ${JSON.stringify(data)}\r\n\r\n`).join('');
+    const result = replay(LLM_PROVIDERS.gemini, new TextEncoder().encode(stream), 5);
+    expect(result.text).toBe('Partial answer');
+    expect(result.finishReason).toBe('safety');
+  });
+});
+
+describe('getTruncationNotice', () => {
+  it.each([
+    ['length', 0, 'output limit'],
+    ['safety', 0, 'safety filter'],
+    ['other', 0, 'stopped before finishing'],
+    [null, 0, 'connection closed'],
+    ['stop', 2, 'could not be read']
+  ])('explains a %s finish with %s unreadable events', (finishReason, unreadableEvents, text) => {
+    const notice = getTruncationNotice(finishReason, unreadableEvents);
+    expect(notice).toMatch(/^\n\n---\n_.+_$/);
+    expect(notice).toContain(text);
+  });
+
+  it('adds nothing to an answer that finished normally', () => {
+    expect(getTruncationNotice('stop', 0)).toBeNull();
+  });
+});
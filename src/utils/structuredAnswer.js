@@ -0,0 +1,202 @@
+// Model answers are requested as JSON matching STRUCTURED_ANSWER_SCHEMA so the UI can
+// render sections, code, complexity and edge cases separately. Answers are still stored
+// as plain text (history, cache, follow-up context), so everything here works from the
+// raw string and falls back to treating it as markdown when it is not JSON.
+
+export const STRUCTURED_ANSWER_SCHEMA = `{
+  "title": "Short title for the answer",
+  "summary": "Brief explanation (markdown)",
+  "diagram": "A simple <svg> diagram, or an empty string if the topic is not visual",
+  "sections": [{ "heading": "Step-by-step breakdown", "body": "Markdown content" }],
+  "code": [{ "language": "python", "code": "Clear, well-commented code", "explanation": "Optional markdown notes" }],
+  "complexity": { "time": "O(n)", "space": "O(1)", "explanation": "Why (markdown)" },
+  "edgeCases": ["One edge case per item"],
+  "tips": ["One tip per item"]
+}`;
+
+const asString = (value) => (typeof value === 'string' ? value : '');
+const asStringList = (value) => (Array.isArray(value) ? value.filter((item) => typeof item === 'string' && item.trim()) : []);
+
+// The notices useGeminiAPI appends after truncated or stopped streams (see formatNotice).
+const NOTICE_PATTERN = /\n\n---\n_[^\n]+_\s*$/;
+
+// Finds the JSON object in the text, tolerating ```json fences and a trailing notice.
+// `body` runs from the opening brace to the notice, for answers cut off mid-object.
+function splitJson(text) {
+  const notice = text.match(NOTICE_PATTERN);
+  const body = notice ? text.slice(0, notice.index) : text;
+  const start = body.indexOf('{');
+  if (start === -1 || body.slice(0, start).replace(/```(json)?/i, '').trim()) {
+    return null;
+  }
+  const end = body.lastIndexOf('}');
+  return {
+    json: end > start ? body.slice(start, end + 1) : '',
+    body: body.slice(start),
+    trailing: end > start ? body.slice(end + 1).replace(/^\s*```/, '').trim() : '',
+    notice: notice ? notice[0].trim() : ''
+  };
+}
+
+const parseObject = (json) => {
+  try {
+    const data = JSON.parse(json);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Reads as much as possible of a JSON object that stops part way: an open string is closed
+// where it stops, and if that still does not parse, the text is cut back to the last comma
+// before closing the open arrays and objects. Returns null when nothing parses.
+function parsePartialJson(text) {
+  const closers = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+      cuts.push({ at: i + 1, closers: [...closers].reverse().join('') });
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+    } else if (char === ',') {
+      cuts.push({ at: i, closers: [...closers].reverse().join('') });
+    }
+  }
+
+  // A string cut inside an escape drops the unfinished escape before it is closed.
+  const unfinished = escaped ? text.slice(0, -1) : text.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+  const open = inString ? `${unfinished}"` : text;
+  const candidates = [
+    `${open}${[...closers].reverse().join('')}`,
+    ...cuts.reverse().map((cut) => `${text.slice(0, cut.at)}${cut.closers}`)
+  ];
+  for (const candidate of candidates) {
+    const data = parseObject(candidate);
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+}
+
+// Returns a normalised structured answer, or null if the text is not one. Answers that stop
+// part way (still streaming, stopped or truncated) are read as far as they go and come
+// back with `partial: true`.
+export function parseStructuredAnswer(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const parts = splitJson(text);
+  if (!parts) {
+    return null;
+  }
+
+  let data = parseObject(parts.json);
+  let trailing = [parts.trailing, parts.notice].filter(Boolean).join('\n\n');
+  const partial = !data;
+  if (partial) {
+    data = parsePartialJson(parts.body);
+    trailing = parts.notice;
+  }
+  if (!data) {
+    return null;
+  }
+
+  const sections = (Array.isArray(data.sections) ? data.sections : [])
+    .filter((section) => section && (section.heading || section.body))
+    .map((section) => ({ heading: asString(section.heading), body: asString(section.body) }));
+  const code = (Array.isArray(data.code) ? data.code : [])
+    .filter((block) => block && typeof block.code === 'string')
+    .map((block) => ({
+      language: asString(block.language).toLowerCase() || 'text',
+      code: block.code,
+      explanation: asString(block.explanation)
+    }));
+  const complexity = data.complexity && typeof data.complexity === 'object'
+    ? {
+      time: asString(data.complexity.time),
+      space: asString(data.complexity.space),
+      explanation: asString(data.complexity.explanation)
+    }
+    : null;
+
+  const answer = {
+    title: asString(data.title),
+    summary: asString(data.summary),
+    diagram: asString(data.diagram),
+    sections,
+    code,
+    complexity: complexity && (complexity.time || complexity.space) ? complexity : null,
+    edgeCases: asStringList(data.edgeCases),
+    tips: asStringList(data.tips),
+    trailing,
+    partial
+  };
+
+  // Anything without prose or code is some other JSON (a quiz, an error), not an answer.
+  // A partial answer only needs its title to show something.
+  if (!answer.summary && sections.length === 0 && code.length === 0 && !(partial && answer.title)) {
+    return null;
+  }
+  return answer;
+}
+
+export function codeFence(language, code) {
+  return `\`\`\`${language}\n${code.replace(/\n$/, '')}\n\`\`\``;
+}
+
+export function structuredAnswerToMarkdown(answer) {
+  const blocks = [];
+  if (answer.title) blocks.push(`## ${answer.title}`);
+  if (answer.summary) blocks.push(answer.summary);
+  if (answer.diagram) blocks.push(answer.diagram);
+  answer.sections.forEach((section) => {
+    blocks.push(section.heading ? `## ${section.heading}\n\n${section.body}` : section.body);
+  });
+  answer.code.forEach((block) => {
+    blocks.push(codeFence(block.language, block.code));
+    if (block.explanation) blocks.push(block.explanation);
+  });
+  if (answer.complexity) {
+    const { time, space, explanation } = answer.complexity;
+    blocks.push(`## Complexity Analysis\n- **Time:** ${time}\n- **Space:** ${space}${explanation ? `\n\n${explanation}` : ''}`);
+  }
+  if (answer.edgeCases.length > 0) {
+    blocks.push(`## Edge Cases\n${answer.edgeCases.map((item) => `- ${item}`).join('\n')}`);
+  }
+  if (answer.tips.length > 0) {
+    blocks.push(`## Key Tips\n${answer.tips.map((item) => `- ${item}`).join('\n')}`);
+  }
+  if (answer.trailing) blocks.push(answer.trailing);
+  return blocks.join('\n\n');
+}
+
+// Markdown for copying/exporting any stored answer, structured or not.
+export function answerToMarkdown(text) {
+  const structured = parseStructuredAnswer(text);
+  return structured ? structuredAnswerToMarkdown(structured) : text;
+}
+
+// The truncation or stop notice at the end of an answer, with its separator, or ''.
+export function getAnswerNotice(text) {
+  return (text || '').match(NOTICE_PATTERN)?.[0] || '';
+}
+
+// True for text that starts like a structured answer, parseable yet or not.
+export function looksLikePartialJson(text) {
+  return /^\s*(```(json)?\s*)?\{/i.test(text || '');
+}
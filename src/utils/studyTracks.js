@@ -0,0 +1,211 @@
+import { BLIND_75_TOPICS } from './constants';
+
+// Study tracks for the curriculum card. A track is { id, name, description, topics }, with
+// topics shaped like BLIND_75_TOPICS. Built-in tracks are defined here; content packs can
+// add team tracks (see docs/content-packs.md), whose ids are prefixed with the pack id.
+// Progress is kept per track id, so the same problem can be at a different status in
+// each track.
+
+export const DEFAULT_TRACK_ID = 'blind75';
+
+// Problems the NeetCode-150-style track adds to each Blind 75 topic.
+const NEETCODE_EXTRAS = {
+  arrays_hashing: [
+    { title: 'Valid Sudoku', slug: 'valid-sudoku', difficulty: 'medium', tags: ['hash-set', 'matrix'] },
+  ],
+  two_pointers: [
+    { title: 'Two Sum II - Input Array Is Sorted', slug: 'two-sum-ii-input-array-is-sorted', difficulty: 'medium', tags: ['two-pointers'] },
+    { title: 'Trapping Rain Water', slug: 'trapping-rain-water', difficulty: 'hard', tags: ['two-pointers'] },
+  ],
+  sliding_window: [
+    { title: 'Permutation in String', slug: 'permutation-in-string', difficulty: 'medium', tags: ['sliding-window', 'hash-map'] },
+    { title: 'Sliding Window Maximum', slug: 'sliding-window-maximum', difficulty: 'hard', tags: ['sliding-window', 'monotonic-queue'] },
+  ],
+  stack: [
+    { title: 'Min Stack', slug: 'min-stack', difficulty: 'medium', tags: ['stack', 'design'] },
+    { title: 'Evaluate Reverse Polish Notation', slug: 'evaluate-reverse-polish-notation', difficulty: 'medium', tags: ['stack'] },
+    { title: 'Generate Parentheses', slug: 'generate-parentheses', difficulty: 'medium', tags: ['stack', 'backtracking'] },
+    { title: 'Daily Temperatures', slug: 'daily-temperatures', difficulty: 'medium', tags: ['monotonic-stack'] },
+    { title: 'Car Fleet', slug: 'car-fleet', difficulty: 'medium', tags: ['monotonic-stack', 'sorting'] },
+    { title: 'Largest Rectangle in Histogram', slug: 'largest-rectangle-in-histogram', difficulty: 'hard', tags: ['monotonic-stack'] },
+  ],
+  binary_search: [
+    { title: 'Binary Search', slug: 'binary-search', difficulty: 'easy', tags: ['binary-search'] },
+    { title: 'Search a 2D Matrix', slug: 'search-a-2d-matrix', difficulty: 'medium', tags: ['binary-search', 'matrix'] },
+    { title: 'Koko Eating Bananas', slug: 'koko-eating-bananas', difficulty: 'medium', tags: ['binary-search'] },
+    { title: 'Time Based Key-Value Store', slug: 'time-based-key-value-store', difficulty: 'medium', tags: ['binary-search', 'design'] },
+    { title: 'Median of Two Sorted Arrays', slug: 'median-of-two-sorted-arrays', difficulty: 'hard', tags: ['binary-search'] },
+  ],
+  linked_list: [
+    { title: 'Copy List with Random Pointer', slug: 'copy-list-with-random-pointer', difficulty: 'medium', tags: ['linked-list', 'hash-map'] },
+    { title: 'Add Two Numbers', slug: 'add-two-numbers', difficulty: 'medium', tags: ['linked-list', 'math'] },
+    { title: 'Find the Duplicate Number', slug: 'find-the-duplicate-number', difficulty: 'medium', tags: ['fast-slow-pointers'] },
+    { title: 'LRU Cache', slug: 'lru-cache', difficulty: 'medium', tags: ['linked-list', 'hash-map', 'design'] },
+    { title: 'Reverse Nodes in k-Group', slug: 'reverse-nodes-in-k-group', difficulty: 'hard', tags: ['linked-list'] },
+  ],
+  trees: [
+    { title: 'Diameter of Binary Tree', slug: 'diameter-of-binary-tree', difficulty: 'easy', tags: ['dfs'] },
+    { title: 'Balanced Binary Tree', slug: 'balanced-binary-tree', difficulty: 'easy', tags: ['dfs'] },
+    { title: 'Binary Tree Right Side View', slug: 'binary-tree-right-side-view', difficulty: 'medium', tags: ['bfs'] },
+    { title: 'Count Good Nodes in Binary Tree', slug: 'count-good-nodes-in-binary-tree', difficulty: 'medium', tags: ['dfs'] },
+  ],
+  heap: [
+    { title: 'Kth Largest Element in a Stream', slug: 'kth-largest-element-in-a-stream', difficulty: 'easy', tags: ['heap', 'design'] },
+    { title: 'Last Stone Weight', slug: 'last-stone-weight', difficulty: 'easy', tags: ['heap'] },
+    { title: 'K Closest Points to Origin', slug: 'k-closest-points-to-origin', difficulty: 'medium', tags: ['heap'] },
+    { title: 'Kth Largest Element in an Array', slug: 'kth-largest-element-in-an-array', difficulty: 'medium', tags: ['heap', 'quickselect'] },
+    { title: 'Task Scheduler', slug: 'task-scheduler', difficulty: 'medium', tags: ['heap', 'greedy'] },
+    { title: 'Design Twitter', slug: 'design-twitter', difficulty: 'medium', tags: ['heap', 'design'] },
+  ],
+  backtracking: [
+    { title: 'Subsets', slug: 'subsets', difficulty: 'medium', tags: ['backtracking'] },
+    { title: 'Permutations', slug: 'permutations', difficulty: 'medium', tags: ['backtracking'] },
+    { title: 'Subsets II', slug: 'subsets-ii', difficulty: 'medium', tags: ['backtracking'] },
+    { title: 'Combination Sum II', slug: 'combination-sum-ii', difficulty: 'medium', tags: ['backtracking'] },
+    { title: 'Palindrome Partitioning', slug: 'palindrome-partitioning', difficulty: 'medium', tags: ['backtracking'] },
+    { title: 'Letter Combinations of a Phone Number', slug: 'letter-combinations-of-a-phone-number', difficulty: 'medium', tags: ['backtracking'] },
+    { title: 'N-Queens', slug: 'n-queens', difficulty: 'hard', tags: ['backtracking'] },
+  ],
+  graphs: [
+    { title: 'Max Area of Island', slug: 'max-area-of-island', difficulty: 'medium', tags: ['dfs', 'matrix'] },
+    { title: 'Walls and Gates', slug: 'walls-and-gates', difficulty: 'medium', tags: ['bfs', 'matrix'] },
+    { title: 'Rotting Oranges', slug: 'rotting-oranges', difficulty: 'medium', tags: ['bfs', 'matrix'] },
+    { title: 'Surrounded Regions', slug: 'surrounded-regions', difficulty: 'medium', tags: ['dfs', 'matrix'] },
+    { title: 'Course Schedule II', slug: 'course-schedule-ii', difficulty: 'medium', tags: ['topological-sort'] },
+    { title: 'Redundant Connection', slug: 'redundant-connection', difficulty: 'medium', tags: ['union-find'] },
+    { title: 'Word Ladder', slug: 'word-ladder', difficulty: 'hard', tags: ['bfs'] },
+  ],
+  advanced_graphs: [
+    { title: 'Reconstruct Itinerary', slug: 'reconstruct-itinerary', difficulty: 'hard', tags: ['dfs', 'graph'] },
+    { title: 'Min Cost to Connect All Points', slug: 'min-cost-to-connect-all-points', difficulty: 'medium', tags: ['minimum-spanning-tree'] },
+    { title: 'Network Delay Time', slug: 'network-delay-time', difficulty: 'medium', tags: ['dijkstra'] },
+    { title: 'Swim in Rising Water', slug: 'swim-in-rising-water', difficulty: 'hard', tags: ['dijkstra', 'heap'] },
+    { title: 'Cheapest Flights Within K Stops', slug: 'cheapest-flights-within-k-stops', difficulty: 'medium', tags: ['bellman-ford'] },
+  ],
+  dp: [
+    { title: 'Min Cost Climbing Stairs', slug: 'min-cost-climbing-stairs', difficulty: 'easy', tags: ['dp'] },
+    { title: 'Partition Equal Subset Sum', slug: 'partition-equal-subset-sum', difficulty: 'medium', tags: ['dp'] },
+  ],
+  dp_2d: [
+    { title: 'Best Time to Buy and Sell Stock with Cooldown', slug: 'best-time-to-buy-and-sell-stock-with-cooldown', difficulty: 'medium', tags: ['dp'] },
+    { title: 'Coin Change II', slug: 'coin-change-ii', difficulty: 'medium', tags: ['dp'] },
+    { title: 'Target Sum', slug: 'target-sum', difficulty: 'medium', tags: ['dp'] },
+    { title: 'Interleaving String', slug: 'interleaving-string', difficulty: 'medium', tags: ['dp', 'string'] },
+    { title: 'Longest Increasing Path in a Matrix', slug: 'longest-increasing-path-in-a-matrix', difficulty: 'hard', tags: ['dp', 'dfs', 'matrix'] },
+    { title: 'Distinct Subsequences', slug: 'distinct-subsequences', difficulty: 'hard', tags: ['dp', 'string'] },
+    { title: 'Edit Distance', slug: 'edit-distance', difficulty: 'medium', tags: ['dp', 'string'] },
+    { title: 'Burst Balloons', slug: 'burst-balloons', difficulty: 'hard', tags: ['dp'] },
+    { title: 'Regular Expression Matching', slug: 'regular-expression-matching', difficulty: 'hard', tags: ['dp', 'string'] },
+  ],
+  greedy: [
+    { title: 'Jump Game II', slug: 'jump-game-ii', difficulty: 'medium', tags: ['greedy'] },
+    { title: 'Gas Station', slug: 'gas-station', difficulty: 'medium', tags: ['greedy'] },
+    { title: 'Hand of Straights', slug: 'hand-of-straights', difficulty: 'medium', tags: ['greedy', 'hash-map'] },
+    { title: 'Merge Triplets to Form Target Triplet', slug: 'merge-triplets-to-form-target-triplet', difficulty: 'medium', tags: ['greedy'] },
+    { title: 'Partition Labels', slug: 'partition-labels', difficulty: 'medium', tags: ['greedy', 'two-pointers'] },
+    { title: 'Valid Parenthesis String', slug: 'valid-parenthesis-string', difficulty: 'medium', tags: ['greedy'] },
+  ],
+  intervals: [
+    { title: 'Minimum Interval to Include Each Query', slug: 'minimum-interval-to-include-each-query', difficulty: 'hard', tags: ['intervals', 'heap'] },
+  ],
+  math_geometry: [
+    { title: 'Happy Number', slug: 'happy-number', difficulty: 'easy', tags: ['math', 'hash-set'] },
+    { title: 'Plus One', slug: 'plus-one', difficulty: 'easy', tags: ['math'] },
+    { title: 'Pow(x, n)', slug: 'powx-n', difficulty: 'medium', tags: ['math', 'recursion'] },
+    { title: 'Multiply Strings', slug: 'multiply-strings', difficulty: 'medium', tags: ['math', 'string'] },
+    { title: 'Detect Squares', slug: 'detect-squares', difficulty: 'medium', tags: ['hash-map', 'design'] },
+  ],
+  bit_manipulation: [
+    { title: 'Single Number', slug: 'single-number', difficulty: 'easy', tags: ['bit-manipulation'] },
+    { title: 'Reverse Integer', slug: 'reverse-integer', difficulty: 'medium', tags: ['math'] },
+  ],
+};
+
+const SORTING_SEARCHING_TOPICS = [
+  {
+    id: 'sorting_basics',
+    name: 'Sorting Basics',
+    icon: 'SO',
+    problems: [
+      { title: 'Sort an Array', slug: 'sort-an-array', difficulty: 'medium', tags: ['sorting', 'merge-sort'] },
+      { title: 'Merge Sorted Array', slug: 'merge-sorted-array', difficulty: 'easy', tags: ['two-pointers', 'sorting'] },
+      { title: 'Sort Colors', slug: 'sort-colors', difficulty: 'medium', tags: ['two-pointers', 'counting-sort'] },
+      { title: 'Relative Sort Array', slug: 'relative-sort-array', difficulty: 'easy', tags: ['counting-sort'] },
+      { title: 'Insertion Sort List', slug: 'insertion-sort-list', difficulty: 'medium', tags: ['linked-list', 'sorting'] },
+      { title: 'Sort List', slug: 'sort-list', difficulty: 'medium', tags: ['linked-list', 'merge-sort'] },
+      { title: 'Largest Number', slug: 'largest-number', difficulty: 'medium', tags: ['sorting', 'string'] },
+    ],
+  },
+  {
+    id: 'selection',
+    name: 'Selection & Top K',
+    icon: 'TK',
+    problems: [
+      { title: 'Kth Largest Element in an Array', slug: 'kth-largest-element-in-an-array', difficulty: 'medium', tags: ['quickselect', 'heap'] },
+      { title: 'Top K Frequent Elements', slug: 'top-k-frequent-elements', difficulty: 'medium', tags: ['hash-map', 'bucket-sort'] },
+      { title: 'K Closest Points to Origin', slug: 'k-closest-points-to-origin', difficulty: 'medium', tags: ['quickselect', 'heap'] },
+      { title: 'Merge Intervals', slug: 'merge-intervals', difficulty: 'medium', tags: ['intervals', 'sorting'] },
+    ],
+  },
+  {
+    id: 'binary_search_basics',
+    name: 'Binary Search Basics',
+    icon: 'BS',
+    problems: [
+      { title: 'Binary Search', slug: 'binary-search', difficulty: 'easy', tags: ['binary-search'] },
+      { title: 'Search Insert Position', slug: 'search-insert-position', difficulty: 'easy', tags: ['binary-search'] },
+      { title: 'First Bad Version', slug: 'first-bad-version', difficulty: 'easy', tags: ['binary-search'] },
+      { title: 'Sqrt(x)', slug: 'sqrtx', difficulty: 'easy', tags: ['binary-search', 'math'] },
+      { title: 'Find First and Last Position of Element in Sorted Array', slug: 'find-first-and-last-position-of-element-in-sorted-array', difficulty: 'medium', tags: ['binary-search'] },
+      { title: 'Search a 2D Matrix', slug: 'search-a-2d-matrix', difficulty: 'medium', tags: ['binary-search', 'matrix'] },
+    ],
+  },
+  {
+    id: 'binary_search_answer',
+    name: 'Binary Search on the Answer',
+    icon: 'BA',
+    problems: [
+      { title: 'Koko Eating Bananas', slug: 'koko-eating-bananas', difficulty: 'medium', tags: ['binary-search'] },
+      { title: 'Capacity To Ship Packages Within D Days', slug: 'capacity-to-ship-packages-within-d-days', difficulty: 'medium', tags: ['binary-search'] },
+      { title: 'Find Minimum in Rotated Sorted Array', slug: 'find-minimum-in-rotated-sorted-array', difficulty: 'medium', tags: ['binary-search'] },
+      { title: 'Search in Rotated Sorted Array', slug: 'search-in-rotated-sorted-array', difficulty: 'medium', tags: ['binary-search'] },
+      { title: 'Median of Two Sorted Arrays', slug: 'median-of-two-sorted-arrays', difficulty: 'hard', tags: ['binary-search'] },
+    ],
+  },
+];
+
+export const STUDY_TRACKS = [
+  {
+    id: DEFAULT_TRACK_ID,
+    name: 'Blind 75',
+    description: 'The classic 75 interview problems, grouped by pattern.',
+    topics: BLIND_75_TOPICS
+  },
+  {
+    id: 'neetcode150',
+    name: 'NeetCode 150 style',
+    description: 'Blind 75 plus 75 more problems that fill in each pattern.',
+    topics: BLIND_75_TOPICS.map((topic) => ({
+      ...topic,
+      problems: [...topic.problems, ...(NEETCODE_EXTRAS[topic.id] || [])]
+    }))
+  },
+  {
+    id: 'sorting-searching',
+    name: 'Sorting & searching fundamentals',
+    description: 'Sorting, selection and binary search, from the basics to searching on the answer.',
+    topics: SORTING_SEARCHING_TOPICS
+  }
+];
+
+// Built-in tracks followed by the tracks of imported content packs.
+export function getStudyTracks(packs = []) {
+  return [
+    ...STUDY_TRACKS,
+    ...packs.flatMap((pack) => (pack.tracks || []).map((track) => ({
+      ...track,
+      id: `${pack.id}/${track.id}`,
+      packName: pack.name
+    })))
+  ];
+}
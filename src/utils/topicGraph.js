@@ -0,0 +1,237 @@
+import { countDoneProblems, getNextProblem, getProblemStatus } from './curriculum';
+
+// The prerequisite graph behind the topic map and the "Recommended next" card. Curriculum
+// topics depend on other topics of the same track: built-in topics use TOPIC_PREREQUISITES,
+// pack track topics list their own `prerequisites`. Library topics name the library topics
+// to read first (`prerequisites` in offlineAnswers.js and packs) and belong to a curriculum
+// topic through their `pattern`.
+
+// Roughly the usual roadmap: arrays first, then pointers and windows, then the structures
+// and techniques that build on them. Ids are BLIND_75_TOPICS and LIBRARY_PATTERNS ids, plus
+// the topics of the sorting & searching track.
+export const TOPIC_PREREQUISITES = {
+  arrays_hashing: [],
+  two_pointers: ['arrays_hashing'],
+  stack: ['arrays_hashing'],
+  sliding_window: ['two_pointers'],
+  binary_search: ['two_pointers'],
+  linked_list: ['two_pointers'],
+  trees: ['binary_search', 'linked_list'],
+  tries: ['trees'],
+  heap: ['trees'],
+  backtracking: ['trees'],
+  graphs: ['backtracking'],
+  dp: ['backtracking'],
+  intervals: ['heap'],
+  greedy: ['heap'],
+  advanced_graphs: ['graphs', 'heap'],
+  dp_2d: ['graphs', 'dp'],
+  bit_manipulation: ['dp'],
+  math_geometry: ['graphs', 'bit_manipulation'],
+  sorting: ['arrays_hashing'],
+  sorting_basics: [],
+  selection: ['sorting_basics'],
+  binary_search_basics: ['sorting_basics'],
+  binary_search_answer: ['binary_search_basics']
+};
+
+// Library pattern of the track topics whose id is not a pattern id.
+const TOPIC_PATTERNS = {
+  sorting_basics: 'sorting',
+  selection: 'sorting',
+  binary_search_basics: 'binary_search',
+  binary_search_answer: 'binary_search'
+};
+
+export const TOPIC_STATUSES = [
+  { id: 'done', label: 'Done' },
+  { id: 'in-progress', label: 'In progress' },
+  { id: 'available', label: 'Ready to start' },
+  { id: 'locked', label: 'Needs prerequisites' }
+];
+
+// A prerequisite is covered once this share of its problems is done, or once its library
+// quizzes average at least QUIZ_PASS. Quizzes below QUIZ_PASS are suggested for review.
+const READY_SHARE = 0.5;
+const QUIZ_PASS = 0.7;
+// Below SHORT_STREAK days an easy problem is preferred; from LONG_STREAK a harder one.
+const SHORT_STREAK = 3;
+const LONG_STREAK = 7;
+
+const quizRatio = (result) => result.score / result.total;
+
+const practiceReason = ({ topic, done, total, prerequisites, status }) => {
+  if (status === 'in-progress') return `${done}/${total} done in ${topic.name}.`;
+  return prerequisites.length > 0
+    ? `${topic.name} is ready: its prerequisites are covered.`
+    : `${topic.name} is a good place to start.`;
+};
+
+export const getTopicPattern = (topic) => TOPIC_PATTERNS[topic.id] || topic.id;
+
+// Prerequisite ids of a track topic, limited to topics of the same track. Pack topics always
+// carry their own list, so the built-in graph never adds edges to a pack track.
+export function getTopicPrerequisites(topic, topics) {
+  const ids = new Set(topics.map((candidate) => candidate.id));
+  return (topic.prerequisites || TOPIC_PREREQUISITES[topic.id] || [])
+    .filter((id) => id !== topic.id && ids.has(id));
+}
+
+// Library entries an entry names as prerequisites. Names are matched like related links:
+// case-insensitively, first entry wins, unknown names are skipped.
+export function getLibraryPrerequisites(entry, entries) {
+  return (entry.prerequisites || [])
+    .map((name) => entries.find((candidate) => candidate.topic.toLowerCase() === name.toLowerCase()))
+    .filter(Boolean);
+}
+
+/**
+ * The state of every topic of a track, in track order, as { topic, prerequisites, unlocks,
+ * entries, done, total, next, quiz, status }. `entries` are the library topics of the
+ * topic's pattern, `quiz` is their average last quiz score (0-1, null before any quiz) and
+ * `status` is a TOPIC_STATUSES id. A topic that was started counts as in progress even when
+ * its prerequisites are not covered yet.
+ */
+export function getTopicStates(topics, progress, quizScores, entries) {
+  const states = topics.map((topic) => {
+    const pattern = getTopicPattern(topic);
+    const byName = new Map();
+    entries
+      .filter((entry) => entry.pattern === pattern)
+      .forEach((entry) => {
+        if (!byName.has(entry.topic.toLowerCase())) byName.set(entry.topic.toLowerCase(), entry);
+      });
+    const topicEntries = [...byName.values()];
+    const quizzed = topicEntries.map((entry) => quizScores[entry.topic]).filter(Boolean);
+    return {
+      topic,
+      prerequisites: getTopicPrerequisites(topic, topics),
+      entries: topicEntries,
+      done: countDoneProblems(topic, progress),
+      total: topic.problems.length,
+      next: getNextProblem(topic, progress),
+      started: topic.problems.some((problem) => getProblemStatus(progress, problem.slug) !== 'todo'),
+      quiz: quizzed.length > 0
+        ? quizzed.reduce((sum, result) => sum + quizRatio(result), 0) / quizzed.length
+        : null
+    };
+  });
+
+  const byId = new Map(states.map((state) => [state.topic.id, state]));
+  const isCovered = (state) => state.done >= state.total * READY_SHARE || (state.quiz !== null && state.quiz >= QUIZ_PASS);
+
+  return states.map(({ started, ...state }) => {
+    let status = 'available';
+    if (!state.next) {
+      status = 'done';
+    } else if (started || state.quiz !== null) {
+      status = 'in-progress';
+    } else if (state.prerequisites.some((id) => !isCovered(byId.get(id)))) {
+      status = 'locked';
+    }
+    return {
+      ...state,
+      unlocks: states.filter((other) => other.prerequisites.includes(state.topic.id)).map((other) => other.topic.id),
+      status
+    };
+  });
+}
+
+// Map columns: each topic sits one column right of its deepest prerequisite. Returns a list
+// of columns, each a list of states in track order.
+export function getTopicColumns(states) {
+  const byId = new Map(states.map((state) => [state.topic.id, state]));
+  const columns = new Map();
+  const columnOf = (state) => {
+    if (!columns.has(state.topic.id)) {
+      const deepest = Math.max(-1, ...state.prerequisites.map((id) => columnOf(byId.get(id))));
+      columns.set(state.topic.id, deepest + 1);
+    }
+    return columns.get(state.topic.id);
+  };
+  const result = [];
+  states.forEach((state) => {
+    const column = columnOf(state);
+    result[column] = [...(result[column] || []), state];
+  });
+  return result.filter(Boolean);
+}
+
+/**
+ * Up to `limit` suggestions of what to study next, most useful first. Each is { id, kind,
+ * state, reason } plus `entry` (a library topic) or `problem`:
+ * - 'review': the library topic with the weakest last quiz below QUIZ_PASS;
+ * - 'problem': the next problem of a topic in progress, else of a topic that is ready. The
+ *   streak picks between topics: a short one favors an easy next problem, a long one a harder one;
+ * - 'learn': the first library topic of a ready topic that has not been started.
+ */
+export function recommendNextSteps(states, quizScores, streak, limit = 3) {
+  const steps = [];
+
+  const weakest = states
+    .flatMap((state) => state.entries
+      .filter((entry) => quizScores[entry.topic] && quizRatio(quizScores[entry.topic]) < QUIZ_PASS)
+      .map((entry) => ({ state, entry, result: quizScores[entry.topic] })))
+    .sort((a, b) => quizRatio(a.result) - quizRatio(b.result))[0];
+  if (weakest) {
+    const { state, entry, result } = weakest;
+    steps.push({
+      id: `review:${entry.topic}`,
+      kind: 'review',
+      state,
+      entry,
+      reason: `You scored ${result.score}/${result.total} on its last quiz.`
+    });
+  }
+
+  const open = [
+    ...states.filter((state) => state.status === 'in-progress'),
+    ...states.filter((state) => state.status === 'available')
+  ];
+  let prefer = null;
+  let streakNote = '';
+  if (streak < SHORT_STREAK) {
+    prefer = (state) => state.next.difficulty === 'easy';
+    streakNote = ' An easy one to build your streak.';
+  } else if (streak >= LONG_STREAK) {
+    prefer = (state) => state.next.difficulty === 'medium' || state.next.difficulty === 'hard';
+    streakNote = ` Your streak is at ${streak} days, so here is a harder one.`;
+  }
+  const preferred = prefer && open.find(prefer);
+  const practice = preferred || open[0];
+  if (practice) {
+    steps.push({
+      id: `problem:${practice.next.slug}`,
+      kind: 'problem',
+      state: practice,
+      problem: practice.next,
+      reason: preferred ? `${practiceReason(practice)}${streakNote}` : practiceReason(practice)
+    });
+  }
+
+  const fresh = open.find((state) => state.status === 'available' && state.entries.length > 0);
+  if (fresh) {
+    // Topics without library prerequisites are the way in.
+    const entry = fresh.entries.find((candidate) => !candidate.prerequisites?.length) || fresh.entries[0];
+    steps.push({
+      id: `learn:${entry.topic}`,
+      kind: 'learn',
+      state: fresh,
+      entry,
+      reason: `Read this before practicing ${fresh.topic.name}.`
+    });
+  }
+
+  const more = open.find((state) => state !== practice && !steps.some((step) => step.state === state));
+  if (more) {
+    steps.push({
+      id: `problem:${more.next.slug}`,
+      kind: 'problem',
+      state: more,
+      problem: more.next,
+      reason: practiceReason(more)
+    });
+  }
+
+  return steps.slice(0, limit);
+}
@@ -0,0 +1,170 @@
+// Token usage is logged per local day and per model key ("provider/model"). Day keys are
+// zero-padded so they compare correctly as strings:
+// { '2026-10-19': { 'gemini/gemini-2.5-flash': { requests, inputTokens, outputTokens, estimatedRequests } } }
+
+export const USAGE_LOG_RETENTION_DAYS = 90;
+
+// USD per million tokens. Entries are matched by prefix, so the first match wins and more
+// specific model names must come before shorter ones. Prices are list prices and only
+// meant as an estimate.
+export const MODEL_PRICING = [
+  { match: 'gemini/gemini-2.5-pro', input: 1.25, output: 10 },
+  { match: 'gemini/gemini-2.5-flash-lite', input: 0.1, output: 0.4 },
+  { match: 'gemini/gemini-2.5-flash', input: 0.3, output: 2.5 },
+  { match: 'gemini/gemini-2.0-flash', input: 0.1, output: 0.4 },
+  { match: 'openai/gpt-4o-mini', input: 0.15, output: 0.6 },
+  { match: 'openai/gpt-4o', input: 2.5, output: 10 },
+  { match: 'openai/gpt-4.1-mini', input: 0.4, output: 1.6 },
+  { match: 'openai/gpt-4.1', input: 2, output: 8 },
+  // Local models cost nothing per token.
+  { match: 'ollama/', input: 0, output: 0 }
+];
+
+export const BUDGET_PERIODS = [
+  { id: 'day', label: 'per day' },
+  { id: 'week', label: 'per week' },
+  { id: 'month', label: 'per month' }
+];
+
+// Rough fallback for providers that do not report token counts.
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Output assumed for a request without a max output tokens setting, about one full answer.
+export const ESTIMATED_OUTPUT_TOKENS = 2000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export function toDayKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Weeks start on Monday.
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+export function getModelPricing(modelKey) {
+  return MODEL_PRICING.find((pricing) => modelKey.startsWith(pricing.match)) || null;
+}
+
+// Returns null when the model has no known price.
+export function estimateCost(modelKey, inputTokens, outputTokens) {
+  const pricing = getModelPricing(modelKey);
+  if (!pricing) {
+    return null;
+  }
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
+
+// Cost of a request before it is sent: the input is estimated from the message text and the
+// output is the max output tokens setting or ESTIMATED_OUTPUT_TOKENS. Null when the model has
+// no known price.
+export function estimateRequestCost(modelKey, messages, maxOutputTokens = null) {
+  const inputTokens = estimateTokens(messages.map((message) => message.content).join('\n'));
+  return estimateCost(modelKey, inputTokens, maxOutputTokens ?? ESTIMATED_OUTPUT_TOKENS);
+}
+
+// True when a request needs confirmation under the soft budget ({ limit, spent }): the limit
+// is already reached, or `requestCost` would take the spend past it. A limit of 0 is off.
+export function isOverBudget({ limit, spent }, requestCost = 0) {
+  return limit > 0 && (spent >= limit || spent + (requestCost || 0) > limit);
+}
+
+export function addUsageEntry(log, { model, inputTokens, outputTokens, estimated = false }, now = new Date()) {
+  const dayKey = toDayKey(now);
+  const day = log[dayKey] || {};
+  const totals = day[model] || { requests: 0, inputTokens: 0, outputTokens: 0, estimatedRequests: 0 };
+  const cutoff = toDayKey(addDays(now, -USAGE_LOG_RETENTION_DAYS));
+
+  const next = {};
+  Object.keys(log)
+    .filter((key) => key > cutoff)
+    .forEach((key) => { next[key] = log[key]; });
+
+  next[dayKey] = {
+    ...day,
+    [model]: {
+      requests: totals.requests + 1,
+      inputTokens: totals.inputTokens + inputTokens,
+      outputTokens: totals.outputTokens + outputTokens,
+      estimatedRequests: totals.estimatedRequests + (estimated ? 1 : 0)
+    }
+  };
+  return next;
+}
+
+function summarizeDays(log, fromDate, toDate) {
+  const from = toDayKey(fromDate);
+  const to = toDayKey(toDate);
+  const summary = { requests: 0, tokens: 0, cost: 0 };
+
+  Object.entries(log)
+    .filter(([dayKey]) => dayKey >= from && dayKey <= to)
+    .forEach(([, models]) => {
+      Object.entries(models).forEach(([model, totals]) => {
+        const cost = estimateCost(model, totals.inputTokens, totals.outputTokens);
+        summary.requests += totals.requests;
+        summary.tokens += totals.inputTokens + totals.outputTokens;
+        // Models without a known price add tokens but no cost.
+        summary.cost += cost || 0;
+      });
+    });
+  return summary;
+}
+
+// One bucket per day, oldest first, ending today.
+export function getDailySeries(log, days = 14, now = new Date()) {
+  return Array.from({ length: days }, (_, idx) => {
+    const date = addDays(now, idx - days + 1);
+    return { label: `${date.getMonth() + 1}/${date.getDate()}`, ...summarizeDays(log, date, date) };
+  });
+}
+
+// One bucket per week, oldest first, ending with the current week.
+export function getWeeklySeries(log, weeks = 8, now = new Date()) {
+  const thisWeek = startOfWeek(now);
+  return Array.from({ length: weeks }, (_, idx) => {
+    const start = addDays(thisWeek, (idx - weeks + 1) * 7);
+    return {
+      label: `${start.getMonth() + 1}/${start.getDate()}`,
+      ...summarizeDays(log, start, addDays(start, 6))
+    };
+  });
+}
+
+export function getPeriodStart(period, now = new Date()) {
+  if (period === 'week') return startOfWeek(now);
+  if (period === 'month') return new Date(now.getFullYear(), now.getMonth(), 1);
+  return now;
+}
+
+export function getPeriodSummary(log, period, now = new Date()) {
+  return summarizeDays(log, getPeriodStart(period, now), now);
+}
+
+// Totals per model over the last `days` days, most expensive first.
+export function getModelBreakdown(log, days = 30, now = new Date()) {
+  const from = toDayKey(addDays(now, -days + 1));
+  const byModel = {};
+
+  Object.entries(log)
+    .filter(([dayKey]) => dayKey >= from)
+    .forEach(([, models]) => {
+      Object.entries(models).forEach(([model, totals]) => {
+        const entry = byModel[model] || { model, requests: 0, inputTokens: 0, outputTokens: 0, estimatedRequests: 0 };
+        entry.requests += totals.requests;
+        entry.inputTokens += totals.inputTokens;
+        entry.outputTokens += totals.outputTokens;
+        entry.estimatedRequests += totals.estimatedRequests;
+        byModel[model] = entry;
+      });
+    });
+
+  return Object.values(byModel)
+    .map((entry) => ({ ...entry, cost: estimateCost(entry.model, entry.inputTokens, entry.outputTokens) }))
+    .sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.requests - a.requests);
+}
+
+export const formatCost = (cost) => (cost === null ? 'n/a' : `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`);
+
+export const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
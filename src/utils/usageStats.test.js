@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ESTIMATED_OUTPUT_TOKENS, USAGE_LOG_RETENTION_DAYS, addUsageEntry, estimateCost, estimateRequestCost,
+  formatCost, formatTokens, getDailySeries, getModelBreakdown, getPeriodSummary, getWeeklySeries,
+  isOverBudget, toDayKey
+} from './usageStats';
+
+// Wednesday; its week starts on Monday 2024-03-04.
+const NOW = new Date(2024, 2, 6, 15, 30);
+const FLASH = 'gemini/gemini-2.5-flash';
+const MINI = 'openai/gpt-4o-mini';
+
+const totals = (requests, inputTokens, outputTokens, estimatedRequests = 0) => ({
+  requests, inputTokens, outputTokens, estimatedRequests
+});
+
+const LOG = {
+  '2024-02-28': { [FLASH]: totals(1, 1_000_000, 0) },
+  '2024-03-01': { [MINI]: totals(2, 0, 1_000_000) },
+  '2024-03-04': { [FLASH]: totals(1, 0, 1_000_000), 'local/unknown': totals(3, 500, 500) },
+  '2024-03-06': { [FLASH]: totals(2, 1_000_000, 1_000_000, 1) }
+};
+
+describe('pricing', () => {
+  it.each([
+    [FLASH, 0.3 + 2.5],
+    ['gemini/gemini-2.5-flash-lite', 0.1 + 0.4],
+    ['gemini/gemini-2.5-flash-preview', 0.3 + 2.5],
+    ['ollama/llama3.1', 0],
+    ['openai/o3', null]
+  ])('prices a million input and output tokens of %s at %s', (model, cost) => {
+    const result = estimateCost(model, 1_000_000, 1_000_000);
+    if (cost === null) expect(result).toBeNull();
+    else expect(result).toBeCloseTo(cost);
+  });
+
+  it('estimates a request from its text and the output limit', () => {
+    const messages = [{ role: 'user', content: 'x'.repeat(4000) }];
+    expect(estimateRequestCost(FLASH, messages, 1000)).toBeCloseTo((1000 * 0.3 + 1000 * 2.5) / 1_000_000);
+    expect(estimateRequestCost(FLASH, messages)).toBeCloseTo((1000 * 0.3 + ESTIMATED_OUTPUT_TOKENS * 2.5) / 1_000_000);
+    expect(estimateRequestCost('openai/o3', messages)).toBeNull();
+  });
+});
+
+describe('isOverBudget', () => {
+  it.each([
+    ['no limit', { limit: 0, spent: 50 }, 1, false],
+    ['well within the limit', { limit: 5, spent: 1 }, 0.5, false],
+    ['a request that would go past the limit', { limit: 5, spent: 4.8 }, 0.5, true],
+    ['a request that lands exactly on the limit', { limit: 5, spent: 4.5 }, 0.5, false],
+    ['a limit already reached', { limit: 5, spent: 5 }, 0, true],
+    ['an unpriced model under the limit', { limit: 5, spent: 4.99 }, null, false]
+  ])('is %s: %s', (_, budget, requestCost, expected) => {
+    expect(isOverBudget(budget, requestCost)).toBe(expected);
+  });
+});
+
+describe('addUsageEntry', () => {
+  it('adds up requests and tokens per day and model', () => {
+    let log = addUsageEntry({}, { model: FLASH, inputTokens: 10, outputTokens: 20 }, NOW);
+    log = addUsageEntry(log, { model: FLASH, inputTokens: 5, outputTokens: 5, estimated: true }, NOW);
+    log = addUsageEntry(log, { model: MINI, inputTokens: 1, outputTokens: 1 }, NOW);
+    expect(log).toEqual({
+      '2024-03-06': { [FLASH]: totals(2, 15, 25, 1), [MINI]: totals(1, 1, 1) }
+    });
+  });
+
+  it(`drops days older than ${USAGE_LOG_RETENTION_DAYS} days`, () => {
+    const log = {
+      [toDayKey(new Date(2023, 11, 7))]: { [FLASH]: totals(1, 1, 1) },
+      [toDayKey(new Date(2023, 11, 8))]: { [FLASH]: totals(1, 1, 1) }
+    };
+    expect(Object.keys(addUsageEntry(log, { model: FLASH, inputTokens: 1, outputTokens: 1 }, NOW))).toEqual([
+      '2023-12-08', '2024-03-06'
+    ]);
+  });
+});
+
+describe('summaries', () => {
+  it.each([
+    ['day', 2, 2.8],
+    ['week', 6, 2.8 + 2.5],
+    ['month', 8, 2.8 + 2.5 + 0.6]
+  ])('sums the current %s', (period, requests, cost) => {
+    const summary = getPeriodSummary(LOG, period, NOW);
+    expect(summary.requests).toBe(requests);
+    expect(summary.cost).toBeCloseTo(cost);
+  });
+
+  it('counts tokens of unpriced models without adding cost', () => {
+    expect(getPeriodSummary(LOG, 'week', NOW)).toMatchObject({ tokens: 1_000_000 + 1000 + 2_000_000 });
+  });
+
+  it('buckets days oldest first, ending today', () => {
+    const series = getDailySeries(LOG, 7, NOW);
+    expect(series.map((day) => day.label)).toEqual(['2/29', '3/1', '3/2', '3/3', '3/4', '3/5', '3/6']);
+    expect(series.map((day) => day.requests)).toEqual([0, 2, 0, 0, 4, 0, 2]);
+  });
+
+  it('buckets weeks from Monday, ending with the current week', () => {
+    const series = getWeeklySeries(LOG, 2, NOW);
+    expect(series.map((week) => week.label)).toEqual(['2/26', '3/4']);
+    expect(series.map((week) => week.requests)).toEqual([3, 6]);
+  });
+
+  it('breaks the last days down by model, most expensive first', () => {
+    const breakdown = getModelBreakdown(LOG, 7, NOW);
+    expect(breakdown.map((entry) => entry.model)).toEqual([FLASH, MINI, 'local/unknown']);
+    expect(breakdown[0]).toMatchObject({ requests: 3, inputTokens: 1_000_000, outputTokens: 2_000_000, estimatedRequests: 1 });
+    expect(breakdown[2].cost).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  it.each([
+    [null, 'n/a'],
+    [0, '$0.00'],
+    [0.0042, '$0.0042'],
+    [1.5, '$1.50']
+  ])('shows the cost %s as %s', (cost, text) => {
+    expect(formatCost(cost)).toBe(text);
+  });
+
+  it('shortens thousands of tokens', () => {
+    expect(formatTokens(999)).toBe('999');
+    expect(formatTokens(12_345)).toBe('12.3k');
+  });
+});
@@ -0,0 +1,47 @@
+// Runs one JavaScript snippet. A fresh worker is started for every run and terminated by
+// the caller when the time limit passes, so an endless loop cannot freeze the page. It is
+// loaded as source and started inside a sandboxed iframe whose Content Security Policy
+// keeps it off the network (see createSandboxedWorker in utils/codeRunner.js), so it must
+// not import anything.
+// Messages out: { type: 'stdout' | 'stderr', text } while running, then { type: 'done' }.
+
+const post = (message) => self.postMessage(message);
+
+const formatValue = (value) => {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') return String(value);
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const writer = (type) => (...args) => post({ type, text: `${args.map(formatValue).join(' ')}\n` });
+
+const AsyncFunction = (async () => {}).constructor;
+
+self.onmessage = async ({ data: { code, input } }) => {
+  const lines = input ? input.split('\n') : [];
+  const readline = () => (lines.length > 0 ? lines.shift() : null);
+
+  self.console = {
+    ...self.console,
+    log: writer('stdout'),
+    info: writer('stdout'),
+    debug: writer('stdout'),
+    table: writer('stdout'),
+    warn: writer('stderr'),
+    error: writer('stderr')
+  };
+
+  try {
+    // `input()` and `readline()` return the next line of the input box, or null at the end.
+    await new AsyncFunction('input', 'readline', code)(readline, readline);
+  } catch (error) {
+    post({ type: 'stderr', text: `${formatValue(error)}\n` });
+  } finally {
+    post({ type: 'done' });
+  }
+};
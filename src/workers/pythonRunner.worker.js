@@ -0,0 +1,92 @@
+// Runs Python snippets with the Pyodide build from node_modules, so nothing is fetched from
+// a CDN. Like the JavaScript runner it is loaded as source and started inside the sandboxed
+// iframe (see createSandboxedWorker in utils/codeRunner.js), which has no network and no
+// access to the app's storage, so it must not import anything. The page loads the Pyodide
+// files for it and sends them in a first { pyodideFiles } message (the two modules as text,
+// the rest as ArrayBuffers; { pyodideError } if loading failed), and `fetch` is replaced by
+// a lookup in those files before Pyodide loads.
+// Loading takes a few seconds, so the worker is kept between runs and only restarted when a
+// run hits the time limit.
+// Messages out: { type: 'status', text } while loading, { type: 'started' } when the code
+// starts, { type: 'stdout' | 'stderr', text } while it runs, then { type: 'done' }.
+
+const post = (message) => self.postMessage(message);
+
+// Pyodide builds every file URL from indexURL; none of them leave the worker.
+const PYODIDE_INDEX_URL = 'https://pyodide.invalid/';
+
+let receiveFiles = null;
+const filesReady = new Promise((resolve, reject) => {
+  receiveFiles = { resolve, reject };
+});
+
+const toBlobUrl = (source) => URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+
+async function loadPyodideFromFiles() {
+  const files = await filesReady;
+  self.fetch = async (url) => {
+    const href = String(url);
+    const name = href.startsWith(PYODIDE_INDEX_URL) ? href.slice(PYODIDE_INDEX_URL.length) : null;
+    if (!name || !files[name]) {
+      throw new TypeError(`Network access is not available in the code runner (${href}).`);
+    }
+    const type = name.endsWith('.wasm') ? 'application/wasm' : 'application/octet-stream';
+    return new Response(files[name], { headers: { 'Content-Type': type } });
+  };
+
+  const { loadPyodide } = await import(toBlobUrl(files['pyodide.mjs']));
+  const { default: createPyodideModule } = await import(toBlobUrl(files['pyodide.asm.mjs']));
+  return loadPyodide({ indexURL: PYODIDE_INDEX_URL, createPyodideModule });
+}
+
+let pyodidePromise = null;
+
+const getPyodide = () => {
+  if (!pyodidePromise) {
+    post({ type: 'status', text: 'Loading Python (first run only)...' });
+    pyodidePromise = loadPyodideFromFiles().catch((error) => {
+      pyodidePromise = null;
+      throw error;
+    });
+  }
+  return pyodidePromise;
+};
+
+const runCode = async ({ code, input }) => {
+  let globals = null;
+  try {
+    const pyodide = await getPyodide();
+
+    // The whole input box is stdin; input() reads it line by line.
+    let stdinRead = false;
+    pyodide.setStdin({
+      stdin: () => {
+        if (stdinRead) return null;
+        stdinRead = true;
+        return input || null;
+      }
+    });
+    pyodide.setStdout({ batched: (text) => post({ type: 'stdout', text: `${text}\n` }) });
+    pyodide.setStderr({ batched: (text) => post({ type: 'stderr', text: `${text}\n` }) });
+
+    // Each run gets fresh globals so definitions from an earlier block do not leak in.
+    globals = pyodide.globals.get('dict')();
+    post({ type: 'started' });
+    await pyodide.runPythonAsync(code, { globals });
+  } catch (error) {
+    post({ type: 'stderr', text: `${error.message}\n` });
+  } finally {
+    globals?.destroy();
+    post({ type: 'done' });
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.pyodideFiles) {
+    receiveFiles.resolve(data.pyodideFiles);
+  } else if (data.pyodideError) {
+    receiveFiles.reject(new Error(data.pyodideError));
+  } else {
+    runCode(data);
+  }
+};
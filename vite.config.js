@@ -1,6 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The Pyodide runtime files are imported with ?url in src/utils/codeRunner.js, so the build
+// copies them into the assets folder and the code runner works offline without a CDN.
 export default defineConfig({
   plugins: [react()],
+  optimizeDeps: { exclude: ['pyodide'] },
 })